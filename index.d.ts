@@ -6,6 +6,7 @@ import {
 } from "fastify";
 import {
   DocumentNode,
+  ExecutionArgs,
   ExecutionResult,
   GraphQLSchema,
   Source,
@@ -13,11 +14,15 @@ import {
   GraphQLIsTypeOfFn,
   GraphQLTypeResolver,
   GraphQLScalarType,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLField,
   ValidationRule,
 } from "graphql";
 import { SocketStream } from "fastify-websocket"
 import { IncomingMessage, IncomingHttpHeaders, OutgoingHttpHeaders } from "http";
 import { Readable } from "stream";
+import { AbortSignal } from "abort-controller";
 
 export interface PubSub {
   subscribe<TResult = any>(topics: string | string[]): Promise<Readable & AsyncIterableIterator<TResult>>;
@@ -31,6 +36,15 @@ export interface MercuriusContext {
    * __Caution__: Only available if `subscriptions` are enabled
    */
   pubsub: PubSub;
+  /**
+   * __Caution__: Only available if the `queryComplexity` option is set
+   */
+  queryComplexity?: number;
+  /**
+   * Aborted when the operation times out.
+   * __Caution__: Only available if the `timeout` option is set
+   */
+  signal?: AbortSignal;
 }
 
 export interface Loader<
@@ -56,12 +70,50 @@ export interface MercuriusLoaders<TContext extends Record<string, any> = Mercuri
       | {
           loader: Loader<any, any, TContext>;
           opts?: {
+            /**
+             * Cache the results during an execution
+             * @default true
+             */
             cache?: boolean;
+            /**
+             * The maximum number of queries of a call to the loader
+             */
+            maxBatchSize?: number;
+            /**
+             * The key of a query, the queries with the same key are loaded once
+             */
+            key?: (query: { obj: any; params: any }) => unknown;
+            /**
+             * Cache the results in a cache shared by all the executions
+             */
+            sharedCache?: {
+              /**
+               * The time to live of a result in milliseconds
+               */
+              ttl: number;
+              /**
+               * @default 1024
+               */
+              max?: number;
+            };
           };
         };
   };
 }
 
+export interface MercuriusModule<TContext extends Record<string, any> = MercuriusContext> {
+  /**
+   * The unique name of the module
+   */
+  name: string;
+  /**
+   * The type definitions and extensions of the module
+   */
+  schema?: string | string[] | DocumentNode;
+  resolvers?: IResolvers<any, TContext>;
+  loaders?: MercuriusLoaders<TContext>;
+}
+
 /**
  * Federated GraphQL Service metadata
  */
@@ -100,6 +152,7 @@ export interface preValidationHookHandler<TContext = MercuriusContext> {
  * Notice: in the `preExecution` hook, you can modify the following items by returning them in the hook definition:
  *  - `document`
  *  - `errors`
+ *  - `timeout`
  */
 export interface preExecutionHookHandler<TContext = MercuriusContext, TError extends Error = Error> {
   (
@@ -203,6 +256,24 @@ export interface onSubscriptionEndHookHandler<TContext = MercuriusContext> {
   ): Promise<void>;
 }
 
+export interface MercuriusSchemaChange {
+  type: string;
+  description: string;
+  criticality: 'BREAKING' | 'DANGEROUS' | 'SAFE';
+}
+
+/**
+ * `onSchemaChange` is executed after the schema is changed by `replaceSchema`, `extendSchema`, `transformSchema` or by the gateway polling.
+ * Its errors are logged.
+ */
+export interface onSchemaChangeHookHandler {
+  (
+    oldSchema: GraphQLSchema,
+    newSchema: GraphQLSchema,
+    changes: MercuriusSchemaChange[],
+  ): Promise<void>;
+}
+
 interface ServiceConfig {
   setSchema: (schema: string) => ServiceConfig;
 }
@@ -250,6 +321,17 @@ interface MercuriusPlugin {
       | ((schema: GraphQLSchema) => GraphQLSchema)
       | Array<(schema: GraphQLSchema) => GraphQLSchema>
   ) => void;
+  /**
+   * Define the transformer of a schema directive
+   * @param name the name of the directive
+   * @param transformer wraps the resolvers of the fields annotated with the directive
+   */
+  defineDirective<TContext = MercuriusContext>(name: string, transformer: DirectiveTransformer<TContext>): void;
+  /**
+   * Add a module, merged with the others in the order of their names when the application is ready
+   * @param mod the name, the schema, the resolvers and the loaders of the module
+   */
+  module<TContext extends Record<string, any> = MercuriusContext>(mod: MercuriusModule<TContext>): void;
   /**
    * __Caution__: Only available if `subscriptions` are enabled
    */
@@ -260,6 +342,15 @@ interface MercuriusPlugin {
   schema: GraphQLSchema;
 
   gateway: Gateway;
+  /**
+   * __Caution__: Only available if `metrics` are enabled
+   */
+  metrics: {
+    /**
+     * The metrics in the Prometheus text format
+     */
+    serialize(): string;
+  };
 
   // addHook: overloads
 
@@ -328,6 +419,14 @@ interface MercuriusPlugin {
    * This hook will only be triggered when subscriptions are enabled.
    */
   addHook<TContext = MercuriusContext>(name: 'onSubscriptionEnd', hook: onSubscriptionEndHookHandler<TContext>): void;
+
+  // Application addHooks
+
+  /**
+   * `onSchemaChange` is executed after the schema is changed by `replaceSchema`, `extendSchema`, `transformSchema` or by the gateway polling.
+   * Its errors are logged.
+   */
+  addHook(name: 'onSchemaChange', hook: onSchemaChangeHookHandler): void;
 }
 
 interface QueryRequest {
@@ -394,6 +493,31 @@ export interface MercuriusSchemaOptions {
   schemaTransforms?: ((originalSchema: GraphQLSchema) => GraphQLSchema) | Array<(originalSchema: GraphQLSchema) => GraphQLSchema>;
 }
 
+export type BuiltInScalar = 'DateTime' | 'JSON' | 'EmailAddress' | 'URL' | 'BigInt' | 'UUID';
+
+export type AuthorizationRule<TContext = MercuriusContext> = (
+  context: TContext,
+  info: {
+    type: GraphQLObjectType | GraphQLInterfaceType;
+    field: GraphQLField<any, TContext>;
+    args: Record<string, any>;
+    /**
+     * The arguments of the authorization directive
+     */
+    directive?: Record<string, any>;
+  }
+) => boolean | Promise<boolean>;
+
+export type DirectiveTransformer<TContext = MercuriusContext, TArgs = Record<string, any>> = (
+  resolve: IFieldResolver<any, TContext>,
+  directiveArgs: TArgs,
+  info: {
+    schema: GraphQLSchema;
+    type: GraphQLObjectType;
+    field: GraphQLField<any, TContext>;
+  }
+) => IFieldResolver<any, TContext>;
+
 export interface MercuriusCommonOptions {
   /**
    * Serve GraphiQL on /graphiql if true or 'graphiql', or GraphQL IDE on /playground if 'playground' and if routes is true
@@ -405,6 +529,15 @@ export interface MercuriusCommonOptions {
    * @default true
    */
   jit?: number;
+  /**
+   * A custom execute function, called instead of the `execute` function of graphql
+   */
+  executor?: (args: ExecutionArgs) => ExecutionResult | Promise<ExecutionResult>;
+  /**
+   * Compile the persisted queries with jit on their first request
+   * @default false
+   */
+  jitPersistedQueries?: boolean;
   /**
    * A graphql endpoint is exposed at /graphql when true
    * @default true
@@ -424,6 +557,11 @@ export interface MercuriusCommonOptions {
    * Change the route prefix of the graphql endpoint if set
    */
   prefix?: string;
+  /**
+   * The name of the `app` and `reply` decorators of the instance
+   * @default 'graphql'
+   */
+  name?: string;
   /**
    * Add the empty Mutation definition if schema is not defined
    * @default false
@@ -447,14 +585,249 @@ export interface MercuriusCommonOptions {
     statusCode: number;
     response: ExecutionResult;
   };
+  /**
+   * Replace the messages of the unexpected errors with a generic message and a correlation id
+   * @default false
+   */
+  maskErrors?:
+    | boolean
+    | {
+        /**
+         * The message of the masked errors
+         * @default 'Internal server error'
+         */
+        message?: string;
+        /**
+         * The classes of the errors that are not masked
+         */
+        allow?: Array<new (...args: any[]) => Error>;
+        /**
+         * Do not mask the errors and add their stack trace to their extensions
+         * @default false
+         */
+        debug?: boolean;
+      };
   /**
    * The maximum depth allowed for a single query.
+   * Use an object to set a different limit for each operation type.
    */
-  queryDepth?: number;
+  queryDepth?:
+    | number
+    | {
+        query?: number;
+        mutation?: number;
+        subscription?: number;
+        /**
+         * Do not count the `__schema` and `__type` introspection fields
+         * @default false
+         */
+        ignoreIntrospection?: boolean;
+      };
+  /**
+   * The maximum complexity allowed for a single operation.
+   * Field costs are read from the `complexity` resolver option, from the `@cost` directive or from `defaultComplexity`.
+   */
+  queryComplexity?:
+    | number
+    | {
+        maximum: number;
+        /**
+         * @default 1
+         */
+        defaultComplexity?: number;
+      };
+  /**
+   * Compute the cache policy of the queries from the `@cacheControl(maxAge, scope)` hints
+   * and send the `Cache-Control` header in the responses to GET requests.
+   */
+  cacheControl?:
+    | boolean
+    | {
+        /**
+         * The maxAge of the root fields and of the fields returning a composite type without hints
+         * @default 0
+         */
+        defaultMaxAge?: number;
+        /**
+         * Store the cacheable responses in memory (`true` or the number of responses) or in a custom store
+         * @default false
+         */
+        store?: boolean | number | mercurius.ResponseCacheStore;
+        /**
+         * The key of the scope used to store the PRIVATE responses, e.g. the id of the user
+         */
+        scopeKey?: (context: MercuriusContext) => string | undefined;
+      };
   context?: (
     request: FastifyRequest,
     reply: FastifyReply
   ) => Promise<Record<string, any>> | Record<string, any>;
+  /**
+   * Allow the introspection queries, and the `_service` field of a federated service.
+   * @default true
+   */
+  introspection?:
+    | boolean
+    | ((
+        request: FastifyRequest | undefined,
+        context: MercuriusContext
+      ) => boolean | Promise<boolean>);
+  /**
+   * Reject the schema replacements whose breaking changes affect the persisted or the recently executed operations
+   * @default false
+   */
+  rejectBreakingChanges?:
+    | boolean
+    | {
+        /**
+         * The maximum number of executed operations that are kept
+         * @default 1024
+         */
+        max?: number;
+        /**
+         * How long an executed operation is kept, in milliseconds
+         * @default 3600000
+         */
+        ttl?: number;
+      };
+  /**
+   * Serve the schema as SDL and as introspection JSON
+   * @default false
+   */
+  schemaRoutes?:
+    | boolean
+    | {
+        /**
+         * The path of the SDL route
+         * @default '/schema.graphql'
+         */
+        sdl?: string | false;
+        /**
+         * The path of the introspection JSON route
+         * @default '/schema.json'
+         */
+        introspection?: string | false;
+      };
+  /**
+   * Add the timings of the resolvers to `extensions.tracing` in the Apollo tracing format.
+   * An operation is traced when the request has the tracing header set to `true`, or when `enabled` returns `true`.
+   * @default false
+   */
+  tracing?:
+    | boolean
+    | {
+        /**
+         * @default 'x-mercurius-tracing'
+         */
+        header?: string | false;
+        enabled?: (
+          request: FastifyRequest | undefined,
+          context: MercuriusContext
+        ) => boolean | Promise<boolean>;
+      };
+  /**
+   * The timeout of the operations in milliseconds, `0` for no timeout.
+   * The pending resolvers fail with a timeout error and the result contains the data resolved before it.
+   */
+  timeout?: number;
+  /**
+   * Collect the metrics of the operations, the caches, the subscriptions and the gateway requests
+   * and serve them in the Prometheus text format.
+   * @default false
+   */
+  metrics?:
+    | boolean
+    | {
+        /**
+         * The path of the metrics route, or false to not register it
+         * @default '/metrics'
+         */
+        path?: string | false;
+        /**
+         * @default 'mercurius_'
+         */
+        prefix?: string;
+        /**
+         * The buckets of the duration histograms, in seconds
+         */
+        buckets?: number[];
+        /**
+         * The maximum number of distinct operation names in the operation_name label,
+         * the operations with another name are counted as other
+         * @default 100
+         */
+        maxOperationNames?: number;
+      };
+  /**
+   * The transformers of the schema directives by name,
+   * they wrap the resolvers of the fields annotated with the directive
+   */
+  directives?: Record<string, DirectiveTransformer>;
+  /**
+   * Authorize the fields of the operations with rules evaluated before the execution,
+   * the unauthorized fields resolve to null with an error
+   */
+  authorization?: {
+    /**
+     * The rules by type name, for every field of the type or by field name
+     */
+    rules?: Record<string, AuthorizationRule | Record<string, AuthorizationRule>>;
+    /**
+     * The rule of the types and the fields annotated with the authorization directive
+     */
+    directive?: AuthorizationRule;
+    /**
+     * @default 'auth'
+     */
+    directiveName?: string;
+  };
+  /**
+   * Enable the built-in scalars by name, or all of them with `true`.
+   * They are added to the schema when it is a string.
+   * @default false
+   */
+  scalars?: boolean | BuiltInScalar[];
+  /**
+   * Validate the arguments and the input object fields annotated with
+   * the constraint directive before the execution
+   * @default false
+   */
+  constraints?:
+    | boolean
+    | {
+        /**
+         * The custom formats by name
+         */
+        formats?: Record<string, (value: string) => boolean>;
+        /**
+         * @default 'constraint'
+         */
+        directiveName?: string;
+      };
+  /**
+   * Accept the multipart requests of the GraphQL multipart request specification,
+   * with the files in the variables of type `Upload`
+   * @default false
+   */
+  uploads?:
+    | boolean
+    | {
+        /**
+         * The maximum size of the `operations` and `map` fields in bytes
+         * @default 1048576
+         */
+        maxFieldSize?: number;
+        /**
+         * The maximum size of a file in bytes
+         * @default 10485760
+         */
+        maxFileSize?: number;
+        /**
+         * The maximum number of files in a request
+         * @default 10
+         */
+        maxFiles?: number;
+      };
   /**
    * Optional additional validation rules.
    * Queries must satisfy these rules in addition to those defined by the GraphQL specification.
@@ -508,8 +881,58 @@ export interface MercuriusCommonOptions {
    * Enable support for batched queries (POST requests only).
    * Batched query support allows clients to send an array of queries and
    * receive an array of responses within a single request.
+   * The operations of a batch share the context and the loaders.
+   * @default false
    */
-  allowBatchedQueries?: boolean;
+  allowBatchedQueries?:
+    | boolean
+    | {
+        /**
+         * The maximum number of operations of a batch
+         * @default Infinity
+         */
+        maxBatchSize?: number;
+        /**
+         * The maximum number of operations of a batch executed at the same time
+         * @default Infinity
+         */
+        concurrency?: number;
+      };
+
+  /**
+   * Block the operations that a browser could send without a preflight request
+   * @default false
+   */
+  csrfPrevention?:
+    | boolean
+    | {
+        /**
+         * The headers that allow a request without a preflighted content type
+         * @default ['x-apollo-operation-name', 'apollo-require-preflight']
+         */
+        requestHeaders?: string[];
+      };
+
+  /**
+   * Follow the GraphQL over HTTP specification: negotiate the media type of the response,
+   * reject the bodies not in JSON and use the status codes of the specification.
+   * @default false
+   */
+  graphqlOverHttp?: boolean;
+
+  /**
+   * Send an `ETag` header in the responses to GET requests and answer `304 Not Modified`
+   * when it matches the `If-None-Match` request header.
+   * @default false
+   */
+  etag?: boolean;
+
+  /**
+   * Enable the `@defer` and `@stream` directives.
+   * Requests accepting `multipart/mixed` receive the result as incremental payloads.
+   * @default false
+   */
+  defer?: boolean;
 
   /**
    * Settings for GraphQL Playground. These settings only apply if `graphiql` parameter is set to 'playground'.
@@ -588,6 +1011,35 @@ declare namespace mercurius {
     notSupportedError?: string;
   }
 
+  interface CacheHint {
+    maxAge?: number;
+    scope?: 'PUBLIC' | 'PRIVATE';
+  }
+
+  interface ResponseCacheStore {
+    /**
+     * Return the serialized response stored with the key
+     */
+    get: (key: string) => string | undefined | Promise<string | undefined>;
+    /**
+     * Store the serialized response for maxAge seconds
+     */
+    set: (key: string, value: string, maxAge: number) => void | Promise<void>;
+  }
+
+  /**
+   * The file resolved by the value of an `Upload` variable
+   */
+  interface FileUpload {
+    filename: string;
+    mimetype: string;
+    encoding: string;
+    /**
+     * Create a stream reading the file from its beginning
+     */
+    createReadStream: () => Readable;
+  }
+
   /**
    * @deprecated Use `PersistedQueryProvider`
    */
@@ -626,6 +1078,16 @@ declare namespace mercurius {
    */
   const buildFederationSchema: (schema: string) => GraphQLSchema;
 
+  /**
+   * The `Upload` scalar, for the schemas built with code
+   */
+  const GraphQLUpload: GraphQLScalarType;
+
+  /**
+   * The built-in scalars, for the schemas built with code
+   */
+  const scalars: Record<BuiltInScalar, GraphQLScalarType>;
+
   /**
    * Subscriptions with filter functionality
    */
@@ -705,6 +1167,10 @@ export interface IResolverOptions<TSource = any, TContext = MercuriusContext, TA
   fragment?: string;
   resolve?: IFieldResolver<TSource, TContext, TArgs>;
   subscribe?: IFieldResolver<TSource, TContext, TArgs>;
+  /**
+   * Computes the cost of the field for the `queryComplexity` option
+   */
+  complexity?: (args: TArgs, childComplexity: number) => number;
 }
 
 type IEnumResolver = {
@@ -775,6 +1241,20 @@ interface IGraphQLToolsResolveInfo extends GraphQLResolveInfo {
   mergeInfo?: MergeInfo;
 }
 
+declare module "graphql" {
+  interface GraphQLResolveInfo {
+    /**
+     * __Caution__: Only available if the `cacheControl` option is set
+     */
+    cacheControl?: {
+      /**
+       * Replace the `@cacheControl` hint of the field
+       */
+      setCacheHint: (hint: mercurius.CacheHint) => void;
+    };
+  }
+}
+
 type Request = {
   document: DocumentNode;
   variables: Record<string, any>;
@@ -792,4 +1272,8 @@ type ValidationRules =
 export interface PreExecutionHookResponse<TError extends Error> {
   document?: DocumentNode
   errors?: TError[]
+  /**
+   * The timeout of the operation in milliseconds, used by the `preExecution` hooks when the `timeout` option is set
+   */
+  timeout?: number
 }
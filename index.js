@@ -2,6 +2,7 @@
 
 const fp = require('fastify-plugin')
 const LRU = require('tiny-lru')
+const fastifyWebsocket = require('fastify-websocket')
 const routes = require('./lib/routes')
 const { compileQuery } = require('graphql-jit')
 const { Factory } = require('single-user-cache')
@@ -23,16 +24,61 @@ const {
 } = require('graphql')
 const { buildExecutionContext } = require('graphql/execution/execute')
 const queryDepth = require('./lib/queryDepth')
+const queryComplexity = require('./lib/queryComplexity')
+const validateIntrospection = require('./lib/introspection')
+const { Tracer, buildTracingOptions, isTracingEnabled, addTracingToResolvers } = require('./lib/tracing')
+const { Metrics, buildMetricsOptions } = require('./lib/metrics')
+const { startTimeout, addTimeoutToResolvers } = require('./lib/timeout')
+const { removeWrappersFromResolvers } = require('./lib/wrappers')
+const { GraphQLUpload, addUploadScalar, buildUploadOptions } = require('./lib/upload')
+const { buildLoader } = require('./lib/loaders')
+const { validateModule, mergeModuleSchemas, mergeModuleResolvers } = require('./lib/modules')
+const { scalars, buildScalarsOptions, addScalarDefinitions, addScalars } = require('./lib/scalars')
+const {
+  buildDirectives,
+  addDirective,
+  removeDirectivesFromResolvers,
+  addDirectivesToResolvers
+} = require('./lib/directives')
+const {
+  buildAuthorizationOptions,
+  authorizeOperation,
+  removeAuthorizationFromResolvers,
+  addAuthorizationToResolvers
+} = require('./lib/authorization')
+const { buildConstraintsOptions, checkSchemaConstraints, validateConstraints } = require('./lib/constraints')
+const { buildBreakingChangesOptions, findSchemaChanges, findAffectedOperations } = require('./lib/schema-changes')
+const { buildCsrfPreventionOptions } = require('./lib/csrf-prevention')
+const { buildErrorMaskingOptions, buildMaskingErrorFormatter } = require('./lib/error-masking')
 const buildFederationSchema = require('./lib/federation')
 const buildGateway = require('./lib/gateway')
 const mq = require('mqemitter')
 const { PubSub, withFilter } = require('./lib/subscriber')
+const { buildVerifyClient } = require('./lib/subscription')
 const persistedQueryDefaults = require('./lib/persistedQueryDefaults')
+const {
+  addIncrementalDirectives,
+  buildIncrementalPlan,
+  createIncrementalExecution,
+  addIncrementalExecutionToResolvers,
+  removeIncrementalExecutionFromResolvers,
+  initialResult,
+  toIncremental,
+  incrementalResults
+} = require('./lib/incremental')
+const {
+  buildCacheControlOptions,
+  buildCachePolicy,
+  addCacheControlToResolvers,
+  loadResponse,
+  storeResponse
+} = require('./lib/cacheControl')
 const {
   ErrorWithProps,
   defaultErrorFormatter,
   addErrorsToExecutionResult,
   MER_ERR_GQL_INVALID_SCHEMA,
+  MER_ERR_GQL_BREAKING_CHANGES,
   MER_ERR_GQL_GATEWAY,
   MER_ERR_GQL_VALIDATION,
   MER_ERR_INVALID_OPTS,
@@ -40,8 +86,8 @@ const {
   MER_ERR_INVALID_METHOD
 } = require('./lib/errors')
 const { Hooks, assignLifeCycleHooksToContext } = require('./lib/hooks')
-const { kLoaders, kFactory, kHooks } = require('./lib/symbols')
-const { preParsingHandler, preValidationHandler, preExecutionHandler, onResolutionHandler } = require('./lib/handlers')
+const { kLoaders, kFactory, kHooks, kIncremental, kIncrementalExecution, kCachePolicy, kTracer, kPersistedQuery, kVerifyClients } = require('./lib/symbols')
+const { preParsingHandler, preValidationHandler, preExecutionHandler, onResolutionHandler, onSchemaChangeHandler } = require('./lib/handlers')
 
 function buildCache (opts) {
   if (Object.prototype.hasOwnProperty.call(opts, 'cache')) {
@@ -63,14 +109,106 @@ function buildCache (opts) {
   return LRU(1024)
 }
 
+function buildQueryComplexityOptions (queryComplexity) {
+  if (queryComplexity === undefined) {
+    return null
+  }
+
+  if (typeof queryComplexity === 'number') {
+    return { maximum: queryComplexity, defaultComplexity: 1 }
+  }
+
+  if (queryComplexity === null || typeof queryComplexity !== 'object' || typeof queryComplexity.maximum !== 'number') {
+    throw new MER_ERR_INVALID_OPTS('the queryComplexity option must be a number or an object with a numeric maximum')
+  }
+
+  return { defaultComplexity: 1, ...queryComplexity }
+}
+
+function buildSchemaRoutesOptions (schemaRoutes) {
+  if (schemaRoutes === undefined || schemaRoutes === false) {
+    return null
+  }
+
+  if (schemaRoutes === true) {
+    schemaRoutes = {}
+  }
+
+  if (schemaRoutes === null || typeof schemaRoutes !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the schemaRoutes option must be a boolean or an object')
+  }
+
+  const { sdl = '/schema.graphql', introspection = '/schema.json' } = schemaRoutes
+  for (const [name, path] of Object.entries({ sdl, introspection })) {
+    if (path !== false && typeof path !== 'string') {
+      throw new MER_ERR_INVALID_OPTS(`the schemaRoutes.${name} option must be a string or false`)
+    }
+  }
+
+  return { sdl, introspection }
+}
+
+function buildBatchedQueriesOptions (allowBatchedQueries) {
+  if (allowBatchedQueries === undefined || allowBatchedQueries === false) {
+    return null
+  }
+
+  if (allowBatchedQueries === true) {
+    allowBatchedQueries = {}
+  }
+
+  if (allowBatchedQueries === null || typeof allowBatchedQueries !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the allowBatchedQueries option must be a boolean or an object')
+  }
+
+  const { maxBatchSize = Infinity, concurrency = Infinity } = allowBatchedQueries
+  for (const [name, value] of Object.entries({ maxBatchSize, concurrency })) {
+    if (value !== Infinity && (!Number.isInteger(value) || value <= 0)) {
+      throw new MER_ERR_INVALID_OPTS(`the allowBatchedQueries.${name} option must be a positive integer`)
+    }
+  }
+
+  return { maxBatchSize, concurrency }
+}
+
 const plugin = fp(async function (app, opts) {
   const lru = buildCache(opts)
   const lruErrors = buildCache(opts)
   const lruGatewayResolvers = buildCache(opts)
 
   const minJit = opts.jit || 0
+  const executor = opts.executor || execute
   const queryDepthLimit = opts.queryDepth
-  const errorFormatter = typeof opts.errorFormatter === 'function' ? opts.errorFormatter : defaultErrorFormatter
+  const queryComplexityOpts = buildQueryComplexityOptions(opts.queryComplexity)
+  const cacheControlOpts = buildCacheControlOptions(opts.cacheControl)
+  const introspection = opts.introspection === undefined ? true : opts.introspection
+  const tracingOpts = buildTracingOptions(opts.tracing)
+  const metricsOpts = buildMetricsOptions(opts.metrics)
+  const timeout = opts.timeout
+  const uploadOpts = buildUploadOptions(opts.uploads)
+  const scalarsOpts = buildScalarsOptions(opts.scalars)
+  const directives = buildDirectives(opts.directives)
+  const authorizer = buildAuthorizationOptions(opts.authorization)
+  const constraintsOpts = buildConstraintsOptions(opts.constraints)
+  const schemaRoutesOpts = buildSchemaRoutesOptions(opts.schemaRoutes)
+  const batchedQueriesOpts = buildBatchedQueriesOptions(opts.allowBatchedQueries)
+  const csrfPreventionOpts = buildCsrfPreventionOptions(opts.csrfPrevention)
+  const breakingChangesOpts = buildBreakingChangesOptions(opts.rejectBreakingChanges)
+  // the operations executed during the ttl, checked with the persisted ones against the breaking changes
+  const recentOperations = breakingChangesOpts !== null ? LRU(breakingChangesOpts.max, breakingChangesOpts.ttl) : null
+  const errorMaskingOpts = buildErrorMaskingOptions(opts.maskErrors)
+  let errorFormatter = typeof opts.errorFormatter === 'function' ? opts.errorFormatter : defaultErrorFormatter
+  if (errorMaskingOpts !== null) {
+    errorFormatter = buildMaskingErrorFormatter(errorFormatter, errorMaskingOpts, app)
+  }
+  const name = opts.name === undefined ? 'graphql' : opts.name
+
+  if (typeof name !== 'string' || name === '') {
+    throw new MER_ERR_INVALID_OPTS('the name option must be a non empty string')
+  }
+  if (app.hasDecorator(name)) {
+    throw new MER_ERR_INVALID_OPTS(`the ${name} decorator is already present, set the name option to register another instance`)
+  }
 
   if (opts.persistedQueries) {
     if (opts.onlyPersisted) {
@@ -106,6 +244,29 @@ const plugin = fp(async function (app, opts) {
     throw new MER_ERR_INVALID_OPTS('the jit option must be a number')
   }
 
+  if (typeof executor !== 'function') {
+    throw new MER_ERR_INVALID_OPTS('the executor option must be a function')
+  }
+
+  if (typeof introspection !== 'boolean' && typeof introspection !== 'function') {
+    throw new MER_ERR_INVALID_OPTS('the introspection option must be a boolean or a function')
+  }
+
+  if (timeout !== undefined && (typeof timeout !== 'number' || timeout < 0)) {
+    throw new MER_ERR_INVALID_OPTS('the timeout option must be a positive number')
+  }
+
+  let metrics = null
+  if (metricsOpts) {
+    metrics = new Metrics(metricsOpts)
+    for (const [cache, name] of [[lru, 'lru'], [lruErrors, 'lruErrors'], [lruGatewayResolvers, 'lruGatewayResolvers']]) {
+      if (cache !== null) {
+        metrics.instrumentCache(cache, name)
+      }
+    }
+    fastifyGraphQl.metrics = metrics
+  }
+
   const root = {}
   let schema = opts.schema
   let gateway = opts.gateway
@@ -142,11 +303,19 @@ const plugin = fp(async function (app, opts) {
     throw new MER_ERR_INVALID_OPTS('Adding "schema", "resolvers" or "loaders" to plugin options when plugin is running in gateway mode is not allowed')
   }
 
+  // the gateway resolvers select the fields of the services from the executed document
+  if (gateway && opts.defer) {
+    throw new MER_ERR_INVALID_OPTS('the defer option is not supported in gateway mode')
+  }
+
   if (Array.isArray(schema)) {
     schema = schema.join('\n')
   }
 
   if (typeof schema === 'string') {
+    if (scalarsOpts !== null) {
+      schema = addScalarDefinitions(schema, scalarsOpts)
+    }
     if (opts.federationMetadata) {
       schema = buildFederationSchema(schema)
     } else {
@@ -169,7 +338,7 @@ const plugin = fp(async function (app, opts) {
 
   let entityResolversFactory
   if (gateway) {
-    gateway = await buildGateway(gateway, app)
+    gateway = await buildGateway(gateway, app, metrics)
 
     schema = gateway.schema
     entityResolversFactory = gateway.entityResolversFactory
@@ -179,9 +348,17 @@ const plugin = fp(async function (app, opts) {
     if (gateway.pollingInterval !== undefined) {
       if (typeof gateway.pollingInterval === 'number') {
         gatewayInterval = setInterval(async () => {
-          const schema = await gateway.refresh()
-          if (schema !== null) {
-            fastifyGraphQl.replaceSchema(schema)
+          let replacement = null
+          try {
+            // the schema is checked before the gateway routes to the refreshed services
+            const schema = await gateway.refresh((s) => {
+              replacement = prepareSchemaReplacement(s)
+            })
+            if (schema !== null) {
+              applySchemaReplacement(replacement)
+            }
+          } catch (err) {
+            app.log.error(err)
           }
         }, gateway.pollingInterval)
       } else {
@@ -200,7 +377,31 @@ const plugin = fp(async function (app, opts) {
     fastifyGraphQl.gateway = gateway
   }
 
-  fastifyGraphQl.schema = schema
+  if (constraintsOpts !== null) {
+    checkSchemaConstraints(constraintsOpts, schema)
+  }
+
+  fastifyGraphQl.schema = opts.defer ? addIncrementalDirectives(schema) : schema
+  wrapResolvers()
+
+  // the modules are merged in the order of their names, before the schema is validated
+  const modules = []
+  let modulesMerged = false
+  app.addHook('onReady', async function () {
+    modulesMerged = true
+    if (modules.length === 0) {
+      return
+    }
+
+    modules.sort((a, b) => a.name < b.name ? -1 : 1)
+    fastifyGraphQl.extendSchema(mergeModuleSchemas(fastifyGraphQl.schema, modules))
+
+    const { resolvers, loaders } = mergeModuleResolvers(fastifyGraphQl.schema, modules)
+    fastifyGraphQl.defineResolvers(resolvers)
+    if (Object.keys(loaders).length > 0) {
+      fastifyGraphQl.defineLoaders(loaders)
+    }
+  })
 
   app.addHook('onReady', async function () {
     const schemaValidationErrors = validateSchema(fastifyGraphQl.schema)
@@ -213,13 +414,74 @@ const plugin = fp(async function (app, opts) {
     }
   })
 
+  // the resolvers are wrapped every time they can be replaced
+  function wrapResolvers () {
+    unwrapAnnotatedResolvers()
+    removeWrappersFromResolvers(fastifyGraphQl.schema)
+    if (cacheControlOpts) {
+      addCacheControlToResolvers(fastifyGraphQl.schema)
+    }
+    if (tracingOpts) {
+      addTracingToResolvers(fastifyGraphQl.schema)
+    }
+    if (timeout !== undefined) {
+      addTimeoutToResolvers(fastifyGraphQl.schema)
+    }
+    if (uploadOpts) {
+      addUploadScalar(fastifyGraphQl.schema)
+    }
+    if (scalarsOpts !== null) {
+      addScalars(fastifyGraphQl.schema, scalarsOpts)
+    }
+    wrapAnnotatedResolvers()
+  }
+
+  // the directives, the authorization rules and the incremental execution are
+  // the outermost wrappers, they are applied again to the fields added by extendSchema
+  function unwrapAnnotatedResolvers () {
+    if (opts.defer) {
+      removeIncrementalExecutionFromResolvers(fastifyGraphQl.schema)
+    }
+    if (authorizer !== null) {
+      removeAuthorizationFromResolvers(fastifyGraphQl.schema)
+    }
+    if (directives.size > 0) {
+      removeDirectivesFromResolvers(fastifyGraphQl.schema)
+    }
+  }
+
+  function wrapAnnotatedResolvers () {
+    if (directives.size > 0) {
+      addDirectivesToResolvers(fastifyGraphQl.schema, directives)
+    }
+    if (authorizer !== null) {
+      addAuthorizationToResolvers(fastifyGraphQl.schema, authorizer)
+    }
+    if (opts.defer) {
+      addIncrementalExecutionToResolvers(fastifyGraphQl.schema)
+    }
+  }
+
   const graphqlCtx = Symbol('ctx')
 
   if (opts.routes !== false) {
+    // the websocket server is shared by all the instances with subscriptions
+    if (subscriber && app.websocketServer === undefined) {
+      const verifyClients = new Map()
+      app.decorate(kVerifyClients, verifyClients)
+      app.register(fastifyWebsocket, {
+        options: {
+          maxPayload: 1048576,
+          verifyClient: buildVerifyClient(app, verifyClients)
+        }
+      })
+    }
+
     const optsIde = opts.graphiql || opts.ide
     app.register(routes, {
+      name,
       errorHandler: opts.errorHandler,
-      errorFormatter: opts.errorFormatter,
+      errorFormatter,
       ide: optsIde,
       ideSettings: opts.playgroundSettings,
       playgroundHeaders: opts.playgroundHeaders,
@@ -227,36 +489,65 @@ const plugin = fp(async function (app, opts) {
       path: opts.path,
       context: opts.context,
       persistedQueryProvider: opts.persistedQueryProvider,
-      allowBatchedQueries: opts.allowBatchedQueries,
+      allowBatchedQueries: batchedQueriesOpts,
+      graphqlOverHttp: opts.graphqlOverHttp === true,
+      defer: opts.defer === true,
+      etag: opts.etag,
       subscriber,
       verifyClient,
       onConnect,
       onDisconnect,
       lruGatewayResolvers,
       entityResolversFactory,
-      subscriptionContextFn
+      subscriptionContextFn,
+      queryDepth: queryDepthLimit,
+      metrics,
+      uploads: uploadOpts,
+      introspection,
+      schemaRoutes: schemaRoutesOpts,
+      csrfPrevention: csrfPreventionOpts
+    })
+  }
+
+  if (metrics !== null && metricsOpts.path !== false) {
+    app.get(metricsOpts.path, async function (request, reply) {
+      reply.type('text/plain; version=0.0.4; charset=utf-8')
+      return metrics.serialize()
     })
   }
 
   app.decorateReply(graphqlCtx, null)
 
-  app.decorateReply('graphql', function (source, context, variables, operationName) {
+  app.decorateReply(name, function (source, context, variables, operationName) {
     context = Object.assign({ reply: this, app }, context)
-    if (app[kFactory]) {
-      this[kLoaders] = factory.create(context)
-    }
 
-    return app.graphql(source, context, variables, operationName)
+    return fastifyGraphQl(source, context, variables, operationName)
   })
 
-  app.decorate('graphql', fastifyGraphQl)
+  app.decorate(name, fastifyGraphQl)
 
   fastifyGraphQl.replaceSchema = function (s) {
+    applySchemaReplacement(prepareSchemaReplacement(s))
+  }
+
+  function prepareSchemaReplacement (s) {
     if (!s || typeof s !== 'object') {
       throw new MER_ERR_INVALID_OPTS('Must provide valid Document AST')
     }
 
-    fastifyGraphQl.schema = s
+    const oldSchema = fastifyGraphQl.schema
+    const newSchema = opts.defer ? addIncrementalDirectives(s) : s
+    if (constraintsOpts !== null) {
+      checkSchemaConstraints(constraintsOpts, newSchema)
+    }
+    const changes = checkSchemaChanges(oldSchema, newSchema)
+
+    return { oldSchema, newSchema, changes }
+  }
+
+  function applySchemaReplacement ({ oldSchema, newSchema, changes }) {
+    fastifyGraphQl.schema = newSchema
+    wrapResolvers()
 
     if (lru) {
       lru.clear()
@@ -267,6 +558,8 @@ const plugin = fp(async function (app, opts) {
     if (lruGatewayResolvers) {
       lruGatewayResolvers.clear()
     }
+
+    emitSchemaChange(oldSchema, newSchema, changes)
   }
 
   fastifyGraphQl.extendSchema = function (s) {
@@ -283,7 +576,78 @@ const plugin = fp(async function (app, opts) {
       throw new MER_ERR_INVALID_OPTS('Must provide valid Document AST')
     }
 
-    fastifyGraphQl.schema = extendSchema(fastifyGraphQl.schema, s)
+    const oldSchema = fastifyGraphQl.schema
+    const newSchema = extendSchema(oldSchema, s)
+    if (constraintsOpts !== null) {
+      checkSchemaConstraints(constraintsOpts, newSchema)
+    }
+    const changes = checkSchemaChanges(oldSchema, newSchema)
+
+    fastifyGraphQl.schema = newSchema
+    unwrapAnnotatedResolvers()
+    wrapAnnotatedResolvers()
+
+    emitSchemaChange(oldSchema, newSchema, changes)
+  }
+
+  // the changes are found only when they are checked or emitted, a replacement
+  // is rejected before the schema is changed
+  function checkSchemaChanges (oldSchema, newSchema) {
+    if (breakingChangesOpts === null && fastifyGraphQl[kHooks].onSchemaChange.length === 0) {
+      return null
+    }
+
+    const changes = findSchemaChanges(oldSchema, newSchema)
+    const breakingChanges = changes.filter(change => change.criticality === 'BREAKING')
+
+    if (breakingChangesOpts !== null && breakingChanges.length > 0) {
+      const operations = opts.persistedQueries ? Object.values(opts.persistedQueries) : []
+      for (const source of recentOperations.keys()) {
+        // the expired operations are removed by get
+        const document = recentOperations.get(source)
+        if (document !== undefined) {
+          operations.push(document)
+        }
+      }
+
+      const affected = findAffectedOperations(oldSchema, newSchema, operations)
+      if (affected.length > 0) {
+        const err = new MER_ERR_GQL_BREAKING_CHANGES(affected.length, breakingChanges.map(change => change.description).join(' '))
+        err.changes = changes
+        err.operations = affected
+        throw err
+      }
+    }
+
+    return changes
+  }
+
+  // the hooks are called after the schema is changed, their errors are logged
+  function emitSchemaChange (oldSchema, newSchema, changes) {
+    if (changes !== null && fastifyGraphQl[kHooks].onSchemaChange.length > 0) {
+      onSchemaChangeHandler({ hooks: fastifyGraphQl[kHooks], oldSchema, newSchema, changes })
+        .catch(err => app.log.error(err))
+    }
+  }
+
+  fastifyGraphQl.module = function (mod) {
+    if (gateway) {
+      throw new MER_ERR_GQL_GATEWAY('Calling module method when plugin is running in gateway mode is not allowed')
+    }
+    if (opts.federationMetadata) {
+      throw new MER_ERR_INVALID_METHOD('Calling module method when federationMetadata is enabled is not allowed')
+    }
+    if (modulesMerged) {
+      throw new MER_ERR_INVALID_METHOD('Calling module method after the application is ready is not allowed')
+    }
+
+    validateModule(mod, modules)
+    modules.push(mod)
+  }
+
+  fastifyGraphQl.defineDirective = function (name, transformer) {
+    addDirective(directives, name, transformer)
+    wrapResolvers()
   }
 
   fastifyGraphQl.defineResolvers = function (resolvers) {
@@ -312,7 +676,17 @@ const plugin = fp(async function (app, opts) {
           } else if (prop === '__resolveReference') {
             type.resolveReference = resolver[prop]
           } else if (fields[prop]) {
-            fields[prop].resolve = resolver[prop]
+            const fieldResolver = resolver[prop]
+            if (typeof fieldResolver === 'function') {
+              fields[prop].resolve = fieldResolver
+            } else {
+              if (fieldResolver.resolve) {
+                fields[prop].resolve = fieldResolver.resolve
+              }
+              if (fieldResolver.complexity) {
+                fields[prop].extensions = { ...fields[prop].extensions, complexity: fieldResolver.complexity }
+              }
+            }
           } else {
             throw new MER_ERR_INVALID_OPTS(`Cannot find field ${prop} of type ${type}`)
           }
@@ -329,6 +703,8 @@ const plugin = fp(async function (app, opts) {
         throw new MER_ERR_INVALID_OPTS(`Cannot find type ${name}`)
       }
     }
+
+    wrapResolvers()
   }
 
   let factory
@@ -341,17 +717,17 @@ const plugin = fp(async function (app, opts) {
     // set up the loaders factory
     if (!factory) {
       factory = new Factory()
-      app.decorateReply(kLoaders)
-      app.decorate(kFactory, factory)
+      fastifyGraphQl[kFactory] = factory
     }
 
     function defineLoader (name) {
-      // async needed because of throw
-      return async function (obj, params, { reply }) {
-        if (!reply) {
-          throw new MER_ERR_INVALID_OPTS('loaders only work via reply.graphql()')
+      return async function (obj, params, context) {
+        const result = await context[kLoaders][name]({ obj, params })
+        // the loaders can fail a single query
+        if (result instanceof Error) {
+          throw result
         }
-        return reply[kLoaders][name]({ obj, params })
+        return result
       }
     }
 
@@ -362,11 +738,8 @@ const plugin = fp(async function (app, opts) {
       for (const prop of Object.keys(type)) {
         const name = typeKey + '-' + prop
         resolvers[typeKey][prop] = defineLoader(name)
-        if (typeof type[prop] === 'function') {
-          factory.add(name, type[prop])
-        } else {
-          factory.add(name, type[prop].opts, type[prop].loader)
-        }
+        const { opts, loader, key } = buildLoader(`${typeKey}.${prop}`, type[prop])
+        factory.add(name, opts, loader, key)
       }
     }
     fastifyGraphQl.defineResolvers(resolvers)
@@ -382,6 +755,9 @@ const plugin = fp(async function (app, opts) {
     }
   }
 
+  // the schema transforms replace the schema and need the onSchemaChange hooks
+  fastifyGraphQl[kHooks] = new Hooks()
+
   if (opts.resolvers) {
     fastifyGraphQl.defineResolvers(opts.resolvers)
   }
@@ -394,8 +770,6 @@ const plugin = fp(async function (app, opts) {
     fastifyGraphQl.transformSchema(opts.schemaTransforms)
   }
 
-  fastifyGraphQl[kHooks] = new Hooks()
-
   // Wrapper that we expose to the user for GraphQL hooks handling
   fastifyGraphQl.addHook = function (name, fn) {
     this[kHooks].add(name, fn)
@@ -406,15 +780,35 @@ const plugin = fp(async function (app, opts) {
     context = assignLifeCycleHooksToContext(fastifyGraphQl[kHooks], context)
     const reply = context.reply
 
+    // every execution has its own loaders, they receive its context,
+    // the operations of a batch share the loaders created by the routes
+    if (factory && context[kLoaders] === undefined) {
+      context[kLoaders] = factory.create(context)
+    }
+
+    let tracer = null
+    if (tracingOpts && await isTracingEnabled(tracingOpts, context)) {
+      tracer = new Tracer()
+      context[kTracer] = tracer
+    }
+
     // Trigger preParsing hook
     if (context.preParsing !== null) {
       await preParsingHandler({ schema: fastifyGraphQl.schema, source, context })
     }
 
+    if (tracer !== null) {
+      tracer.start('parsing')
+    }
+
     // Parse, with a little lru
     const cached = lru !== null && lru.get(source)
     let document = null
+    // the entry of the document in the lru, it holds the JIT compiled query
+    let entry = cached || null
     if (!cached) {
+      const endParsing = metrics !== null ? metrics.parseDuration.startTimer() : null
+
       // We use two caches to avoid errors bust the good
       // cache. This is a protection against DoS attacks
       const cachedError = lruErrors !== null && lruErrors.get(source)
@@ -434,11 +828,23 @@ const plugin = fp(async function (app, opts) {
         throw err
       }
 
+      if (tracer !== null) {
+        tracer.end('parsing')
+      }
+      if (endParsing !== null) {
+        endParsing()
+      }
+
       // Trigger preValidation hook
       if (context.preValidation !== null) {
         await preValidationHandler({ schema: fastifyGraphQl.schema, document, context })
       }
 
+      if (tracer !== null) {
+        tracer.start('validation')
+      }
+      const endValidation = metrics !== null ? metrics.validationDuration.startTimer() : null
+
       // Validate
       let validationRules = []
       if (opts.validationRules) {
@@ -449,6 +855,9 @@ const plugin = fp(async function (app, opts) {
         }
       }
       const validationErrors = validate(fastifyGraphQl.schema, document, [...specifiedRules, ...validationRules])
+      if (endValidation !== null) {
+        endValidation()
+      }
 
       if (validationErrors.length > 0) {
         if (lruErrors) {
@@ -470,10 +879,52 @@ const plugin = fp(async function (app, opts) {
       }
 
       if (lru) {
-        lru.set(source, { document, validationErrors, count: 1, jit: null })
+        entry = { document, validationErrors, count: 1, jit: null }
+        lru.set(source, entry)
+      }
+
+      if (tracer !== null) {
+        tracer.end('validation')
       }
     } else {
       document = cached.document
+
+      // the cached documents are already validated
+      if (tracer !== null) {
+        tracer.end('parsing')
+        tracer.start('validation')
+      }
+    }
+
+    if (recentOperations !== null) {
+      recentOperations.set(source, document)
+    }
+
+    if (metrics !== null) {
+      metrics.countOperation(document, operationName)
+    }
+
+    // the introspection check is not part of the validation because
+    // it can depend on the request
+    if (introspection !== true) {
+      const allowed = introspection !== false && await introspection(reply ? reply.request : undefined, context)
+      if (!allowed) {
+        let introspectionErrors
+        if (cached) {
+          if (cached.introspectionErrors === undefined) {
+            cached.introspectionErrors = validateIntrospection(fastifyGraphQl.schema, document)
+          }
+          introspectionErrors = cached.introspectionErrors
+        } else {
+          introspectionErrors = validateIntrospection(fastifyGraphQl.schema, document)
+        }
+
+        if (introspectionErrors.length > 0) {
+          const err = new MER_ERR_GQL_VALIDATION()
+          err.errors = introspectionErrors
+          throw err
+        }
+      }
     }
 
     if (reply && reply.request.raw.method === 'GET') {
@@ -486,15 +937,100 @@ const plugin = fp(async function (app, opts) {
       }
     }
 
-    // minJit is 0 by default
-    if (cached && cached.count++ === minJit) {
-      cached.jit = compileQuery(fastifyGraphQl.schema, document, operationName)
+    if (queryComplexityOpts) {
+      const operation = getOperationAST(document, operationName)
+      // an ambiguous operation is reported by the execution
+      if (operation) {
+        const { complexity, errors } = queryComplexity(fastifyGraphQl.schema, document, {
+          ...queryComplexityOpts,
+          operation,
+          variables
+        })
+
+        if (errors.length > 0) {
+          const err = new MER_ERR_GQL_VALIDATION()
+          err.errors = errors
+          throw err
+        }
+
+        context.queryComplexity = complexity
+      }
+    }
+
+    if (constraintsOpts !== null) {
+      const errors = validateConstraints(constraintsOpts, fastifyGraphQl.schema, document, operationName, variables)
+      if (errors.length > 0) {
+        const err = new MER_ERR_GQL_VALIDATION()
+        err.errors = errors
+        throw err
+      }
+    }
+
+    // the rules are evaluated before the execution, so that the gateway
+    // does not forward the unauthorized fields to the services
+    let authorized = true
+    if (authorizer !== null) {
+      authorized = await authorizeOperation(authorizer, context, fastifyGraphQl.schema, document, operationName, variables)
     }
 
-    if (cached && cached.jit !== null) {
-      const execution = await cached.jit.query(root, context, variables || {})
+    // incremental delivery is disabled when the client does not support it
+    let incrementalPlan = null
+    if (opts.defer && context[kIncremental] !== false) {
+      incrementalPlan = buildIncrementalPlan(document, operationName, variables)
+    }
+
+    // incremental responses are never cached
+    let cachePolicy = null
+    let cacheRequest = null
+    if (cacheControlOpts && incrementalPlan === null) {
+      cachePolicy = buildCachePolicy(fastifyGraphQl.schema, document, {
+        defaultMaxAge: cacheControlOpts.defaultMaxAge,
+        operationName,
+        variables
+      })
+      context[kCachePolicy] = cachePolicy
+    }
+
+    // the responses with unauthorized fields are not shared
+    if (cachePolicy !== null && cacheControlOpts.store !== null && authorized) {
+      cacheRequest = {
+        scope: cacheControlOpts.scopeKey ? cacheControlOpts.scopeKey(context) : undefined,
+        source,
+        operationName,
+        variables
+      }
+    }
+
+    // minJit is 0 by default, the persisted queries can be compiled on their first request
+    if (incrementalPlan === null && entry !== null && entry.jit === null &&
+      ((cached && cached.count++ === minJit) || (opts.jitPersistedQueries && context[kPersistedQuery]))) {
+      entry.jit = compileQuery(fastifyGraphQl.schema, document, operationName)
+      if (metrics !== null) {
+        metrics.jitCompilations.inc()
+      }
+    }
+
+    if (incrementalPlan === null && entry !== null && entry.jit !== null) {
+      const stored = await maybeLoadResponse(cacheRequest, context)
+      if (stored !== null) {
+        return stored
+      }
+
+      const endExecution = metrics !== null ? metrics.executionDuration.startTimer() : null
+      const operationTimeout = maybeStartTimeout(context, timeout)
+      let execution
+      try {
+        execution = await entry.jit.query(root, context, variables || {})
+      } finally {
+        if (operationTimeout !== null) {
+          operationTimeout.clear()
+        }
+        if (endExecution !== null) {
+          endExecution()
+        }
+      }
 
-      return maybeFormatErrors(execution, context)
+      return maybeCacheResponse(await maybeFormatErrors(execution, context), context, cachePolicy, cacheRequest)
     }
 
     // Validate variables
@@ -509,25 +1045,189 @@ const plugin = fp(async function (app, opts) {
 
     // Trigger preExecution hook
     let modifiedDocument
+    let hookTimeout
     if (context.preExecution !== null) {
-      ({ modifiedDocument } = await preExecutionHandler({ schema: fastifyGraphQl.schema, document, context }))
+      ({ modifiedDocument, timeout: hookTimeout } = await preExecutionHandler({ schema: fastifyGraphQl.schema, document, context }))
     }
 
-    const execution = await execute(
-      fastifyGraphQl.schema,
-      modifiedDocument || document,
-      root,
-      context,
-      variables,
-      operationName
-    )
+    // the response of a document modified by the preExecution hooks is not shared
+    if (modifiedDocument) {
+      cacheRequest = null
+    }
+
+    const stored = await maybeLoadResponse(cacheRequest, context)
+    if (stored !== null) {
+      return stored
+    }
+
+    // the preExecution hooks can change the timeout of the operation
+    const operationTimeout = maybeStartTimeout(context, hookTimeout !== undefined ? hookTimeout : timeout)
+
+    if (incrementalPlan !== null && modifiedDocument) {
+      incrementalPlan = buildIncrementalPlan(modifiedDocument, operationName, variables)
+    }
+
+    const endExecution = metrics !== null ? metrics.executionDuration.startTimer() : null
+    if (incrementalPlan !== null) {
+      return executeIncrementally(incrementalPlan, { context, variables, operationName }, () => {
+        if (operationTimeout !== null) {
+          operationTimeout.clear()
+        }
+        if (endExecution !== null) {
+          endExecution()
+        }
+      })
+    }
+
+    let execution
+    try {
+      execution = await executor({
+        schema: fastifyGraphQl.schema,
+        document: modifiedDocument || document,
+        rootValue: root,
+        contextValue: context,
+        variableValues: variables,
+        operationName
+      })
+    } finally {
+      if (operationTimeout !== null) {
+        operationTimeout.clear()
+      }
+      if (endExecution !== null) {
+        endExecution()
+      }
+    }
+
+    return maybeCacheResponse(await maybeFormatErrors(execution, context), context, cachePolicy, cacheRequest)
+  }
 
-    return maybeFormatErrors(execution, context)
+  // The initial payload is executed first, and the deferred fragments and the
+  // streamed lists along with it: their payloads are sent as soon as they are
+  // executed. The documents share the results of the resolvers, the mutations
+  // run their deferred fragments after the initial payload.
+  async function executeIncrementally (plan, { context, variables, operationName }, done) {
+    context[kIncrementalExecution] = createIncrementalExecution(plan)
+
+    async function execute (document) {
+      return executor({
+        schema: fastifyGraphQl.schema,
+        document,
+        rootValue: root,
+        contextValue: context,
+        variableValues: variables,
+        operationName
+      })
+    }
+
+    const initialExecution = execute(plan.document)
+    const started = plan.document.definitions[0].operation === 'mutation'
+      ? initialExecution.then(() => true, () => false)
+      : true
+    const executions = plan.units.map(unit => Promise.resolve(started)
+      .then(start => start ? execute(unit.document) : {})
+      .catch(error => ({ data: null, errors: [error] })))
+
+    Promise.all([initialExecution.catch(() => {}), ...executions]).then(done)
+
+    const execution = await initialExecution
+    const delivered = initialResult(plan, execution)
+
+    const pending = []
+    for (let i = 0; i < plan.units.length; i++) {
+      const unit = plan.units[i]
+      pending.push(Promise.all([executions[i], unit.afterSlices && pending[0]])
+        .then(([execution]) => formatIncrementalErrors(toIncremental(plan, unit, execution, delivered), context)))
+    }
+
+    return incrementalResults(await maybeFormatErrors(execution, context), pending)
+  }
+
+  function maybeStartTimeout (context, ms) {
+    if (timeout === undefined || !(ms > 0)) {
+      return null
+    }
+
+    return startTimeout(context, ms)
+  }
+
+  // the stored responses are returned after the preExecution hooks, and pass through the onResolution hooks
+  async function maybeLoadResponse (cacheRequest, context) {
+    if (cacheRequest === null) {
+      return null
+    }
+
+    let stored = null
+    try {
+      stored = await loadResponse(cacheControlOpts.store, cacheRequest)
+    } catch (err) {
+      app.log.warn({ err }, 'unable to load the response from the cache store')
+    }
+
+    if (metrics !== null) {
+      metrics[stored !== null ? 'cacheHits' : 'cacheMisses'].inc({ cache: 'responses' })
+    }
+
+    if (stored === null) {
+      return null
+    }
+
+    setCacheControlHeader(context.reply, stored, Math.floor((Date.now() - stored.time) / 1000))
+    return maybeFormatErrors(stored.result, context)
+  }
+
+  async function maybeCacheResponse (execution, context, cachePolicy, cacheRequest) {
+    if (cachePolicy === null || execution.errors) {
+      return execution
+    }
+
+    const policy = cachePolicy.compute()
+    if (!(policy.maxAge > 0)) {
+      return execution
+    }
+
+    setCacheControlHeader(context.reply, policy)
+
+    // the traced responses contain the timings of the request
+    if (cacheRequest !== null && !context[kTracer]) {
+      try {
+        await storeResponse(cacheControlOpts.store, cacheRequest, execution, policy)
+      } catch (err) {
+        app.log.warn({ err }, 'unable to save the response in the cache store')
+      }
+    }
+
+    return execution
+  }
+
+  // only the responses of GET requests are cacheable by HTTP caches
+  function setCacheControlHeader (reply, { maxAge, scope }, age) {
+    if (!reply || reply.request.raw.method !== 'GET') {
+      return
+    }
+
+    reply.header('cache-control', `max-age=${maxAge}, ${scope.toLowerCase()}`)
+    if (age !== undefined) {
+      reply.header('age', age)
+    }
+  }
+
+  // the status code of an incremental response is sent with the initial payload
+  function formatIncrementalErrors (incremental, context) {
+    for (const entry of incremental) {
+      if (entry.errors) {
+        entry.errors = errorFormatter({ data: entry.data || null, errors: entry.errors }, context).response.errors
+      }
+    }
+    return incremental
   }
 
   async function maybeFormatErrors (execution, context) {
     execution = addErrorsToExecutionResult(execution, context.errors)
 
+    if (context[kTracer]) {
+      execution.extensions = { ...execution.extensions, tracing: context[kTracer].toJSON() }
+    }
+
     if (execution.errors) {
       const { reply } = context
       const { statusCode, response: { data, errors } } = errorFormatter(execution, context)
@@ -554,5 +1254,7 @@ plugin.defaultErrorFormatter = defaultErrorFormatter
 plugin.persistedQueryDefaults = persistedQueryDefaults
 plugin.buildFederationSchema = buildFederationSchema
 plugin.withFilter = withFilter
+plugin.GraphQLUpload = GraphQLUpload
+plugin.scalars = scalars
 
 module.exports = plugin
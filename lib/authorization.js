@@ -0,0 +1,360 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLObjectType,
+  defaultFieldResolver,
+  getDirectiveValues,
+  getNamedType,
+  getOperationAST,
+  getOperationRootType,
+  isAbstractType
+} = require('graphql')
+const { getArgumentValues, getVariableValues } = require('graphql/execution/values')
+const { MER_ERR_INVALID_OPTS, MER_ERR_GQL_UNAUTHORIZED } = require('./errors')
+const { kAuthorization } = require('./symbols')
+const { getFragments } = require('./selections')
+
+const kAuthorizationResolver = Symbol('mercurius.authorizationResolver')
+
+function buildAuthorizationOptions (authorization) {
+  if (authorization === undefined || authorization === false) {
+    return null
+  }
+
+  if (authorization === null || typeof authorization !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the authorization option must be an object')
+  }
+
+  const { rules = {}, directive, directiveName = 'auth' } = authorization
+
+  if (rules === null || typeof rules !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the authorization.rules option must be an object')
+  }
+  for (const [typeName, typeRules] of Object.entries(rules)) {
+    if (typeof typeRules === 'function') {
+      continue
+    }
+    if (typeRules === null || typeof typeRules !== 'object' || Object.values(typeRules).some(rule => typeof rule !== 'function')) {
+      throw new MER_ERR_INVALID_OPTS(`the authorization rules of ${typeName} must be a function or an object of functions`)
+    }
+  }
+
+  if (directive !== undefined && typeof directive !== 'function') {
+    throw new MER_ERR_INVALID_OPTS('the authorization.directive option must be a function')
+  }
+  if (typeof directiveName !== 'string') {
+    throw new MER_ERR_INVALID_OPTS('the authorization.directiveName option must be a string')
+  }
+
+  return new Authorizer({ rules, directive, directiveName })
+}
+
+/**
+ * Finds the rules of the fields, declared by type and field name
+ * or with the authorization directive on the type and the field
+ */
+class Authorizer {
+  constructor ({ rules, directive, directiveName }) {
+    this.rules = rules
+    this.directive = directive
+    this.directiveName = directiveName
+    this.fieldRules = new WeakMap()
+  }
+
+  getRules (schema, parentType, fieldName) {
+    let fieldRules = this.fieldRules.get(parentType)
+    if (fieldRules === undefined) {
+      fieldRules = new Map()
+      this.fieldRules.set(parentType, fieldRules)
+    }
+
+    let rules = fieldRules.get(fieldName)
+    if (rules === undefined) {
+      rules = []
+      for (const type of getRuleTypes(schema, parentType)) {
+        const field = type.getFields()[fieldName]
+        // an interface of an implementation can miss the field
+        if (field !== undefined) {
+          this.addTypeRules(schema, type, field, rules)
+        }
+      }
+      fieldRules.set(fieldName, rules)
+    }
+    return rules
+  }
+
+  addTypeRules (schema, type, field, rules) {
+    const typeRules = this.rules[type.name]
+    if (typeof typeRules === 'function') {
+      rules.push({ rule: typeRules, type, field })
+    } else if (typeRules && typeof typeRules[field.name] === 'function') {
+      rules.push({ rule: typeRules[field.name], type, field })
+    }
+
+    const definition = this.directive && schema.getDirective(this.directiveName)
+    if (definition) {
+      for (const node of [type.astNode, ...(type.extensionASTNodes || []), field.astNode]) {
+        const directive = node ? getDirectiveValues(definition, node) : undefined
+        if (directive) {
+          rules.push({ rule: this.directive, type, field, directive })
+        }
+      }
+    }
+  }
+}
+
+// the rules of the interfaces apply to their implementations and the
+// fields selected on an interface are checked for every implementation
+function getRuleTypes (schema, parentType) {
+  const types = new Set()
+  const objectTypes = isAbstractType(parentType) ? schema.getPossibleTypes(parentType) : [parentType]
+  if (isAbstractType(parentType)) {
+    types.add(parentType)
+  }
+  for (const type of objectTypes) {
+    types.add(type)
+    for (const iface of type.getInterfaces()) {
+      types.add(iface)
+    }
+  }
+  return types
+}
+
+/**
+ * The decisions of the fields of an operation. A decision is `null`
+ * when the field is authorized or the error reported for the field.
+ */
+class AuthorizationState {
+  constructor (authorizer, context) {
+    this.authorizer = authorizer
+    this.context = context
+    this.decisions = new Map()
+  }
+
+  // returns the decision, or a promise resolving to it when a rule is async
+  authorizeNode (schema, parentType, node, variables) {
+    if (this.decisions.has(node)) {
+      return this.decisions.get(node)
+    }
+
+    const field = parentType.getFields()[node.name.value]
+    const rules = this.authorizer.getRules(schema, parentType, node.name.value)
+    if (rules.length === 0) {
+      this.decisions.set(node, null)
+      return null
+    }
+
+    const args = getArgumentValues(field, node, variables)
+    const decision = evaluateRules(rules, this.context, args, `${parentType.name}.${field.name}`)
+    this.decisions.set(node, decision)
+    if (decision !== null && typeof decision.then === 'function') {
+      decision.then(decision => this.decisions.set(node, decision))
+    }
+    return decision
+  }
+
+  authorizeNodes (schema, parentType, nodes, variables) {
+    if (nodes.length === 1) {
+      return this.authorizeNode(schema, parentType, nodes[0], variables)
+    }
+    return Promise.all(nodes.map(node => this.authorizeNode(schema, parentType, node, variables)))
+      .then(decisions => decisions.find(decision => decision !== null) || null)
+  }
+
+  // returns the nodes of the unauthorized fields in the selections
+  async authorizeSelections (schema, type, selections, fragments, variables) {
+    const fields = []
+    collectFields(schema, type, selections, fragments, new Set(), fields)
+
+    const decisions = await Promise.all(fields.map(([parentType, node]) => this.authorizeNode(schema, parentType, node, variables)))
+
+    const denied = new Set()
+    for (let i = 0; i < fields.length; i++) {
+      if (decisions[i] !== null) {
+        denied.add(fields[i][1])
+      }
+    }
+    return denied
+  }
+
+  /**
+   * Removes the unauthorized fields from the selections and the fragments
+   * of a query forwarded by the gateway
+   */
+  async removeUnauthorizedFields (schema, type, selections, fragments, variables) {
+    const denied = await this.authorizeSelections(schema, type, selections, fragments, variables)
+    if (denied.size === 0) {
+      return { selections, fragments, authorized: true }
+    }
+
+    const authorizedFragments = {}
+    for (const [name, fragment] of Object.entries(fragments)) {
+      authorizedFragments[name] = {
+        ...fragment,
+        selectionSet: removeSelections(fragment.selectionSet, denied)
+      }
+    }
+
+    return {
+      selections: removeSelections({ selections }, denied).selections,
+      fragments: authorizedFragments,
+      authorized: false
+    }
+  }
+}
+
+function evaluateRules (rules, context, args, coordinate) {
+  const results = []
+  let pending = false
+  try {
+    for (const { rule, type, field, directive } of rules) {
+      const result = rule(context, { type, field, args, directive })
+      if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+        pending = true
+      }
+      results.push(result)
+    }
+  } catch (err) {
+    return err
+  }
+
+  if (pending) {
+    return Promise.all(results).then(results => decide(results, coordinate), err => err)
+  }
+  return decide(results, coordinate)
+}
+
+function decide (results, coordinate) {
+  if (results.every(Boolean)) {
+    return null
+  }
+  const err = new MER_ERR_GQL_UNAUTHORIZED(coordinate)
+  err.extensions = { code: 'MER_ERR_GQL_UNAUTHORIZED' }
+  return err
+}
+
+function collectFields (schema, type, selections, fragments, visitedFragments, fields) {
+  for (const selection of selections) {
+    if (selection.kind === Kind.FIELD) {
+      // the meta fields have no rules
+      if (selection.name.value.startsWith('__')) {
+        continue
+      }
+      const field = type.getFields()[selection.name.value]
+      fields.push([type, selection])
+      if (selection.selectionSet) {
+        collectFields(schema, getNamedType(field.type), selection.selectionSet.selections, fragments, visitedFragments, fields)
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const fragmentType = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : type
+      collectFields(schema, fragmentType, selection.selectionSet.selections, fragments, visitedFragments, fields)
+    } else if (!visitedFragments.has(selection.name.value)) {
+      const fragment = fragments[selection.name.value]
+      visitedFragments.add(selection.name.value)
+      collectFields(schema, schema.getType(fragment.typeCondition.name.value), fragment.selectionSet.selections, fragments, visitedFragments, fields)
+    }
+  }
+}
+
+function removeSelections (selectionSet, denied) {
+  return {
+    ...selectionSet,
+    selections: selectionSet.selections
+      .filter(selection => !denied.has(selection))
+      .map(selection => selection.selectionSet
+        ? { ...selection, selectionSet: removeSelections(selection.selectionSet, denied) }
+        : selection)
+  }
+}
+
+/**
+ * Evaluates the rules of the fields of an operation before its execution and
+ * exposes the decisions to the resolvers and the gateway. Returns `false` when
+ * a field is not authorized.
+ */
+async function authorizeOperation (authorizer, context, schema, document, operationName, variables) {
+  const state = new AuthorizationState(authorizer, context)
+  context[kAuthorization] = state
+
+  const operation = getOperationAST(document, operationName)
+  // the invalid operations and variables are reported by the execution
+  if (!operation) {
+    return true
+  }
+  const { coerced } = getVariableValues(schema, operation.variableDefinitions, variables || {})
+  if (!coerced) {
+    return true
+  }
+
+  const denied = await state.authorizeSelections(schema, getOperationRootType(schema, operation), operation.selectionSet.selections, getFragments(document), coerced)
+  return denied.size === 0
+}
+
+/**
+ * Restores the resolvers wrapped by the authorization, so that the other
+ * resolver wrappers are applied before it
+ */
+function removeAuthorizationFromResolvers (schema) {
+  forEachObjectType(schema, type => {
+    for (const field of Object.values(type.getFields())) {
+      if (field.resolve && Object.prototype.hasOwnProperty.call(field.resolve, kAuthorizationResolver)) {
+        field.resolve = field.resolve[kAuthorizationResolver]
+      }
+    }
+  })
+}
+
+/**
+ * The unauthorized fields resolve to `null` with the authorization error.
+ * The fields without a decision, such as the fields of the subscription events,
+ * are authorized when they are resolved.
+ */
+function addAuthorizationToResolvers (schema, authorizer) {
+  forEachObjectType(schema, type => {
+    for (const field of Object.values(type.getFields())) {
+      if (authorizer.getRules(schema, type, field.name).length > 0) {
+        field.resolve = withAuthorization(field.resolve, authorizer)
+      }
+    }
+  })
+}
+
+function forEachObjectType (schema, fn) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      fn(type)
+    }
+  }
+}
+
+function withAuthorization (resolver, authorizer) {
+  const resolve = resolver || defaultFieldResolver
+
+  function resolveWithAuthorization (parent, args, context, info) {
+    const state = context[kAuthorization] || new AuthorizationState(authorizer, context)
+    const decision = state.authorizeNodes(info.schema, info.parentType, info.fieldNodes, info.variableValues)
+
+    if (decision === null) {
+      return resolve.call(this, parent, args, context, info)
+    }
+    if (typeof decision.then !== 'function') {
+      throw decision
+    }
+    return decision.then(decision => {
+      if (decision !== null) {
+        throw decision
+      }
+      return resolve.call(this, parent, args, context, info)
+    })
+  }
+  resolveWithAuthorization[kAuthorizationResolver] = resolver
+  return resolveWithAuthorization
+}
+
+module.exports = {
+  buildAuthorizationOptions,
+  authorizeOperation,
+  removeAuthorizationFromResolvers,
+  addAuthorizationToResolvers
+}
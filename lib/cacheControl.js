@@ -0,0 +1,285 @@
+'use strict'
+
+const { createHash } = require('crypto')
+const LRU = require('tiny-lru')
+const {
+  Kind,
+  getDirectiveValues,
+  getNamedType,
+  getOperationAST,
+  isCompositeType
+} = require('graphql')
+const { getVariableValues } = require('graphql/execution/values')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+const { kCachePolicy } = require('./symbols')
+const { addWrapperToResolvers } = require('./wrappers')
+const { getFragments, shouldInclude } = require('./selections')
+
+const noopCacheControl = {
+  setCacheHint () {}
+}
+
+/**
+ * The cache policy of an operation: the lowest `maxAge` and the most
+ * restrictive `scope` of the hints of all the selected fields.
+ * The hints set by a resolver replace the hint of its field in the schema.
+ */
+class CachePolicy {
+  constructor () {
+    this.fieldHints = new Map()
+    this.resolverHints = new Map()
+  }
+
+  addFieldHint (node, hint) {
+    this.fieldHints.set(node, restrictHint(this.fieldHints.get(node), hint))
+  }
+
+  setCacheHint (node, hint) {
+    this.resolverHints.set(node, restrictHint(this.resolverHints.get(node), hint))
+  }
+
+  compute () {
+    let policy = {}
+    for (const [node, hint] of this.fieldHints) {
+      const resolverHint = this.resolverHints.get(node)
+      policy = restrictHint(policy, resolverHint ? { ...hint, ...resolverHint } : hint)
+    }
+    for (const [node, hint] of this.resolverHints) {
+      if (!this.fieldHints.has(node)) {
+        policy = restrictHint(policy, hint)
+      }
+    }
+
+    return { maxAge: policy.maxAge, scope: policy.scope || 'PUBLIC' }
+  }
+}
+
+function restrictHint (current = {}, hint) {
+  const result = { ...current }
+  if (typeof hint.maxAge === 'number' && (result.maxAge === undefined || hint.maxAge < result.maxAge)) {
+    result.maxAge = hint.maxAge
+  }
+  if (hint.scope === 'PRIVATE' || (result.scope === undefined && hint.scope !== undefined)) {
+    result.scope = hint.scope
+  }
+  return result
+}
+
+function buildCacheControlOptions (cacheControl) {
+  if (cacheControl === undefined || cacheControl === false) {
+    return null
+  }
+
+  if (cacheControl === true) {
+    cacheControl = {}
+  }
+
+  if (cacheControl === null || typeof cacheControl !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the cacheControl option must be a boolean or an object')
+  }
+
+  const { defaultMaxAge = 0, store, scopeKey } = cacheControl
+
+  if (typeof defaultMaxAge !== 'number') {
+    throw new MER_ERR_INVALID_OPTS('the cacheControl.defaultMaxAge option must be a number')
+  }
+
+  if (scopeKey !== undefined && typeof scopeKey !== 'function') {
+    throw new MER_ERR_INVALID_OPTS('the cacheControl.scopeKey option must be a function')
+  }
+
+  return { defaultMaxAge, store: buildResponseStore(store), scopeKey }
+}
+
+function buildResponseStore (store) {
+  if (store === undefined || store === false) {
+    return null
+  }
+
+  if (store === true) {
+    return memoryStore(1024)
+  }
+
+  if (typeof store === 'number') {
+    return memoryStore(store)
+  }
+
+  if (store !== null && typeof store.get === 'function' && typeof store.set === 'function') {
+    return store
+  }
+
+  throw new MER_ERR_INVALID_OPTS('the cacheControl.store option must be a boolean, a number or an object with get and set functions')
+}
+
+// stores the responses in memory until their maxAge expires
+function memoryStore (size) {
+  const lru = LRU(size)
+
+  return {
+    get (key) {
+      const entry = lru.get(key)
+      if (entry === undefined) {
+        return undefined
+      }
+      if (entry.expires <= Date.now()) {
+        lru.delete(key)
+        return undefined
+      }
+      return entry.value
+    },
+    set (key, value, maxAge) {
+      lru.set(key, { value, expires: Date.now() + maxAge * 1000 })
+    }
+  }
+}
+
+/**
+ * Collects the `@cacheControl(maxAge, scope)` hints of the fields of a query,
+ * the hint of a field is merged with the hint of the type it returns.
+ * Root fields and fields returning a composite type without a `maxAge` hint
+ * use the default maxAge, other fields inherit the policy of their parent.
+ * @returns {CachePolicy|null} the policy, or null if the operation is not a query or its variables are invalid
+ */
+function buildCachePolicy (schema, document, { operationName, variables, defaultMaxAge }) {
+  const operation = getOperationAST(document, operationName)
+  if (!operation || operation.operation !== 'query') {
+    return null
+  }
+
+  // the invalid variables are reported by the execution
+  const { coerced } = getVariableValues(schema, operation.variableDefinitions, variables || {})
+  if (!coerced) {
+    return null
+  }
+
+  const policy = new CachePolicy()
+  collectHints(operation.selectionSet, schema.getQueryType(), true, {
+    schema,
+    directive: schema.getDirective('cacheControl'),
+    fragments: getFragments(document),
+    variables: coerced,
+    defaultMaxAge,
+    policy
+  })
+
+  return policy
+}
+
+function collectHints (selectionSet, parentType, isRoot, state) {
+  for (const selection of selectionSet.selections) {
+    if (!shouldInclude(selection, state.variables)) {
+      continue
+    }
+
+    if (selection.kind === Kind.FIELD) {
+      // introspection fields do not affect the policy
+      if (selection.name.value.startsWith('__')) {
+        continue
+      }
+
+      const field = parentType.getFields()[selection.name.value]
+      const type = getNamedType(field.type)
+      const fieldHint = getHint(state.directive, [field.astNode])
+      const typeHint = isCompositeType(type) ? getHint(state.directive, [type.astNode, ...(type.extensionASTNodes || [])]) : {}
+
+      let maxAge = fieldHint.maxAge !== undefined ? fieldHint.maxAge : typeHint.maxAge
+      if (maxAge === undefined && (isRoot || isCompositeType(type))) {
+        maxAge = state.defaultMaxAge
+      }
+      state.policy.addFieldHint(selection, { maxAge, scope: fieldHint.scope || typeHint.scope })
+
+      if (selection.selectionSet) {
+        collectHints(selection.selectionSet, type, false, state)
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? state.schema.getType(selection.typeCondition.name.value)
+        : parentType
+      collectHints(selection.selectionSet, type, isRoot, state)
+    } else {
+      const fragment = state.fragments[selection.name.value]
+      collectHints(fragment.selectionSet, state.schema.getType(fragment.typeCondition.name.value), isRoot, state)
+    }
+  }
+}
+
+// the hints are ignored when the schema does not define the directive
+function getHint (directive, nodes) {
+  const hint = {}
+  for (const node of nodes) {
+    const values = directive && node ? getDirectiveValues(directive, node) : undefined
+    if (values) {
+      Object.assign(hint, values)
+    }
+  }
+  return hint
+}
+
+/**
+ * Exposes the cache policy of the operation as `info.cacheControl`,
+ * so that resolvers can restrict it with `info.cacheControl.setCacheHint(hint)`
+ */
+function addCacheControlToResolvers (schema) {
+  addWrapperToResolvers(schema, withCacheControl)
+}
+
+function withCacheControl (resolve) {
+  function resolveWithCacheControl (parent, args, context, info) {
+    const policy = context[kCachePolicy]
+    // mutations and subscriptions are never cached
+    if (policy) {
+      const node = info.fieldNodes[0]
+      info.cacheControl = { setCacheHint: hint => policy.setCacheHint(node, hint) }
+    } else {
+      info.cacheControl = noopCacheControl
+    }
+    return resolve.call(this, parent, args, context, info)
+  }
+  return resolveWithCacheControl
+}
+
+function responseKey (scope, source, operationName, variables) {
+  return createHash('sha256')
+    .update(JSON.stringify([scope, source, operationName || null, variables || null]))
+    .digest('hex')
+}
+
+/**
+ * Looks up a stored response, the private response of the scope first
+ * @returns {Object|null} `{ result, maxAge, scope, time }`
+ */
+async function loadResponse (store, { scope, source, operationName, variables }) {
+  const keys = [responseKey(null, source, operationName, variables)]
+  if (scope !== undefined) {
+    keys.unshift(responseKey(scope, source, operationName, variables))
+  }
+
+  for (const key of keys) {
+    const value = await store.get(key)
+    if (value) {
+      return JSON.parse(value)
+    }
+  }
+
+  return null
+}
+
+// private responses are stored only for a known scope
+async function storeResponse (store, { scope, source, operationName, variables }, result, policy) {
+  if (policy.scope === 'PRIVATE' && scope === undefined) {
+    return
+  }
+
+  const key = responseKey(policy.scope === 'PRIVATE' ? scope : null, source, operationName, variables)
+  const value = JSON.stringify({ result, maxAge: policy.maxAge, scope: policy.scope, time: Date.now() })
+  await store.set(key, value, policy.maxAge)
+}
+
+module.exports = {
+  CachePolicy,
+  buildCacheControlOptions,
+  buildCachePolicy,
+  addCacheControlToResolvers,
+  loadResponse,
+  storeResponse
+}
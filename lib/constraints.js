@@ -0,0 +1,266 @@
+'use strict'
+
+const { isIPv4, isIPv6 } = require('net')
+const {
+  Kind,
+  GraphQLError,
+  getDirectiveValues,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  getOperationRootType,
+  isInputObjectType,
+  isInterfaceType,
+  isListType,
+  isObjectType
+} = require('graphql')
+const { getArgumentValues, getVariableValues } = require('graphql/execution/values')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+const { getFragments, shouldInclude } = require('./selections')
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const DATE = /^\d{4}-\d{2}-\d{2}$/
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i
+
+const defaultFormats = {
+  email: value => EMAIL.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value))
+    } catch (err) {
+      return false
+    }
+  },
+  uuid: value => UUID.test(value),
+  date: value => DATE.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => DATE_TIME.test(value) && !isNaN(Date.parse(value)),
+  ipv4: value => isIPv4(value),
+  ipv6: value => isIPv6(value)
+}
+
+function buildConstraintsOptions (constraints) {
+  if (constraints === undefined || constraints === false) {
+    return null
+  }
+
+  if (constraints === true) {
+    constraints = {}
+  }
+
+  if (constraints === null || typeof constraints !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the constraints option must be a boolean or an object')
+  }
+
+  const { formats = {}, directiveName = 'constraint' } = constraints
+
+  if (formats === null || typeof formats !== 'object' || Object.values(formats).some(format => typeof format !== 'function')) {
+    throw new MER_ERR_INVALID_OPTS('the constraints.formats option must be an object of functions')
+  }
+  if (typeof directiveName !== 'string') {
+    throw new MER_ERR_INVALID_OPTS('the constraints.directiveName option must be a string')
+  }
+
+  return {
+    formats: { ...defaultFormats, ...formats },
+    directiveName,
+    // the constraints read from the directives, by definition node
+    constraints: new WeakMap()
+  }
+}
+
+function getConstraints (opts, definition, node) {
+  if (!node) {
+    return null
+  }
+
+  let constraints = opts.constraints.get(node)
+  if (constraints === undefined) {
+    constraints = getDirectiveValues(definition, node) || null
+    if (constraints !== null) {
+      if (constraints.format !== undefined && typeof opts.formats[constraints.format] !== 'function') {
+        throw new MER_ERR_INVALID_OPTS(`unknown format "${constraints.format}" of the @${opts.directiveName} directive`)
+      }
+      if (constraints.pattern !== undefined) {
+        constraints = { ...constraints, pattern: new RegExp(constraints.pattern) }
+      }
+    }
+    opts.constraints.set(node, constraints)
+  }
+  return constraints
+}
+
+/**
+ * Reads the constraints of the arguments and the input fields of a schema,
+ * so that an unknown format is reported when the schema is built or replaced
+ */
+function checkSchemaConstraints (opts, schema) {
+  const definition = schema.getDirective(opts.directiveName)
+  if (!definition) {
+    return
+  }
+
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (isInputObjectType(type)) {
+      for (const field of Object.values(type.getFields())) {
+        getConstraints(opts, definition, field.astNode)
+      }
+    } else if (isObjectType(type) || isInterfaceType(type)) {
+      for (const field of Object.values(type.getFields())) {
+        for (const arg of field.args) {
+          getConstraints(opts, definition, arg.astNode)
+        }
+      }
+    }
+  }
+}
+
+// returns the messages of the constraints not satisfied by a value
+function checkConstraints (opts, constraints, value) {
+  const violations = []
+
+  if (typeof value === 'string') {
+    const { minLength, maxLength, pattern, format } = constraints
+    if (minLength !== undefined && value.length < minLength) {
+      violations.push(['minLength', `must be at least ${minLength} characters long`])
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      violations.push(['maxLength', `must be at most ${maxLength} characters long`])
+    }
+    if (pattern !== undefined && !pattern.test(value)) {
+      violations.push(['pattern', `must match the pattern ${pattern}`])
+    }
+    if (format !== undefined && !opts.formats[format](value)) {
+      violations.push(['format', `must be a valid ${format}`])
+    }
+  } else if (typeof value === 'number') {
+    const { min, max } = constraints
+    if (min !== undefined && value < min) {
+      violations.push(['min', `must be at least ${min}`])
+    }
+    if (max !== undefined && value > max) {
+      violations.push(['max', `must be at most ${max}`])
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Validates the coerced value of an argument or an input field against its
+ * constraints and the constraints of the fields of the input objects.
+ * The constraints of a list apply to every item.
+ */
+function validateValue (state, type, node, value, path) {
+  if (value === null || value === undefined) {
+    return
+  }
+
+  type = getNullableType(type)
+  if (isListType(type)) {
+    for (let i = 0; i < value.length; i++) {
+      validateValue(state, type.ofType, node, value[i], [...path, i])
+    }
+    return
+  }
+
+  if (isInputObjectType(type)) {
+    for (const field of Object.values(type.getFields())) {
+      validateValue(state, field.type, field.astNode, value[field.name], [...path, field.name])
+    }
+    return
+  }
+
+  const constraints = getConstraints(state.opts, state.definition, node)
+  if (constraints !== null) {
+    for (const [constraint, message] of checkConstraints(state.opts, constraints, value)) {
+      state.errors.push(new GraphQLError(
+        `Argument "${path.join('.')}" of "${state.coordinate}" ${message}`,
+        state.node,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        { code: 'MER_ERR_GQL_CONSTRAINT', constraint, argumentPath: [state.fieldName, ...path] }
+      ))
+    }
+  }
+}
+
+function validateField (state, parentType, node) {
+  const field = parentType.getFields()[node.name.value]
+  if (field.args.length === 0) {
+    return
+  }
+
+  const args = getArgumentValues(field, node, state.variables)
+  for (const arg of field.args) {
+    const argumentNode = node.arguments.find(argument => argument.name.value === arg.name)
+    validateValue({
+      ...state,
+      coordinate: `${parentType.name}.${field.name}`,
+      fieldName: node.alias ? node.alias.value : node.name.value,
+      // the default values are reported on the field
+      node: argumentNode || node
+    }, arg.type, arg.astNode, args[arg.name], [arg.name])
+  }
+}
+
+function validateSelections (state, type, selectionSet, visitedFragments) {
+  for (const selection of selectionSet.selections) {
+    if (!shouldInclude(selection, state.variables)) {
+      continue
+    }
+
+    if (selection.kind === Kind.FIELD) {
+      // the meta fields have no constraints
+      if (selection.name.value.startsWith('__')) {
+        continue
+      }
+      validateField(state, type, selection)
+      if (selection.selectionSet) {
+        const fieldType = getNamedType(type.getFields()[selection.name.value].type)
+        validateSelections(state, fieldType, selection.selectionSet, visitedFragments)
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const fragmentType = selection.typeCondition ? state.schema.getType(selection.typeCondition.name.value) : type
+      validateSelections(state, fragmentType, selection.selectionSet, visitedFragments)
+    } else if (!visitedFragments.has(selection.name.value)) {
+      const fragment = state.fragments[selection.name.value]
+      visitedFragments.add(selection.name.value)
+      validateSelections(state, state.schema.getType(fragment.typeCondition.name.value), fragment.selectionSet, visitedFragments)
+    }
+  }
+}
+
+/**
+ * Validates the arguments of the fields of an operation, given as literals
+ * or variables, against the constraint directives of the schema.
+ * Returns the errors of all the violations.
+ */
+function validateConstraints (opts, schema, document, operationName, variables) {
+  const definition = schema.getDirective(opts.directiveName)
+  if (!definition) {
+    return []
+  }
+
+  const operation = getOperationAST(document, operationName)
+  // the invalid operations and variables are reported by the execution
+  if (!operation) {
+    return []
+  }
+  const { coerced } = getVariableValues(schema, operation.variableDefinitions, variables || {})
+  if (!coerced) {
+    return []
+  }
+
+  const state = { opts, schema, definition, fragments: getFragments(document), variables: coerced, errors: [] }
+  validateSelections(state, getOperationRootType(schema, operation), operation.selectionSet, new Set())
+  return state.errors
+}
+
+module.exports = {
+  buildConstraintsOptions,
+  checkSchemaConstraints,
+  validateConstraints
+}
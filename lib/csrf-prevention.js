@@ -0,0 +1,54 @@
+'use strict'
+
+const { MER_ERR_INVALID_OPTS, MER_ERR_GQL_CSRF_PREVENTION } = require('./errors')
+
+// the content types a browser sends without a preflight request
+const simpleContentTypes = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain']
+
+function buildCsrfPreventionOptions (csrfPrevention) {
+  if (csrfPrevention === undefined || csrfPrevention === false) {
+    return null
+  }
+
+  if (csrfPrevention === true) {
+    csrfPrevention = {}
+  }
+
+  if (csrfPrevention === null || typeof csrfPrevention !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the csrfPrevention option must be a boolean or an object')
+  }
+
+  const { requestHeaders = ['x-apollo-operation-name', 'apollo-require-preflight'] } = csrfPrevention
+  if (!Array.isArray(requestHeaders) || requestHeaders.length === 0 ||
+    requestHeaders.some(header => typeof header !== 'string' || header === '')) {
+    throw new MER_ERR_INVALID_OPTS('the csrfPrevention.requestHeaders option must be an array of header names')
+  }
+
+  return { requestHeaders: requestHeaders.map(header => header.toLowerCase()) }
+}
+
+/**
+ * Throws when a browser could have sent the request without a preflight:
+ * the request must have a content type that is not simple, or one of the
+ * request headers with a value
+ */
+function validatePreflight (headers, { requestHeaders }) {
+  const contentType = headers['content-type']
+  if (typeof contentType === 'string') {
+    const mediaType = contentType.split(';')[0].trim().toLowerCase()
+    if (mediaType !== '' && !simpleContentTypes.includes(mediaType)) {
+      return
+    }
+  }
+
+  if (requestHeaders.some(header => typeof headers[header] === 'string' && headers[header] !== '')) {
+    return
+  }
+
+  throw new MER_ERR_GQL_CSRF_PREVENTION(simpleContentTypes.join(', '), requestHeaders.join(', '))
+}
+
+module.exports = {
+  buildCsrfPreventionOptions,
+  validatePreflight
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const { GraphQLObjectType, defaultFieldResolver } = require('graphql')
+const { getArgumentValues } = require('graphql/execution/values')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+
+// the resolver wrapped by the directives is kept to build them again
+const kDirectivesResolver = Symbol('mercurius.directivesResolver')
+
+function buildDirectives (directives) {
+  const transformers = new Map()
+  if (directives === undefined) {
+    return transformers
+  }
+
+  if (directives === null || typeof directives !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the directives option must be an object')
+  }
+
+  for (const [name, transformer] of Object.entries(directives)) {
+    addDirective(transformers, name, transformer)
+  }
+  return transformers
+}
+
+function addDirective (transformers, name, transformer) {
+  if (typeof name !== 'string' || name === '') {
+    throw new MER_ERR_INVALID_OPTS('the directive name must be a non empty string')
+  }
+  if (typeof transformer !== 'function') {
+    throw new MER_ERR_INVALID_OPTS(`the @${name} directive transformer must be a function`)
+  }
+  if (transformers.has(name)) {
+    throw new MER_ERR_INVALID_OPTS(`the @${name} directive is already defined`)
+  }
+  transformers.set(name, transformer)
+}
+
+function forEachField (schema, fn) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      for (const field of Object.values(type.getFields())) {
+        fn(field, type)
+      }
+    }
+  }
+}
+
+function isDirectivesResolver (resolve) {
+  return typeof resolve === 'function' && Object.prototype.hasOwnProperty.call(resolve, kDirectivesResolver)
+}
+
+/**
+ * Restores the resolvers wrapped by the directives, so that the other
+ * resolver wrappers are applied before them
+ */
+function removeDirectivesFromResolvers (schema) {
+  forEachField(schema, field => {
+    if (isDirectivesResolver(field.resolve)) {
+      field.resolve = field.resolve[kDirectivesResolver]
+    }
+  })
+}
+
+/**
+ * Wraps the resolver of every field annotated with a directive in the result
+ * of its transformer, after `removeDirectivesFromResolvers`. The first directive
+ * of a field is the outermost wrapper.
+ */
+function addDirectivesToResolvers (schema, transformers) {
+  forEachField(schema, (field, type) => {
+    const resolver = field.resolve
+    const nodes = field.astNode
+      ? field.astNode.directives.filter(node => transformers.has(node.name.value))
+      : []
+
+    if (nodes.length === 0) {
+      field.resolve = resolver
+      return
+    }
+
+    let resolve = resolver || defaultFieldResolver
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const name = nodes[i].name.value
+      const definition = schema.getDirective(name)
+      if (!definition) {
+        throw new MER_ERR_INVALID_OPTS(`Unknown directive @${name} on ${type.name}.${field.name}`)
+      }
+
+      const args = getArgumentValues(definition, nodes[i])
+      resolve = transformers.get(name)(resolve, args, { schema, type, field })
+      if (typeof resolve !== 'function') {
+        throw new MER_ERR_INVALID_OPTS(`the @${name} directive transformer must return a resolver function`)
+      }
+    }
+
+    field.resolve = withDirectives(resolve, resolver)
+  })
+}
+
+function withDirectives (resolve, resolver) {
+  function resolveWithDirectives (parent, args, context, info) {
+    return resolve.call(this, parent, args, context, info)
+  }
+  resolveWithDirectives[kDirectivesResolver] = resolver
+  return resolveWithDirectives
+}
+
+module.exports = {
+  buildDirectives,
+  addDirective,
+  removeDirectivesFromResolvers,
+  addDirectivesToResolvers
+}
@@ -0,0 +1,94 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { GraphQLError } = require('graphql')
+const { ErrorWithProps, FederatedError, MER_ERR_INVALID_OPTS } = require('./errors')
+
+function buildErrorMaskingOptions (maskErrors) {
+  if (maskErrors === undefined || maskErrors === false) {
+    return null
+  }
+
+  if (maskErrors === true) {
+    maskErrors = {}
+  }
+
+  if (maskErrors === null || typeof maskErrors !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the maskErrors option must be a boolean or an object')
+  }
+
+  const { message = 'Internal server error', allow = [], debug = false } = maskErrors
+  if (typeof message !== 'string' || message === '') {
+    throw new MER_ERR_INVALID_OPTS('the maskErrors.message option must be a non empty string')
+  }
+  if (!Array.isArray(allow) || allow.some(ErrorClass => typeof ErrorClass !== 'function')) {
+    throw new MER_ERR_INVALID_OPTS('the maskErrors.allow option must be an array of error classes')
+  }
+  if (typeof debug !== 'boolean') {
+    throw new MER_ERR_INVALID_OPTS('the maskErrors.debug option must be a boolean')
+  }
+
+  return { message, allow, debug }
+}
+
+// the errors of the GraphQL request and the errors thrown on purpose
+function isExposed (error, allow) {
+  return error instanceof GraphQLError ||
+    error instanceof ErrorWithProps ||
+    error instanceof FederatedError ||
+    (typeof error.code === 'string' && error.code.startsWith('MER_ERR_')) ||
+    error.statusCode < 500 ||
+    allow.some(ErrorClass => error instanceof ErrorClass)
+}
+
+function maskError (error, { message, allow, debug }, log) {
+  const originalError = error.originalError || error
+
+  if (debug) {
+    return new GraphQLError(error.message, error.nodes, error.source, error.positions, error.path, originalError, {
+      ...error.extensions,
+      stacktrace: originalError.stack.split('\n')
+    })
+  }
+
+  if (isExposed(originalError, allow)) {
+    return error
+  }
+
+  const correlationId = randomBytes(8).toString('hex')
+  log.error({ err: originalError, correlationId }, originalError.message)
+  return new GraphQLError(message, error.nodes, error.source, error.positions, error.path, undefined, { correlationId })
+}
+
+/**
+ * Wraps the error formatter to replace the messages of the unexpected errors
+ * with a generic message and a correlation id, logged with the error.
+ * In debug mode, the errors are not masked and have their stack trace.
+ */
+function buildMaskingErrorFormatter (errorFormatter, opts, app) {
+  return function (err, ctx) {
+    // There is always app if there is a context
+    const log = ctx ? (ctx.reply ? ctx.reply.log : ctx.app.log) : app.log
+
+    if (Array.isArray(err.errors)) {
+      err.errors = err.errors.map(error => maskError(error, opts, log))
+      return errorFormatter(err, ctx)
+    }
+
+    const masked = maskError(err, opts, log)
+    if (masked === err) {
+      return errorFormatter(err, ctx)
+    }
+
+    // the errors thrown out of the execution are formatted as GraphQL errors
+    const error = new Error(masked.message)
+    error.statusCode = err.statusCode
+    error.errors = [masked]
+    return errorFormatter(error, ctx)
+  }
+}
+
+module.exports = {
+  buildErrorMaskingOptions,
+  buildMaskingErrorFormatter
+}
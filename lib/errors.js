@@ -150,6 +150,50 @@ const errors = {
     'MER_ERR_GQL_QUERY_DEPTH',
     '`%s query depth (%s) exceeds the query depth limit of %s`'
   ),
+  MER_ERR_GQL_QUERY_COMPLEXITY: createError(
+    'MER_ERR_GQL_QUERY_COMPLEXITY',
+    '`%s query complexity (%s) exceeds the query complexity limit of %s`'
+  ),
+  MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED: createError(
+    'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED',
+    'GraphQL introspection is not allowed'
+  ),
+  MER_ERR_GQL_TIMEOUT: createError(
+    'MER_ERR_GQL_TIMEOUT',
+    'GraphQL operation timed out after %s ms'
+  ),
+  MER_ERR_GQL_UNAUTHORIZED: createError(
+    'MER_ERR_GQL_UNAUTHORIZED',
+    'Unauthorized access to %s'
+  ),
+  MER_ERR_GQL_MODULE_CONFLICT: createError(
+    'MER_ERR_GQL_MODULE_CONFLICT',
+    'Conflicting modules: %s'
+  ),
+  MER_ERR_GQL_BREAKING_CHANGES: createError(
+    'MER_ERR_GQL_BREAKING_CHANGES',
+    'The schema replacement is rejected, its breaking changes affect %s operations: %s'
+  ),
+  MER_ERR_GQL_BATCH_TOO_LARGE: createError(
+    'MER_ERR_GQL_BATCH_TOO_LARGE',
+    'The batch has %s operations, the maximum is %s',
+    400
+  ),
+  MER_ERR_GQL_NOT_ACCEPTABLE: createError(
+    'MER_ERR_GQL_NOT_ACCEPTABLE',
+    'The Accept header must accept application/graphql-response+json or application/json',
+    406
+  ),
+  MER_ERR_GQL_UNSUPPORTED_MEDIA_TYPE: createError(
+    'MER_ERR_GQL_UNSUPPORTED_MEDIA_TYPE',
+    'Unsupported media type, the body must be application/json',
+    415
+  ),
+  MER_ERR_GQL_CSRF_PREVENTION: createError(
+    'MER_ERR_GQL_CSRF_PREVENTION',
+    'The operation is blocked as a potential Cross-Site Request Forgery, send a content-type header other than %s or a value for one of these headers: %s',
+    400
+  ),
   /**
    * Gateway errors
    */
@@ -182,6 +226,19 @@ const errors = {
     '%s',
     400
   ),
+  /**
+   * Upload errors
+   */
+  MER_ERR_GQL_UPLOAD_INVALID: createError(
+    'MER_ERR_GQL_UPLOAD_INVALID',
+    'Invalid multipart request: %s',
+    400
+  ),
+  MER_ERR_GQL_UPLOAD_LIMIT: createError(
+    'MER_ERR_GQL_UPLOAD_LIMIT',
+    '%s',
+    413
+  ),
   /**
    * Subscription errors
    */
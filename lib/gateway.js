@@ -171,10 +171,10 @@ function defaultErrorHandler (error, service) {
   }
 }
 
-async function buildGateway (gatewayOpts, app) {
+async function buildGateway (gatewayOpts, app, metrics) {
   const { services, errorHandler = defaultErrorHandler } = gatewayOpts
 
-  const serviceMap = await buildServiceMap(services, errorHandler)
+  const serviceMap = await buildServiceMap(services, errorHandler, metrics)
 
   const serviceSDLs = Object.entries(serviceMap).reduce((acc, [name, value]) => {
     const { schemaDefinition, error } = value
@@ -305,6 +305,7 @@ async function buildGateway (gatewayOpts, app) {
 
         const response = await serviceDefinition.sendRequest({
           originalRequestHeaders: queries[queryIndex].originalRequestHeaders,
+          signal: queries[queryIndex].context.signal,
           body: JSON.stringify({
             query: modifiedQuery || query,
             variables
@@ -345,14 +346,15 @@ async function buildGateway (gatewayOpts, app) {
     serviceMap,
     entityResolversFactory: factory,
     pollingInterval: gatewayOpts.pollingInterval,
-    async refresh () {
+    async refresh (checkSchema) {
       if (this._serviceSDLs === undefined) {
         this._serviceSDLs = serviceSDLs.join('')
       }
 
+      const services = Object.values(serviceMap)
       const $refreshResult = await allSettled(
-        Object.values(serviceMap).map((service) =>
-          service.refresh().catch((err) => {
+        services.map((service) =>
+          service.load().catch((err) => {
             errorHandler(err, service)
           })
         )
@@ -368,16 +370,30 @@ async function buildGateway (gatewayOpts, app) {
         throw err
       }
 
-      const _serviceSDLs = Object.values(serviceMap)
-        .map((service) => service.schemaDefinition)
+      // the services that failed to load keep their definition
+      const definitions = $refreshResult.map(({ value }, i) => value || services[i])
+
+      const _serviceSDLs = definitions
+        .map((definition) => definition.schemaDefinition)
         .join('')
 
       if (this._serviceSDLs === _serviceSDLs) {
         return null
       }
 
+      const schema = buildFederatedSchema(_serviceSDLs, true)
+
+      // nothing is changed until the schema is accepted
+      if (checkSchema) {
+        checkSchema(schema)
+      }
+
       this._serviceSDLs = _serviceSDLs
 
+      for (let i = 0; i < services.length; i++) {
+        services[i].setDefinition(definitions[i])
+      }
+
       for (const [service, serviceDefinition] of Object.entries(serviceMap)) {
         for (const type of serviceDefinition.types) {
           typeToServiceMap[type] = service
@@ -391,13 +407,11 @@ async function buildGateway (gatewayOpts, app) {
       }
 
       await allSettled(
-        Object.values(serviceMap).map((service) =>
+        services.map((service) =>
           service.reconnectSubscription()
         )
       )
 
-      const schema = buildFederatedSchema(_serviceSDLs, true)
-
       typeToServiceMap.Query = null
       typeToServiceMap.Mutation = null
       typeToServiceMap.Subscription = null
@@ -7,6 +7,8 @@ const {
   Kind
 } = require('graphql')
 const { preGatewayExecutionHandler, preGatewaySubscriptionExecutionHandler } = require('../handlers')
+const { kAuthorization } = require('../symbols')
+const { toJSONValue } = require('../scalars')
 
 const kEntityResolvers = Symbol('mercurius.entity-resolvers')
 
@@ -369,7 +371,6 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
     const resolverKey = queryId.replace(/\d/g, '_IDX_')
     const { reply, __currentQuery, lruGatewayResolvers, pubsub } = context
 
-    const cached = lruGatewayResolvers.get(`${__currentQuery}_${resolverKey}`)
     let variableNamesToDefine
     let operation
     let query
@@ -377,13 +378,25 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
     // Get the actual type as the returnType can be NonNull or List as well
     const type = getNamedType(returnType)
 
+    // the unauthorized fields are not forwarded, and the queries without them are not cached
+    let selectionNodes = fieldNodes[0].selectionSet ? fieldNodes[0].selectionSet.selections : []
+    let queryFragments = fragments
+    let authorized = true
+    const authorization = context[kAuthorization]
+    if (authorization && selectionNodes.length > 0) {
+      ({ selections: selectionNodes, fragments: queryFragments, authorized } =
+        await authorization.removeUnauthorizedFields(schema, type, selectionNodes, fragments, variableValues))
+    }
+
+    const cached = authorized && lruGatewayResolvers.get(`${__currentQuery}_${resolverKey}`)
+
     if (cached) {
       variableNamesToDefine = cached.variableNamesToDefine
       query = cached.query
       operation = cached.operation
     } else {
       // Remove items from selections that are not defined in the service
-      const selections = fieldNodes[0].selectionSet ? removeNonServiceTypeFields(fieldNodes[0].selectionSet.selections, service, type, schema) : []
+      const selections = fieldNodes[0].selectionSet ? removeNonServiceTypeFields(selectionNodes, service, type, schema) : []
 
       // collect all variable names that are used in selection
       variableNamesToDefine = new Set(collectArgumentsWithVariableValues(selections))
@@ -407,7 +420,7 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
 
       // check if fragments are used in the original query
       const usedFragments = getFragmentNamesInSelection(selections)
-      const fragmentsToDefine = collectFragmentsToInclude(usedFragments, fragments, service, schema)
+      const fragmentsToDefine = collectFragmentsToInclude(usedFragments, queryFragments, service, schema)
 
       /* istanbul ignore else */
       if (fragmentsToDefine.length > 0) {
@@ -420,7 +433,9 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
         }
       }
 
-      lruGatewayResolvers.set(`${__currentQuery}_${resolverKey}`, { query, operation, variableNamesToDefine })
+      if (authorized) {
+        lruGatewayResolvers.set(`${__currentQuery}_${resolverKey}`, { query, operation, variableNamesToDefine })
+      }
     }
 
     const variables = {}
@@ -428,7 +443,7 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
     // Add variables to payload
     for (const [variableName, variableValue] of Object.entries(variableValues)) {
       if (variableNamesToDefine.has(variableName)) {
-        variables[variableName] = variableValue
+        variables[variableName] = toJSONValue(variableValue)
       }
     }
 
@@ -467,7 +482,8 @@ function makeResolver ({ service, createOperation, transformData, isQuery, isRef
           query: modifiedQuery || query,
           variables
         }),
-        originalRequestHeaders: reply.request.headers
+        originalRequestHeaders: reply.request.headers,
+        signal: context.signal
       })
 
       return transformData(response)
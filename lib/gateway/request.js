@@ -33,7 +33,8 @@ function buildRequest (opts) {
         ...rewriteHeaders(opts.originalRequestHeaders),
         ...opts.headers
       },
-      body: opts.body
+      body: opts.body,
+      signal: opts.signal
     }, (err, res) => {
       if (err) return done(err)
       done(null, { statusCode: res.statusCode, headers: res.headers, stream: res.body })
@@ -58,7 +59,8 @@ function sendRequest (request, url) {
           'content-type': 'application/json',
           'content-length': Buffer.byteLength(opts.body)
         },
-        originalRequestHeaders: opts.originalRequestHeaders || {}
+        originalRequestHeaders: opts.originalRequestHeaders || {},
+        signal: opts.signal
       }, (err, response) => {
         if (err) {
           return reject(err)
@@ -112,7 +112,7 @@ function safeBuildSchema (schemaDefinition) {
   }
 }
 
-async function buildServiceMap (services, errorHandler) {
+async function buildServiceMap (services, errorHandler, metrics) {
   const serviceMap = {}
 
   for (const service of services) {
@@ -120,18 +120,24 @@ async function buildServiceMap (services, errorHandler) {
     const { request, close } = buildRequest(opts)
     const url = new URL(opts.url)
 
+    let serviceRequest = sendRequest(request, url)
+    if (metrics) {
+      serviceRequest = metrics.instrumentServiceRequest(serviceRequest, name)
+    }
+
     const serviceConfig = {
       mandatory: mandatory,
-      sendRequest: sendRequest(request, url),
+      sendRequest: serviceRequest,
       close,
-      async refresh () {
+      async load () {
         // if this is using a supplied schema refresh is done manually with setSchema
         if (opts.schema) {
           return serviceConfig
         }
 
-        const { schema, schemaDefinition, typeMap, types, extensionTypeMap } = await serviceConfig.init()
-
+        return serviceConfig.init()
+      },
+      setDefinition ({ schema, schemaDefinition, typeMap, types, extensionTypeMap }) {
         serviceConfig.schema = schema
         serviceConfig.schemaDefinition = schemaDefinition
         serviceConfig.typeMap = typeMap
@@ -175,13 +181,7 @@ async function buildServiceMap (services, errorHandler) {
         const { typeMap, types, extensionTypeMap } = createTypeMap(schemaDefinition)
         const schema = safeBuildSchema(schemaDefinition)
 
-        serviceConfig.schema = schema
-        serviceConfig.schemaDefinition = schemaDefinition
-        serviceConfig.typeMap = typeMap
-        serviceConfig.types = types
-        serviceConfig.extensionTypeMap = extensionTypeMap
-
-        return serviceConfig
+        return serviceConfig.setDefinition({ schema, schemaDefinition, typeMap, types, extensionTypeMap })
       }
     }
 
@@ -0,0 +1,110 @@
+'use strict'
+
+const GRAPHQL_RESPONSE_JSON = 'application/graphql-response+json'
+const JSON_MEDIA_TYPE = 'application/json'
+const MULTIPART_MIXED = 'multipart/mixed'
+
+// the media types of the responses, by order of preference
+const responseMediaTypes = [GRAPHQL_RESPONSE_JSON, JSON_MEDIA_TYPE]
+
+// the errors thrown by the execution of a well-formed request
+const kRequestError = Symbol('mercurius.requestError')
+
+function parseMediaRange (range) {
+  const [mediaType, ...params] = range.split(';')
+  let quality = 1
+  for (const param of params) {
+    const [name, value] = param.split('=')
+    if (name.trim().toLowerCase() === 'q') {
+      quality = Number(value)
+    }
+  }
+  return { mediaType: mediaType.trim().toLowerCase(), quality }
+}
+
+// the quality of the most specific range matching the media type
+function getQuality (mediaType, ranges) {
+  const wildcard = `${mediaType.split('/')[0]}/*`
+  let quality = 0
+  let specificity = -1
+
+  for (const range of ranges) {
+    const rangeSpecificity = [mediaType, wildcard, '*/*'].indexOf(range.mediaType)
+    if (rangeSpecificity !== -1 && (specificity === -1 || rangeSpecificity < specificity)) {
+      specificity = rangeSpecificity
+      quality = range.quality
+    }
+  }
+
+  return quality
+}
+
+/**
+ * Returns the media type of the response accepted by the Accept header,
+ * application/json without Accept header and null when none is accepted.
+ * With the incremental delivery, the clients accepting only multipart/mixed
+ * get the results that are not incremental in application/json.
+ */
+function negotiateMediaType (accept, incremental) {
+  if (typeof accept !== 'string' || accept.trim() === '') {
+    return JSON_MEDIA_TYPE
+  }
+
+  const ranges = accept.split(',').map(parseMediaRange)
+  let negotiated = null
+  let negotiatedQuality = 0
+  for (const mediaType of responseMediaTypes) {
+    const quality = getQuality(mediaType, ranges)
+    if (quality > negotiatedQuality) {
+      negotiated = mediaType
+      negotiatedQuality = quality
+    }
+  }
+
+  if (negotiated === null && incremental && getQuality(MULTIPART_MIXED, ranges) > 0) {
+    return JSON_MEDIA_TYPE
+  }
+
+  return negotiated
+}
+
+function isJSONBody (contentType) {
+  return typeof contentType === 'string' && contentType.split(';')[0].trim().toLowerCase() === JSON_MEDIA_TYPE
+}
+
+/**
+ * The results have a data entry, even when the execution fails, and are sent
+ * with the 200 status. The errors thrown are the GraphQL errors of the request.
+ */
+async function executeOverHttp (execution, reply) {
+  try {
+    const result = await execution
+    reply.code(200)
+    return result
+  } catch (err) {
+    err[kRequestError] = true
+    throw err
+  }
+}
+
+/**
+ * Adapts the formatted error to the media type of the response: with
+ * application/graphql-response+json the requests not executed have no data
+ * entry, with application/json the GraphQL errors of a well-formed request
+ * are sent with the 200 status
+ */
+function formatErrorOverHttp (mediaType, error, { statusCode, response }) {
+  if (mediaType === GRAPHQL_RESPONSE_JSON) {
+    const { data, ...rest } = response
+    return { statusCode, response: rest }
+  }
+
+  return { statusCode: statusCode === 400 && error[kRequestError] === true ? 200 : statusCode, response }
+}
+
+module.exports = {
+  negotiateMediaType,
+  isJSONBody,
+  executeOverHttp,
+  formatErrorOverHttp
+}
@@ -1,6 +1,6 @@
 'use strict'
 
-const { hooksRunner, preExecutionHooksRunner, preGatewayExecutionHooksRunner, gatewayHookRunner, hookRunner, preParsingHookRunner, onResolutionHookRunner, onEndHookRunner } = require('./hooks')
+const { hooksRunner, preExecutionHooksRunner, preGatewayExecutionHooksRunner, gatewayHookRunner, hookRunner, preParsingHookRunner, onResolutionHookRunner, onEndHookRunner, onSchemaChangeHookRunner } = require('./hooks')
 const { addErrorsToContext } = require('./errors')
 const { print } = require('graphql')
 
@@ -21,7 +21,7 @@ async function preValidationHandler (request) {
 }
 
 async function preExecutionHandler (request) {
-  const { errors, modifiedDocument } = await preExecutionHooksRunner(
+  const { errors, modifiedDocument, timeout } = await preExecutionHooksRunner(
     request.context.preExecution,
     request
   )
@@ -29,9 +29,9 @@ async function preExecutionHandler (request) {
     addErrorsToContext(request.context, errors)
   }
   if (typeof modifiedDocument !== 'undefined') {
-    return { modifiedDocument, modifiedQuery: print(request.document) }
+    return { modifiedDocument, modifiedQuery: print(request.document), timeout }
   }
-  return {}
+  return { timeout }
 }
 
 async function preGatewayExecutionHandler (request) {
@@ -96,6 +96,14 @@ async function onSubscriptionEndHandler (request) {
   )
 }
 
+async function onSchemaChangeHandler (request) {
+  await hooksRunner(
+    request.hooks.onSchemaChange,
+    onSchemaChangeHookRunner,
+    request
+  )
+}
+
 module.exports = {
   preParsingHandler,
   preValidationHandler,
@@ -106,5 +114,6 @@ module.exports = {
   preSubscriptionExecutionHandler,
   preGatewaySubscriptionExecutionHandler,
   onSubscriptionResolutionHandler,
-  onSubscriptionEndHandler
+  onSubscriptionEndHandler,
+  onSchemaChangeHandler
 }
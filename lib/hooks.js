@@ -12,6 +12,9 @@ const lifecycleHooks = [
   'onSubscriptionResolution',
   'onSubscriptionEnd'
 ]
+const applicationHooks = [
+  'onSchemaChange'
+]
 const { MER_ERR_HOOK_INVALID_TYPE, MER_ERR_HOOK_INVALID_HANDLER, MER_ERR_HOOK_UNSUPPORTED_HOOK } = require('./errors')
 
 function Hooks () {
@@ -25,12 +28,13 @@ function Hooks () {
   this.preGatewaySubscriptionExecution = []
   this.onSubscriptionResolution = []
   this.onSubscriptionEnd = []
+  this.onSchemaChange = []
 }
 
 Hooks.prototype.validate = function (hook, fn) {
   if (typeof hook !== 'string') throw new MER_ERR_HOOK_INVALID_TYPE()
   if (typeof fn !== 'function') throw new MER_ERR_HOOK_INVALID_HANDLER()
-  if (lifecycleHooks.indexOf(hook) === -1) {
+  if (lifecycleHooks.indexOf(hook) === -1 && applicationHooks.indexOf(hook) === -1) {
     throw new MER_ERR_HOOK_UNSUPPORTED_HOOK(hook)
   }
 }
@@ -75,6 +79,7 @@ async function hooksRunner (functions, runner, request) {
 async function preExecutionHooksRunner (functions, request) {
   let errors = []
   let modifiedDocument
+  let timeout
 
   for (const fn of functions) {
     const result = await fn(request.schema, modifiedDocument || request.document, request.context)
@@ -86,10 +91,13 @@ async function preExecutionHooksRunner (functions, request) {
       if (typeof result.errors !== 'undefined') {
         errors = errors.concat(result.errors)
       }
+      if (typeof result.timeout !== 'undefined') {
+        timeout = result.timeout
+      }
     }
   }
 
-  return { errors, modifiedDocument }
+  return { errors, modifiedDocument, timeout }
 }
 
 async function preGatewayExecutionHooksRunner (functions, request) {
@@ -132,6 +140,10 @@ function onEndHookRunner (fn, request) {
   return fn(request.context)
 }
 
+function onSchemaChangeHookRunner (fn, request) {
+  return fn(request.oldSchema, request.newSchema, request.changes)
+}
+
 module.exports = {
   Hooks,
   assignLifeCycleHooksToContext,
@@ -143,5 +155,7 @@ module.exports = {
   preParsingHookRunner,
   onResolutionHookRunner,
   onEndHookRunner,
-  lifecycleHooks
+  onSchemaChangeHookRunner,
+  lifecycleHooks,
+  applicationHooks
 }
@@ -0,0 +1,541 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLDirective,
+  GraphQLSchema,
+  GraphQLBoolean,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLObjectType,
+  DirectiveLocation,
+  getOperationAST,
+  getDirectiveValues,
+  getNullableType,
+  isListType,
+  defaultFieldResolver,
+  responsePathAsArray
+} = require('graphql')
+const { getFragments } = require('./selections')
+const { kIncrementalExecution, kIncrementalResolver } = require('./symbols')
+
+const GraphQLDeferDirective = new GraphQLDirective({
+  name: 'defer',
+  description: 'Delivers the fragment in a subsequent payload',
+  locations: [DirectiveLocation.FRAGMENT_SPREAD, DirectiveLocation.INLINE_FRAGMENT],
+  args: {
+    if: { type: GraphQLBoolean, defaultValue: true },
+    label: { type: GraphQLString }
+  }
+})
+
+const GraphQLStreamDirective = new GraphQLDirective({
+  name: 'stream',
+  description: 'Delivers the list items after initialCount in subsequent payloads',
+  locations: [DirectiveLocation.FIELD],
+  args: {
+    if: { type: GraphQLBoolean, defaultValue: true },
+    label: { type: GraphQLString },
+    initialCount: { type: GraphQLInt, defaultValue: 0 }
+  }
+})
+
+/**
+ * Adds the `@defer` and `@stream` directives to the schema, if missing.
+ * The types are shared with the original schema so the resolvers are kept.
+ */
+function addIncrementalDirectives (schema) {
+  const directives = [GraphQLDeferDirective, GraphQLStreamDirective]
+    .filter(directive => !schema.getDirective(directive.name))
+
+  if (directives.length === 0) {
+    return schema
+  }
+
+  const config = schema.toConfig()
+  return new GraphQLSchema({
+    ...config,
+    directives: [...config.directives, ...directives]
+  })
+}
+
+/**
+ * Plans the incremental delivery of an operation using `@defer` and `@stream`:
+ *  - the document of the initial payload, without the deferred fragments and
+ *    the lists streamed from their first item
+ *  - the units delivered in the subsequent payloads, with their document
+ *    selecting them with their ancestors: every deferred fragment, every list
+ *    streamed from its first item, and the items after the initialCount of
+ *    the other streamed lists
+ * Fragment spreads are inlined, and incremental directives nested inside a
+ * deferred selection are delivered with it.
+ * @returns {Object|null} the plan, or null if the operation is not incremental
+ */
+function buildIncrementalPlan (document, operationName, variables) {
+  const operation = getOperationAST(document, operationName)
+  // an ambiguous operation is reported by the execution
+  if (!operation) {
+    return null
+  }
+
+  const state = {
+    fragments: getFragments(document),
+    variables: variables || {},
+    nested: false,
+    deferred: [],
+    slices: [],
+    streamed: [],
+    placeholders: []
+  }
+
+  const selectionSet = splitSelectionSet(operation.selectionSet, [], [], state)
+
+  if (state.deferred.length === 0 && state.slices.length === 0) {
+    return null
+  }
+
+  const units = state.deferred.map(({ selectionSet, ...unit }) => ({
+    ...unit,
+    document: buildDocument(operation, selectionSet),
+    // the units inside the streamed items are delivered after them
+    afterSlices: state.slices.some(slice => isBelow(unit.path, slice.path))
+  }))
+
+  if (state.slices.length > 0) {
+    units.unshift({
+      kind: 'slices',
+      slices: state.slices,
+      document: buildDocument(operation, { kind: Kind.SELECTION_SET, selections: state.streamed }),
+      afterSlices: false
+    })
+  }
+
+  return {
+    document: buildDocument(operation, selectionSet),
+    units,
+    slices: state.slices,
+    placeholders: state.placeholders
+  }
+}
+
+function buildDocument (operation, selectionSet) {
+  return {
+    kind: Kind.DOCUMENT,
+    definitions: [{ ...operation, selectionSet }]
+  }
+}
+
+function splitSelectionSet (selectionSet, ancestors, path, state) {
+  const selections = []
+
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const stream = getIncrementalDirective(GraphQLStreamDirective, selection, state)
+      const fieldPath = [...path, (selection.alias || selection.name).value]
+      let field = removeDirective(selection, GraphQLStreamDirective)
+
+      if (stream && stream.initialCount <= 0) {
+        // the whole list is delivered in a subsequent payload
+        state.placeholders.push(fieldPath)
+        state.deferred.push({
+          kind: 'stream',
+          label: stream.label,
+          path: fieldPath,
+          selectionSet: wrapSelection(ancestors, nestedSelection(field, state))
+        })
+        continue
+      }
+
+      if (field.selectionSet) {
+        field = {
+          ...field,
+          selectionSet: splitSelectionSet(field.selectionSet, [...ancestors, field], fieldPath, state)
+        }
+      }
+
+      if (stream) {
+        state.slices.push({ label: stream.label, path: fieldPath, initialCount: stream.initialCount })
+        state.streamed.push(...wrapSelection(ancestors, field).selections)
+      }
+      selections.push(field)
+    } else {
+      let fragment = selection
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const definition = state.fragments[selection.name.value]
+        fragment = {
+          kind: Kind.INLINE_FRAGMENT,
+          typeCondition: definition.typeCondition,
+          directives: selection.directives,
+          selectionSet: definition.selectionSet
+        }
+      }
+
+      const defer = getIncrementalDirective(GraphQLDeferDirective, fragment, state)
+      fragment = removeDirective(fragment, GraphQLDeferDirective)
+
+      if (defer) {
+        state.deferred.push({
+          kind: 'defer',
+          label: defer.label,
+          path,
+          selectionSet: wrapSelection(ancestors, nestedSelection(fragment, state))
+        })
+        continue
+      }
+
+      selections.push({
+        ...fragment,
+        selectionSet: splitSelectionSet(fragment.selectionSet, [...ancestors, fragment], path, state)
+      })
+    }
+  }
+
+  return { kind: Kind.SELECTION_SET, selections }
+}
+
+// incremental directives inside a deferred selection are ignored
+function nestedSelection (node, state) {
+  if (!node.selectionSet) {
+    return node
+  }
+
+  return {
+    ...node,
+    selectionSet: splitSelectionSet(node.selectionSet, [], [], { ...state, nested: true })
+  }
+}
+
+function getIncrementalDirective (directive, node, state) {
+  if (state.nested) {
+    return null
+  }
+
+  const values = getDirectiveValues(directive, node, state.variables)
+  if (!values || values.if === false) {
+    return null
+  }
+
+  return values
+}
+
+function removeDirective (node, directive) {
+  if (!node.directives.some(({ name }) => name.value === directive.name)) {
+    return node
+  }
+
+  return {
+    ...node,
+    directives: node.directives.filter(({ name }) => name.value !== directive.name)
+  }
+}
+
+function wrapSelection (ancestors, selection) {
+  let selectionSet = { kind: Kind.SELECTION_SET, selections: [selection] }
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    selectionSet = {
+      kind: Kind.SELECTION_SET,
+      selections: [{ ...ancestors[i], selectionSet }]
+    }
+  }
+  return selectionSet
+}
+
+/**
+ * The state of an incremental execution, shared by the documents of its plan
+ * through the context: the results of the resolvers by response path, and the
+ * initialCount of the lists streamed after their first items.
+ */
+function createIncrementalExecution (plan) {
+  return {
+    operation: plan.document.definitions[0],
+    slices: new Map(plan.slices.map(slice => [slice.path.join('.'), slice.initialCount])),
+    results: new Map()
+  }
+}
+
+/**
+ * Every field of an incremental execution is resolved once, by the first
+ * document reaching it, and its result is shared with the other documents.
+ * The document of the initial payload receives the first items of the
+ * streamed lists.
+ */
+function withIncrementalExecution (resolve) {
+  return function (parent, args, context, info) {
+    const execution = context && context[kIncrementalExecution]
+    if (!execution) {
+      return resolve(parent, args, context, info)
+    }
+
+    const path = responsePathAsArray(info.path)
+    const key = path.join('.')
+    let result = execution.results.get(key)
+    if (result === undefined) {
+      result = resolveOnce(resolve, parent, args, context, info)
+      execution.results.set(key, result)
+    }
+
+    if (result.error) {
+      throw result.error
+    }
+
+    const initialCount = info.operation === execution.operation
+      ? execution.slices.get(path.filter(key => typeof key === 'string').join('.'))
+      : undefined
+    if (initialCount === undefined) {
+      return result.value
+    }
+
+    return mapValue(result.value, list => Array.isArray(list) ? list.slice(0, initialCount) : list)
+  }
+}
+
+function resolveOnce (resolve, parent, args, context, info) {
+  try {
+    const value = resolve(parent, args, context, info)
+    // the lists are read by every document selecting them
+    return { value: isListType(getNullableType(info.returnType)) ? mapValue(value, toArray) : value }
+  } catch (error) {
+    return { error }
+  }
+}
+
+function mapValue (value, fn) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function' ? value.then(fn) : fn(value)
+}
+
+function toArray (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value[Symbol.iterator] === 'function'
+    ? Array.from(value)
+    : value
+}
+
+// the incremental execution is the outermost wrapper of every field
+function addIncrementalExecutionToResolvers (schema) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      for (const field of Object.values(type.getFields())) {
+        const resolve = field.resolve
+        field.resolve = withIncrementalExecution(resolve || defaultFieldResolver)
+        field.resolve[kIncrementalResolver] = resolve
+      }
+    }
+  }
+}
+
+function removeIncrementalExecutionFromResolvers (schema) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      for (const field of Object.values(type.getFields())) {
+        if (field.resolve && Object.prototype.hasOwnProperty.call(field.resolve, kIncrementalResolver)) {
+          field.resolve = field.resolve[kIncrementalResolver]
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns the values found at a path of response keys, walking through lists
+ * and skipping null values
+ */
+function resolvePath (data, path) {
+  let entries = [{ path: [], value: data }]
+
+  for (const key of path) {
+    const next = []
+    for (const entry of expandLists(entries)) {
+      next.push({ path: [...entry.path, key], value: entry.value[key] })
+    }
+    entries = next
+  }
+
+  return entries
+}
+
+function expandLists (entries) {
+  const result = []
+
+  for (const entry of entries) {
+    if (Array.isArray(entry.value)) {
+      result.push(...expandLists(entry.value.map((value, index) => ({ path: [...entry.path, index], value }))))
+    } else if (entry.value !== null && entry.value !== undefined) {
+      result.push(entry)
+    }
+  }
+
+  return result
+}
+
+// the value at a path of response keys and list indexes
+function getValue (data, path) {
+  return path.reduce((value, key) => value ? value[key] : null, data)
+}
+
+function isBelow (errorPath, path) {
+  return path.every((key, index) => errorPath[index] === key)
+}
+
+// a copy of the objects and the lists of the data, to track the delivered paths
+function copyData (value) {
+  if (Array.isArray(value)) {
+    return value.map(copyData)
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  const copy = {}
+  for (const key of Object.keys(value)) {
+    copy[key] = copyData(value[key])
+  }
+  return copy
+}
+
+function placeholders (paths, data) {
+  for (const path of paths) {
+    const key = path[path.length - 1]
+    for (const { value } of expandLists(resolvePath(data, path.slice(0, -1)))) {
+      value[key] = []
+    }
+  }
+}
+
+// the errors of the fields shared by the documents are delivered once
+function isDelivered (error, delivered) {
+  return error.path !== undefined && delivered.errors.has(`${error.path.join('.')}:${error.message}`)
+}
+
+function setDelivered (error, delivered) {
+  if (error.path !== undefined) {
+    delivered.errors.add(`${error.path.join('.')}:${error.message}`)
+  }
+}
+
+/**
+ * Applies the placeholders of the lists streamed from their first item to the
+ * result of the initial payload. The returned state tracks the delivered data
+ * and errors: the subsequent payloads are delivered at the paths of the
+ * delivered data, and the errors are delivered once.
+ */
+function initialResult (plan, execution) {
+  placeholders(plan.placeholders, execution.data)
+
+  const delivered = { data: copyData(execution.data), errors: new Set() }
+  for (const error of execution.errors || []) {
+    setDelivered(error, delivered)
+  }
+
+  return delivered
+}
+
+// the paths of the delivered data receiving the payload of a unit
+function getTargets (unit, data) {
+  if (unit.kind === 'defer') {
+    return expandLists(resolvePath(data, unit.path)).map(({ path }) => ({ path, label: unit.label }))
+  }
+
+  const slices = unit.kind === 'stream' ? [{ label: unit.label, path: unit.path, initialCount: 0 }] : unit.slices
+  const targets = []
+  for (const slice of slices) {
+    for (const { path, value } of resolvePath(data, slice.path)) {
+      if (Array.isArray(value) && value.length >= slice.initialCount) {
+        targets.push({ path, label: slice.label, start: slice.initialCount })
+      }
+    }
+  }
+  return targets
+}
+
+function withLabel (entry, label) {
+  if (!entry.errors) {
+    delete entry.errors
+  }
+  if (label) {
+    entry.label = label
+  }
+  return entry
+}
+
+/**
+ * Returns the payload of a unit of the plan, at the delivered paths.
+ * The errors are delivered with the entry of their path, an entry whose value
+ * is nulled by an error, or whose execution failed, is delivered as null.
+ */
+function toIncremental (plan, unit, { data, errors = [] }, delivered) {
+  // the streamed items have the placeholders of the initial payload
+  if (unit.kind === 'slices') {
+    placeholders(plan.placeholders, data)
+  }
+
+  const pending = errors.filter(error => !isDelivered(error, delivered))
+  const incremental = []
+  const streamed = []
+
+  for (const target of getTargets(unit, delivered.data)) {
+    const entryErrors = pending.filter(error => error.path === undefined || (isBelow(error.path, target.path) &&
+      (target.start === undefined || error.path[target.path.length] >= target.start)))
+    for (const error of entryErrors) {
+      setDelivered(error, delivered)
+    }
+
+    const value = getValue(data, target.path)
+    const errorsOrUndefined = entryErrors.length > 0 ? entryErrors : undefined
+    if (target.start === undefined) {
+      incremental.push(withLabel({ data: value, path: target.path, errors: errorsOrUndefined }, target.label))
+    } else if (Array.isArray(value) && value.length > target.start) {
+      const items = value.slice(target.start)
+      streamed.push({ path: target.path, items })
+      incremental.push(withLabel({ items, path: [...target.path, target.start], errors: errorsOrUndefined }, target.label))
+    } else if (errorsOrUndefined) {
+      incremental.push(withLabel({ items: null, path: [...target.path, target.start], errors: errorsOrUndefined }, target.label))
+    }
+  }
+
+  // the streamed items are the targets of the units inside them
+  for (const { path, items } of streamed) {
+    getValue(delivered.data, path).push(...copyData(items))
+  }
+
+  return incremental
+}
+
+/**
+ * Yields the initial payload, then the payload of every unit of the plan
+ * as soon as it is executed
+ */
+async function * incrementalResults (initial, pending) {
+  const remaining = new Map(pending.map((promise, index) => [index, promise.then(incremental => ({ index, incremental }))]))
+
+  yield { ...initial, hasNext: remaining.size > 0 }
+
+  while (remaining.size > 0) {
+    const { index, incremental } = await Promise.race(remaining.values())
+    remaining.delete(index)
+
+    const hasNext = remaining.size > 0
+    if (incremental.length > 0) {
+      yield { incremental, hasNext }
+    } else if (!hasNext) {
+      yield { hasNext }
+    }
+  }
+}
+
+function isIncrementalResult (result) {
+  return result !== null && typeof result === 'object' && typeof result[Symbol.asyncIterator] === 'function'
+}
+
+module.exports = {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  addIncrementalDirectives,
+  buildIncrementalPlan,
+  createIncrementalExecution,
+  addIncrementalExecutionToResolvers,
+  removeIncrementalExecutionFromResolvers,
+  initialResult,
+  toIncremental,
+  incrementalResults,
+  isIncrementalResult
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+const { GraphQLError, validate } = require('graphql')
+const { MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED } = require('./errors')
+
+const introspectionFields = ['__schema', '__type']
+
+/**
+ * Validation rule rejecting the introspection fields, including the
+ * `_service { sdl }` field used by the gateway to load the federated schema
+ */
+function NoIntrospectionRule (context) {
+  const queryType = context.getSchema().getQueryType()
+
+  return {
+    Field (node) {
+      const name = node.name.value
+      if (introspectionFields.includes(name) || (name === '_service' && context.getParentType() === queryType)) {
+        const error = new MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED()
+        context.reportError(new GraphQLError(error.message, node, undefined, undefined, undefined, error, { code: error.code }))
+      }
+    }
+  }
+}
+
+function validateIntrospection (schema, document) {
+  return validate(schema, document, [NoIntrospectionRule])
+}
+
+module.exports = validateIntrospection
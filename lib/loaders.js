@@ -0,0 +1,140 @@
+'use strict'
+
+const lru = require('tiny-lru')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+
+/**
+ * Returns the options, the batch function and the key function
+ * of a loader, as expected by the factory of single-user-cache
+ */
+function buildLoader (coordinate, definition) {
+  if (typeof definition === 'function') {
+    return { opts: {}, loader: definition }
+  }
+
+  const { loader, opts = {} } = definition
+  const { cache, maxBatchSize, key, sharedCache } = opts
+
+  if (maxBatchSize !== undefined && (!Number.isInteger(maxBatchSize) || maxBatchSize <= 0)) {
+    throw new MER_ERR_INVALID_OPTS(`the maxBatchSize option of the ${coordinate} loader must be a positive integer`)
+  }
+  if (key !== undefined && typeof key !== 'function') {
+    throw new MER_ERR_INVALID_OPTS(`the key option of the ${coordinate} loader must be a function`)
+  }
+  if (sharedCache !== undefined && (sharedCache === null || typeof sharedCache !== 'object' ||
+    typeof sharedCache.ttl !== 'number' || sharedCache.ttl <= 0 ||
+    (sharedCache.max !== undefined && (!Number.isInteger(sharedCache.max) || sharedCache.max <= 0)))) {
+    throw new MER_ERR_INVALID_OPTS(`the sharedCache option of the ${coordinate} loader must be an object with a positive ttl and max`)
+  }
+
+  let batchLoader = loader
+  if (maxBatchSize !== undefined) {
+    batchLoader = withMaxBatchSize(batchLoader, maxBatchSize)
+  }
+  if (sharedCache !== undefined) {
+    batchLoader = withSharedCache(batchLoader, sharedCache, key)
+  }
+
+  return { opts: { cache }, loader: batchLoader, key }
+}
+
+// the batches larger than the maximum size are split and loaded in parallel
+function withMaxBatchSize (loader, maxBatchSize) {
+  return async function (queries, context) {
+    if (queries.length <= maxBatchSize) {
+      return loader(queries, context)
+    }
+
+    const batches = []
+    for (let i = 0; i < queries.length; i += maxBatchSize) {
+      batches.push(loader(queries.slice(i, i + maxBatchSize), context))
+    }
+    return [].concat(...await Promise.all(batches))
+  }
+}
+
+/**
+ * Keeps the results in a cache shared by all the executions until their
+ * time to live expires, only the queries not in the cache are loaded.
+ * The errors are not cached.
+ */
+function withSharedCache (loader, { ttl, max = 1024 }, key) {
+  const cache = lru(max, ttl)
+
+  return async function (queries, context) {
+    const keys = queries.map(query => getCacheKey(key ? key(query) : query))
+    const results = new Array(queries.length)
+    const missing = []
+
+    for (let i = 0; i < queries.length; i++) {
+      const result = keys[i] === undefined ? undefined : cache.get(keys[i])
+      if (result === undefined) {
+        missing.push(i)
+      } else {
+        results[i] = result
+      }
+    }
+
+    if (missing.length > 0) {
+      const loaded = await loader(missing.map(i => queries[i]), context)
+      for (let j = 0; j < missing.length; j++) {
+        results[missing[j]] = loaded[j]
+        if (!(loaded[j] instanceof Error) && keys[missing[j]] !== undefined) {
+          cache.set(keys[missing[j]], loaded[j])
+        }
+      }
+    }
+
+    return results
+  }
+}
+
+/**
+ * Serializes the query with the properties sorted, the queries that
+ * cannot be serialized, such as the circular ones, are not cached
+ */
+function getCacheKey (query) {
+  try {
+    return stringify(query, new Set())
+  } catch (err) {
+    return undefined
+  }
+}
+
+function stringify (value, ancestors) {
+  // not a JSON value, the key of 1n is distinct from the keys of 1 and '1n'
+  if (typeof value === 'bigint') {
+    return `${value}n`
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value)
+  }
+  if (typeof value.toJSON === 'function') {
+    return stringify(value.toJSON(), ancestors)
+  }
+  if (ancestors.has(value)) {
+    throw new TypeError('circular query')
+  }
+
+  ancestors.add(value)
+  let serialized
+  if (Array.isArray(value)) {
+    serialized = `[${value.map(item => stringify(item, ancestors) || 'null').join(',')}]`
+  } else {
+    const properties = []
+    for (const name of Object.keys(value).sort()) {
+      const property = stringify(value[name], ancestors)
+      if (property !== undefined) {
+        properties.push(`${JSON.stringify(name)}:${property}`)
+      }
+    }
+    serialized = `{${properties.join(',')}}`
+  }
+  ancestors.delete(value)
+
+  return serialized
+}
+
+module.exports = {
+  buildLoader
+}
@@ -0,0 +1,240 @@
+'use strict'
+
+const { getOperationAST } = require('graphql')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+
+const defaultBuckets = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+function escapeLabelValue (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatLabels (labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+function elapsedSeconds (start) {
+  const [seconds, nanos] = process.hrtime(start)
+  return seconds + nanos / 1e9
+}
+
+class Metric {
+  constructor (name, help, type) {
+    this.name = name
+    this.help = help
+    this.type = type
+    // the series are indexed by their serialized labels
+    this.series = new Map()
+  }
+
+  getSeries (labels, create) {
+    const key = formatLabels(labels)
+    let series = this.series.get(key)
+    if (series === undefined) {
+      series = create()
+      this.series.set(key, series)
+    }
+    return series
+  }
+
+  serialize () {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const [labels, series] of this.series) {
+      this.serializeSeries(lines, labels, series)
+    }
+    return lines.join('\n')
+  }
+
+  serializeSeries (lines, labels, series) {
+    lines.push(`${this.name}${labels} ${series.value}`)
+  }
+}
+
+class Counter extends Metric {
+  constructor (name, help) {
+    super(name, help, 'counter')
+  }
+
+  inc (labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value
+  }
+}
+
+class Gauge extends Metric {
+  constructor (name, help) {
+    super(name, help, 'gauge')
+  }
+
+  inc (labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value
+  }
+
+  dec (labels = {}, value = 1) {
+    this.inc(labels, -value)
+  }
+}
+
+class Histogram extends Metric {
+  constructor (name, help, buckets) {
+    super(name, help, 'histogram')
+    this.buckets = buckets
+  }
+
+  observe (labels, seconds) {
+    const series = this.getSeries(labels, () => ({
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }))
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (seconds <= this.buckets[i]) {
+        series.counts[i]++
+      }
+    }
+    series.sum += seconds
+    series.count++
+  }
+
+  // returns a function that records the time elapsed since the call
+  startTimer (labels = {}) {
+    const start = process.hrtime()
+    return () => this.observe(labels, elapsedSeconds(start))
+  }
+
+  serializeSeries (lines, labels, { labels: labelValues, counts, sum, count }) {
+    for (let i = 0; i < this.buckets.length; i++) {
+      lines.push(`${this.name}_bucket${formatLabels({ ...labelValues, le: this.buckets[i] })} ${counts[i]}`)
+    }
+    lines.push(`${this.name}_bucket${formatLabels({ ...labelValues, le: '+Inf' })} ${count}`)
+    lines.push(`${this.name}_sum${labels} ${sum}`)
+    lines.push(`${this.name}_count${labels} ${count}`)
+  }
+}
+
+/**
+ * Collects the metrics of a mercurius instance and serializes them
+ * in the Prometheus text exposition format
+ */
+class Metrics {
+  constructor ({ prefix, buckets, maxOperationNames }) {
+    // the operation names are sent by the clients, their number is capped
+    this.operationNames = new Set()
+    this.maxOperationNames = maxOperationNames
+    this.operations = new Counter(`${prefix}operations_total`, 'Number of GraphQL operations by name and type')
+    this.parseDuration = new Histogram(`${prefix}parse_duration_seconds`, 'Duration of the parsing of the GraphQL documents', buckets)
+    this.validationDuration = new Histogram(`${prefix}validation_duration_seconds`, 'Duration of the validation of the GraphQL documents', buckets)
+    this.executionDuration = new Histogram(`${prefix}execution_duration_seconds`, 'Duration of the execution of the GraphQL operations', buckets)
+    this.jitCompilations = new Counter(`${prefix}jit_compilations_total`, 'Number of GraphQL documents compiled with graphql-jit')
+    this.cacheHits = new Counter(`${prefix}cache_hits_total`, 'Number of hits of the internal caches')
+    this.cacheMisses = new Counter(`${prefix}cache_misses_total`, 'Number of misses of the internal caches')
+    this.subscriptionConnections = new Gauge(`${prefix}subscription_connections`, 'Number of active subscription connections')
+    this.gatewayRequestDuration = new Histogram(`${prefix}gateway_request_duration_seconds`, 'Duration of the requests sent by the gateway to the services', buckets)
+  }
+
+  countOperation (document, operationName) {
+    const operation = getOperationAST(document, operationName)
+    this.operations.inc({
+      operation_name: operation && operation.name ? this.getOperationName(operation.name.value) : '',
+      operation_type: operation ? operation.operation : ''
+    })
+  }
+
+  // the names seen after the first maxOperationNames ones are counted as other
+  getOperationName (name) {
+    if (this.operationNames.has(name)) {
+      return name
+    }
+
+    if (this.operationNames.size < this.maxOperationNames) {
+      this.operationNames.add(name)
+      return name
+    }
+
+    return 'other'
+  }
+
+  // counts the hits and the misses of a tiny-lru cache
+  instrumentCache (cache, name) {
+    const get = cache.get
+    cache.get = (key) => {
+      const value = get.call(cache, key)
+      if (value === undefined) {
+        this.cacheMisses.inc({ cache: name })
+      } else {
+        this.cacheHits.inc({ cache: name })
+      }
+      return value
+    }
+  }
+
+  // measures the duration of the requests sent to a gateway service
+  instrumentServiceRequest (sendRequest, service) {
+    return (opts) => {
+      const end = this.gatewayRequestDuration.startTimer({ service })
+      return sendRequest(opts).then(response => {
+        end()
+        return response
+      }, err => {
+        end()
+        throw err
+      })
+    }
+  }
+
+  serialize () {
+    const metrics = [
+      this.operations,
+      this.parseDuration,
+      this.validationDuration,
+      this.executionDuration,
+      this.jitCompilations,
+      this.cacheHits,
+      this.cacheMisses,
+      this.subscriptionConnections,
+      this.gatewayRequestDuration
+    ]
+    return metrics.map(metric => metric.serialize()).join('\n') + '\n'
+  }
+}
+
+function buildMetricsOptions (metrics) {
+  if (metrics === undefined || metrics === false) {
+    return null
+  }
+
+  if (metrics === true) {
+    metrics = {}
+  }
+
+  if (metrics === null || typeof metrics !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the metrics option must be a boolean or an object')
+  }
+
+  const { path = '/metrics', prefix = 'mercurius_', buckets = defaultBuckets, maxOperationNames = 100 } = metrics
+
+  if (path !== false && typeof path !== 'string') {
+    throw new MER_ERR_INVALID_OPTS('the metrics.path option must be a string or false')
+  }
+
+  if (typeof prefix !== 'string') {
+    throw new MER_ERR_INVALID_OPTS('the metrics.prefix option must be a string')
+  }
+
+  if (!Array.isArray(buckets) || buckets.some(bucket => typeof bucket !== 'number')) {
+    throw new MER_ERR_INVALID_OPTS('the metrics.buckets option must be an array of numbers')
+  }
+
+  if (!Number.isInteger(maxOperationNames) || maxOperationNames < 0) {
+    throw new MER_ERR_INVALID_OPTS('the metrics.maxOperationNames option must be a positive integer')
+  }
+
+  return { path, prefix, buckets: [...buckets].sort((a, b) => a - b), maxOperationNames }
+}
+
+module.exports = {
+  Metrics,
+  buildMetricsOptions
+}
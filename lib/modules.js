@@ -0,0 +1,131 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLObjectType,
+  isTypeDefinitionNode,
+  isTypeExtensionNode,
+  parse
+} = require('graphql')
+const { MER_ERR_INVALID_OPTS, MER_ERR_GQL_MODULE_CONFLICT } = require('./errors')
+
+function validateModule (mod, modules) {
+  if (mod === null || typeof mod !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('a module must be an object')
+  }
+
+  const { name, schema, resolvers, loaders } = mod
+  if (typeof name !== 'string' || name === '') {
+    throw new MER_ERR_INVALID_OPTS('the name of a module must be a non empty string')
+  }
+  if (modules.some(mod => mod.name === name)) {
+    throw new MER_ERR_INVALID_OPTS(`the ${name} module is already defined`)
+  }
+  if (schema !== undefined && typeof schema !== 'string' && !Array.isArray(schema) && (schema === null || typeof schema !== 'object')) {
+    throw new MER_ERR_INVALID_OPTS(`the schema of the ${name} module must be a string, an array of strings or a document`)
+  }
+  for (const [option, value] of Object.entries({ resolvers, loaders })) {
+    if (value !== undefined && (value === null || typeof value !== 'object')) {
+      throw new MER_ERR_INVALID_OPTS(`the ${option} of the ${name} module must be an object`)
+    }
+  }
+}
+
+function parseModuleSchema ({ schema }) {
+  if (schema === undefined) {
+    return []
+  }
+  if (Array.isArray(schema)) {
+    schema = schema.join('\n')
+  }
+  return (typeof schema === 'string' ? parse(schema) : schema).definitions
+}
+
+// the owners of the types and the fields of the schema
+function getSchemaOwners (schema) {
+  const types = new Map()
+  const fields = new Map()
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type.name.startsWith('__')) {
+      continue
+    }
+    types.set(type.name, 'the schema')
+    if (type instanceof GraphQLObjectType || type instanceof GraphQLInterfaceType || type instanceof GraphQLInputObjectType) {
+      for (const field of Object.keys(type.getFields())) {
+        fields.set(`${type.name}.${field}`, 'the schema')
+      }
+    }
+  }
+  return { types, fields }
+}
+
+function setOwner (owners, key, owner, kind) {
+  if (owners.has(key)) {
+    throw new MER_ERR_GQL_MODULE_CONFLICT(`the ${kind} ${key} is defined by ${owners.get(key)} and ${owner}`)
+  }
+  owners.set(key, owner)
+}
+
+/**
+ * Returns the document of the type definitions and extensions of the modules,
+ * to extend the schema with. A type or a field defined twice is a conflict.
+ */
+function mergeModuleSchemas (schema, modules) {
+  const { types, fields } = getSchemaOwners(schema)
+  const definitions = []
+
+  for (const mod of modules) {
+    const owner = `the ${mod.name} module`
+    for (const definition of parseModuleSchema(mod)) {
+      if (isTypeDefinitionNode(definition)) {
+        setOwner(types, definition.name.value, owner, 'type')
+      }
+      if ((isTypeDefinitionNode(definition) || isTypeExtensionNode(definition)) && definition.fields) {
+        for (const field of definition.fields) {
+          setOwner(fields, `${definition.name.value}.${field.name.value}`, owner, 'field')
+        }
+      }
+      definitions.push(definition)
+    }
+  }
+
+  return { kind: Kind.DOCUMENT, definitions }
+}
+
+/**
+ * Merges the resolvers and the loaders of the modules, by field for the
+ * object types and by type for the others. A field or a type resolved
+ * by two modules is a conflict.
+ */
+function mergeModuleResolvers (schema, modules) {
+  const owners = new Map()
+  const resolvers = {}
+  const loaders = {}
+
+  for (const mod of modules) {
+    const owner = `the ${mod.name} module`
+    for (const [merged, moduleResolvers] of [[resolvers, mod.resolvers], [loaders, mod.loaders]]) {
+      for (const [typeName, typeResolvers] of Object.entries(moduleResolvers || {})) {
+        if (schema.getType(typeName) instanceof GraphQLObjectType && typeof typeResolvers !== 'function') {
+          for (const field of Object.keys(typeResolvers)) {
+            setOwner(owners, `${typeName}.${field}`, owner, 'resolver of')
+          }
+          merged[typeName] = { ...merged[typeName], ...typeResolvers }
+        } else {
+          setOwner(owners, typeName, owner, 'resolver of')
+          merged[typeName] = typeResolvers
+        }
+      }
+    }
+  }
+
+  return { resolvers, loaders }
+}
+
+module.exports = {
+  validateModule,
+  mergeModuleSchemas,
+  mergeModuleResolvers
+}
@@ -0,0 +1,170 @@
+'use strict'
+
+const {
+  Kind,
+  getNamedType,
+  isCompositeType
+} = require('graphql')
+const { getArgumentValues } = require('graphql/execution/values')
+const { MER_ERR_GQL_QUERY_COMPLEXITY } = require('./errors')
+const { getFragments, shouldInclude } = require('./selections')
+
+/**
+ * Returns the complexity (cost) of an operation in a graphql document.
+ * The cost of a field is resolved, in order, from:
+ *  - the `complexity` function defined through `defineResolvers` (stored in the field extensions)
+ *  - the `@cost(complexity, multipliers)` directive defined in the schema
+ *  - the default complexity
+ * @param {GraphQLSchema} [schema] the schema to compute the cost against
+ * @param {DocumentNode} [document] the graphQL document
+ * @param {Object} [opts] `operation`, `variables` and `defaultComplexity`
+ * @returns {Number} the complexity of the operation
+ */
+function computeComplexity (schema, document, { operation, variables = {}, defaultComplexity }) {
+  const fragments = getFragments(document)
+
+  return selectionSetComplexity(operation.selectionSet, getRootType(schema, operation.operation), {
+    schema,
+    fragments,
+    variables,
+    defaultComplexity
+  })
+}
+
+function getRootType (schema, operation) {
+  if (operation === 'mutation') {
+    return schema.getMutationType()
+  } else if (operation === 'subscription') {
+    return schema.getSubscriptionType()
+  }
+  return schema.getQueryType()
+}
+
+function selectionSetComplexity (selectionSet, parentType, state) {
+  let total = 0
+
+  for (const selection of selectionSet.selections) {
+    if (!shouldInclude(selection, state.variables)) {
+      continue
+    }
+
+    if (selection.kind === Kind.FIELD) {
+      total += fieldComplexity(selection, parentType, state)
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? state.schema.getType(selection.typeCondition.name.value)
+        : parentType
+      total += selectionSetComplexity(selection.selectionSet, type, state)
+    } else {
+      // fragment cycles are already rejected by the validation
+      const fragment = state.fragments[selection.name.value]
+      total += selectionSetComplexity(fragment.selectionSet, state.schema.getType(fragment.typeCondition.name.value), state)
+    }
+  }
+
+  return total
+}
+
+function fieldComplexity (node, parentType, state) {
+  const fieldName = node.name.value
+
+  // introspection fields are free
+  if (fieldName.startsWith('__')) {
+    return 0
+  }
+
+  const field = parentType.getFields()[fieldName]
+  const args = getArgs(field, node, state.variables)
+
+  let childComplexity = 0
+  const fieldType = getNamedType(field.type)
+  if (node.selectionSet && isCompositeType(fieldType)) {
+    childComplexity = selectionSetComplexity(node.selectionSet, fieldType, state)
+  }
+
+  if (field.extensions && typeof field.extensions.complexity === 'function') {
+    return field.extensions.complexity(args, childComplexity)
+  }
+
+  const cost = getCostDirective(field)
+  if (cost) {
+    const complexity = typeof cost.complexity === 'number' ? cost.complexity : state.defaultComplexity
+    return (complexity + childComplexity) * getMultiplier(cost.multipliers, args)
+  }
+
+  return state.defaultComplexity + childComplexity
+}
+
+function getArgs (field, node, variables) {
+  try {
+    return getArgumentValues(field, node, variables)
+  } catch (err) {
+    // invalid variables are reported by the execution
+    return {}
+  }
+}
+
+function getCostDirective (field) {
+  if (!field.astNode) {
+    return null
+  }
+
+  const directive = field.astNode.directives.find(directive => directive.name.value === 'cost')
+  if (!directive) {
+    return null
+  }
+
+  const cost = {}
+  for (const argument of directive.arguments) {
+    const { value } = argument
+    if (value.kind === Kind.INT) {
+      cost[argument.name.value] = parseInt(value.value, 10)
+    } else if (value.kind === Kind.LIST) {
+      cost[argument.name.value] = value.values.map(value => value.value)
+    } else {
+      cost[argument.name.value] = value.value
+    }
+  }
+
+  return cost
+}
+
+function getMultiplier (multipliers, args) {
+  if (!multipliers) {
+    return 1
+  }
+
+  if (!Array.isArray(multipliers)) {
+    multipliers = [multipliers]
+  }
+
+  let multiplier = 1
+  for (const name of multipliers) {
+    const value = args[name]
+    if (typeof value === 'number') {
+      multiplier *= value
+    } else if (Array.isArray(value)) {
+      multiplier *= value.length
+    }
+  }
+
+  return multiplier
+}
+
+/**
+ * Checks the complexity of an operation against the maximum allowed
+ * @returns {Object} `{ complexity, errors }`
+ */
+function queryComplexity (schema, document, { operation, variables, maximum, defaultComplexity }) {
+  const complexity = computeComplexity(schema, document, { operation, variables, defaultComplexity })
+  const errors = []
+
+  if (complexity > maximum) {
+    const name = operation.name ? operation.name.value : 'unnamedQuery'
+    errors.push(new MER_ERR_GQL_QUERY_COMPLEXITY(name, complexity, maximum))
+  }
+
+  return { complexity, errors }
+}
+
+module.exports = queryComplexity
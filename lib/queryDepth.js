@@ -3,6 +3,8 @@
 const { Kind } = require('graphql')
 const { MER_ERR_GQL_QUERY_DEPTH } = require('./errors')
 
+const introspectionFields = ['__schema', '__type']
+
 /**
  * Returns the depth of nodes in a graphql query
  * Based on the the GraphQL Depth Limit package from Stem (https://stem.is)
@@ -10,42 +12,106 @@ const { MER_ERR_GQL_QUERY_DEPTH } = require('./errors')
  * Copyright (c) 2017 Stem
  * License (MIT License) https://github.com/stems/graphql-depth-limit/blob/master/LICENSE
  * @param {Array} [definition] the definitions from a graphQL document
+ * @param {Number|Object} [queryDepthLimit] a limit for every operation, or
+ * an object with `query`, `mutation`, `subscription` limits and `ignoreIntrospection`
  * @returns {Array} {Errors} An array of errors
  */
 function queryDepth (definitions, queryDepthLimit) {
-  const queries = getQueriesAndMutations(definitions)
-  const queryDepth = {}
-
-  for (const name in queries) {
-    queryDepth[name] = determineDepth(queries[name])
+  const limits = getLimits(queryDepthLimit)
+  if (limits === null) {
+    return []
   }
 
+  const { operations, fragments } = getOperationsAndFragments(definitions)
   const errors = []
-  if (typeof queryDepthLimit === 'number') {
-    for (const query of Object.keys(queryDepth)) {
-      const totalDepth = queryDepth[query]
-      if (totalDepth > queryDepthLimit) {
-        const queryDepthError = new MER_ERR_GQL_QUERY_DEPTH(query, totalDepth, queryDepthLimit)
-        errors.push(queryDepthError)
-      }
+
+  for (const name of Object.keys(operations)) {
+    const operation = operations[name]
+    const limit = limits[operation.operation]
+    if (typeof limit !== 'number') {
+      continue
+    }
+
+    const totalDepth = determineDepth(operation, 0, {
+      fragments,
+      ignoreIntrospection: limits.ignoreIntrospection,
+      visitedFragments: new Set()
+    })
+    if (totalDepth > limit) {
+      const queryDepthError = new MER_ERR_GQL_QUERY_DEPTH(name, totalDepth, limit)
+      errors.push(queryDepthError)
     }
   }
 
   return errors
 }
-function determineDepth (node, current = 0) {
-  if (node.selectionSet) {
-    return Math.max(...node.selectionSet.selections.map((selection) => determineDepth(selection, current + 1)))
+
+function getLimits (queryDepthLimit) {
+  if (typeof queryDepthLimit === 'number') {
+    return {
+      query: queryDepthLimit,
+      mutation: queryDepthLimit,
+      subscription: queryDepthLimit,
+      ignoreIntrospection: false
+    }
   }
-  return current
+
+  if (queryDepthLimit !== null && typeof queryDepthLimit === 'object') {
+    return {
+      query: queryDepthLimit.query,
+      mutation: queryDepthLimit.mutation,
+      subscription: queryDepthLimit.subscription,
+      ignoreIntrospection: queryDepthLimit.ignoreIntrospection === true
+    }
+  }
+
+  return null
 }
-function getQueriesAndMutations (definitions) {
+
+function determineDepth (node, current, state) {
+  let depth = current
+  for (const selection of node.selectionSet.selections) {
+    depth = Math.max(depth, determineSelectionDepth(selection, current, state))
+  }
+  return depth
+}
+
+function determineSelectionDepth (selection, current, state) {
+  if (selection.kind === Kind.FIELD) {
+    if (state.ignoreIntrospection && introspectionFields.includes(selection.name.value)) {
+      return current
+    }
+    return selection.selectionSet ? determineDepth(selection, current + 1, state) : current + 1
+  }
+
+  // fragments do not add a level of depth to the query
+  if (selection.kind === Kind.INLINE_FRAGMENT) {
+    return determineDepth(selection, current, state)
+  }
+
+  // unknown and cyclic fragments are reported by the validation
+  const name = selection.name.value
+  const fragment = state.fragments[name]
+  if (!fragment || state.visitedFragments.has(name)) {
+    return current
+  }
+
+  state.visitedFragments.add(name)
+  const depth = determineDepth(fragment, current, state)
+  state.visitedFragments.delete(name)
+
+  return depth
+}
+
+function getOperationsAndFragments (definitions) {
   return definitions.reduce((map, definition) => {
     if (definition.kind === Kind.OPERATION_DEFINITION) {
-      map[definition.name ? definition.name.value : 'unnamedQuery'] = definition
+      map.operations[definition.name ? definition.name.value : 'unnamedQuery'] = definition
+    } else if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      map.fragments[definition.name.value] = definition
     }
     return map
-  }, {})
+  }, { operations: {}, fragments: {} })
 }
 
 module.exports = queryDepth
@@ -1,11 +1,23 @@
 'use strict'
 
 const { join } = require('path')
+const { createHash } = require('crypto')
 const Static = require('fastify-static')
 const subscription = require('./subscription')
 const sJSON = require('secure-json-parse')
+const { GraphQLError, introspectionFromSchema } = require('graphql')
+const { Readable } = require('readable-stream')
+const { isIncrementalResult } = require('./incremental')
+const { isMultipartBody, parseMultipartRequest } = require('./upload')
+const printSchemaWithDirectives = require('./sdl')
+const { negotiateMediaType, isJSONBody, executeOverHttp, formatErrorOverHttp } = require('./graphql-over-http')
+const { validatePreflight } = require('./csrf-prevention')
+const { kFactory, kIncremental, kLoaders, kPersistedQuery } = require('./symbols')
 const {
-  defaultErrorFormatter,
+  MER_ERR_GQL_BATCH_TOO_LARGE,
+  MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED,
+  MER_ERR_GQL_NOT_ACCEPTABLE,
+  MER_ERR_GQL_UNSUPPORTED_MEDIA_TYPE,
   MER_ERR_GQL_PERSISTED_QUERY_NOT_FOUND,
   MER_ERR_GQL_PERSISTED_QUERY_NOT_SUPPORTED,
   MER_ERR_GQL_VALIDATION
@@ -16,6 +28,10 @@ const responseProperties = {
     type: ['object', 'null'],
     additionalProperties: true
   },
+  extensions: {
+    type: 'object',
+    additionalProperties: true
+  },
   errors: {
     type: 'array',
     items: {
@@ -106,6 +122,9 @@ const postSchema = (allowBatchedQueries) => ({
       }
 })
 
+const kUploads = Symbol('mercurius.uploads')
+const kMediaType = Symbol('mercurius.mediaType')
+
 function validationHandler (validationError) {
   if (validationError) {
     const err = new MER_ERR_GQL_VALIDATION()
@@ -123,14 +142,102 @@ function tryJSONParse (request, value) {
   }
 }
 
+// batched queries are never delivered incrementally
+function acceptsIncremental (request) {
+  const { accept } = request.headers
+  return !Array.isArray(request.body) && typeof accept === 'string' && accept.includes('multipart/mixed')
+}
+
+async function * multipartPayloads (results) {
+  for await (const result of results) {
+    yield `\r\n---\r\nContent-Type: application/json; charset=utf-8\r\n\r\n${JSON.stringify(result)}`
+  }
+  yield '\r\n-----\r\n'
+}
+
+// runs the function on the items, with at most concurrency calls pending
+async function mapConcurrently (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function run () {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i])
+    }
+  }
+
+  const runners = []
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    runners.push(run())
+  }
+  await Promise.all(runners)
+
+  return results
+}
+
+function sendResult (reply, result) {
+  if (isIncrementalResult(result)) {
+    reply.header('content-type', 'multipart/mixed; boundary="-"; deferSpec=20220824')
+    return Readable.from(multipartPayloads(result))
+  }
+  return result
+}
+
+// If-None-Match is a list of entity tags, compared with the weak comparison
+function matchesETag (ifNoneMatch, etag) {
+  if (typeof ifNoneMatch !== 'string') {
+    return false
+  }
+
+  return ifNoneMatch.split(',').some(tag => {
+    tag = tag.trim()
+    return tag === '*' || tag.replace(/^W\//, '') === etag
+  })
+}
+
+// only the successful responses get an ETag
+function sendResultWithETag (request, reply, result) {
+  if (isIncrementalResult(result) || result instanceof Error || reply.statusCode !== 200) {
+    return sendResult(reply, result)
+  }
+
+  const body = JSON.stringify(result)
+  const etag = `"${createHash('sha1').update(body).digest('base64')}"`
+  reply.header('etag', etag)
+
+  if (matchesETag(request.headers['if-none-match'], etag)) {
+    reply.code(304).send()
+    return reply
+  }
+
+  // the media type may be negotiated with the Accept header
+  if (!reply.hasHeader('content-type')) {
+    reply.type('application/json; charset=utf-8')
+  }
+  return body
+}
+
 module.exports = async function (app, opts) {
-  const errorFormatter = typeof opts.errorFormatter === 'function' ? opts.errorFormatter : defaultErrorFormatter
+  const { errorFormatter, graphqlOverHttp } = opts
+
+  if (graphqlOverHttp) {
+    app.decorateRequest(kMediaType, null)
+  }
 
   if (typeof opts.errorHandler === 'function') {
     app.setErrorHandler(opts.errorHandler)
   } else if (opts.errorHandler === true || opts.errorHandler === undefined) {
-    app.setErrorHandler((error, _, reply) => {
-      const { statusCode, response } = errorFormatter(error)
+    app.setErrorHandler((error, request, reply) => {
+      let formatted = errorFormatter(error)
+      if (graphqlOverHttp && request[kMediaType] !== null) {
+        formatted = formatErrorOverHttp(request[kMediaType], error, formatted)
+      }
+
+      const { statusCode, response } = formatted
+      if (graphqlOverHttp && statusCode === 405) {
+        reply.header('allow', 'POST')
+      }
       reply.code(statusCode).send(response)
     })
   }
@@ -138,6 +245,7 @@ module.exports = async function (app, opts) {
   const { subscriptionContextFn } = opts
 
   const {
+    name,
     path: graphqlPath = '/graphql',
     subscriber,
     verifyClient,
@@ -146,7 +254,15 @@ module.exports = async function (app, opts) {
     lruGatewayResolvers,
     entityResolversFactory,
     persistedQueryProvider,
-    allowBatchedQueries
+    allowBatchedQueries,
+    queryDepth,
+    etag,
+    metrics,
+    uploads,
+    introspection,
+    schemaRoutes,
+    csrfPrevention,
+    defer
   } = opts
 
   // Load the persisted query settings
@@ -160,28 +276,38 @@ module.exports = async function (app, opts) {
     notSupportedError
   } = persistedQueryProvider || {}
 
-  async function executeQuery (query, variables, operationName, request, reply) {
+  async function executeQuery (query, variables, operationName, request, reply, persisted, context) {
     // Validate a query is present
     if (!query) {
       return new MER_ERR_GQL_PERSISTED_QUERY_NOT_FOUND('Unknown query')
     }
 
-    // Generate the context for this request
-    let context = {}
-    if (contextFn) {
-      context = await contextFn(request, reply)
+    // Generate the context for this request, the operations of a batch share it
+    if (context === undefined) {
+      context = {}
+      if (contextFn) {
+        context = await contextFn(request, reply)
+      }
     }
 
     // Handle the query, throwing an error if required
-    return reply.graphql(query, { pubsub: subscriber, ...context, __currentQuery: query }, variables, operationName)
+    const execution = reply[name](query, {
+      pubsub: subscriber,
+      ...context,
+      __currentQuery: query,
+      [kIncremental]: acceptsIncremental(request),
+      [kPersistedQuery]: persisted === true
+    }, variables, operationName)
+
+    return graphqlOverHttp ? executeOverHttp(execution, reply) : execution
   }
 
-  function executeRegularQuery (body, request, reply) {
+  function executeRegularQuery (body, request, reply, context) {
     const { query, operationName, variables } = body
-    return executeQuery(query, variables, operationName, request, reply)
+    return executeQuery(query, variables, operationName, request, reply, false, context)
   }
 
-  async function executePersistedQuery (body, request, reply) {
+  async function executePersistedQuery (body, request, reply, context) {
     let { query } = body
     const { operationName, variables } = body
 
@@ -211,7 +337,7 @@ module.exports = async function (app, opts) {
     }
 
     // Execute the query
-    const result = await executeQuery(query, variables, operationName, request, reply)
+    const result = await executeQuery(query, variables, operationName, request, reply, Boolean(persisted), context)
 
     // Only save queries which are not yet persisted
     if (!persisted && query) {
@@ -232,35 +358,89 @@ module.exports = async function (app, opts) {
 
   const execute = persistedQueryProvider ? executePersistedQuery : executeRegularQuery
 
+  // the operations of a batch share the context, the loaders and the entity
+  // resolvers of the gateway, so that their queries are batched together
+  async function executeBatch (operations, request, reply) {
+    const { maxBatchSize, concurrency } = allowBatchedQueries
+    if (operations.length > maxBatchSize) {
+      throw new MER_ERR_GQL_BATCH_TOO_LARGE(operations.length, maxBatchSize)
+    }
+
+    let context = {}
+    if (contextFn) {
+      context = await contextFn(request, reply)
+    }
+
+    // the context of the loaders and of the error formatter
+    const batchContext = { app, reply, pubsub: subscriber, ...context }
+    const factory = app[name][kFactory]
+    if (factory) {
+      context = { ...context, [kLoaders]: factory.create(batchContext) }
+    }
+
+    return mapConcurrently(operations, concurrency, operation =>
+      execute(operation, request, reply, context)
+        .catch(err => {
+          let formatted = errorFormatter(err, batchContext)
+          if (graphqlOverHttp) {
+            formatted = formatErrorOverHttp(request[kMediaType], err, formatted)
+          }
+          return formatted.response
+        })
+    )
+  }
+
+  // the media type of the response, the errors are formatted for it
+  function negotiateResponse (request, reply) {
+    const mediaType = negotiateMediaType(request.headers.accept, defer)
+    if (mediaType === null) {
+      throw new MER_ERR_GQL_NOT_ACCEPTABLE()
+    }
+
+    request[kMediaType] = mediaType
+    reply.type(`${mediaType}; charset=utf-8`)
+  }
+
   const getOptions = {
     url: graphqlPath,
     method: 'GET',
     schema: getSchema,
     attachValidation: true,
     handler: async function (request, reply) {
+      if (graphqlOverHttp) {
+        negotiateResponse(request, reply)
+      }
+      if (csrfPrevention !== null) {
+        validatePreflight(request.headers, csrfPrevention)
+      }
       validationHandler(request.validationError)
 
       const { variables, extensions } = request.query
 
-      return execute({
+      const result = await execute({
         ...request.query,
         // Parse variables and extensions from stringified JSON
         variables: variables && tryJSONParse(request, variables),
         extensions: extensions && tryJSONParse(request, extensions)
       }, request, reply)
+
+      return etag ? sendResultWithETag(request, reply, result) : sendResult(reply, result)
     }
   }
 
   if (subscriber) {
     app.register(subscription, {
       getOptions,
+      name,
       subscriber,
       verifyClient,
       onConnect,
       onDisconnect,
       lruGatewayResolvers,
       entityResolversFactory,
-      subscriptionContextFn
+      subscriptionContextFn,
+      queryDepth,
+      metrics
     })
   } else {
     app.route(getOptions)
@@ -270,27 +450,99 @@ module.exports = async function (app, opts) {
     done(null, { query: payload })
   })
 
+  if (uploads) {
+    app.decorateRequest(kUploads, null)
+    app.addContentTypeParser('multipart/form-data', function (request, payload, done) {
+      request[kUploads] = parseMultipartRequest(request, payload, uploads, done)
+    })
+  }
+
   app.post(graphqlPath, {
     schema: postSchema(allowBatchedQueries),
-    attachValidation: true
+    attachValidation: true,
+    // the requests are rejected before their body and its files are received
+    preParsing: async function (request, reply, payload) {
+      if (graphqlOverHttp) {
+        negotiateResponse(request, reply)
+        // the multipart requests of the uploads are the only bodies not in JSON
+        const contentType = request.headers['content-type']
+        if (!isJSONBody(contentType) && !(uploads && isMultipartBody(contentType))) {
+          throw new MER_ERR_GQL_UNSUPPORTED_MEDIA_TYPE()
+        }
+      }
+      if (csrfPrevention !== null) {
+        validatePreflight(request.headers, csrfPrevention)
+      }
+    }
   }, async function (request, reply) {
+    if (uploads && request[kUploads] !== null) {
+      reply.raw.once('close', request[kUploads].release)
+    }
     validationHandler(request.validationError)
 
+    let result
     if (allowBatchedQueries && Array.isArray(request.body)) {
       // Batched query
-      return Promise.all(request.body.map(r =>
-        execute(r, request, reply)
-          .catch(e => {
-            const { response } = errorFormatter(e)
-            return response
-          })
-      ))
+      result = await executeBatch(request.body, request, reply)
     } else {
       // Regular query
-      return execute(request.body, request, reply)
+      result = sendResult(reply, await execute(request.body, request, reply))
+    }
+
+    // the response is sent when the whole multipart request is received
+    if (uploads && request[kUploads] !== null) {
+      await request[kUploads].finished
     }
+    return result
   })
 
+  if (schemaRoutes) {
+    // the schema changes with replaceSchema and the refreshes of the gateway
+    const sdls = new WeakMap()
+    const introspections = new WeakMap()
+    function getPrinted (cache, print) {
+      const schema = app[name].schema
+      if (!cache.has(schema)) {
+        cache.set(schema, print(schema))
+      }
+      return cache.get(schema)
+    }
+
+    async function validateIntrospection (request, reply) {
+      if (introspection === true) {
+        return
+      }
+
+      let context = {}
+      if (contextFn) {
+        context = await contextFn(request, reply)
+      }
+
+      const allowed = introspection !== false && await introspection(request, { app, reply, pubsub: subscriber, ...context })
+      if (!allowed) {
+        const error = new MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED()
+        const err = new MER_ERR_GQL_VALIDATION()
+        err.errors = [new GraphQLError(error.message, undefined, undefined, undefined, undefined, error, { code: error.code })]
+        throw err
+      }
+    }
+
+    if (schemaRoutes.sdl) {
+      app.get(schemaRoutes.sdl, async function (request, reply) {
+        await validateIntrospection(request, reply)
+        reply.type('text/plain; charset=utf-8')
+        return getPrinted(sdls, printSchemaWithDirectives)
+      })
+    }
+
+    if (schemaRoutes.introspection) {
+      app.get(schemaRoutes.introspection, async function (request, reply) {
+        await validateIntrospection(request, reply)
+        return { data: getPrinted(introspections, introspectionFromSchema) }
+      })
+    }
+  }
+
   if (opts.ide || opts.graphiql) {
     app.register(Static, {
       root: join(__dirname, '../static'),
@@ -0,0 +1,218 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLError,
+  GraphQLScalarType,
+  parse,
+  valueFromASTUntyped
+} = require('graphql')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const INTEGER = /^-?\d+$/
+
+// the dates overflowing their month are parsed as the following month
+function isValidDate (value) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+function parseDateTime (value, node) {
+  if (typeof value === 'string' && DATE_TIME.test(value) && isValidDate(value)) {
+    const date = new Date(value)
+    if (!isNaN(date.getTime())) {
+      return date
+    }
+  }
+  throw new GraphQLError(`DateTime cannot represent an invalid date-time string: ${JSON.stringify(value)}.`, node)
+}
+
+function parseBigInt (value, node) {
+  if ((typeof value === 'number' && Number.isInteger(value)) || (typeof value === 'string' && INTEGER.test(value))) {
+    return BigInt(value)
+  }
+  throw new GraphQLError(`BigInt cannot represent a non-integer value: ${JSON.stringify(value)}.`, node)
+}
+
+function parseEmailAddress (value, node) {
+  if (typeof value === 'string' && EMAIL_ADDRESS.test(value)) {
+    return value
+  }
+  throw new GraphQLError(`EmailAddress cannot represent an invalid email address: ${JSON.stringify(value)}.`, node)
+}
+
+function parseURL (value, node) {
+  if (typeof value === 'string') {
+    try {
+      return new URL(value)
+    } catch (err) {}
+  }
+  throw new GraphQLError(`URL cannot represent an invalid URL: ${JSON.stringify(value)}.`, node)
+}
+
+function parseUUID (value, node) {
+  if (typeof value === 'string' && UUID.test(value)) {
+    return value
+  }
+  throw new GraphQLError(`UUID cannot represent an invalid UUID: ${JSON.stringify(value)}.`, node)
+}
+
+// the literals of the string scalars
+function parseStringLiteral (parseValue) {
+  return function (node) {
+    return parseValue(node.kind === Kind.STRING ? node.value : undefined, node)
+  }
+}
+
+const GraphQLDateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'A date-time string at UTC, such as `2007-12-03T10:15:30Z`, compliant with the `date-time` format of RFC 3339.',
+  serialize (value) {
+    // the dates and the timestamps in milliseconds
+    const date = value instanceof Date || typeof value === 'number' ? new Date(value) : parseDateTime(value)
+    if (isNaN(date.getTime())) {
+      throw new GraphQLError(`DateTime cannot represent an invalid date: ${value}.`)
+    }
+    return date.toISOString()
+  },
+  parseValue: value => parseDateTime(value),
+  parseLiteral: parseStringLiteral(parseDateTime)
+})
+
+const GraphQLJSON = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'The `JSON` scalar type represents any JSON value.',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (node, variables) => valueFromASTUntyped(node, variables)
+})
+
+const GraphQLEmailAddress = new GraphQLScalarType({
+  name: 'EmailAddress',
+  description: 'An email address, such as `john@example.com`.',
+  serialize: value => parseEmailAddress(value),
+  parseValue: value => parseEmailAddress(value),
+  parseLiteral: parseStringLiteral(parseEmailAddress)
+})
+
+const GraphQLURL = new GraphQLScalarType({
+  name: 'URL',
+  description: 'An absolute URL, such as `https://example.com/path`.',
+  serialize: value => (value instanceof URL ? value : parseURL(value)).href,
+  parseValue: value => parseURL(value),
+  parseLiteral: parseStringLiteral(parseURL)
+})
+
+const GraphQLBigInt = new GraphQLScalarType({
+  name: 'BigInt',
+  description: 'An integer of any size, represented by a string in the responses.',
+  serialize: value => (typeof value === 'bigint' ? value : parseBigInt(value)).toString(),
+  parseValue: value => parseBigInt(value),
+  parseLiteral (node) {
+    return parseBigInt(node.kind === Kind.INT || node.kind === Kind.STRING ? node.value : undefined, node)
+  }
+})
+
+const GraphQLUUID = new GraphQLScalarType({
+  name: 'UUID',
+  description: 'A universally unique identifier, such as `123e4567-e89b-12d3-a456-426614174000`.',
+  serialize: value => parseUUID(value),
+  parseValue: value => parseUUID(value),
+  parseLiteral: parseStringLiteral(parseUUID)
+})
+
+const scalars = {
+  DateTime: GraphQLDateTime,
+  JSON: GraphQLJSON,
+  EmailAddress: GraphQLEmailAddress,
+  URL: GraphQLURL,
+  BigInt: GraphQLBigInt,
+  UUID: GraphQLUUID
+}
+
+function buildScalarsOptions (names) {
+  if (names === undefined || names === false) {
+    return null
+  }
+
+  if (names === true) {
+    return Object.values(scalars)
+  }
+
+  if (!Array.isArray(names)) {
+    throw new MER_ERR_INVALID_OPTS('the scalars option must be a boolean or an array of scalar names')
+  }
+
+  return names.map(name => {
+    if (!Object.prototype.hasOwnProperty.call(scalars, name)) {
+      throw new MER_ERR_INVALID_OPTS(`the scalars option has an unknown scalar "${name}"`)
+    }
+    return scalars[name]
+  })
+}
+
+/**
+ * Declares the scalars not defined in the schema source,
+ * so that they are part of the SDL of a federated service
+ */
+function addScalarDefinitions (source, enabled) {
+  const defined = new Set()
+  for (const definition of parse(source).definitions) {
+    if (definition.kind === Kind.SCALAR_TYPE_DEFINITION) {
+      defined.add(definition.name.value)
+    }
+  }
+
+  const definitions = enabled
+    .filter(scalar => !defined.has(scalar.name))
+    .map(scalar => `"""${scalar.description}"""\nscalar ${scalar.name}`)
+  return [...definitions, source].join('\n')
+}
+
+/**
+ * The scalars defined in the schema, by a service of the gateway too,
+ * parse and serialize their values
+ */
+function addScalars (schema, enabled) {
+  for (const scalar of enabled) {
+    const type = schema.getType(scalar.name)
+    if (type instanceof GraphQLScalarType) {
+      type.serialize = scalar.serialize
+      type.parseValue = scalar.parseValue
+      type.parseLiteral = scalar.parseLiteral
+    }
+  }
+}
+
+/**
+ * The variables forwarded by the gateway are sent as JSON,
+ * the bigints parsed by a scalar are sent as strings
+ */
+function toJSONValue (value) {
+  if (typeof value === 'bigint') {
+    return value.toString()
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue)
+  }
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = toJSONValue(item)
+    }
+    return result
+  }
+  return value
+}
+
+module.exports = {
+  scalars,
+  buildScalarsOptions,
+  addScalarDefinitions,
+  addScalars,
+  toJSONValue
+}
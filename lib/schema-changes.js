@@ -0,0 +1,112 @@
+'use strict'
+
+const {
+  GraphQLInterfaceType,
+  GraphQLObjectType,
+  isSpecifiedScalarType,
+  findBreakingChanges,
+  findDangerousChanges,
+  parse,
+  print,
+  validate
+} = require('graphql')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+
+function buildBreakingChangesOptions (rejectBreakingChanges) {
+  if (rejectBreakingChanges === undefined || rejectBreakingChanges === false) {
+    return null
+  }
+
+  if (rejectBreakingChanges === true) {
+    rejectBreakingChanges = {}
+  }
+
+  if (rejectBreakingChanges === null || typeof rejectBreakingChanges !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the rejectBreakingChanges option must be a boolean or an object')
+  }
+
+  const { max = 1024, ttl = 3600000 } = rejectBreakingChanges
+  if (!Number.isInteger(max) || max <= 0) {
+    throw new MER_ERR_INVALID_OPTS('the rejectBreakingChanges.max option must be a positive integer')
+  }
+  if (typeof ttl !== 'number' || ttl <= 0) {
+    throw new MER_ERR_INVALID_OPTS('the rejectBreakingChanges.ttl option must be a positive number')
+  }
+
+  return { max, ttl }
+}
+
+// the types, the fields of the output types and the directives added to the schema
+function findSafeChanges (oldSchema, newSchema) {
+  const changes = []
+  const oldTypes = oldSchema.getTypeMap()
+
+  for (const type of Object.values(newSchema.getTypeMap())) {
+    const oldType = oldTypes[type.name]
+    if (oldType === undefined) {
+      // the standard scalars are in the schema when they are used
+      if (isSpecifiedScalarType(type)) {
+        continue
+      }
+      changes.push({ type: 'TYPE_ADDED', description: `${type.name} was added.` })
+    } else if ((type instanceof GraphQLObjectType && oldType instanceof GraphQLObjectType) ||
+      (type instanceof GraphQLInterfaceType && oldType instanceof GraphQLInterfaceType)) {
+      const oldFields = oldType.getFields()
+      for (const field of Object.keys(type.getFields())) {
+        if (oldFields[field] === undefined) {
+          changes.push({ type: 'FIELD_ADDED', description: `${type.name}.${field} was added.` })
+        }
+      }
+    }
+  }
+
+  for (const directive of newSchema.getDirectives()) {
+    if (oldSchema.getDirective(directive.name) === undefined) {
+      changes.push({ type: 'DIRECTIVE_ADDED', description: `@${directive.name} was added.` })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Returns the changes between two schemas, classified as
+ * BREAKING, DANGEROUS or SAFE
+ */
+function findSchemaChanges (oldSchema, newSchema) {
+  return [
+    ...findBreakingChanges(oldSchema, newSchema).map(change => ({ ...change, criticality: 'BREAKING' })),
+    ...findDangerousChanges(oldSchema, newSchema).map(change => ({ ...change, criticality: 'DANGEROUS' })),
+    ...findSafeChanges(oldSchema, newSchema).map(change => ({ ...change, criticality: 'SAFE' }))
+  ]
+}
+
+/**
+ * Returns the operations valid with the old schema and not with the new one,
+ * the sources that are not valid documents are ignored
+ */
+function findAffectedOperations (oldSchema, newSchema, operations) {
+  const affected = []
+
+  for (let document of operations) {
+    if (typeof document === 'string') {
+      try {
+        document = parse(document)
+      } catch (err) {
+        continue
+      }
+    }
+
+    if (validate(oldSchema, document).length === 0 && validate(newSchema, document).length > 0) {
+      affected.push(print(document))
+    }
+  }
+
+  return affected
+}
+
+module.exports = {
+  buildBreakingChangesOptions,
+  findSchemaChanges,
+  findAffectedOperations
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLObjectType,
+  parse,
+  print,
+  printSchema
+} = require('graphql')
+
+// the directives of the AST nodes not already printed, such as @deprecated
+function withDirectives (node, astNodes) {
+  const printed = new Set(node.directives.map(directive => directive.name.value))
+  const directives = [...node.directives]
+  for (const astNode of astNodes) {
+    if (astNode && astNode.directives) {
+      directives.push(...astNode.directives.filter(directive => !printed.has(directive.name.value)))
+    }
+  }
+  return { ...node, directives }
+}
+
+function withArgumentsDirectives (node, args) {
+  return {
+    ...node,
+    arguments: node.arguments.map(arg => withDirectives(arg, [args.find(({ name }) => name === arg.name.value).astNode]))
+  }
+}
+
+function withTypeDirectives (node, type) {
+  node = withDirectives(node, [type.astNode, ...(type.extensionASTNodes || [])])
+
+  if (type instanceof GraphQLObjectType || type instanceof GraphQLInterfaceType || type instanceof GraphQLInputObjectType) {
+    const fields = type.getFields()
+    node.fields = node.fields.map(field => {
+      const { astNode, args } = fields[field.name.value]
+      field = withDirectives(field, [astNode])
+      return args ? withArgumentsDirectives(field, args) : field
+    })
+  } else if (type instanceof GraphQLEnumType) {
+    node.values = node.values.map(value => withDirectives(value, [type.getValue(value.name.value).astNode]))
+  }
+
+  return node
+}
+
+/**
+ * Prints the schema with the directives applied to the schema, the types,
+ * the fields, the arguments and the enum values by the SDL it was built from.
+ * The types and the fields added with code are printed without directives.
+ */
+function printSchemaWithDirectives (schema) {
+  const document = parse(printSchema(schema))
+  const schemaNodes = [schema.astNode, ...(schema.extensionASTNodes || [])]
+
+  const definitions = document.definitions.map(definition => {
+    if (definition.kind === Kind.DIRECTIVE_DEFINITION) {
+      return definition
+    }
+    if (definition.kind === Kind.SCHEMA_DEFINITION) {
+      return withDirectives(definition, schemaNodes)
+    }
+    return withTypeDirectives(definition, schema.getType(definition.name.value))
+  })
+
+  // the schema definition is not printed for the default root types
+  if (!definitions.some(definition => definition.kind === Kind.SCHEMA_DEFINITION)) {
+    const extension = withDirectives({ kind: Kind.SCHEMA_EXTENSION, directives: [], operationTypes: [] }, schemaNodes)
+    if (extension.directives.length > 0) {
+      definitions.unshift(extension)
+    }
+  }
+
+  return print({ ...document, definitions })
+}
+
+module.exports = printSchemaWithDirectives
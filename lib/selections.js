@@ -0,0 +1,50 @@
+'use strict'
+
+const {
+  Kind,
+  GraphQLIncludeDirective,
+  GraphQLSkipDirective,
+  getDirectiveValues
+} = require('graphql')
+
+// the fragment definitions of a document by name
+function getFragments (document) {
+  const fragments = {}
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition
+    }
+  }
+  return fragments
+}
+
+/**
+ * Whether a selection is included by its `@skip` and `@include` directives.
+ * The selections with invalid variables are included, their errors are
+ * reported by the execution.
+ */
+function shouldInclude (node, variables) {
+  let skip
+  let include
+  try {
+    skip = getDirectiveValues(GraphQLSkipDirective, node, variables)
+    include = getDirectiveValues(GraphQLIncludeDirective, node, variables)
+  } catch (err) {
+    return true
+  }
+
+  if (skip && skip.if === true) {
+    return false
+  }
+
+  if (include && include.if === false) {
+    return false
+  }
+
+  return true
+}
+
+module.exports = {
+  getFragments,
+  shouldInclude
+}
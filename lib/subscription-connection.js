@@ -4,7 +4,9 @@ const on = require('events.on')
 const { subscribe, parse } = require('graphql')
 const { SubscriptionContext } = require('./subscriber')
 const { kEntityResolvers } = require('./gateway/make-resolver')
+const { kLoaders, kFactory } = require('./symbols')
 const sJSON = require('secure-json-parse')
+const queryDepth = require('./queryDepth')
 const {
   GQL_CONNECTION_INIT,
   GQL_CONNECTION_ERROR,
@@ -23,14 +25,17 @@ module.exports = class SubscriptionConnection {
   constructor (socket, {
     subscriber,
     fastify,
+    graphql,
     lruGatewayResolvers,
     entityResolvers,
     context = {},
     onConnect,
     onDisconnect,
-    resolveContext
+    resolveContext,
+    queryDepth
   }) {
     this.fastify = fastify
+    this.graphql = graphql
     this.socket = socket
     this.lruGatewayResolvers = lruGatewayResolvers
     this.entityResolvers = entityResolvers
@@ -42,6 +47,7 @@ module.exports = class SubscriptionConnection {
     this.context = context
     this.isReady = false
     this.resolveContext = resolveContext
+    this.queryDepth = queryDepth
 
     this.socket.on('error', this.handleConnectionClose.bind(this))
     this.handleConnection()
@@ -168,32 +174,43 @@ module.exports = class SubscriptionConnection {
       pubsub: this.subscriber
     })
 
-    const schema = this.fastify ? this.fastify.graphql.schema : undefined
+    const schema = this.graphql ? this.graphql.schema : undefined
 
     // Trigger preSubscriptionParsing hook
     if (this.context.preSubscriptionParsing !== null && typeof schema !== 'undefined' && typeof query === 'string') {
       await preSubscriptionParsingHandler({ schema, source: query, context })
     }
     const document = typeof query !== 'string' ? query : parse(query)
+
+    if (this.queryDepth) {
+      const queryDepthErrors = queryDepth(document.definitions, this.queryDepth)
+      if (queryDepthErrors.length > 0) {
+        throw queryDepthErrors[0]
+      }
+    }
+
     this.subscriptionContexts.set(id, sc)
 
     // Trigger preSubscriptionExecution hook
     if (this.context.preSubscriptionExecution !== null && typeof schema !== 'undefined') {
       await preSubscriptionExecutionHandler({ schema, document, context })
     }
+    const subscriptionContext = {
+      ...context,
+      pubsub: sc,
+      lruGatewayResolvers: this.lruGatewayResolvers,
+      reply: {
+        [kEntityResolvers]: this.entityResolvers,
+        request: { headers: {} }
+      }
+    }
+    this.createLoaders(subscriptionContext)
+
     const subIter = await subscribe(
       schema,
       document,
       {}, // rootValue
-      {
-        ...context,
-        pubsub: sc,
-        lruGatewayResolvers: this.lruGatewayResolvers,
-        reply: {
-          [kEntityResolvers]: this.entityResolvers,
-          request: { headers: {} }
-        }
-      },
+      subscriptionContext,
       variables,
       operationName
     )
@@ -216,11 +233,21 @@ module.exports = class SubscriptionConnection {
         }
       }
       this.sendMessage(GQL_DATA, data.id, value)
+      // the next event is executed when it is requested from the iterator
+      this.createLoaders(subscriptionContext)
     }
 
     this.sendMessage(GQL_COMPLETE, data.id, null)
   }
 
+  // every event of a subscription has its own loaders
+  createLoaders (context) {
+    const factory = this.graphql && this.graphql[kFactory]
+    if (factory) {
+      context[kLoaders] = factory.create(context)
+    }
+  }
+
   async handleGQLStop (data) {
     if (this.context.onSubscriptionEnd) {
       try {
@@ -2,11 +2,11 @@
 
 const fastifyWebsocket = require('fastify-websocket')
 const { assignLifeCycleHooksToContext, Hooks } = require('./hooks')
-const { kHooks } = require('./symbols')
+const { kHooks, kVerifyClients } = require('./symbols')
 const SubscriptionConnection = require('./subscription-connection')
 const GRAPHQL_WS = 'graphql-ws'
 
-function createConnectionHandler ({ subscriber, fastify, onConnect, onDisconnect, lruGatewayResolvers, entityResolversFactory, subscriptionContextFn }) {
+function createConnectionHandler ({ subscriber, fastify, graphql, onConnect, onDisconnect, lruGatewayResolvers, entityResolversFactory, subscriptionContextFn, queryDepth, metrics }) {
   return async (connection, request) => {
     const { socket } = connection
     if (socket.protocol === undefined ||
@@ -24,8 +24,8 @@ function createConnectionHandler ({ subscriber, fastify, onConnect, onDisconnect
       pubsub: subscriber
     }
 
-    if (context.app.graphql && context.app.graphql[kHooks]) {
-      context = assignLifeCycleHooksToContext(context.app.graphql[kHooks], context)
+    if (graphql && graphql[kHooks]) {
+      context = assignLifeCycleHooksToContext(graphql[kHooks], context)
     } else {
       context = assignLifeCycleHooksToContext(new Hooks(), context)
     }
@@ -39,12 +39,14 @@ function createConnectionHandler ({ subscriber, fastify, onConnect, onDisconnect
     const subscriptionConnection = new SubscriptionConnection(socket, {
       subscriber,
       fastify,
+      graphql,
       onConnect,
       onDisconnect,
       lruGatewayResolvers,
       entityResolvers: entityResolversFactory && entityResolversFactory.create(),
       context,
-      resolveContext
+      resolveContext,
+      queryDepth
     })
 
     /* istanbul ignore next */
@@ -54,11 +56,43 @@ function createConnectionHandler ({ subscriber, fastify, onConnect, onDisconnect
     connection.socket.on('close', () => {
       subscriptionConnection.close()
     })
+
+    if (metrics) {
+      metrics.subscriptionConnections.inc()
+      connection.socket.once('close', () => {
+        metrics.subscriptionConnections.dec()
+      })
+    }
+  }
+}
+
+// the path of an upgrade request as the router matches it
+function getRoutePath (fastify, url) {
+  const { ignoreTrailingSlash, caseSensitive } = fastify.initialConfig
+  let path = url.split('?')[0]
+  if (ignoreTrailingSlash && path.endsWith('/')) {
+    path = path.slice(0, -1)
+  }
+  return caseSensitive === false ? path.toLowerCase() : path
+}
+
+// The websocket server is shared by the instances with subscriptions,
+// each connection is verified by the instance of its path.
+function buildVerifyClient (fastify, verifyClients) {
+  return function (info, next) {
+    const verifyClient = verifyClients.get(getRoutePath(fastify, info.req.url))
+    if (verifyClient === undefined) {
+      return next(true)
+    }
+    if (verifyClient.length < 2) {
+      return next(verifyClient(info))
+    }
+    verifyClient(info, next)
   }
 }
 
 module.exports = function (fastify, opts, next) {
-  const { getOptions, subscriber, verifyClient, onConnect, onDisconnect, lruGatewayResolvers, entityResolversFactory, subscriptionContextFn } = opts
+  const { getOptions, name, subscriber, verifyClient, onConnect, onDisconnect, lruGatewayResolvers, entityResolversFactory, subscriptionContextFn, queryDepth, metrics } = opts
 
   // If `fastify.websocketServer` exists, it means `fastify-websocket` already registered.
   // Without this check, fastify-websocket will be registered multiple times and raises FST_ERR_DEC_ALREADY_PRESENT.
@@ -71,18 +105,27 @@ module.exports = function (fastify, opts, next) {
     })
   }
 
+  if (verifyClient && fastify[kVerifyClients]) {
+    fastify[kVerifyClients].set(getRoutePath(fastify, `${fastify.prefix}${getOptions.url}`), verifyClient)
+  }
+
   fastify.route({
     ...getOptions,
     wsHandler: createConnectionHandler({
       subscriber,
       fastify,
+      graphql: fastify[name],
       onConnect,
       onDisconnect,
       lruGatewayResolvers,
       entityResolversFactory,
-      subscriptionContextFn
+      subscriptionContextFn,
+      queryDepth,
+      metrics
     })
   })
 
   next()
 }
+
+module.exports.buildVerifyClient = buildVerifyClient
@@ -3,7 +3,17 @@
 const keys = {
   kLoaders: Symbol('mercurius.loaders'),
   kFactory: Symbol('mercurius.loadersFactory'),
-  kHooks: Symbol('mercurius.hooks')
+  kHooks: Symbol('mercurius.hooks'),
+  kIncremental: Symbol('mercurius.incremental'),
+  kIncrementalExecution: Symbol('mercurius.incrementalExecution'),
+  kIncrementalResolver: Symbol('mercurius.incrementalResolver'),
+  kCachePolicy: Symbol('mercurius.cachePolicy'),
+  kTracer: Symbol('mercurius.tracer'),
+  kTimeout: Symbol('mercurius.timeout'),
+  kPersistedQuery: Symbol('mercurius.persistedQuery'),
+  kAuthorization: Symbol('mercurius.authorization'),
+  kWrappedResolver: Symbol('mercurius.wrappedResolver'),
+  kVerifyClients: Symbol('mercurius.verifyClients')
 }
 
 module.exports = keys
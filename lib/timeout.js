@@ -0,0 +1,76 @@
+'use strict'
+
+const AbortController = require('abort-controller')
+const { MER_ERR_GQL_TIMEOUT } = require('./errors')
+const { kTimeout } = require('./symbols')
+const { addWrapperToResolvers } = require('./wrappers')
+
+function noop () {}
+
+/**
+ * Aborts the signal of an operation when it runs longer than the timeout
+ */
+class OperationTimeout {
+  constructor (ms) {
+    this.controller = new AbortController()
+    this.signal = this.controller.signal
+    this.error = new MER_ERR_GQL_TIMEOUT(ms)
+    this.error.extensions = { code: 'MER_ERR_GQL_TIMEOUT' }
+
+    // rejects the pending resolvers, it is handled to not be reported
+    // as an unhandled rejection when no resolver is pending
+    this.aborted = new Promise((resolve, reject) => {
+      this.signal.addEventListener('abort', () => reject(this.error))
+    })
+    this.aborted.catch(noop)
+
+    this.timer = setTimeout(() => this.controller.abort(), ms)
+  }
+
+  clear () {
+    clearTimeout(this.timer)
+  }
+}
+
+/**
+ * Starts the timeout of an operation and exposes its signal on the context
+ */
+function startTimeout (context, ms) {
+  const timeout = new OperationTimeout(ms)
+  context[kTimeout] = timeout
+  context.signal = timeout.signal
+  return timeout
+}
+
+/**
+ * The resolvers fail with the timeout error when they are pending or called after
+ * the timeout, the execution completes with the data resolved before it
+ */
+function addTimeoutToResolvers (schema) {
+  addWrapperToResolvers(schema, withTimeout)
+}
+
+function withTimeout (resolve) {
+  function resolveWithTimeout (parent, args, context, info) {
+    const timeout = context[kTimeout]
+    if (!timeout) {
+      return resolve.call(this, parent, args, context, info)
+    }
+
+    if (timeout.signal.aborted) {
+      throw timeout.error
+    }
+
+    const result = resolve.call(this, parent, args, context, info)
+    if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+      return Promise.race([result, timeout.aborted])
+    }
+    return result
+  }
+  return resolveWithTimeout
+}
+
+module.exports = {
+  startTimeout,
+  addTimeoutToResolvers
+}
@@ -0,0 +1,159 @@
+'use strict'
+
+const { responsePathAsArray } = require('graphql')
+const { MER_ERR_INVALID_OPTS } = require('./errors')
+const { kTracer } = require('./symbols')
+const { addWrapperToResolvers } = require('./wrappers')
+
+function nanoseconds ([seconds, nanos]) {
+  return seconds * 1e9 + nanos
+}
+
+/**
+ * Collects the timings of an operation in the Apollo tracing format
+ * https://github.com/apollographql/apollo-tracing
+ */
+class Tracer {
+  constructor () {
+    this.startTime = new Date()
+    this.startHrTime = process.hrtime()
+    this.phases = {}
+    this.resolvers = []
+  }
+
+  offset () {
+    return nanoseconds(process.hrtime(this.startHrTime))
+  }
+
+  start (phase) {
+    this.phases[phase] = { startOffset: this.offset(), duration: 0 }
+  }
+
+  end (phase) {
+    const timing = this.phases[phase]
+    timing.duration = this.offset() - timing.startOffset
+  }
+
+  startResolver (info) {
+    const resolver = {
+      path: responsePathAsArray(info.path),
+      parentType: info.parentType.toString(),
+      fieldName: info.fieldName,
+      returnType: info.returnType.toString(),
+      startOffset: this.offset(),
+      duration: 0
+    }
+    this.resolvers.push(resolver)
+
+    return () => {
+      resolver.duration = this.offset() - resolver.startOffset
+    }
+  }
+
+  toJSON () {
+    const duration = this.offset()
+    return {
+      version: 1,
+      startTime: this.startTime.toISOString(),
+      endTime: new Date(this.startTime.getTime() + Math.round(duration / 1e6)).toISOString(),
+      duration,
+      parsing: this.phases.parsing,
+      validation: this.phases.validation,
+      execution: {
+        resolvers: this.resolvers
+      }
+    }
+  }
+}
+
+function buildTracingOptions (tracing) {
+  if (tracing === undefined || tracing === false) {
+    return null
+  }
+
+  if (tracing === true) {
+    tracing = {}
+  }
+
+  if (tracing === null || typeof tracing !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the tracing option must be a boolean or an object')
+  }
+
+  const { header = 'x-mercurius-tracing', enabled } = tracing
+
+  if (header !== false && typeof header !== 'string') {
+    throw new MER_ERR_INVALID_OPTS('the tracing.header option must be a string or false')
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'function') {
+    throw new MER_ERR_INVALID_OPTS('the tracing.enabled option must be a function')
+  }
+
+  return { header: header && header.toLowerCase(), enabled }
+}
+
+/**
+ * An operation is traced when the request has the tracing header set to `true`,
+ * or when the `enabled` function returns true
+ */
+async function isTracingEnabled ({ header, enabled }, context) {
+  const { reply } = context
+  const request = reply ? reply.request : undefined
+
+  if (header && request && request.headers[header] === 'true') {
+    return true
+  }
+
+  if (enabled) {
+    return enabled(request, context)
+  }
+
+  return false
+}
+
+/**
+ * Records the timings of the resolvers of the traced operations,
+ * including the JIT compiled queries and the gateway resolvers
+ */
+function addTracingToResolvers (schema) {
+  addWrapperToResolvers(schema, withTracing)
+}
+
+function withTracing (resolve) {
+  function resolveWithTracing (parent, args, context, info) {
+    const tracer = context[kTracer]
+    if (!tracer) {
+      return resolve.call(this, parent, args, context, info)
+    }
+
+    const end = tracer.startResolver(info)
+    let result
+    try {
+      result = resolve.call(this, parent, args, context, info)
+    } catch (err) {
+      end()
+      throw err
+    }
+
+    if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+      return result.then(value => {
+        end()
+        return value
+      }, err => {
+        end()
+        throw err
+      })
+    }
+
+    end()
+    return result
+  }
+  return resolveWithTracing
+}
+
+module.exports = {
+  Tracer,
+  buildTracingOptions,
+  isTracingEnabled,
+  addTracingToResolvers
+}
@@ -0,0 +1,326 @@
+'use strict'
+
+const Busboy = require('busboy')
+const sJSON = require('secure-json-parse')
+const { Readable } = require('readable-stream')
+const { WriteStream } = require('fs-capacitor')
+const { GraphQLScalarType, GraphQLError } = require('graphql')
+const {
+  MER_ERR_INVALID_OPTS,
+  MER_ERR_GQL_UPLOAD_INVALID,
+  MER_ERR_GQL_UPLOAD_LIMIT
+} = require('./errors')
+
+function noop () {}
+
+/**
+ * The value of an `Upload` variable, resolved when the file is received
+ */
+class Upload {
+  constructor () {
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve
+      this.reject = reject
+    })
+    // the uploads are not always used by the resolvers
+    this.promise.catch(noop)
+  }
+}
+
+const GraphQLUpload = new GraphQLScalarType({
+  name: 'Upload',
+  description: 'The `Upload` scalar type represents a file upload.',
+  parseValue (value) {
+    if (value instanceof Upload) {
+      return value.promise
+    }
+    throw new GraphQLError('Upload value invalid.')
+  },
+  parseLiteral (node) {
+    throw new GraphQLError('Upload literal unsupported.', node)
+  },
+  serialize () {
+    throw new GraphQLError('Upload serialization unsupported.')
+  }
+})
+
+/**
+ * The `Upload` scalar defined in the schema parses the uploaded files
+ */
+function addUploadScalar (schema) {
+  const type = schema.getType('Upload')
+  if (type instanceof GraphQLScalarType) {
+    type.parseValue = GraphQLUpload.parseValue
+    type.parseLiteral = GraphQLUpload.parseLiteral
+    type.serialize = GraphQLUpload.serialize
+  }
+}
+
+/**
+ * Writes a file to a temporary file while the request is parsed, every stream
+ * created by `createReadStream` reads the file from the beginning
+ */
+class UploadedFile {
+  constructor (stream) {
+    this.error = null
+    this.capacitor = new WriteStream()
+    // the error is reported by the streams reading the file
+    this.capacitor.on('error', () => {
+      stream.unpipe(this.capacitor)
+      stream.resume()
+    })
+    stream.pipe(this.capacitor)
+  }
+
+  destroy (error) {
+    this.error = error
+    this.capacitor.destroy(error)
+  }
+
+  // the temporary file is removed when the streams reading it are closed
+  release () {
+    this.capacitor.release()
+  }
+
+  createReadStream () {
+    if (this.error !== null) {
+      const reader = new Readable({ read: noop })
+      reader.destroy(this.error)
+      return reader
+    }
+
+    return this.capacitor.createReadStream()
+  }
+}
+
+function buildUploadOptions (uploads) {
+  if (uploads === undefined || uploads === false) {
+    return null
+  }
+
+  if (uploads === true) {
+    uploads = {}
+  }
+
+  if (uploads === null || typeof uploads !== 'object') {
+    throw new MER_ERR_INVALID_OPTS('the uploads option must be a boolean or an object')
+  }
+
+  const { maxFieldSize = 1024 * 1024, maxFileSize = 10 * 1024 * 1024, maxFiles = 10 } = uploads
+
+  for (const [name, value] of Object.entries({ maxFieldSize, maxFileSize, maxFiles })) {
+    if (typeof value !== 'number' || value <= 0) {
+      throw new MER_ERR_INVALID_OPTS(`the uploads.${name} option must be a positive number`)
+    }
+  }
+
+  return { maxFieldSize, maxFileSize, maxFiles }
+}
+
+// replaces the null placeholder of a file in the operations
+function setUploadAt (operations, path, upload) {
+  const keys = path.split('.')
+  let target = { operations }
+  keys.unshift('operations')
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    target = Object.prototype.hasOwnProperty.call(target, keys[i]) ? target[keys[i]] : undefined
+    if (target === null || typeof target !== 'object') {
+      return false
+    }
+  }
+
+  const key = keys[keys.length - 1]
+  if (!Object.prototype.hasOwnProperty.call(target, key) || target[key] !== null) {
+    return false
+  }
+
+  target[key] = upload
+  return true
+}
+
+function parseField (value, name) {
+  try {
+    return sJSON.parse(value)
+  } catch (err) {
+    throw new MER_ERR_GQL_UPLOAD_INVALID(`invalid JSON in the "${name}" field`)
+  }
+}
+
+// returns the uploads of the files by field name
+function parseMap (operations, map) {
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new MER_ERR_GQL_UPLOAD_INVALID('the "map" field must be an object')
+  }
+
+  const uploads = new Map()
+  for (const [fieldName, paths] of Object.entries(map)) {
+    if (!Array.isArray(paths) || paths.some(path => typeof path !== 'string')) {
+      throw new MER_ERR_GQL_UPLOAD_INVALID(`the "map" entry "${fieldName}" must be an array of paths`)
+    }
+
+    const upload = new Upload()
+    for (const path of paths) {
+      if (!setUploadAt(operations, path, upload)) {
+        throw new MER_ERR_GQL_UPLOAD_INVALID(`the "map" entry "${fieldName}" has an invalid path "${path}"`)
+      }
+    }
+    uploads.set(fieldName, upload)
+  }
+  return uploads
+}
+
+/**
+ * Parses a request of the GraphQL multipart request specification
+ * https://github.com/jaydenseric/graphql-multipart-request-spec
+ *
+ * The body is the operations with the uploads in their variables, it is
+ * available before the files are received. `finished` resolves when the
+ * whole request is parsed, and `release` removes the temporary files.
+ */
+function parseMultipartRequest (request, payload, { maxFieldSize, maxFileSize, maxFiles }, done) {
+  let busboy
+  try {
+    busboy = new Busboy({
+      headers: request.headers,
+      limits: { fieldSize: maxFieldSize, fields: 2, fileSize: maxFileSize, files: maxFiles }
+    })
+  } catch (err) {
+    done(new MER_ERR_GQL_UPLOAD_INVALID(err.message))
+    return null
+  }
+
+  let operations = null
+  let uploads = null
+  let parsed = false
+  let released = false
+  const files = []
+  let finish
+  const finished = new Promise(resolve => { finish = resolve })
+
+  function fail (err) {
+    if (parsed) {
+      return
+    }
+    parsed = true
+    payload.unpipe(busboy)
+    payload.resume()
+
+    if (uploads === null) {
+      done(err)
+    } else {
+      for (const upload of uploads.values()) {
+        upload.reject(err)
+      }
+      for (const file of files) {
+        file.destroy(err)
+      }
+    }
+    finish()
+  }
+
+  busboy.on('field', (name, value, nameTruncated, valueTruncated) => {
+    try {
+      if (valueTruncated) {
+        throw new MER_ERR_GQL_UPLOAD_LIMIT(`The "${name}" field exceeds the ${maxFieldSize} bytes limit`)
+      }
+
+      if (name === 'operations') {
+        operations = parseField(value, name)
+        if (operations === null || typeof operations !== 'object') {
+          throw new MER_ERR_GQL_UPLOAD_INVALID('the "operations" field must be an object or an array')
+        }
+      } else if (name === 'map') {
+        if (operations === null) {
+          throw new MER_ERR_GQL_UPLOAD_INVALID('the "operations" field must be sent before the "map" field')
+        }
+        uploads = parseMap(operations, parseField(value, name))
+        done(null, operations)
+      }
+    } catch (err) {
+      fail(err)
+    }
+  })
+
+  busboy.on('file', (fieldName, stream, filename, encoding, mimetype) => {
+    if (parsed || released) {
+      stream.resume()
+      return
+    }
+
+    if (uploads === null) {
+      stream.resume()
+      fail(new MER_ERR_GQL_UPLOAD_INVALID('the files must be sent after the "map" field'))
+      return
+    }
+
+    const upload = uploads.get(fieldName)
+    if (upload === undefined) {
+      // the files not in the map are ignored
+      stream.resume()
+      return
+    }
+
+    const file = new UploadedFile(stream)
+    files.push(file)
+    stream.on('limit', () => {
+      file.destroy(new MER_ERR_GQL_UPLOAD_LIMIT(`The file "${filename}" exceeds the ${maxFileSize} bytes limit`))
+    })
+
+    upload.resolve({
+      filename,
+      mimetype,
+      encoding,
+      createReadStream: () => file.createReadStream()
+    })
+  })
+
+  busboy.on('filesLimit', () => {
+    fail(new MER_ERR_GQL_UPLOAD_LIMIT(`The request exceeds the ${maxFiles} files limit`))
+  })
+
+  busboy.on('finish', () => {
+    if (uploads === null) {
+      fail(new MER_ERR_GQL_UPLOAD_INVALID('the "operations" and "map" fields are missing'))
+      return
+    }
+
+    parsed = true
+    for (const upload of uploads.values()) {
+      upload.reject(new MER_ERR_GQL_UPLOAD_INVALID('the file is missing'))
+    }
+    finish()
+  })
+
+  busboy.on('error', err => {
+    fail(new MER_ERR_GQL_UPLOAD_INVALID(err.message))
+  })
+
+  request.raw.once('aborted', () => {
+    fail(new MER_ERR_GQL_UPLOAD_INVALID('the request was aborted'))
+  })
+
+  payload.pipe(busboy)
+
+  function release () {
+    released = true
+    for (const file of files) {
+      file.release()
+    }
+  }
+
+  return { finished, release }
+}
+
+// the requests parsed by parseMultipartRequest
+function isMultipartBody (contentType) {
+  return typeof contentType === 'string' && contentType.split(';')[0].trim().toLowerCase() === 'multipart/form-data'
+}
+
+module.exports = {
+  GraphQLUpload,
+  addUploadScalar,
+  buildUploadOptions,
+  isMultipartBody,
+  parseMultipartRequest
+}
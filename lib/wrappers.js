@@ -0,0 +1,40 @@
+'use strict'
+
+const { GraphQLObjectType } = require('graphql')
+const { kWrappedResolver } = require('./symbols')
+
+/**
+ * Wraps the resolver of every field with a resolver, the wrapped
+ * resolver is kept to restore it with `removeWrappersFromResolvers`
+ */
+function addWrapperToResolvers (schema, wrap) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      for (const field of Object.values(type.getFields())) {
+        if (field.resolve) {
+          const resolve = field.resolve
+          field.resolve = wrap(resolve)
+          field.resolve[kWrappedResolver] = resolve
+        }
+      }
+    }
+  }
+}
+
+// the resolvers are restored before they are wrapped again
+function removeWrappersFromResolvers (schema) {
+  for (const type of Object.values(schema.getTypeMap())) {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      for (const field of Object.values(type.getFields())) {
+        while (typeof field.resolve === 'function' && Object.prototype.hasOwnProperty.call(field.resolve, kWrappedResolver)) {
+          field.resolve = field.resolve[kWrappedResolver]
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  addWrapperToResolvers,
+  removeWrappersFromResolvers
+}
@@ -0,0 +1,611 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const WebSocket = require('ws')
+const { once } = require('events')
+const {
+  parse,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+  GraphQLDirective,
+  specifiedDirectives
+} = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  directive @auth(role: String!) on OBJECT | FIELD_DEFINITION
+
+  interface Node {
+    id: ID!
+    secret: String
+  }
+
+  type User implements Node {
+    id: ID!
+    name: String
+    email: String
+    secret: String
+    salary: Int @auth(role: "admin")
+    profile: Profile
+  }
+
+  type Profile {
+    bio: String
+    ssn: String!
+  }
+
+  type Report @auth(role: "admin") {
+    title: String
+    total: Int
+  }
+
+  type Query {
+    me: User
+    users: [User]
+    user(id: ID!): User
+    node(id: ID!): Node
+    report: Report
+  }
+`
+
+const users = [
+  { id: '1', name: 'John', email: 'john@example.com', secret: 'john secret', salary: 1000, profile: { bio: 'bio', ssn: '123' } },
+  { id: '2', name: 'Jane', email: 'jane@example.com', secret: 'jane secret', salary: 2000, profile: { bio: 'bio', ssn: '456' } }
+]
+
+const resolvers = {
+  Query: {
+    me: () => users[0],
+    users: () => users,
+    user: (_, { id }) => users.find(user => user.id === id),
+    node: (_, { id }) => users.find(user => user.id === id),
+    report: () => ({ title: 'report', total: 42 })
+  },
+  Node: {
+    resolveType: () => 'User'
+  }
+}
+
+const authorization = {
+  rules: {
+    User: {
+      email: (context) => context.role === 'admin' || context.role === 'user'
+    },
+    Node: {
+      secret: async (context) => context.role === 'admin'
+    },
+    Query: {
+      user: (context, { args }) => context.role === 'admin' || args.id === '1'
+    },
+    Profile: {
+      ssn: (context) => context.role === 'admin'
+    }
+  },
+  directive: (context, { directive }) => context.role === directive.role
+}
+
+function query (app, query, role, variables) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: role ? { 'x-role': role } : {},
+    body: { query, variables }
+  }).then(res => JSON.parse(res.body))
+}
+
+function unauthorized (coordinate, path, line, column) {
+  return {
+    message: `Unauthorized access to ${coordinate}`,
+    locations: [{ line, column }],
+    path,
+    extensions: { code: 'MER_ERR_GQL_UNAUTHORIZED' }
+  }
+}
+
+test('authorization - rules by type and field', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  t.same(await query(app, '{ me { name email } }', 'user'), {
+    data: { me: { name: 'John', email: 'john@example.com' } }
+  })
+
+  t.same(await query(app, '{ me { name email } }'), {
+    data: { me: { name: 'John', email: null } },
+    errors: [unauthorized('User.email', ['me', 'email'], 1, 13)]
+  })
+
+  const { data, errors } = await query(app, '{ users { email } }')
+  t.same(data, { users: [{ email: null }, { email: null }] })
+  t.same(errors.map(({ path }) => path), [['users', 0, 'email'], ['users', 1, 'email']])
+
+  // the same field selected twice
+  t.same(await query(app, '{ me { email ... on User { email } } }', 'user'), {
+    data: { me: { email: 'john@example.com' } }
+  })
+  t.same((await query(app, '{ me { email ... on User { email } } }')).data, { me: { email: null } })
+})
+
+test('authorization - invalid operations and variables are reported by the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  t.same(await query(app, 'query A { me { email } } query B { me { name } }'), {
+    data: null,
+    errors: [{ message: 'Must provide operation name if query contains multiple operations.' }]
+  })
+
+  const res = await query(app, 'query ($id: ID!) { user(id: $id) { name } }', 'user', { id: {} })
+  t.equal(res.data, null)
+  t.match(res.errors[0].message, 'Variable "$id" got invalid value')
+})
+
+test('authorization - the rules receive the arguments of the field', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  t.same(await query(app, 'query ($id: ID!) { user(id: $id) { name } }', 'user', { id: '1' }), {
+    data: { user: { name: 'John' } }
+  })
+  t.same(await query(app, 'query ($id: ID!) { user(id: $id) { name } }', 'user', { id: '2' }), {
+    data: { user: null },
+    errors: [unauthorized('Query.user', ['user'], 1, 20)]
+  })
+  t.same(await query(app, '{ user(id: "2") { name } }', 'admin'), {
+    data: { user: { name: 'Jane' } }
+  })
+})
+
+test('authorization - auth directive on fields and types', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  t.same(await query(app, '{ me { salary } report { title total } }', 'admin'), {
+    data: { me: { salary: 1000 }, report: { title: 'report', total: 42 } }
+  })
+
+  t.same(await query(app, '{ me { name salary } report { title } }', 'user'), {
+    data: { me: { name: 'John', salary: null }, report: { title: null } },
+    errors: [
+      unauthorized('User.salary', ['me', 'salary'], 1, 13),
+      unauthorized('Report.title', ['report', 'title'], 1, 31)
+    ]
+  })
+})
+
+test('authorization - unauthorized non null fields', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  t.same(await query(app, '{ me { name profile { bio ssn } } }', 'user'), {
+    data: { me: { name: 'John', profile: null } },
+    errors: [unauthorized('Profile.ssn', ['me', 'profile', 'ssn'], 1, 27)]
+  })
+})
+
+test('authorization - interfaces and fragments', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+
+  // the rules of the interface apply to the implementations
+  t.same(await query(app, '{ me { secret } }', 'user'), {
+    data: { me: { secret: null } },
+    errors: [unauthorized('User.secret', ['me', 'secret'], 1, 8)]
+  })
+
+  const res = await query(app, `
+    query {
+      node(id: "1") {
+        secret
+        ... on User { email }
+        ...salary
+      }
+    }
+
+    fragment salary on User {
+      salary
+    }
+  `, 'user')
+  t.same(res.data, { node: { secret: null, email: 'john@example.com', salary: null } })
+  t.same(res.errors.map(({ message }) => message), ['Unauthorized access to Node.secret', 'Unauthorized access to User.salary'])
+
+  t.same(await query(app, '{ node(id: "1") { __typename id ... on User { secret } } }', 'admin'), {
+    data: { node: { __typename: 'User', id: '1', secret: 'john secret' } }
+  })
+
+  t.same(await query(app, '{ me { ... { email } ...email ...email } } fragment email on User { email }'), {
+    data: { me: { email: null } },
+    errors: [{
+      ...unauthorized('User.email', ['me', 'email'], 1, 14),
+      locations: [{ line: 1, column: 14 }, { line: 1, column: 69 }]
+    }]
+  })
+})
+
+test('authorization - schemas built with code', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    context: (request) => ({ role: request.headers['x-role'] }),
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          hello: { type: GraphQLString, resolve: () => 'world' }
+        }
+      }),
+      directives: [
+        ...specifiedDirectives,
+        new GraphQLDirective({ name: 'auth', locations: ['FIELD_DEFINITION'], args: { role: { type: GraphQLString } } })
+      ]
+    }),
+    resolvers: {},
+    authorization: {
+      rules: {
+        Query: {
+          hello: (context) => context.role === 'admin'
+        }
+      },
+      directive: () => false
+    }
+  })
+
+  t.same(await query(app, '{ hello }', 'admin'), { data: { hello: 'world' } })
+  t.same(await query(app, '{ hello }'), {
+    data: { hello: null },
+    errors: [unauthorized('Query.hello', ['hello'], 1, 3)]
+  })
+})
+
+test('authorization - the rules are evaluated once per field of the operation', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    context: (request) => ({ role: request.headers['x-role'] }),
+    authorization: {
+      rules: {
+        User: (context, { type, field }) => {
+          calls.push(`${type.name}.${field.name}`)
+          return true
+        }
+      }
+    }
+  })
+
+  t.same(await query(app, '{ users { name email } }'), {
+    data: { users: [{ name: 'John', email: 'john@example.com' }, { name: 'Jane', email: 'jane@example.com' }] }
+  })
+  t.same(calls, ['User.name', 'User.email'])
+})
+
+test('authorization - errors of the rules', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    context: (request) => ({ role: request.headers['x-role'] }),
+    authorization: {
+      rules: {
+        User: {
+          name: () => { throw new GQL.ErrorWithProps('Login required', { code: 'LOGIN' }) },
+          email: async () => { throw new Error('kaboom') }
+        }
+      }
+    }
+  })
+
+  t.same(await query(app, '{ me { id name email } }'), {
+    data: { me: { id: '1', name: null, email: null } },
+    errors: [
+      { message: 'Login required', locations: [{ line: 1, column: 11 }], path: ['me', 'name'], extensions: { code: 'LOGIN' } },
+      { message: 'kaboom', locations: [{ line: 1, column: 16 }], path: ['me', 'email'] }
+    ]
+  })
+})
+
+test('authorization - jit compiled queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] }),
+    jit: 1
+  })
+
+  for (let i = 0; i < 3; i++) {
+    t.same(await query(app, '{ me { name email salary } }', 'user'), {
+      data: { me: { name: 'John', email: 'john@example.com', salary: null } },
+      errors: [unauthorized('User.salary', ['me', 'salary'], 1, 19)]
+    })
+  }
+})
+
+test('authorization - the fields of a document modified by a preExecution hook', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async () => {
+    return { document: parse('{ me { name email secret } }') }
+  })
+
+  t.same(await query(app, '{ me { name } }'), {
+    data: { me: { name: 'John', email: null, secret: null } },
+    errors: [
+      unauthorized('User.email', ['me', 'email'], 1, 13),
+      unauthorized('User.secret', ['me', 'secret'], 1, 19)
+    ]
+  })
+})
+
+test('authorization - defineResolvers and extendSchema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+  await app.ready()
+
+  app.graphql.extendSchema(`
+    type Payroll @auth(role: "admin") {
+      total: Int
+    }
+
+    extend type Query {
+      payroll: Payroll
+    }
+  `)
+  app.graphql.defineResolvers({
+    Query: {
+      payroll: () => ({ total: 3000 }),
+      me: () => users[1]
+    }
+  })
+
+  t.same(await query(app, '{ me { email } payroll { total } }'), {
+    data: { me: { email: null }, payroll: { total: null } },
+    errors: [
+      unauthorized('User.email', ['me', 'email'], 1, 8),
+      unauthorized('Payroll.total', ['payroll', 'total'], 1, 26)
+    ]
+  })
+  t.same(await query(app, '{ me { email } payroll { total } }', 'admin'), {
+    data: { me: { email: 'jane@example.com' }, payroll: { total: 3000 } }
+  })
+})
+
+test('authorization - the responses with unauthorized fields are not stored', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    resolvers,
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] }),
+    schema: schema.replace('directive @auth', `
+      enum CacheControlScope { PUBLIC PRIVATE }
+      directive @cacheControl(maxAge: Int, scope: CacheControlScope) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+      directive @auth`).replace('me: User', 'me: User @cacheControl(maxAge: 60)'),
+    cacheControl: { store: true }
+  })
+
+  const get = (role) => app.inject({
+    method: 'GET',
+    url: '/graphql?query={me{name email}}',
+    headers: role ? { 'x-role': role } : {}
+  }).then(res => JSON.parse(res.body))
+
+  t.same(await get('user'), { data: { me: { name: 'John', email: 'john@example.com' } } })
+  t.same((await get()).data, { me: { name: 'John', email: null } })
+  t.same(await get('user'), { data: { me: { name: 'John', email: 'john@example.com' } } })
+  t.same((await get()).data, { me: { name: 'John', email: null } })
+})
+
+test('authorization - subscriptions', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: `
+      type Message {
+        text: String
+        author: String
+      }
+
+      type Query {
+        hello: String
+      }
+
+      type Subscription {
+        messageAdded: Message
+      }
+    `,
+    resolvers: {
+      Subscription: {
+        messageAdded: {
+          subscribe: (_, args, { pubsub }) => pubsub.subscribe('MESSAGE_ADDED')
+        }
+      }
+    },
+    subscription: true,
+    authorization: {
+      rules: {
+        Message: {
+          author: (context) => context.role === 'admin'
+        }
+      }
+    }
+  })
+  await app.listen(0)
+
+  const ws = new WebSocket('ws://localhost:' + app.server.address().port + '/graphql', 'graphql-ws')
+  t.teardown(() => ws.close())
+  ws.on('open', () => {
+    ws.send(JSON.stringify({ type: 'connection_init' }))
+    ws.send(JSON.stringify({ id: 1, type: 'start', payload: { query: 'subscription { messageAdded { text author } }' } }))
+  })
+
+  const [ack] = await once(ws, 'message')
+  t.equal(JSON.parse(ack).type, 'connection_ack')
+
+  // the subscription is started after the ack
+  await new Promise(resolve => setTimeout(resolve, 50))
+  await app.graphql.pubsub.publish({ topic: 'MESSAGE_ADDED', payload: { messageAdded: { text: 'hello', author: 'john' } } })
+
+  const [message] = await once(ws, 'message')
+  const { payload } = JSON.parse(message)
+  t.same(payload.data, { messageAdded: { text: 'hello', author: null } })
+  t.equal(payload.errors[0].message, 'Unauthorized access to Message.author')
+})
+
+test('authorization - gateway does not forward the unauthorized fields', async (t) => {
+  const queries = []
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      directive @auth(role: String!) on OBJECT | FIELD_DEFINITION
+
+      extend type Query {
+        me: User
+      }
+
+      type User @key(fields: "id") {
+        id: ID!
+        name: String
+        email: String
+        salary: Int @auth(role: "admin")
+      }
+    `,
+    resolvers: {
+      Query: {
+        me: () => users[0]
+      }
+    },
+    federationMetadata: true
+  })
+  await service.listen(0)
+  service.graphql.addHook('preExecution', async (schema, document, context) => {
+    queries.push(context.reply.request.body.query)
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    authorization,
+    context: (request) => ({ role: request.headers['x-role'] })
+  })
+  await gateway.ready()
+  // the schema of the service is loaded
+  queries.splice(0)
+
+  const res = await query(gateway, '{ me { name email ...salary } } fragment salary on User { salary }')
+  t.same(res, {
+    data: { me: { name: 'John', email: null, salary: null } },
+    errors: [
+      unauthorized('User.email', ['me', 'email'], 1, 13),
+      unauthorized('User.salary', ['me', 'salary'], 1, 59)
+    ]
+  })
+  t.notMatch(queries[0], /^\s*email$/m)
+  t.notMatch(queries[0], /^\s*salary$/m)
+
+  // the forwarded queries of the authorized requests are cached
+  for (let i = 0; i < 2; i++) {
+    t.same(await query(gateway, '{ me { name email ...salary } } fragment salary on User { salary }', 'admin'), {
+      data: { me: { name: 'John', email: 'john@example.com', salary: 1000 } }
+    })
+  }
+  t.match(queries[1], /^\s*email$/m)
+  t.match(queries[1], /^\s*salary$/m)
+
+  // the unauthorized forwarded queries are not cached
+  t.same((await query(gateway, '{ me { name email ...salary } } fragment salary on User { salary }', 'user')).data, {
+    me: { name: 'John', email: 'john@example.com', salary: null }
+  })
+  t.match(queries[3], /^\s*email$/m)
+  t.notMatch(queries[3], /^\s*salary$/m)
+
+  t.same((await query(gateway, '{ me { ... on User { name email } } }')).data, {
+    me: { name: 'John', email: null }
+  })
+  t.match(queries[4], /^\s*name$/m)
+  t.notMatch(queries[4], /^\s*email$/m)
+})
+
+test('authorization - invalid options', async (t) => {
+  const invalid = [
+    null,
+    'admin',
+    { rules: null },
+    { rules: { User: true } },
+    { rules: { User: { email: true } } },
+    { directive: 'auth' },
+    { directive: () => true, directiveName: 1 }
+  ]
+
+  for (const authorization of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, authorization })
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
@@ -297,3 +297,258 @@ test('POST batched query with a resolver which succeeds and a resolver which thr
 
   t.same(JSON.parse(res.body), [{ data: { add: 3 } }, { data: null, errors: [{ message: 'Internal Server Error' }] }])
 })
+
+test('POST batched query with more operations than maxBatchSize', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  app.register(GQL, {
+    schema: 'type Query { add(x: Int, y: Int): Int }',
+    resolvers: {
+      add: async ({ x, y }) => x + y
+    },
+    allowBatchedQueries: { maxBatchSize: 2 }
+  })
+
+  const query = '{ add(x: 1, y: 2) }'
+  let res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [{ query }, { query }]
+  })
+  t.same(JSON.parse(res.body), [{ data: { add: 3 } }, { data: { add: 3 } }])
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [{ query }, { query }, { query }]
+  })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'The batch has 3 operations, the maximum is 2' }] })
+})
+
+test('POST batched query with a concurrency limit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  let pending = 0
+  let maxPending = 0
+  app.register(GQL, {
+    schema: 'type Query { wait(id: Int): Int }',
+    resolvers: {
+      wait: async ({ id }) => {
+        pending++
+        maxPending = Math.max(maxPending, pending)
+        await new Promise(resolve => setImmediate(resolve))
+        pending--
+        return id
+      }
+    },
+    allowBatchedQueries: { concurrency: 2 }
+  })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [1, 2, 3, 4, 5].map(id => ({ query: `{ wait(id: ${id}) }` }))
+  })
+
+  t.same(JSON.parse(res.body), [1, 2, 3, 4, 5].map(id => ({ data: { wait: id } })))
+  t.equal(maxPending, 2)
+})
+
+test('POST batched query shares the context and the loaders of the operations', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  const loaded = []
+  let contexts = 0
+  app.register(GQL, {
+    schema: `
+      type Dog {
+        name: String
+        owner: String
+      }
+
+      type Query {
+        dogs: [Dog]
+        dog(name: String): Dog
+      }
+    `,
+    resolvers: {
+      Query: {
+        dogs: () => [{ name: 'Max' }, { name: 'Charlie' }],
+        dog: (_, { name }) => ({ name })
+      }
+    },
+    loaders: {
+      Dog: {
+        owner: async (queries, context) => {
+          loaded.push({ names: queries.map(({ obj }) => obj.name), user: context.user })
+          return queries.map(({ obj }) => `${obj.name}'s owner`)
+        }
+      }
+    },
+    context: () => ({ user: `user ${++contexts}` }),
+    allowBatchedQueries: true
+  })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [
+      { query: '{ dogs { owner } }' },
+      { query: '{ dog(name: "Max") { owner } }' },
+      { query: '{ dog(name: "Buddy") { owner } }' }
+    ]
+  })
+
+  t.same(JSON.parse(res.body), [
+    { data: { dogs: [{ owner: "Max's owner" }, { owner: "Charlie's owner" }] } },
+    { data: { dog: { owner: "Max's owner" } } },
+    { data: { dog: { owner: "Buddy's owner" } } }
+  ])
+  t.equal(contexts, 1)
+  t.same(loaded, [{ names: ['Max', 'Charlie', 'Buddy'], user: 'user 1' }])
+})
+
+test('POST batched query formats the errors with the context', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  app.register(GQL, {
+    schema: 'type Query { add(x: Int, y: Int): Int }',
+    resolvers: {
+      add: async ({ x, y }) => x + y
+    },
+    context: () => ({ locale: 'it' }),
+    errorFormatter: (err, context) => {
+      t.equal(context.reply.request.url, '/graphql')
+      t.ok(context.app.graphql)
+      return {
+        statusCode: 400,
+        response: {
+          data: null,
+          errors: [{ message: `${context.locale}: ${err.errors[0].message}` }]
+        }
+      }
+    },
+    allowBatchedQueries: true
+  })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [
+      { query: '{ add(x: 1, y: 2) }' },
+      { query: '{ sub(x: 1, y: 2) }' }
+    ]
+  })
+
+  t.same(JSON.parse(res.body), [
+    { data: { add: 3 } },
+    { data: null, errors: [{ message: 'it: Cannot query field "sub" on type "Query".' }] }
+  ])
+})
+
+test('POST batched query with invalid options', async (t) => {
+  const invalid = [
+    ['yes', 'the allowBatchedQueries option must be a boolean or an object'],
+    [null, 'the allowBatchedQueries option must be a boolean or an object'],
+    [{ maxBatchSize: 0 }, 'the allowBatchedQueries.maxBatchSize option must be a positive integer'],
+    [{ concurrency: 1.5 }, 'the allowBatchedQueries.concurrency option must be a positive integer']
+  ]
+
+  for (const [allowBatchedQueries, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema: 'type Query { add(x: Int, y: Int): Int }', allowBatchedQueries })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
+
+test('POST batched query to a gateway shares the entity resolvers of the operations', async (t) => {
+  const userService = Fastify()
+  userService.register(GQL, {
+    schema: `
+      extend type Query {
+        me: User
+      }
+
+      type User @key(fields: "id") {
+        id: ID!
+        name: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        me: () => ({ id: 'u1', name: 'John' })
+      }
+    },
+    federationMetadata: true
+  })
+
+  let entitiesRequests = 0
+  const postService = Fastify()
+  postService.register(GQL, {
+    schema: `
+      type Post @key(fields: "id") {
+        id: ID!
+        title: String
+      }
+
+      extend type User @key(fields: "id") {
+        id: ID! @external
+        posts: [Post]
+      }
+    `,
+    resolvers: {
+      User: {
+        posts: () => [{ id: 'p1', title: 'Hello' }]
+      }
+    },
+    federationMetadata: true
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await userService.close()
+    await postService.close()
+  })
+  await userService.listen(0)
+  await postService.listen(0)
+
+  postService.graphql.addHook('preExecution', async (schema, document) => {
+    if (document.definitions[0].selectionSet.selections[0].name.value === '_entities') {
+      entitiesRequests++
+    }
+  })
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${userService.server.address().port}/graphql`
+      }, {
+        name: 'post',
+        url: `http://localhost:${postService.server.address().port}/graphql`
+      }]
+    },
+    allowBatchedQueries: true
+  })
+
+  const res = await gateway.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [
+      { query: '{ me { posts { title } } }' },
+      { query: '{ me { name posts { id } } }' }
+    ]
+  })
+
+  t.same(JSON.parse(res.body), [
+    { data: { me: { posts: [{ title: 'Hello' }] } } },
+    { data: { me: { name: 'John', posts: [{ id: 'p1' }] } } }
+  ])
+  t.equal(entitiesRequests, 1)
+})
@@ -0,0 +1,559 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  enum CacheControlScope {
+    PUBLIC
+    PRIVATE
+  }
+
+  directive @cacheControl(maxAge: Int, scope: CacheControlScope) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+
+  type Post @cacheControl(maxAge: 240) {
+    id: Int
+    title: String
+    votes: Int @cacheControl(maxAge: 30)
+    author: User
+  }
+
+  type User @cacheControl(scope: PRIVATE) {
+    name: String
+  }
+
+  type Settings {
+    theme: String
+  }
+
+  extend type Settings @cacheControl(maxAge: 5)
+
+  type Query {
+    latestPost: Post @cacheControl(maxAge: 10)
+    post(id: Int): Post
+    me: User @cacheControl(maxAge: 60)
+    settings: Settings
+    hello: String
+    fail: String @cacheControl(maxAge: 100)
+    random: Int @cacheControl(maxAge: 100)
+  }
+
+  type Mutation {
+    vote(id: Int): Post
+  }
+`
+
+function buildResolvers (calls = { count: 0 }) {
+  return {
+    Query: {
+      latestPost: () => ({ id: 1, title: 'Hello', votes: 10, author: { name: 'Jennifer' } }),
+      post: (_, { id }) => {
+        calls.count++
+        return { id, title: `Post ${id}`, votes: 3 }
+      },
+      me: (_, args, { reply }) => {
+        calls.count++
+        return { name: reply ? reply.request.headers['x-user'] : 'Jennifer' }
+      },
+      settings: () => ({ theme: 'dark' }),
+      hello: () => 'world',
+      fail: () => { throw new Error('kaboom') },
+      random: (_, args, context, info) => {
+        info.cacheControl.setCacheHint({ maxAge: 2, scope: 'PRIVATE' })
+        return 4
+      }
+    },
+    Mutation: {
+      vote: (_, { id }, context, info) => {
+        info.cacheControl.setCacheHint({ maxAge: 1000 })
+        return { id, title: `Post ${id}`, votes: 4 }
+      }
+    }
+  }
+}
+
+function get (app, query, variables, headers) {
+  return app.inject({
+    method: 'GET',
+    url: '/graphql',
+    headers,
+    query: variables ? { query, variables: JSON.stringify(variables) } : { query }
+  })
+}
+
+test('cacheControl - the lowest maxAge of the fields and types is used', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  let res = await get(app, '{ latestPost { id title } }')
+  t.equal(res.headers['cache-control'], 'max-age=10, public')
+  t.same(JSON.parse(res.body), { data: { latestPost: { id: 1, title: 'Hello' } } })
+
+  res = await get(app, '{ latestPost { id votes } }')
+  t.equal(res.headers['cache-control'], 'max-age=10, public')
+
+  res = await get(app, '{ post(id: 1) { id } }')
+  t.equal(res.headers['cache-control'], 'max-age=240, public')
+
+  res = await get(app, '{ post(id: 1) { id votes } }')
+  t.equal(res.headers['cache-control'], 'max-age=30, public')
+
+  res = await get(app, '{ settings { theme } }')
+  t.equal(res.headers['cache-control'], 'max-age=5, public')
+})
+
+test('cacheControl - fields without hints use the defaultMaxAge', async (t) => {
+  let app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  // root fields and composite types without maxAge are not cacheable by default
+  let res = await get(app, '{ hello post(id: 1) { id } }')
+  t.equal(res.headers['cache-control'], undefined)
+  res = await get(app, '{ post(id: 1) { id author { name } } }')
+  t.equal(res.headers['cache-control'], undefined)
+
+  app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: { defaultMaxAge: 50 } })
+
+  res = await get(app, '{ hello post(id: 1) { id } }')
+  t.equal(res.headers['cache-control'], 'max-age=50, public')
+  res = await get(app, '{ post(id: 1) { id author { name } } }')
+  t.equal(res.headers['cache-control'], 'max-age=50, private')
+})
+
+test('cacheControl - PRIVATE scope from the type', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  const res = await get(app, '{ me { name } }', null, { 'x-user': 'Tom' })
+  t.equal(res.headers['cache-control'], 'max-age=60, private')
+  t.same(JSON.parse(res.body), { data: { me: { name: 'Tom' } } })
+})
+
+test('cacheControl - hints set by the resolvers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true, jit: 1 })
+  await app.ready()
+
+  for (let i = 0; i < 3; i++) {
+    const res = await get(app, '{ random latestPost { id } }')
+    t.equal(res.headers['cache-control'], 'max-age=2, private')
+  }
+
+  // hints can be set from mutations, they are not cached
+  t.same(await app.graphql('mutation { vote(id: 1) { votes } }'), { data: { vote: { votes: 4 } } })
+})
+
+test('cacheControl - fragments, skipped fields and introspection fields', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  const query = `query ($withVotes: Boolean!) {
+    __typename
+    post(id: 1) {
+      ...PostFields
+      ... on Post { votes @include(if: $withVotes) }
+      ... { author @skip(if: true) { name } }
+    }
+  }
+
+  fragment PostFields on Post {
+    id
+  }`
+
+  let res = await get(app, query, { withVotes: false })
+  t.equal(res.headers['cache-control'], 'max-age=240, public')
+
+  res = await get(app, query, { withVotes: true })
+  t.equal(res.headers['cache-control'], 'max-age=30, public')
+})
+
+test('cacheControl - skipped fields with the default values and the invalid values of the variables', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  let res = await get(app, 'query ($withVotes: Boolean = true) { post(id: 1) { id votes @include(if: $withVotes) } }')
+  t.equal(res.headers['cache-control'], 'max-age=30, public')
+
+  res = await get(app, 'query ($skip: Boolean!) { hello @skip(if: $skip) }', {})
+  t.equal(res.statusCode, 400)
+  t.equal(res.headers['cache-control'], undefined)
+  t.same(JSON.parse(res.body).errors, [{
+    message: 'Variable "$skip" of required type "Boolean!" was not provided.',
+    locations: [{ line: 1, column: 8 }]
+  }])
+})
+
+test('cacheControl - introspection queries are not cacheable', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: { defaultMaxAge: 10 } })
+
+  const res = await get(app, '{ __typename }')
+  t.equal(res.headers['cache-control'], undefined)
+  t.same(JSON.parse(res.body), { data: { __typename: 'Query' } })
+})
+
+test('cacheControl - hints set by the resolvers of a document modified in the preExecution hook', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async (schema, document, context) => {
+    return { document: require('graphql').parse('{ latestPost { id } random }') }
+  })
+
+  const res = await get(app, '{ latestPost { id } }')
+  t.equal(res.headers['cache-control'], 'max-age=2, private')
+  t.same(JSON.parse(res.body), { data: { latestPost: { id: 1 }, random: 4 } })
+})
+
+test('cacheControl - disabled', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: false })
+
+  const res = await get(app, '{ latestPost { id } }')
+  t.equal(res.headers['cache-control'], undefined)
+})
+
+test('cacheControl - responses with errors are not cacheable', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: { store: true } })
+
+  const res = await get(app, '{ fail }')
+  t.equal(res.headers['cache-control'], undefined)
+  t.equal(JSON.parse(res.body).errors[0].message, 'kaboom')
+})
+
+test('cacheControl - the header is set only for GET requests', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ latestPost { id } }' }
+  })
+  t.equal(res.headers['cache-control'], undefined)
+  t.same(JSON.parse(res.body), { data: { latestPost: { id: 1 } } })
+})
+
+test('cacheControl - schema without the directive', async (t) => {
+  const app = Fastify()
+  app.register(GQL, {
+    schema: 'type Query { hello: String }',
+    resolvers: { Query: { hello: () => 'world' } },
+    cacheControl: { defaultMaxAge: 20 }
+  })
+  await app.ready()
+  t.teardown(app.close.bind(app))
+
+  const res = await get(app, '{ hello }')
+  t.equal(res.headers['cache-control'], 'max-age=20, public')
+})
+
+test('cacheControl - resolvers defined after the registration expose info.cacheControl', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true })
+  await app.ready()
+
+  app.graphql.extendSchema('extend type Query { answer: Int }')
+  app.graphql.defineResolvers({
+    Query: {
+      answer: (_, args, context, info) => {
+        info.cacheControl.setCacheHint({ maxAge: 3 })
+        return 42
+      }
+    }
+  })
+
+  let res = await get(app, '{ answer latestPost { id } }')
+  t.equal(res.headers['cache-control'], 'max-age=3, public')
+
+  // resolvers already wrapped keep working
+  res = await get(app, '{ random }')
+  t.equal(res.headers['cache-control'], 'max-age=2, private')
+
+  app.graphql.replaceSchema(require('graphql').buildSchema('type Query { answer: Int }'))
+  app.graphql.defineResolvers({
+    Query: {
+      answer: (_, args, context, info) => {
+        info.cacheControl.setCacheHint({ maxAge: 7 })
+        return 42
+      }
+    }
+  })
+
+  res = await get(app, '{ answer }')
+  t.equal(res.headers['cache-control'], 'max-age=7, public')
+})
+
+test('cacheControl - incremental responses are not cacheable', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), cacheControl: true, defer: true })
+
+  const res = await get(app, '{ latestPost { id ... @defer { title } } }', null, { accept: 'multipart/mixed' })
+  t.equal(res.headers['cache-control'], undefined)
+  t.match(res.headers['content-type'], /multipart\/mixed/)
+})
+
+test('cacheControl - responses are stored in memory', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), cacheControl: { store: true } })
+  await app.ready()
+
+  const query = 'query ($id: Int) { post(id: $id) { id title } }'
+
+  let res = await get(app, query, { id: 1 })
+  t.equal(res.headers['cache-control'], 'max-age=240, public')
+  t.equal(res.headers.age, undefined)
+
+  res = await get(app, query, { id: 1 })
+  t.equal(res.headers['cache-control'], 'max-age=240, public')
+  t.equal(res.headers.age, 0)
+  t.same(JSON.parse(res.body), { data: { post: { id: 1, title: 'Post 1' } } })
+  t.equal(calls.count, 1)
+
+  // POST requests and app.graphql use the stored responses too
+  t.same(await app.graphql(query, null, { id: 1 }), { data: { post: { id: 1, title: 'Post 1' } } })
+  t.equal(calls.count, 1)
+
+  res = await get(app, query, { id: 2 })
+  t.same(JSON.parse(res.body), { data: { post: { id: 2, title: 'Post 2' } } })
+  t.equal(calls.count, 2)
+})
+
+test('cacheControl - the hooks and the metrics apply to the stored responses', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers: buildResolvers(calls),
+    cacheControl: { store: true },
+    metrics: true
+  })
+  await app.ready()
+
+  const resolutions = []
+  app.graphql.addHook('preExecution', async (schema, document, context) => {
+    if (context.reply.request.headers['x-banned']) {
+      throw new Error('banned')
+    }
+  })
+  app.graphql.addHook('onResolution', async (execution) => {
+    resolutions.push(execution.data)
+  })
+
+  const query = '{ post(id: 1) { id title } }'
+
+  t.same(JSON.parse((await get(app, query)).body), { data: { post: { id: 1, title: 'Post 1' } } })
+  t.same(JSON.parse((await get(app, query)).body), { data: { post: { id: 1, title: 'Post 1' } } })
+  t.equal(calls.count, 1)
+  t.same(resolutions, [{ post: { id: 1, title: 'Post 1' } }, { post: { id: 1, title: 'Post 1' } }])
+
+  const res = await get(app, query, null, { 'x-banned': 'true' })
+  t.equal(res.statusCode, 500)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'banned' }] })
+
+  const metrics = app.graphql.metrics.serialize()
+  t.match(metrics, 'mercurius_cache_hits_total{cache="responses"} 1\n')
+  t.match(metrics, 'mercurius_cache_misses_total{cache="responses"} 1\n')
+})
+
+test('cacheControl - the responses of the documents modified in the preExecution hook are not stored', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), cacheControl: { store: true } })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async (schema, document, context) => {
+    return { document: require('graphql').parse('{ post(id: 2) { id title } }') }
+  })
+
+  for (let i = 0; i < 2; i++) {
+    const res = await get(app, '{ post(id: 1) { id title } }')
+    t.same(JSON.parse(res.body), { data: { post: { id: 2, title: 'Post 2' } } })
+  }
+  t.equal(calls.count, 2)
+})
+
+test('cacheControl - stored responses of the jit compiled queries', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), cacheControl: { store: true }, jit: 1 })
+
+  for (let i = 0; i < 3; i++) {
+    const res = await get(app, '{ post(id: 1) { id title } }')
+    t.same(JSON.parse(res.body), { data: { post: { id: 1, title: 'Post 1' } } })
+  }
+  t.equal(calls.count, 1)
+})
+
+test('cacheControl - stored responses expire', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), cacheControl: { store: 10 } })
+
+  const now = Date.now
+  t.teardown(() => { Date.now = now })
+  let time = now()
+  Date.now = () => time
+
+  await get(app, '{ post(id: 1) { id } }')
+  time += 100 * 1000
+  const res = await get(app, '{ post(id: 1) { id } }')
+  t.equal(res.headers.age, 100)
+  t.equal(calls.count, 1)
+
+  time += 200 * 1000
+  await get(app, '{ post(id: 1) { id } }')
+  t.equal(calls.count, 2)
+})
+
+test('cacheControl - private responses are stored by scope', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers: buildResolvers(calls),
+    cacheControl: {
+      store: true,
+      scopeKey: ({ reply }) => reply.request.headers['x-user']
+    }
+  })
+
+  let res = await get(app, '{ me { name } }', null, { 'x-user': 'Tom' })
+  t.same(JSON.parse(res.body), { data: { me: { name: 'Tom' } } })
+  res = await get(app, '{ me { name } }', null, { 'x-user': 'Sarah' })
+  t.same(JSON.parse(res.body), { data: { me: { name: 'Sarah' } } })
+  t.equal(calls.count, 2)
+
+  res = await get(app, '{ me { name } }', null, { 'x-user': 'Tom' })
+  t.same(JSON.parse(res.body), { data: { me: { name: 'Tom' } } })
+  t.equal(res.headers['cache-control'], 'max-age=60, private')
+  t.equal(calls.count, 2)
+
+  // public responses are shared between the scopes
+  await get(app, '{ post(id: 1) { id } }', null, { 'x-user': 'Tom' })
+  await get(app, '{ post(id: 1) { id } }', null, { 'x-user': 'Sarah' })
+  t.equal(calls.count, 3)
+})
+
+test('cacheControl - private responses are not stored without a scope', async (t) => {
+  const calls = { count: 0 }
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), cacheControl: { store: true } })
+
+  await get(app, '{ me { name } }', null, { 'x-user': 'Tom' })
+  const res = await get(app, '{ me { name } }', null, { 'x-user': 'Sarah' })
+  t.same(JSON.parse(res.body), { data: { me: { name: 'Sarah' } } })
+  t.equal(calls.count, 2)
+})
+
+test('cacheControl - custom store', async (t) => {
+  const calls = { count: 0 }
+  const entries = new Map()
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers: buildResolvers(calls),
+    cacheControl: {
+      store: {
+        async get (key) {
+          return entries.get(key)
+        },
+        async set (key, value, maxAge) {
+          t.equal(maxAge, 30)
+          entries.set(key, value)
+        }
+      }
+    }
+  })
+
+  await get(app, '{ post(id: 1) { votes } }')
+  const res = await get(app, '{ post(id: 1) { votes } }')
+  t.same(JSON.parse(res.body), { data: { post: { votes: 3 } } })
+  t.equal(calls.count, 1)
+  t.equal(entries.size, 1)
+  t.same(JSON.parse([...entries.values()][0]).result, { data: { post: { votes: 3 } } })
+})
+
+test('cacheControl - store errors are logged', async (t) => {
+  const calls = { count: 0 }
+  const messages = []
+  const app = Fastify({
+    logger: {
+      level: 'warn',
+      stream: {
+        write (line) {
+          messages.push(JSON.parse(line).msg)
+        }
+      }
+    }
+  })
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers: buildResolvers(calls),
+    cacheControl: {
+      store: {
+        get () {
+          throw new Error('get failed')
+        },
+        set () {
+          throw new Error('set failed')
+        }
+      }
+    }
+  })
+
+  const res = await get(app, '{ post(id: 1) { id } }')
+  t.same(JSON.parse(res.body), { data: { post: { id: 1 } } })
+  t.equal(res.headers['cache-control'], 'max-age=240, public')
+  t.same(messages, [
+    'unable to load the response from the cache store',
+    'unable to save the response in the cache store'
+  ])
+})
+
+test('cacheControl - invalid options', async (t) => {
+  const options = [
+    'yes',
+    null,
+    { defaultMaxAge: '10' },
+    { scopeKey: 'x-user' },
+    { store: 'redis' },
+    { store: null },
+    { store: { get () {} } }
+  ]
+
+  for (const cacheControl of options) {
+    const app = Fastify()
+    app.register(GQL, { schema, cacheControl })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
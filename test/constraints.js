@@ -0,0 +1,421 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLDirective,
+  specifiedDirectives,
+  buildSchema
+} = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  directive @constraint(
+    minLength: Int
+    maxLength: Int
+    pattern: String
+    min: Float
+    max: Float
+    format: String
+  ) on ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION
+
+  input UserInput {
+    name: String! @constraint(minLength: 2, maxLength: 10)
+    email: String @constraint(format: "email")
+    age: Int @constraint(min: 18, max: 150)
+    tags: [String!] @constraint(pattern: "^[a-z]+$")
+    address: AddressInput
+    active: Boolean @constraint(minLength: 1)
+  }
+
+  input AddressInput {
+    zip: String @constraint(pattern: "^[0-9]{5}$")
+  }
+
+  type User {
+    id: ID!
+    name: String
+    posts(first: Int = 100 @constraint(max: 50), after: String): [String]
+  }
+
+  type Query {
+    users(search: String @constraint(minLength: 3), limit: Int = 10 @constraint(min: 1, max: 100)): [User]
+    formats(
+      email: String @constraint(format: "email")
+      uri: String @constraint(format: "uri")
+      uuid: String @constraint(format: "uuid")
+      date: String @constraint(format: "date")
+      dateTime: String @constraint(format: "date-time")
+      ipv4: String @constraint(format: "ipv4")
+      ipv6: String @constraint(format: "ipv6")
+      slug: String @constraint(format: "slug")
+    ): Boolean
+  }
+
+  type Mutation {
+    createUser(input: UserInput!): User
+  }
+`
+
+const formats = { slug: value => /^[a-z-]+$/.test(value) }
+
+function buildResolvers (calls = []) {
+  return {
+    Query: {
+      users: (_, args) => {
+        calls.push(['users', args])
+        return [{ id: '1', name: 'John' }]
+      },
+      formats: () => true
+    },
+    Mutation: {
+      createUser: (_, { input }) => {
+        calls.push(['createUser', input])
+        return { id: '2', name: input.name }
+      }
+    },
+    User: {
+      posts: () => ['post']
+    }
+  }
+}
+
+async function query (app, query, variables) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query, variables }
+  })
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) }
+}
+
+function violation (message, constraint, argumentPath, line, column) {
+  return {
+    message,
+    locations: [{ line, column }],
+    extensions: { code: 'MER_ERR_GQL_CONSTRAINT', constraint, argumentPath }
+  }
+}
+
+test('constraints - literal arguments', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), constraints: { formats } })
+
+  t.same(await query(app, '{ users(search: "John") { name } }'), {
+    statusCode: 200,
+    body: { data: { users: [{ name: 'John' }] } }
+  })
+
+  t.same(await query(app, '{ users(search: "Jo", limit: 0) { name } }'), {
+    statusCode: 400,
+    body: {
+      data: null,
+      errors: [
+        violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['users', 'search'], 1, 9),
+        violation('Argument "limit" of "Query.users" must be at least 1', 'min', ['users', 'limit'], 1, 23)
+      ]
+    }
+  })
+
+  t.same(calls, [['users', { search: 'John', limit: 10 }]])
+})
+
+test('constraints - variables and input objects', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), constraints: { formats } })
+
+  const mutation = 'mutation ($input: UserInput!) { createUser(input: $input) { name } }'
+
+  t.same(await query(app, mutation, {
+    input: { name: 'Jane', email: 'jane@example.com', age: 30, tags: ['a', 'b'], address: { zip: '12345' }, active: true }
+  }), {
+    statusCode: 200,
+    body: { data: { createUser: { name: 'Jane' } } }
+  })
+
+  t.same(await query(app, mutation, {
+    input: { name: 'J', email: 'jane', age: 200, tags: ['a', 'B', 'c1'], address: { zip: '123' } }
+  }), {
+    statusCode: 400,
+    body: {
+      data: null,
+      errors: [
+        violation('Argument "input.name" of "Mutation.createUser" must be at least 2 characters long', 'minLength', ['createUser', 'input', 'name'], 1, 44),
+        violation('Argument "input.email" of "Mutation.createUser" must be a valid email', 'format', ['createUser', 'input', 'email'], 1, 44),
+        violation('Argument "input.age" of "Mutation.createUser" must be at most 150', 'max', ['createUser', 'input', 'age'], 1, 44),
+        violation('Argument "input.tags.1" of "Mutation.createUser" must match the pattern /^[a-z]+$/', 'pattern', ['createUser', 'input', 'tags', 1], 1, 44),
+        violation('Argument "input.tags.2" of "Mutation.createUser" must match the pattern /^[a-z]+$/', 'pattern', ['createUser', 'input', 'tags', 2], 1, 44),
+        violation('Argument "input.address.zip" of "Mutation.createUser" must match the pattern /^[0-9]{5}$/', 'pattern', ['createUser', 'input', 'address', 'zip'], 1, 44)
+      ]
+    }
+  })
+
+  // the literal input objects
+  const { statusCode, body } = await query(app, 'mutation { created: createUser(input: { name: "Jane Elizabeth Doe", age: 17 }) { name } }')
+  t.equal(statusCode, 400)
+  t.same(body.errors, [
+    violation('Argument "input.name" of "Mutation.createUser" must be at most 10 characters long', 'maxLength', ['created', 'input', 'name'], 1, 32),
+    violation('Argument "input.age" of "Mutation.createUser" must be at least 18', 'min', ['created', 'input', 'age'], 1, 32)
+  ])
+
+  t.same(calls, [['createUser', { name: 'Jane', email: 'jane@example.com', age: 30, tags: ['a', 'b'], address: { zip: '12345' }, active: true }]])
+})
+
+test('constraints - nested fields, fragments and default values', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), constraints: { formats } })
+
+  t.same(await query(app, '{ users { posts(first: 10, after: "1") } }'), {
+    statusCode: 200,
+    body: { data: { users: [{ posts: ['post'] }] } }
+  })
+
+  const { statusCode, body } = await query(app, `
+    query ($search: String, $skip: Boolean!) {
+      users(search: $search) { ...posts ... on User { ...posts } ... { id } }
+      skipped: users(search: "a") @skip(if: $skip) { id }
+      included: users(search: "b") @include(if: $skip) { id }
+      excluded: users(search: "c") @include(if: false) { id }
+      __typename
+    }
+    fragment posts on User { posts }
+  `, { search: 'a', skip: true })
+
+  t.equal(statusCode, 400)
+  t.same(body.errors, [
+    violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['users', 'search'], 3, 13),
+    violation('Argument "first" of "User.posts" must be at most 50', 'max', ['posts', 'first'], 9, 30),
+    violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['included', 'search'], 5, 23)
+  ])
+})
+
+test('constraints - formats', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), constraints: { formats } })
+
+  t.same(await query(app, `{
+    formats(
+      email: "john@example.com"
+      uri: "https://example.com/path"
+      uuid: "123e4567-e89b-12d3-a456-426614174000"
+      date: "2020-01-31"
+      dateTime: "2020-01-31T10:00:00.000Z"
+      ipv4: "127.0.0.1"
+      ipv6: "::1"
+      slug: "a-slug"
+    )
+  }`), {
+    statusCode: 200,
+    body: { data: { formats: true } }
+  })
+
+  const { statusCode, body } = await query(app, `{
+    formats(
+      email: "john@example"
+      uri: "example.com"
+      uuid: "123e4567"
+      date: "2020-13-45"
+      dateTime: "2020-01-31 10:00"
+      ipv4: "::1"
+      ipv6: "127.0.0.1"
+      slug: "A slug"
+    )
+  }`)
+  t.equal(statusCode, 400)
+  t.same(body.errors.map(({ message }) => message), [
+    'Argument "email" of "Query.formats" must be a valid email',
+    'Argument "uri" of "Query.formats" must be a valid uri',
+    'Argument "uuid" of "Query.formats" must be a valid uuid',
+    'Argument "date" of "Query.formats" must be a valid date',
+    'Argument "dateTime" of "Query.formats" must be a valid date-time',
+    'Argument "ipv4" of "Query.formats" must be a valid ipv4',
+    'Argument "ipv6" of "Query.formats" must be a valid ipv6',
+    'Argument "slug" of "Query.formats" must be a valid slug'
+  ])
+})
+
+test('constraints - jit compiled queries', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), constraints: { formats }, jit: 1 })
+
+  const users = 'query ($search: String) { users(search: $search) { name } }'
+
+  for (let i = 0; i < 3; i++) {
+    t.same((await query(app, users, { search: 'John' })).body, { data: { users: [{ name: 'John' }] } })
+    t.same((await query(app, users, { search: 'Jo' })).body.errors, [
+      violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['users', 'search'], 1, 33)
+    ])
+  }
+
+  t.equal(calls.length, 3)
+})
+
+test('constraints - invalid operations and variables are reported by the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), constraints: { formats } })
+
+  t.same((await query(app, 'query A { users { id } } query B { users { name } }')).body, {
+    data: null,
+    errors: [{ message: 'Must provide operation name if query contains multiple operations.' }]
+  })
+
+  const { body } = await query(app, 'query ($search: String) { users(search: $search) { id } }', { search: {} })
+  t.equal(body.data, null)
+  t.match(body.errors[0].message, 'Variable "$search" got invalid value')
+})
+
+test('constraints - code first schema', async (t) => {
+  const app = Fastify()
+  app.register(GQL, {
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          users: {
+            type: new GraphQLList(GraphQLString),
+            args: { search: { type: GraphQLString } },
+            resolve: () => ['John']
+          }
+        }
+      }),
+      directives: [
+        ...specifiedDirectives,
+        new GraphQLDirective({
+          name: 'constraint',
+          args: { minLength: { type: GraphQLInt } },
+          locations: ['ARGUMENT_DEFINITION']
+        })
+      ]
+    }),
+    constraints: true
+  })
+  t.teardown(app.close.bind(app))
+
+  // the arguments without a definition node have no constraints
+  t.same((await query(app, '{ users(search: "J") }')).body, { data: { users: ['John'] } })
+})
+
+test('constraints - a custom directive name', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: `
+      directive @check(minLength: Int) on ARGUMENT_DEFINITION
+
+      type Query {
+        users(search: String @check(minLength: 3)): [String]
+      }
+    `,
+    resolvers: {
+      Query: {
+        users: () => ['John']
+      }
+    },
+    constraints: { directiveName: 'check' }
+  })
+
+  t.same((await query(app, '{ users(search: "John") }')).body, { data: { users: ['John'] } })
+  t.same((await query(app, '{ users(search: "Jo") }')).body.errors, [
+    violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['users', 'search'], 1, 9)
+  ])
+})
+
+test('constraints - no validation without the directive in the schema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    constraints: { formats },
+    schema: `
+      type Query {
+        users(search: String): [String]
+      }
+    `,
+    resolvers: {
+      Query: {
+        users: () => ['John']
+      }
+    }
+  })
+
+  t.same((await query(app, '{ users(search: "J") }')).body, { data: { users: ['John'] } })
+})
+
+test('constraints - disabled by default', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(calls), constraints: false })
+
+  t.same((await query(app, '{ users(search: "J", limit: 1000) { name } }')).body, { data: { users: [{ name: 'John' }] } })
+  t.same(calls, [['users', { search: 'J', limit: 1000 }]])
+})
+
+test('constraints - enabled with true', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    resolvers: buildResolvers(),
+    schema: schema.replace(' @constraint(format: "slug")', ''),
+    constraints: true
+  })
+
+  t.same((await query(app, '{ users(search: "J") { name } }')).body.errors, [
+    violation('Argument "search" of "Query.users" must be at least 3 characters long', 'minLength', ['users', 'search'], 1, 9)
+  ])
+})
+
+test('constraints - unknown format', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), constraints: true })
+
+  await t.rejects(app.ready(), { message: 'Invalid options: unknown format "slug" of the @constraint directive' })
+})
+
+test('constraints - unknown format in a replaced or extended schema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), constraints: { formats } })
+  await app.ready()
+
+  const message = 'Invalid options: unknown format "phone" of the @constraint directive'
+  t.throws(() => app.graphql.replaceSchema(buildSchema(schema.replace('format: "email"', 'format: "phone"'))), { message })
+  t.throws(() => app.graphql.extendSchema('extend type Query { call(phone: String @constraint(format: "phone")): Boolean }'), { message })
+  t.throws(() => app.graphql.extendSchema('input CallInput { phone: String @constraint(format: "phone") }'), { message })
+  t.throws(() => app.graphql.extendSchema('interface Phone { call(phone: String @constraint(format: "phone")): Boolean }'), { message })
+
+  // the schema is kept
+  t.ok(app.graphql.schema.getType('UserInput'))
+  t.equal(app.graphql.schema.getType('CallInput'), undefined)
+  t.equal((await query(app, '{ formats(email: "a@b.co") }')).statusCode, 200)
+})
+
+test('constraints - invalid options', async (t) => {
+  const invalid = [
+    [null, 'the constraints option must be a boolean or an object'],
+    ['yes', 'the constraints option must be a boolean or an object'],
+    [{ formats: null }, 'the constraints.formats option must be an object of functions'],
+    [{ formats: { slug: /^[a-z]+$/ } }, 'the constraints.formats option must be an object of functions'],
+    [{ directiveName: 42 }, 'the constraints.directiveName option must be a string']
+  ]
+
+  for (const [constraints, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, constraints })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
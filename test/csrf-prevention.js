@@ -0,0 +1,124 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y
+  }
+}
+
+const blocked = {
+  data: null,
+  errors: [{
+    message: 'The operation is blocked as a potential Cross-Site Request Forgery, send a content-type header other than application/x-www-form-urlencoded, multipart/form-data, text/plain or a value for one of these headers: x-apollo-operation-name, apollo-require-preflight'
+  }]
+}
+
+test('csrf prevention - block the GET requests without a preflight header', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, csrfPrevention: true })
+
+  let res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}' })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), blocked)
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { 'apollo-require-preflight': '' } })
+  t.equal(res.statusCode, 400)
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { 'content-type': '' } })
+  t.equal(res.statusCode, 400)
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { 'content-type': 'application/json' } })
+  t.equal(res.statusCode, 200)
+
+  for (const header of ['x-apollo-operation-name', 'apollo-require-preflight']) {
+    res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { [header]: 'true' } })
+    t.equal(res.statusCode, 200)
+    t.same(JSON.parse(res.body), { data: { add: 4 } })
+  }
+})
+
+test('csrf prevention - block the POST requests with a simple content type', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, csrfPrevention: true })
+
+  for (const contentType of ['text/plain', 'TEXT/PLAIN; charset=utf-8']) {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/graphql',
+      headers: { 'content-type': contentType },
+      body: JSON.stringify({ query: '{ add(x: 1, y: 2) }' })
+    })
+    t.equal(res.statusCode, 400)
+    t.same(JSON.parse(res.body), blocked)
+  }
+
+  for (const contentType of ['application/json', 'application/graphql']) {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/graphql',
+      headers: { 'content-type': contentType },
+      body: contentType === 'application/json' ? JSON.stringify({ query: '{ add(x: 1, y: 2) }' }) : '{ add(x: 1, y: 2) }'
+    })
+    t.equal(res.statusCode, 200)
+    t.same(JSON.parse(res.body), { data: { add: 3 } })
+  }
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'text/plain', 'x-apollo-operation-name': 'Add' },
+    body: '{ add(x: 1, y: 2) }'
+  })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body).errors, [{ message: 'body should be object' }])
+})
+
+test('csrf prevention - custom request headers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, csrfPrevention: { requestHeaders: ['X-Requested-With'] } })
+
+  let res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { 'x-apollo-operation-name': 'Add' } })
+  t.equal(res.statusCode, 400)
+  t.match(JSON.parse(res.body).errors[0].message, 'one of these headers: x-requested-with')
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}', headers: { 'x-requested-with': 'XMLHttpRequest' } })
+  t.equal(res.statusCode, 200)
+})
+
+test('csrf prevention - disabled by default', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+
+  const res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}' })
+  t.equal(res.statusCode, 200)
+})
+
+test('csrf prevention - invalid options', async (t) => {
+  const invalid = [
+    ['yes', 'the csrfPrevention option must be a boolean or an object'],
+    [null, 'the csrfPrevention option must be a boolean or an object'],
+    [{ requestHeaders: 'x-csrf' }, 'the csrfPrevention.requestHeaders option must be an array of header names'],
+    [{ requestHeaders: [] }, 'the csrfPrevention.requestHeaders option must be an array of header names'],
+    [{ requestHeaders: [''] }, 'the csrfPrevention.requestHeaders option must be an array of header names']
+  ]
+
+  for (const [csrfPrevention, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, csrfPrevention })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
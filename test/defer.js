@@ -0,0 +1,853 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const http = require('http')
+const { once } = require('events')
+const GQL = require('..')
+const { buildIncrementalPlan, isIncrementalResult } = require('../lib/incremental')
+const { parse, execute, graphql } = require('graphql')
+const { promisify } = require('util')
+const immediate = promisify(setImmediate)
+
+const schema = `
+  type Human {
+    name: String!
+    friends: [Human]
+  }
+
+  type Dog {
+    name: String!
+    owner: Human
+    breed: String
+  }
+
+  type Query {
+    hello: String
+    dogs: [Dog]
+    noDogs: [Dog]
+    lostDogs: [Dog]
+    human: Human
+    fail: String
+    add(x: Int!, y: Int!): Int
+    numbers: [Int]
+  }
+`
+
+const owners = {
+  Max: { name: 'Jennifer' },
+  Rex: { name: 'Simon' }
+}
+
+const resolvers = {
+  Query: {
+    hello: () => 'world',
+    dogs: async () => [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }],
+    noDogs: () => [],
+    lostDogs: () => null,
+    human: () => ({ name: 'Jennifer' }),
+    fail: () => { throw new Error('kaboom') },
+    add: (_, { x, y }) => x + y,
+    numbers: () => [1, 2, 3]
+  },
+  Dog: {
+    owner: async (dog) => owners[dog.name] || null,
+    breed: (dog) => {
+      if (dog.name === 'Buddy') {
+        throw new Error('unknown breed')
+      }
+      return 'Labrador'
+    }
+  },
+  Human: {
+    friends: () => [{ name: 'Sarah' }, { name: 'Tom' }]
+  }
+}
+
+async function collect (results) {
+  const payloads = []
+  for await (const payload of results) {
+    payloads.push(payload)
+  }
+  return payloads
+}
+
+function parseMultipart (body) {
+  return body
+    .split('\r\n---')
+    .slice(1, -1)
+    .map(part => JSON.parse(part.split('\r\n\r\n')[1]))
+}
+
+test('defer - inline fragment is delivered in a subsequent payload', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const res = await app.graphql('{ hello ... @defer { human { name } } }')
+  t.ok(isIncrementalResult(res))
+
+  t.same(await collect(res), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { human: { name: 'Jennifer' } }, path: [] }], hasNext: false }
+  ])
+})
+
+test('defer - fragment spreads with labels inside lists', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    dogs {
+      name
+      ...DogOwner @defer(label: "owner")
+    }
+  }
+
+  fragment DogOwner on Dog {
+    owner { name }
+  }`
+
+  t.same(await collect(await app.graphql(query)), [
+    { data: { dogs: [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }] }, hasNext: true },
+    {
+      incremental: [
+        { data: { owner: { name: 'Jennifer' } }, path: ['dogs', 0], label: 'owner' },
+        { data: { owner: { name: 'Simon' } }, path: ['dogs', 1], label: 'owner' },
+        { data: { owner: null }, path: ['dogs', 2], label: 'owner' }
+      ],
+      hasNext: false
+    }
+  ])
+})
+
+test('defer - multiple deferred fragments', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const payloads = await collect(await app.graphql('{ hello ... @defer(label: "a") { add(x: 1, y: 2) } ... @defer(label: "b") { human { name } } }'))
+
+  t.same(payloads[0], { data: { hello: 'world' }, hasNext: true })
+  t.equal(payloads.length, 3)
+  t.same(payloads[1].hasNext, true)
+  t.same(payloads[2].hasNext, false)
+  t.same(
+    [...payloads[1].incremental, ...payloads[2].incremental].sort((a, b) => a.label.localeCompare(b.label)),
+    [
+      { data: { add: 3 }, path: [], label: 'a' },
+      { data: { human: { name: 'Jennifer' } }, path: [], label: 'b' }
+    ]
+  )
+})
+
+test('defer - disabled with the if argument', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = 'query ($defer: Boolean) { hello ... @defer(if: $defer) { human { name } } }'
+  const expected = { data: { hello: 'world', human: { name: 'Jennifer' } } }
+
+  t.same(await app.graphql(query, null, { defer: false }), expected)
+  t.same(await app.graphql('{ hello ... @defer(if: false) { human { name } } }'), expected)
+
+  const res = await app.graphql(query, null, { defer: true })
+  t.same(await collect(res), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { human: { name: 'Jennifer' } }, path: [] }], hasNext: false }
+  ])
+})
+
+test('defer - incremental directives nested in a deferred fragment are executed with it', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    human {
+      name
+      ... @defer {
+        friends @stream { name }
+        ... @defer { friends { name } }
+      }
+    }
+  }`
+
+  t.same(await collect(await app.graphql(query)), [
+    { data: { human: { name: 'Jennifer' } }, hasNext: true },
+    {
+      incremental: [{ data: { friends: [{ name: 'Sarah' }, { name: 'Tom' }] }, path: ['human'] }],
+      hasNext: false
+    }
+  ])
+})
+
+test('defer - errors are reported in the payload of the deferred fragment', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    fail
+    dogs {
+      name
+      ... @defer { breed }
+    }
+  }`
+
+  const payloads = await collect(await app.graphql(query))
+
+  t.equal(payloads.length, 2)
+  t.same(payloads[0].data, { fail: null, dogs: [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }] })
+  t.same(payloads[0].errors, [{ message: 'kaboom', locations: [{ line: 2, column: 5 }], path: ['fail'] }])
+  t.same(payloads[1], {
+    incremental: [
+      { data: { breed: 'Labrador' }, path: ['dogs', 0] },
+      { data: { breed: 'Labrador' }, path: ['dogs', 1] },
+      {
+        data: { breed: null },
+        path: ['dogs', 2],
+        errors: [{ message: 'unknown breed', locations: [{ line: 5, column: 20 }], path: ['dogs', 2, 'breed'] }]
+      }
+    ],
+    hasNext: false
+  })
+})
+
+test('defer - null and skipped parents do not produce payloads', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    hello
+    lostDogs { ... @defer { name } }
+    dogs @include(if: false) { ... @defer { name } }
+  }`
+
+  t.same(await collect(await app.graphql(query)), [
+    { data: { hello: 'world', lostDogs: null }, hasNext: true },
+    { hasNext: false }
+  ])
+})
+
+test('stream - the whole list is delivered in a subsequent payload', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  t.same(await collect(await app.graphql('{ hello dogs @stream(label: "dogs") { name } }')), [
+    { data: { hello: 'world', dogs: [] }, hasNext: true },
+    {
+      incremental: [{ items: [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }], path: ['dogs', 0], label: 'dogs' }],
+      hasNext: false
+    }
+  ])
+})
+
+test('stream - errors are reported in the payload of the streamed items', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const error = { message: 'unknown breed', locations: [{ line: 1, column: 23 }], path: ['dogs', 2, 'breed'] }
+
+  t.same(await collect(await app.graphql('{ dogs @stream { name breed } }')), [
+    { data: { dogs: [] }, hasNext: true },
+    {
+      incremental: [{
+        items: [{ name: 'Max', breed: 'Labrador' }, { name: 'Rex', breed: 'Labrador' }, { name: 'Buddy', breed: null }],
+        path: ['dogs', 0],
+        errors: [error]
+      }],
+      hasNext: false
+    }
+  ])
+
+  t.same(await collect(await app.graphql('{ dogs @stream(initialCount: 2) { name breed } }')), [
+    { data: { dogs: [{ name: 'Max', breed: 'Labrador' }, { name: 'Rex', breed: 'Labrador' }] }, hasNext: true },
+    {
+      incremental: [{ items: [{ name: 'Buddy', breed: null }], path: ['dogs', 2], errors: [{ ...error, locations: [{ line: 1, column: 40 }] }] }],
+      hasNext: false
+    }
+  ])
+})
+
+test('stream - initialCount items are delivered in the initial payload', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    dogs @stream(initialCount: 1) { name }
+    human {
+      friends @stream(initialCount: 1, label: "friends") { name }
+    }
+  }`
+
+  t.same(await collect(await app.graphql(query)), [
+    { data: { dogs: [{ name: 'Max' }], human: { friends: [{ name: 'Sarah' }] } }, hasNext: true },
+    {
+      incremental: [
+        { items: [{ name: 'Rex' }, { name: 'Buddy' }], path: ['dogs', 1] },
+        { items: [{ name: 'Tom' }], path: ['human', 'friends', 1], label: 'friends' }
+      ],
+      hasNext: false
+    }
+  ])
+})
+
+test('stream - lists of scalars', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  t.same(await collect(await app.graphql('{ hello numbers @stream }')), [
+    { data: { hello: 'world', numbers: [] }, hasNext: true },
+    { incremental: [{ items: [1, 2, 3], path: ['numbers', 0] }], hasNext: false }
+  ])
+})
+
+test('stream - lists shorter than initialCount and empty lists', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  // the length of the list is known once its items are executed
+  t.same(await collect(await app.graphql('{ dogs @stream(initialCount: 5) { name } }')), [
+    { data: { dogs: [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }] }, hasNext: true },
+    { hasNext: false }
+  ])
+
+  t.same(await collect(await app.graphql('{ hello noDogs @stream { name } lostDogs @stream { name } }')), [
+    { data: { hello: 'world', noDogs: [], lostDogs: [] }, hasNext: true },
+    { hasNext: false }
+  ])
+})
+
+test('stream - with deferred fragments inside the list items', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const query = `{
+    dogs @stream(initialCount: 2) {
+      name
+      ... @defer { owner { name } }
+    }
+  }`
+
+  const payloads = await collect(await app.graphql(query))
+
+  t.same(payloads, [
+    { data: { dogs: [{ name: 'Max' }, { name: 'Rex' }] }, hasNext: true },
+    { incremental: [{ items: [{ name: 'Buddy' }], path: ['dogs', 2] }], hasNext: true },
+    {
+      incremental: [
+        { data: { owner: { name: 'Jennifer' } }, path: ['dogs', 0] },
+        { data: { owner: { name: 'Simon' } }, path: ['dogs', 1] },
+        { data: { owner: null }, path: ['dogs', 2] }
+      ],
+      hasNext: false
+    }
+  ])
+})
+
+test('defer - errors of the initial payload are formatted', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      type Query {
+        hello: String!
+        human: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => null,
+        human: () => 'Jennifer'
+      }
+    }
+  })
+  await app.ready()
+
+  const payloads = await collect(await app.graphql('{ hello ... @defer { human } }'))
+
+  t.equal(payloads.length, 2)
+  t.same(payloads[0].data, null)
+  t.equal(payloads[0].errors[0].message, 'Cannot return null for non-nullable field Query.hello.')
+  t.equal(payloads[0].hasNext, true)
+  // the deferred fragment of a null parent is not delivered
+  t.same(payloads[1], { hasNext: false })
+})
+
+test('defer - the operation is executed once', async (t) => {
+  let added = 0
+  let resolved = 0
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      type Dog {
+        name: String!
+        owner: String
+      }
+
+      type Query {
+        dogs: [Dog]
+      }
+
+      type Mutation {
+        addDog(name: String!): Dog
+      }
+    `,
+    resolvers: {
+      Query: {
+        dogs: () => {
+          resolved++
+          return [{ name: 'Max', owner: 'Jennifer' }]
+        }
+      },
+      Mutation: {
+        addDog: (_, { name }) => {
+          added++
+          return { name, owner: 'Simon' }
+        }
+      }
+    }
+  })
+  await app.ready()
+
+  t.same(await collect(await app.graphql('mutation { addDog(name: "Rex") { name ... @defer { owner } } }')), [
+    { data: { addDog: { name: 'Rex' } }, hasNext: true },
+    { incremental: [{ data: { owner: 'Simon' }, path: ['addDog'] }], hasNext: false }
+  ])
+  t.equal(added, 1)
+
+  t.same(await collect(await app.graphql('{ dogs { name ... @defer { owner } } ... @defer { dogs { owner } } }')), [
+    { data: { dogs: [{ name: 'Max' }] }, hasNext: true },
+    { incremental: [{ data: { owner: 'Jennifer' }, path: ['dogs', 0] }], hasNext: true },
+    { incremental: [{ data: { dogs: [{ owner: 'Jennifer' }] }, path: [] }], hasNext: false }
+  ])
+  t.equal(resolved, 1)
+})
+
+test('defer - errors of the deferred fields nulling their parent are delivered with a null payload', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      type Human {
+        name: String!
+        age: Int
+      }
+
+      type Query {
+        hello: String
+        human: Human
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => { throw new Error('kaboom') },
+        human: () => ({ name: null, age: 42 })
+      }
+    }
+  })
+  await app.ready()
+
+  const payloads = await collect(await app.graphql('{ human { age ... @defer { name } } ... @defer { hello } }'))
+
+  t.equal(payloads.length, 3)
+  t.same(payloads[0], { data: { human: { age: 42 } }, hasNext: true })
+  t.same(payloads.slice(1).map(({ incremental }) => incremental[0]).sort((a, b) => a.path.length - b.path.length), [
+    {
+      data: { hello: null },
+      path: [],
+      errors: [{ message: 'kaboom', locations: [{ line: 1, column: 50 }], path: ['hello'] }]
+    },
+    {
+      data: null,
+      path: ['human'],
+      errors: [{ message: 'Cannot return null for non-nullable field Human.name.', locations: [{ line: 1, column: 28 }], path: ['human', 'name'] }]
+    }
+  ])
+})
+
+test('defer - the initial payload is sent before the deferred fragments are executed', async (t) => {
+  let release
+  const released = new Promise(resolve => { release = resolve })
+  let resolved = false
+
+  const app = Fastify()
+  app.register(GQL, {
+    schema,
+    resolvers: {
+      ...resolvers,
+      Human: {
+        friends: async () => {
+          await released
+          resolved = true
+          return [{ name: 'Sarah' }]
+        }
+      }
+    },
+    defer: true
+  })
+  t.teardown(app.close.bind(app))
+  await app.listen(0)
+
+  const req = http.request({
+    port: app.server.address().port,
+    path: '/graphql',
+    method: 'POST',
+    headers: { 'content-type': 'application/json', accept: 'multipart/mixed' }
+  })
+  req.end(JSON.stringify({ query: '{ human { name ... @defer { friends { name } } } dogs @stream(initialCount: 1) { name } }' }))
+
+  const [res] = await once(req, 'response')
+  res.setEncoding('utf8')
+  let body = ''
+  // the initial payload and the streamed items do not wait for the deferred fragment
+  while (!body.includes('"path":["dogs",1]')) {
+    body += (await once(res, 'data'))[0]
+  }
+  t.equal(resolved, false)
+
+  release()
+  for await (const chunk of res) {
+    body += chunk
+  }
+
+  t.same(parseMultipart(body), [
+    { data: { human: { name: 'Jennifer' }, dogs: [{ name: 'Max' }] }, hasNext: true },
+    { incremental: [{ items: [{ name: 'Rex' }, { name: 'Buddy' }], path: ['dogs', 1] }], hasNext: true },
+    { incremental: [{ data: { friends: [{ name: 'Sarah' }] }, path: ['human'] }], hasNext: false }
+  ])
+  t.equal(resolved, true)
+})
+
+test('defer - the errors of the executor are delivered with null payloads', async (t) => {
+  let calls = 0
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    defer: true,
+    executor: (args) => {
+      if (calls++ > 0) {
+        throw new Error('kaboom')
+      }
+      return execute(args)
+    }
+  })
+  await app.ready()
+
+  const payloads = await collect(await app.graphql('{ hello ... @defer { human { name } } dogs @stream { name } }'))
+
+  t.equal(payloads.length, 3)
+  t.same(payloads[0], { data: { hello: 'world', dogs: [] }, hasNext: true })
+  t.same(payloads.slice(1).map(({ incremental }) => incremental[0]).sort((a, b) => a.path.length - b.path.length), [
+    { data: null, path: [], errors: [{ message: 'kaboom' }] },
+    { items: null, path: ['dogs', 0], errors: [{ message: 'kaboom' }] }
+  ])
+})
+
+test('defer - the deferred fragments of a failed mutation are not executed', async (t) => {
+  const documents = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      type Query {
+        hello: String
+      }
+
+      type Mutation {
+        add(x: Int!, y: Int!): Int
+      }
+    `,
+    resolvers: {
+      Mutation: {
+        add: (_, { x, y }) => x + y
+      }
+    },
+    executor: (args) => {
+      documents.push(args.document)
+      throw new Error('kaboom')
+    }
+  })
+  await app.ready()
+
+  await t.rejects(app.graphql('mutation { add(x: 1, y: 2) ... @defer { other: add(x: 2, y: 2) } }'), { message: 'kaboom' })
+  await immediate()
+  t.equal(documents.length, 1)
+})
+
+test('stream - lists returned as iterables and null lists', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      type Query {
+        numbers: [Int]
+        noNumbers: [Int]
+      }
+    `,
+    resolvers: {
+      Query: {
+        numbers: function * () {
+          yield * [1, 2, 3]
+        },
+        noNumbers: () => null
+      }
+    }
+  })
+  await app.ready()
+
+  t.same(await collect(await app.graphql('{ numbers @stream(initialCount: 1) noNumbers @stream(initialCount: 1) }')), [
+    { data: { numbers: [1], noNumbers: null }, hasNext: true },
+    { incremental: [{ items: [2, 3], path: ['numbers', 1] }], hasNext: false }
+  ])
+
+  // the schema is executed without the incremental execution too
+  t.same(await graphql(app.graphql.schema, '{ numbers }'), { data: { numbers: [1, 2, 3] } })
+})
+
+test('defer - not supported in gateway mode', async (t) => {
+  const app = Fastify()
+  app.register(GQL, {
+    gateway: {
+      services: [{ name: 'user', url: 'http://localhost:3001/graphql' }]
+    },
+    defer: true
+  })
+
+  await t.rejects(app.ready(), { message: 'Invalid options: the defer option is not supported in gateway mode' })
+})
+
+test('defer - the directives are unknown when the option is disabled', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: false })
+  await app.ready()
+
+  await t.rejects(app.graphql('{ hello ... @defer { human { name } } }'), { code: 'MER_ERR_GQL_VALIDATION' })
+})
+
+test('defer - the directives already defined by the schema are kept', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    defer: true,
+    schema: `
+      directive @defer(if: Boolean, label: String) on FRAGMENT_SPREAD | INLINE_FRAGMENT
+      directive @stream(if: Boolean, label: String, initialCount: Int) on FIELD
+
+      type Query {
+        hello: String
+        add(x: Int!, y: Int!): Int
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => 'world',
+        add: (_, { x, y }) => x + y
+      }
+    }
+  })
+  await app.ready()
+
+  t.same(await collect(await app.graphql('{ hello ... @defer { add(x: 1, y: 2) } }')), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { add: 3 }, path: [] }], hasNext: false }
+  ])
+})
+
+test('defer - the directives are added to a replaced schema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  app.graphql.replaceSchema(require('graphql').buildSchema(`
+    type Query {
+      hello: String
+      add(x: Int!, y: Int!): Int
+    }
+  `))
+  app.graphql.defineResolvers({
+    Query: {
+      hello: () => 'world',
+      add: (_, { x, y }) => x + y
+    }
+  })
+
+  t.same(await collect(await app.graphql('{ hello ... @defer { add(x: 1, y: 2) } }')), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { add: 3 }, path: [] }], hasNext: false }
+  ])
+})
+
+test('defer - the document modified in the preExecution hook is used', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async (schema, document, context) => {
+    if (context.noDefer) {
+      return { document: parse('{ hello human { name } }') }
+    }
+    return { document: parse('{ hello ... @defer { add(x: 1, y: 2) } }') }
+  })
+
+  t.same(await collect(await app.graphql('{ hello ... @defer { human { name } } }')), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { add: 3 }, path: [] }], hasNext: false }
+  ])
+
+  t.same(await app.graphql('{ hello ... @defer { human { name } } }', { noDefer: true }), {
+    data: { hello: 'world', human: { name: 'Jennifer' } }
+  })
+})
+
+test('defer - not incremental operations use jit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true, jit: 1 })
+  await app.ready()
+
+  for (let i = 0; i < 3; i++) {
+    t.same(await app.graphql('{ add(x: 1, y: 2) }'), { data: { add: 3 } })
+    t.same(await collect(await app.graphql('{ hello ... @defer { add(x: 1, y: 2) } }')), [
+      { data: { hello: 'world' }, hasNext: true },
+      { incremental: [{ data: { add: 3 }, path: [] }], hasNext: false }
+    ])
+  }
+})
+
+test('defer - ambiguous operations are reported by the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+  await app.ready()
+
+  const res = await app.graphql('query A { hello ... @defer { add(x: 1, y: 2) } } query B { hello }')
+  t.equal(res.errors[0].message, 'Must provide operation name if query contains multiple operations.')
+
+  t.same(await app.graphql('query A { hello ... @defer { add(x: 1, y: 2) } } query B { hello }', null, null, 'B'), {
+    data: { hello: 'world' }
+  })
+})
+
+test('defer - POST request accepting multipart/mixed', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: {
+      accept: 'multipart/mixed; deferSpec=20220824, application/json'
+    },
+    body: {
+      query: '{ hello dogs @stream(initialCount: 1) { name } }'
+    }
+  })
+
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'multipart/mixed; boundary="-"; deferSpec=20220824')
+  t.ok(res.body.endsWith('\r\n-----\r\n'))
+  t.same(parseMultipart(res.body), [
+    { data: { hello: 'world', dogs: [{ name: 'Max' }] }, hasNext: true },
+    { incremental: [{ items: [{ name: 'Rex' }, { name: 'Buddy' }], path: ['dogs', 1] }], hasNext: false }
+  ])
+})
+
+test('defer - GET request accepting multipart/mixed', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true })
+
+  const res = await app.inject({
+    method: 'GET',
+    url: '/graphql',
+    headers: {
+      accept: 'multipart/mixed'
+    },
+    query: {
+      query: 'query ($defer: Boolean) { hello ... @defer(if: $defer) { add(x: 1, y: 2) } }',
+      variables: JSON.stringify({ defer: true })
+    }
+  })
+
+  t.equal(res.headers['content-type'], 'multipart/mixed; boundary="-"; deferSpec=20220824')
+  t.same(parseMultipart(res.body), [
+    { data: { hello: 'world' }, hasNext: true },
+    { incremental: [{ data: { add: 3 }, path: [] }], hasNext: false }
+  ])
+})
+
+test('defer - requests not accepting multipart/mixed get the complete result', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, defer: true, allowBatchedQueries: true })
+
+  const query = '{ hello ... @defer { human { name } } dogs @stream { name } }'
+  const expected = {
+    data: {
+      hello: 'world',
+      human: { name: 'Jennifer' },
+      dogs: [{ name: 'Max' }, { name: 'Rex' }, { name: 'Buddy' }]
+    }
+  }
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  t.match(res.headers['content-type'], /application\/json/)
+  t.same(JSON.parse(res.body), expected)
+
+  const batched = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: {
+      accept: 'multipart/mixed'
+    },
+    body: [{ query }, { query: '{ hello }' }]
+  })
+  t.match(batched.headers['content-type'], /application\/json/)
+  t.same(JSON.parse(batched.body), [expected, { data: { hello: 'world' } }])
+})
+
+test('defer - buildIncrementalPlan returns null for operations without incremental directives', async (t) => {
+  t.equal(buildIncrementalPlan(parse('{ hello }')), null)
+  t.equal(buildIncrementalPlan(parse('query A { hello } query B { hello }')), null)
+  t.not(buildIncrementalPlan(parse('{ ... @defer { hello } }')), null)
+})
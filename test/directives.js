@@ -1,9 +1,11 @@
 'use strict'
 
 const { test } = require('tap')
+const FakeTimers = require('@sinonjs/fake-timers')
+const { promisify } = require('util')
 const Fastify = require('fastify')
 const mercurius = require('..')
-const { defaultFieldResolver, GraphQLScalarType, isNonNullType, isScalarType } = require('graphql')
+const { defaultFieldResolver, GraphQLScalarType, isNonNullType, isScalarType, buildSchema, GraphQLSchema, GraphQLObjectType, GraphQLString } = require('graphql')
 const { makeExecutableSchema } = require('@graphql-tools/schema')
 const { mergeResolvers } = require('@graphql-tools/merge')
 const {
@@ -15,6 +17,8 @@ const {
 } = require('@graphql-tools/utils')
 const buildFederationSchema = require('../lib/federation')
 
+const immediate = promisify(setImmediate)
+
 class ValidationError extends Error {
   constructor (message, extensions) {
     super(message)
@@ -959,3 +963,309 @@ type User {
     }
   })
 })
+
+const transformersSchema = `
+  directive @upper on FIELD_DEFINITION
+  directive @auth(role: String = "admin") on FIELD_DEFINITION
+  directive @suffix(text: String!) on FIELD_DEFINITION
+
+  type Query {
+    hello: String @upper
+    secret: String @auth
+    reader: String @auth(role: "reader") @upper
+    greeting(name: String): String @suffix(text: "!") @upper
+  }
+`
+
+const transformersResolvers = {
+  Query: {
+    hello: () => 'hello',
+    reader: () => 'read',
+    greeting: (_, { name }) => `hello ${name}`
+  }
+}
+
+const transformers = {
+  upper: resolve => async (parent, args, context, info) => {
+    const result = await resolve(parent, args, context, info)
+    return typeof result === 'string' ? result.toUpperCase() : result
+  },
+  auth: (resolve, { role }) => (parent, args, context, info) => {
+    if (context.reply.request.headers['x-role'] !== role) {
+      throw new Error(`the ${role} role is required`)
+    }
+    return resolve(parent, args, context, info)
+  },
+  suffix: (resolve, { text }) => async (parent, args, context, info) => {
+    return (await resolve(parent, args, context, info)) + text
+  }
+}
+
+function query (app, query, role) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: role ? { 'x-role': role } : {},
+    body: { query }
+  }).then(res => JSON.parse(res.body))
+}
+
+test('directives option - wraps the resolvers of the annotated fields', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: transformersSchema,
+    resolvers: transformersResolvers,
+    directives: transformers
+  })
+
+  t.same(await query(app, '{ hello greeting(name: "you") }'), { data: { hello: 'HELLO', greeting: 'HELLO YOU!' } })
+  t.same(await query(app, '{ reader }', 'reader'), { data: { reader: 'READ' } })
+  t.same(await query(app, '{ secret }', 'admin'), { data: { secret: null } })
+
+  const { data, errors } = await query(app, '{ secret reader }', 'reader')
+  t.same(data, { secret: null, reader: 'READ' })
+  t.same(errors.map(({ message, path }) => ({ message, path })), [{ message: 'the admin role is required', path: ['secret'] }])
+})
+
+test('directives option - the transformers receive the field, the type and the schema', async (t) => {
+  const calls = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: transformersSchema,
+    resolvers: transformersResolvers,
+    directives: {
+      suffix: (resolve, args, info) => {
+        calls.push({ args, ...info })
+        return resolve
+      }
+    }
+  })
+
+  await app.ready()
+  t.same(await app.graphql('{ greeting(name: "you") }'), { data: { greeting: 'hello you' } })
+
+  // the directives are applied again when the resolvers are defined
+  const { args, schema, type, field } = calls[calls.length - 1]
+  t.same(args, { text: '!' })
+  t.equal(schema, app.graphql.schema)
+  t.equal(type, schema.getQueryType())
+  t.equal(field, type.getFields().greeting)
+})
+
+test('defineDirective - wraps the resolvers defined before and after it', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: transformersSchema,
+    resolvers: transformersResolvers,
+    jit: 1
+  })
+  await app.ready()
+
+  app.graphql.defineDirective('upper', transformers.upper)
+  app.graphql.defineDirective('suffix', transformers.suffix)
+  t.same(await app.graphql('{ hello greeting(name: "you") }'), { data: { hello: 'HELLO', greeting: 'HELLO YOU!' } })
+
+  app.graphql.defineResolvers({
+    Query: {
+      hello: () => 'hi',
+      secret: () => 'secret'
+    }
+  })
+
+  for (let i = 0; i < 3; i++) {
+    t.same(await query(app, '{ hello secret greeting(name: "you") }'), { data: { hello: 'HI', secret: 'secret', greeting: 'HELLO YOU!' } })
+  }
+
+  app.graphql.defineDirective('auth', transformers.auth)
+  t.same(await query(app, '{ secret }', 'admin'), { data: { secret: 'secret' } })
+  t.equal((await query(app, '{ secret }', 'reader')).errors[0].message, 'the admin role is required')
+})
+
+test('defineDirective - the resolvers are wrapped once with the other resolver wrappers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: transformersSchema,
+    resolvers: transformersResolvers,
+    directives: { suffix: transformers.suffix },
+    timeout: 1000,
+    loaders: {
+      Query: {
+        secret: async (queries) => queries.map(() => 'secret')
+      }
+    }
+  })
+  await app.ready()
+
+  app.graphql.defineResolvers({ Query: { hello: () => 'hi' } })
+  app.graphql.replaceSchema(app.graphql.schema)
+
+  t.same(await query(app, '{ hello secret greeting(name: "you") }'), { data: { hello: 'hi', secret: 'secret', greeting: 'hello you!' } })
+})
+
+test('directives option - extendSchema and replaceSchema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: transformersSchema,
+    resolvers: transformersResolvers,
+    directives: transformers
+  })
+  await app.ready()
+
+  app.graphql.extendSchema(`
+    directive @prefix(text: String!) on FIELD_DEFINITION
+
+    extend type Query {
+      user: User
+    }
+
+    type User {
+      name: String @upper
+      title: String @prefix(text: "Dr. ") @suffix(text: "?")
+    }
+  `)
+  app.graphql.defineDirective('prefix', (resolve, { text }) => async (...args) => text + await resolve(...args))
+  app.graphql.defineResolvers({ Query: { user: () => ({ name: 'john', title: 'who' }) } })
+
+  t.same(await query(app, '{ hello user { name title } }'), { data: { hello: 'HELLO', user: { name: 'JOHN', title: 'Dr. who?' } } })
+
+  app.graphql.extendSchema('extend type User { lastName: String @upper }')
+  t.same(await query(app, '{ user { name lastName } }'), { data: { user: { name: 'JOHN', lastName: null } } })
+
+  app.graphql.replaceSchema(mercurius.buildFederationSchema(`
+    directive @upper on FIELD_DEFINITION
+
+    extend type Query {
+      hello: String @upper
+    }
+  `))
+  app.graphql.defineResolvers({ Query: { hello: () => 'replaced' } })
+  t.same(await query(app, '{ hello }'), { data: { hello: 'REPLACED' } })
+})
+
+test('directives option - gateway with a refreshed schema', async (t) => {
+  const clock = FakeTimers.install({
+    shouldAdvanceTime: true,
+    advanceTimeDelta: 40
+  })
+  t.teardown(() => clock.uninstall())
+
+  const user = { id: 'u1', name: 'john', lastName: 'doe' }
+  const resolvers = {
+    Query: {
+      me: () => user
+    }
+  }
+
+  const service = Fastify()
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+
+  service.register(mercurius, {
+    schema: `
+      directive @upper on FIELD_DEFINITION
+
+      extend type Query {
+        me: User
+      }
+
+      type User @key(fields: "id") {
+        id: ID!
+        name: String @upper
+      }
+    `,
+    resolvers,
+    federationMetadata: true
+  })
+  await service.listen(0)
+
+  gateway.register(mercurius, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }],
+      pollingInterval: 2000
+    },
+    directives: { upper: transformers.upper }
+  })
+
+  t.same(await query(gateway, '{ me { id name } }'), { data: { me: { id: 'u1', name: 'JOHN' } } })
+
+  service.graphql.replaceSchema(buildFederationSchema(`
+    directive @upper on FIELD_DEFINITION
+
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+      lastName: String @upper
+    }
+  `))
+  service.graphql.defineResolvers(resolvers)
+
+  await clock.tickAsync(2000)
+
+  // the event loop needs to spin twice to propagate the change
+  await immediate()
+  await immediate()
+
+  t.same(await query(gateway, '{ me { id name lastName } }'), { data: { me: { id: 'u1', name: 'john', lastName: 'DOE' } } })
+})
+
+test('directives option - invalid transformers', async (t) => {
+  for (const directives of [null, 'upper', { upper: true }, { '': () => {} }]) {
+    const app = Fastify()
+    app.register(mercurius, { schema: transformersSchema, directives })
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+
+  const app = Fastify()
+  app.register(mercurius, { schema: transformersSchema, directives: { upper: transformers.upper } })
+  await app.ready()
+  t.throws(() => app.graphql.defineDirective('upper', transformers.upper), { code: 'MER_ERR_INVALID_OPTS', message: 'the @upper directive is already defined' })
+  t.throws(() => app.graphql.defineDirective('auth', () => null), { code: 'MER_ERR_INVALID_OPTS', message: 'the @auth directive transformer must return a resolver function' })
+})
+
+test('directives option - fields without SDL', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(mercurius, {
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          hello: { type: GraphQLString, resolve: () => 'hello' }
+        }
+      })
+    }),
+    directives: { upper: transformers.upper }
+  })
+  await app.ready()
+
+  t.same(await app.graphql('{ hello }'), { data: { hello: 'hello' } })
+})
+
+test('directives option - unknown directive', async (t) => {
+  const app = Fastify()
+  app.register(mercurius, {
+    schema: buildSchema(`
+      type Query {
+        hello: String @upper
+      }
+    `, { assumeValidSDL: true }),
+    directives: { upper: transformers.upper }
+  })
+
+  await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS', message: 'Unknown directive @upper on Query.hello' })
+})
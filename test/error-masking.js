@@ -0,0 +1,288 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const split = require('split2')
+const { GraphQLError } = require('graphql')
+const GQL = require('..')
+const { ErrorWithProps } = GQL
+
+class NotFoundError extends Error {}
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+    internal: Int
+    withProps: Int
+    graphqlError: Int
+    notFound: Int
+    required: Int!
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y,
+    internal: () => { throw new Error('connection refused to 10.0.0.1') },
+    withProps: () => { throw new ErrorWithProps('Invalid user', { code: 'USER_INVALID' }) },
+    graphqlError: () => { throw new GraphQLError('Forbidden') },
+    notFound: () => { throw new NotFoundError('Not found') },
+    required: () => { throw new Error('internal error') }
+  }
+}
+
+async function query (app, query) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return { statusCode: res.statusCode, body: JSON.parse(res.body) }
+}
+
+test('error masking - mask the unexpected errors and log them with a correlation id', async (t) => {
+  const stream = split(JSON.parse)
+  const app = Fastify({ logger: { stream, level: 'error' } })
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, maskErrors: { allow: [NotFoundError] } })
+  const lines = []
+  stream.on('data', line => lines.push(line))
+
+  const { statusCode, body } = await query(app, '{ add(x: 1, y: 2) internal }')
+  t.equal(statusCode, 200)
+  t.same(body.data, { add: 3, internal: null })
+  t.equal(body.errors.length, 1)
+  t.match(body.errors[0], {
+    message: 'Internal server error',
+    locations: [{ line: 1, column: 19 }],
+    path: ['internal'],
+    extensions: { correlationId: /^[0-9a-f]{16}$/ }
+  })
+
+  const line = lines.find(line => line.correlationId !== undefined)
+  t.equal(line.correlationId, body.errors[0].extensions.correlationId)
+  t.equal(line.msg, 'connection refused to 10.0.0.1')
+  t.match(line.err.stack, 'Error: connection refused to 10.0.0.1')
+  t.equal(line.reqId, lines[lines.length - 1].reqId)
+  t.notOk(JSON.stringify(body).includes('10.0.0.1'))
+})
+
+test('error masking - expose the expected errors', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, maskErrors: { allow: [NotFoundError] } })
+
+  let { body } = await query(app, '{ withProps graphqlError notFound }')
+  t.same(body, {
+    data: { withProps: null, graphqlError: null, notFound: null },
+    errors: [
+      { message: 'Invalid user', locations: [{ line: 1, column: 3 }], path: ['withProps'], extensions: { code: 'USER_INVALID' } },
+      { message: 'Forbidden', locations: [{ line: 1, column: 13 }], path: ['graphqlError'] },
+      { message: 'Not found', locations: [{ line: 1, column: 26 }], path: ['notFound'] }
+    ]
+  });
+
+  ({ body } = await query(app, '{ sub(x: 1, y: 2) }'))
+  t.same(body, { data: null, errors: [{ message: 'Cannot query field "sub" on type "Query".', locations: [{ line: 1, column: 3 }] }] })
+})
+
+test('error masking - mask the errors without data and the errors thrown out of the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    context: (request) => {
+      if (request.headers.authorization === 'invalid') {
+        throw new Error('jwt malformed')
+      }
+      return {}
+    },
+    maskErrors: { message: 'Something went wrong' }
+  })
+
+  let { statusCode, body } = await query(app, '{ required }')
+  t.equal(statusCode, 500)
+  t.match(body, { data: null, errors: [{ message: 'Something went wrong', path: ['required'], extensions: { correlationId: /^[0-9a-f]{16}$/ } }] })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { authorization: 'invalid' },
+    body: { query: '{ add(x: 1, y: 2) }' }
+  })
+  t.equal(res.statusCode, 500)
+  t.match(JSON.parse(res.body), { data: null, errors: [{ message: 'Something went wrong', extensions: { correlationId: /^[0-9a-f]{16}$/ } }] });
+
+  // the client errors are not masked
+  ({ statusCode, body } = await query(app, '{ add(x: 1, y: 2'))
+  t.equal(statusCode, 400)
+  t.same(body.errors[0].message, 'Syntax Error: Expected Name, found <EOF>.')
+
+  const invalid = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'application/json' },
+    body: '{ "query": '
+  })
+  t.equal(invalid.statusCode, 400)
+  t.notSame(JSON.parse(invalid.body).errors[0].message, 'Something went wrong')
+
+  const unknown = await app.inject({ method: 'POST', url: '/graphql', body: {} })
+  t.equal(unknown.statusCode, 400)
+  t.same(JSON.parse(unknown.body), { data: null, errors: [{ message: 'Unknown query' }] })
+})
+
+test('error masking - the errors of app.graphql and of the batched queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, maskErrors: { allow: [NotFoundError] }, allowBatchedQueries: true })
+  await app.ready()
+
+  const result = await app.graphql('{ internal }')
+  t.match(result, { data: { internal: null }, errors: [{ message: 'Internal server error', extensions: { correlationId: /^[0-9a-f]{16}$/ } }] })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: [{ query: '{ add(x: 1, y: 2) }' }, { query: '{ internal }' }]
+  })
+  t.match(JSON.parse(res.body), [
+    { data: { add: 3 } },
+    { data: { internal: null }, errors: [{ message: 'Internal server error' }] }
+  ])
+})
+
+test('error masking - debug mode adds the stack traces', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, maskErrors: { debug: true } })
+
+  const { body } = await query(app, '{ internal withProps }')
+  t.equal(body.errors[0].message, 'connection refused to 10.0.0.1')
+  t.equal(body.errors[0].extensions.stacktrace[0], 'Error: connection refused to 10.0.0.1')
+  t.equal(body.errors[1].extensions.code, 'USER_INVALID')
+  t.equal(body.errors[1].extensions.stacktrace[0], 'Error: Invalid user')
+
+  const res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}&variables={' })
+  t.equal(res.statusCode, 400)
+  t.ok(JSON.parse(res.body).errors[0].extensions.stacktrace)
+})
+
+test('error masking - with a custom error formatter', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    maskErrors: true,
+    errorFormatter: (execution, context) => {
+      t.ok(context.reply)
+      return {
+        statusCode: 200,
+        response: { data: execution.data, errors: execution.errors.map(error => ({ message: `${error.message} (${error.extensions.correlationId})` })) }
+      }
+    }
+  })
+
+  const { body } = await query(app, '{ internal }')
+  t.match(body, { data: { internal: null }, errors: [{ message: /^Internal server error \([0-9a-f]{16}\)$/ }] })
+})
+
+test('error masking - the errors of the deferred fragments', async (t) => {
+  const stream = split(JSON.parse)
+  const app = Fastify({ logger: { stream, level: 'error' } })
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    maskErrors: { allow: [NotFoundError] },
+    schema: `
+      type Query {
+        a: Int
+        b: Int
+      }
+    `,
+    resolvers: {
+      Query: {
+        a: () => 1,
+        b: () => { throw new Error('db password leaked') }
+      }
+    },
+    defer: true
+  })
+  const lines = []
+  stream.on('data', line => lines.push(line))
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { accept: 'multipart/mixed' },
+    body: { query: '{ a ... @defer { b } }' }
+  })
+  t.equal(res.statusCode, 200)
+  t.notOk(res.body.includes('db password leaked'))
+
+  const payload = JSON.parse(res.body.split('\r\n---')[2].split('\r\n\r\n')[1])
+  t.match(payload.incremental[0], {
+    data: { b: null },
+    path: [],
+    errors: [{ message: 'Internal server error', path: ['b'], extensions: { correlationId: /^[0-9a-f]{16}$/ } }]
+  })
+
+  const line = lines.find(line => line.correlationId !== undefined)
+  t.equal(line.correlationId, payload.incremental[0].errors[0].extensions.correlationId)
+  t.equal(line.msg, 'db password leaked')
+})
+
+test('error masking - invalid options', async (t) => {
+  const invalid = [
+    ['yes', 'the maskErrors option must be a boolean or an object'],
+    [null, 'the maskErrors option must be a boolean or an object'],
+    [{ message: '' }, 'the maskErrors.message option must be a non empty string'],
+    [{ allow: NotFoundError }, 'the maskErrors.allow option must be an array of error classes'],
+    [{ allow: ['NotFoundError'] }, 'the maskErrors.allow option must be an array of error classes'],
+    [{ debug: 'true' }, 'the maskErrors.debug option must be a boolean']
+  ]
+
+  for (const [maskErrors, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, maskErrors })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
+
+test('error masking - the gateway exposes the errors of the services', async (t) => {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        me: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        me: () => { throw new Error('service failure') }
+      }
+    },
+    federationMetadata: true
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  await service.listen(0)
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    maskErrors: true
+  })
+
+  const { body } = await query(gateway, '{ me }')
+  t.match(body, { data: { me: null }, errors: [{ message: 'service failure', path: ['me'] }] })
+})
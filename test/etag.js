@@ -0,0 +1,144 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+    fail: Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y,
+    fail: () => { throw new Error('kaboom') }
+  }
+}
+
+function get (app, query, headers) {
+  return app.inject({
+    method: 'GET',
+    url: '/graphql',
+    headers,
+    query: { query }
+  })
+}
+
+test('etag - GET responses have an ETag computed from the body', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true })
+
+  const res = await get(app, '{ add(x: 1, y: 2) }')
+  t.equal(res.statusCode, 200)
+  t.match(res.headers.etag, /^"[A-Za-z0-9+/=]+"$/)
+  t.match(res.headers['content-type'], /application\/json/)
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  const same = await get(app, '{ add(x: 1, y: 2) }')
+  t.equal(same.headers.etag, res.headers.etag)
+
+  const other = await get(app, '{ add(x: 2, y: 2) }')
+  t.not(other.headers.etag, res.headers.etag)
+})
+
+test('etag - If-None-Match with the current ETag returns 304', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true })
+
+  const { headers: { etag } } = await get(app, '{ add(x: 1, y: 2) }')
+
+  for (const ifNoneMatch of [etag, `W/${etag}`, `"foo", ${etag}`, '*']) {
+    const res = await get(app, '{ add(x: 1, y: 2) }', { 'if-none-match': ifNoneMatch })
+    t.equal(res.statusCode, 304)
+    t.equal(res.headers.etag, etag)
+    t.equal(res.body, '')
+  }
+
+  const res = await get(app, '{ add(x: 1, y: 2) }', { 'if-none-match': '"foo"' })
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+})
+
+test('etag - responses with errors', async (t) => {
+  let app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true })
+
+  let res = await get(app, '{ fail }')
+  t.equal(res.statusCode, 200)
+  t.ok(res.headers.etag)
+
+  app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    etag: true,
+    errorFormatter: (execution) => ({
+      statusCode: 500,
+      response: { data: execution.data, errors: execution.errors.map(({ message }) => ({ message })) }
+    })
+  })
+
+  res = await get(app, '{ fail }')
+  t.equal(res.statusCode, 500)
+  t.equal(res.headers.etag, undefined)
+  t.same(JSON.parse(res.body), { data: { fail: null }, errors: [{ message: 'kaboom' }] })
+
+  res = await get(app, '{ add(x: 1, y: 2) }', { 'if-none-match': '*' })
+  t.equal(res.statusCode, 304)
+
+  res = await get(app, '')
+  t.equal(res.statusCode, 400)
+  t.equal(res.headers.etag, undefined)
+})
+
+test('etag - disabled by default and for POST requests', async (t) => {
+  let app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: false })
+
+  let res = await get(app, '{ add(x: 1, y: 2) }', { 'if-none-match': '*' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers.etag, undefined)
+
+  app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true })
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'if-none-match': '*' },
+    body: { query: '{ add(x: 1, y: 2) }' }
+  })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers.etag, undefined)
+})
+
+test('etag - incremental responses do not have an ETag', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true, defer: true })
+
+  const res = await get(app, '{ ... @defer { add(x: 1, y: 2) } }', { accept: 'multipart/mixed' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers.etag, undefined)
+  t.match(res.headers['content-type'], /multipart\/mixed/)
+})
+
+test('etag - with the cacheControl option', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, etag: true, cacheControl: { defaultMaxAge: 60 } })
+
+  const { headers: { etag } } = await get(app, '{ add(x: 1, y: 2) }')
+
+  const res = await get(app, '{ add(x: 1, y: 2) }', { 'if-none-match': etag })
+  t.equal(res.statusCode, 304)
+  t.equal(res.headers['cache-control'], 'max-age=60, public')
+})
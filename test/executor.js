@@ -0,0 +1,165 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const { execute } = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y
+  }
+}
+
+function post (app, body) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body
+  })
+}
+
+function countingExecutor () {
+  function executor (args) {
+    executor.calls.push(args)
+    return execute(args)
+  }
+  executor.calls = []
+  return executor
+}
+
+test('executor - custom execute function', async (t) => {
+  const executor = countingExecutor()
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, executor })
+  await app.ready()
+
+  const res = await post(app, { query: 'query Add($x: Int) { add(x: $x, y: 2) }', variables: { x: 1 }, operationName: 'Add' })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  t.equal(executor.calls.length, 1)
+  const { document, rootValue, contextValue, variableValues, operationName } = executor.calls[0]
+  t.equal(executor.calls[0].schema, app.graphql.schema)
+  t.equal(document.kind, 'Document')
+  t.same(rootValue, {})
+  t.equal(contextValue.app, app)
+  t.ok(contextValue.reply)
+  t.same(variableValues, { x: 1 })
+  t.equal(operationName, 'Add')
+
+  t.same(await app.graphql('{ add(x: 2, y: 2) }'), { data: { add: 4 } })
+  t.equal(executor.calls.length, 2)
+})
+
+test('executor - async executor with a custom result', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    executor: async ({ document }) => ({ data: { add: document.definitions.length } })
+  })
+
+  const res = await post(app, { query: '{ add(x: 1, y: 2) }' })
+  t.same(JSON.parse(res.body), { data: { add: 1 } })
+})
+
+test('executor - errors of the executor', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, executor: () => ({ data: null, errors: [new Error('kaboom')] }) })
+
+  const res = await post(app, { query: '{ add(x: 1, y: 2) }' })
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'kaboom' }] })
+})
+
+test('executor - incremental delivery', async (t) => {
+  const executor = countingExecutor()
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, executor, defer: true })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { accept: 'multipart/mixed' },
+    body: { query: '{ add(x: 1, y: 2) ... @defer { later: add(x: 2, y: 2) } }' }
+  })
+  t.equal(res.statusCode, 200)
+  t.match(res.body, '"later":4')
+  // the deferred fragment is executed along with the initial payload, with the same context
+  t.equal(executor.calls.length, 2)
+  t.equal(executor.calls[0].contextValue, executor.calls[1].contextValue)
+})
+
+test('executor - the JIT compiled queries are not executed by the executor', async (t) => {
+  const executor = countingExecutor()
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, executor, jit: 1 })
+
+  for (let i = 0; i < 3; i++) {
+    const res = await post(app, { query: '{ add(x: 1, y: 2) }' })
+    t.same(JSON.parse(res.body), { data: { add: 3 } })
+  }
+  t.equal(executor.calls.length, 1)
+})
+
+test('executor - invalid option', async (t) => {
+  const app = Fastify()
+  app.register(GQL, { schema, resolvers, executor: 'execute' })
+
+  await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+})
+
+test('jitPersistedQueries - the persisted queries are compiled on their first request', async (t) => {
+  const executor = countingExecutor()
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    executor,
+    persistedQueries: {
+      '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602': '{ add(x: 1, y: 2) }'
+    },
+    jitPersistedQueries: true
+  })
+
+  let res = await post(app, { persisted: true, query: '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602' })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+  t.equal(executor.calls.length, 0)
+
+  res = await post(app, { persisted: true, query: '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602' })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+  t.equal(executor.calls.length, 0)
+
+  // the regular queries use the jit option
+  res = await post(app, { query: '{ add(x: 2, y: 2) }' })
+  t.same(JSON.parse(res.body), { data: { add: 4 } })
+  t.equal(executor.calls.length, 1)
+})
+
+test('jitPersistedQueries - disabled by default and without the cache', async (t) => {
+  const persistedQueries = {
+    '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602': '{ add(x: 1, y: 2) }'
+  }
+
+  for (const opts of [{}, { jitPersistedQueries: true, cache: false }]) {
+    const executor = countingExecutor()
+    const app = Fastify()
+    t.teardown(app.close.bind(app))
+    app.register(GQL, { schema, resolvers, executor, persistedQueries, ...opts })
+
+    const res = await post(app, { persisted: true, query: '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602' })
+    t.same(JSON.parse(res.body), { data: { add: 3 } })
+    t.equal(executor.calls.length, 1)
+  }
+})
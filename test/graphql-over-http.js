@@ -0,0 +1,236 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+    hello: String!
+    bad: Int
+  }
+
+  type Mutation {
+    reset: Boolean
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y,
+    hello: () => { throw new Error('hello error') },
+    bad: () => { throw new Error('bad error') }
+  },
+  Mutation: {
+    reset: () => true
+  }
+}
+
+function post (app, body, headers) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers,
+    body
+  })
+}
+
+test('graphql over http - negotiate the media type of the response', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true })
+
+  const accepted = [
+    [undefined, 'application/json; charset=utf-8'],
+    ['application/graphql-response+json', 'application/graphql-response+json; charset=utf-8'],
+    ['application/json', 'application/json; charset=utf-8'],
+    ['application/json;charset=utf-8', 'application/json; charset=utf-8'],
+    ['application/graphql-response+json, application/json;q=0.9', 'application/graphql-response+json; charset=utf-8'],
+    ['application/graphql-response+json;q=0.5, application/json', 'application/json; charset=utf-8'],
+    ['*/*', 'application/graphql-response+json; charset=utf-8'],
+    ['application/*, application/graphql-response+json;q=0', 'application/json; charset=utf-8'],
+    ['text/html, */*;q=0.1', 'application/graphql-response+json; charset=utf-8']
+  ]
+
+  for (const [accept, contentType] of accepted) {
+    const res = await post(app, { query: '{ add(x: 1, y: 2) }' }, accept === undefined ? {} : { accept })
+    t.equal(res.statusCode, 200)
+    t.equal(res.headers['content-type'], contentType)
+    t.same(JSON.parse(res.body), { data: { add: 3 } })
+  }
+
+  for (const accept of ['text/html', 'application/xml, application/json;q=0', 'application/json;q=invalid']) {
+    const res = await post(app, { query: '{ add(x: 1, y: 2) }' }, { accept })
+    t.equal(res.statusCode, 406)
+    t.equal(res.headers['content-type'], 'application/json; charset=utf-8')
+    t.same(JSON.parse(res.body), {
+      data: null,
+      errors: [{ message: 'The Accept header must accept application/graphql-response+json or application/json' }]
+    })
+  }
+
+  const res = await app.inject({
+    method: 'GET',
+    url: '/graphql?query={add(x:2,y:2)}',
+    headers: { accept: 'application/graphql-response+json' }
+  })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'application/graphql-response+json; charset=utf-8')
+  t.same(JSON.parse(res.body), { data: { add: 4 } })
+})
+
+test('graphql over http - accept multipart/mixed with the incremental delivery', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true, defer: true })
+
+  let res = await post(app, { query: '{ add(x: 1, y: 2) ... @defer { sum: add(x: 2, y: 2) } }' }, { accept: 'multipart/mixed' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'multipart/mixed; boundary="-"; deferSpec=20220824')
+  t.match(res.body, '{"data":{"add":3},"hasNext":true}')
+  t.match(res.body, '{"incremental":[{"data":{"sum":4},"path":[]}],"hasNext":false}')
+
+  res = await post(app, { query: '{ add(x: 1, y: 2) }' }, { accept: 'multipart/mixed' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'application/json; charset=utf-8')
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  res = await post(app, { query: '{ add(x: 1, y: 2) }' }, { accept: 'multipart/mixed;q=0' })
+  t.equal(res.statusCode, 406)
+})
+
+test('graphql over http - do not accept multipart/mixed without the incremental delivery', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true })
+
+  const res = await post(app, { query: '{ add(x: 1, y: 2) }' }, { accept: 'multipart/mixed' })
+  t.equal(res.statusCode, 406)
+})
+
+test('graphql over http - the status codes with application/graphql-response+json', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true })
+  const headers = { accept: 'application/graphql-response+json' }
+
+  // the requests not executed have no data entry
+  let res = await post(app, { query: '{ add(x: 1, y: 2' }, headers)
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { errors: [{ message: 'Syntax Error: Expected Name, found <EOF>.', locations: [{ line: 1, column: 17 }] }] })
+
+  res = await post(app, { query: '{ sub(x: 1, y: 2) }' }, headers)
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { errors: [{ message: 'Cannot query field "sub" on type "Query".', locations: [{ line: 1, column: 3 }] }] })
+
+  // the results are sent with the 200 status, even without data
+  res = await post(app, { query: '{ add(x: 1, y: 2) bad }' }, headers)
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: { add: 3, bad: null }, errors: [{ message: 'bad error', locations: [{ line: 1, column: 19 }], path: ['bad'] }] })
+
+  res = await post(app, { query: '{ hello }' }, headers)
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'hello error', locations: [{ line: 1, column: 3 }], path: ['hello'] }] })
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query=mutation{reset}', headers })
+  t.equal(res.statusCode, 405)
+  t.equal(res.headers.allow, 'POST')
+  t.same(JSON.parse(res.body), { errors: [{ message: 'Operation cannot be performed via a GET request' }] })
+})
+
+test('graphql over http - the status codes with application/json', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true })
+
+  // the GraphQL errors of a well-formed request
+  let res = await post(app, { query: '{ sub(x: 1, y: 2) }' })
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'Cannot query field "sub" on type "Query".', locations: [{ line: 1, column: 3 }] }] })
+
+  res = await post(app, { query: '{ hello }' })
+  t.equal(res.statusCode, 200)
+
+  // the malformed requests
+  res = await post(app, { query: { add: 1 } })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'body.query should be string' }] })
+
+  res = await post(app, { variables: {} })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'Unknown query' }] })
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:2,y:2)}&variables={' })
+  t.equal(res.statusCode, 400)
+
+  res = await app.inject({ method: 'GET', url: '/graphql?query=mutation{reset}' })
+  t.equal(res.statusCode, 405)
+})
+
+test('graphql over http - reject the bodies not in JSON', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true })
+  const headers = { accept: 'application/graphql-response+json' }
+
+  for (const contentType of ['application/graphql', 'text/plain']) {
+    const res = await post(app, '{ add(x: 1, y: 2) }', { ...headers, 'content-type': contentType })
+    t.equal(res.statusCode, 415)
+    t.same(JSON.parse(res.body), { errors: [{ message: 'Unsupported media type, the body must be application/json' }] })
+  }
+
+  const res = await post(app, JSON.stringify({ query: '{ add(x: 1, y: 2) }' }), { ...headers, 'content-type': 'application/json; charset=utf-8' })
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+})
+
+test('graphql over http - batched queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true, allowBatchedQueries: true })
+
+  const res = await post(app, [
+    { query: '{ add(x: 1, y: 2) }' },
+    { query: '{ add(x: 1, y: 2' }
+  ], { accept: 'application/graphql-response+json' })
+
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'application/graphql-response+json; charset=utf-8')
+  t.same(JSON.parse(res.body), [
+    { data: { add: 3 } },
+    { errors: [{ message: 'Syntax Error: Expected Name, found <EOF>.', locations: [{ line: 1, column: 17 }] }] }
+  ])
+})
+
+test('graphql over http - etag', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, graphqlOverHttp: true, etag: true })
+
+  const res = await app.inject({
+    method: 'GET',
+    url: '/graphql?query={add(x:2,y:2)}',
+    headers: { accept: 'application/graphql-response+json' }
+  })
+  t.equal(res.statusCode, 200)
+  t.ok(res.headers.etag)
+  t.equal(res.headers['content-type'], 'application/graphql-response+json; charset=utf-8')
+})
+
+test('graphql over http - the custom error handler is not changed', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    graphqlOverHttp: true,
+    errorHandler: (error, request, reply) => {
+      reply.code(418).send({ message: error.message })
+    }
+  })
+
+  const res = await post(app, { query: '{ add(x: 1, y: 2' }, { accept: 'application/graphql-response+json' })
+  t.equal(res.statusCode, 418)
+  t.same(JSON.parse(res.body), { message: 'Graphql validation error' })
+})
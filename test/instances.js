@@ -0,0 +1,234 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const WebSocket = require('ws')
+const { once } = require('events')
+const GQL = require('..')
+
+function subscriptionSchema (type) {
+  return `
+    type Query {
+      ${type}: String
+    }
+
+    type Subscription {
+      ${type}Added: String
+    }
+  `
+}
+
+function subscriptionResolvers (type) {
+  return {
+    Query: {
+      [type]: (_, args, { app }) => `${type} ${typeof app.graphql} ${typeof app.admin}`
+    },
+    Subscription: {
+      [`${type}Added`]: {
+        subscribe: (_, args, { pubsub }) => pubsub.subscribe('ADDED')
+      }
+    }
+  }
+}
+
+async function query (app, url, query) {
+  const res = await app.inject({
+    method: 'POST',
+    url,
+    body: { query }
+  })
+  return JSON.parse(res.body)
+}
+
+test('instances - each instance has its own schema and routes', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: subscriptionSchema('public'),
+    resolvers: subscriptionResolvers('public'),
+    subscription: true,
+    graphiql: true
+  })
+  app.register(GQL, {
+    name: 'admin',
+    prefix: '/admin',
+    schema: subscriptionSchema('admin'),
+    resolvers: subscriptionResolvers('admin'),
+    subscription: true,
+    graphiql: true
+  })
+
+  t.same(await query(app, '/graphql', '{ public }'), { data: { public: 'public function function' } })
+  t.same(await query(app, '/admin/graphql', '{ admin }'), { data: { admin: 'admin function function' } })
+  t.match((await query(app, '/admin/graphql', '{ public }')).errors, [{ message: 'Cannot query field "public" on type "Query".' }])
+
+  t.same(await app.graphql('{ public }'), { data: { public: 'public function function' } })
+  t.same(await app.admin('{ admin }'), { data: { admin: 'admin function function' } })
+  t.equal(app.graphql.schema.getType('Query').getFields().admin, undefined)
+
+  for (const url of ['/graphiql/config.js', '/admin/graphiql/config.js']) {
+    const res = await app.inject({ method: 'GET', url })
+    t.equal(res.statusCode, 200)
+    t.equal(res.body, `window.GRAPHQL_ENDPOINT = '${url.replace('/graphiql/config.js', '')}/graphql'`)
+  }
+})
+
+test('instances - each instance has its own hooks and loaders', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  const schema = `
+    type Dog {
+      name: String
+      owner: String
+    }
+
+    type Query {
+      dogs: [Dog]
+    }
+  `
+  for (const name of ['graphql', 'admin']) {
+    app.register(GQL, {
+      name,
+      prefix: `/${name}`,
+      schema,
+      resolvers: {
+        Query: {
+          dogs: () => [{ name: 'Max' }]
+        }
+      },
+      loaders: {
+        Dog: {
+          owner: async (queries) => queries.map(() => name)
+        }
+      }
+    })
+  }
+
+  const executed = []
+  app.register(async function (app) {
+    app.admin.addHook('preExecution', async () => {
+      executed.push('admin')
+    })
+  })
+
+  t.same(await query(app, '/graphql/graphql', '{ dogs { owner } }'), { data: { dogs: [{ owner: 'graphql' }] } })
+  t.same(executed, [])
+  t.same(await query(app, '/admin/graphql', '{ dogs { owner } }'), { data: { dogs: [{ owner: 'admin' }] } })
+  t.same(executed, ['admin'])
+})
+
+test('instances - each instance has its own subscriptions', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: subscriptionSchema('public'),
+    resolvers: subscriptionResolvers('public'),
+    subscription: true
+  })
+  app.register(GQL, {
+    name: 'admin',
+    prefix: '/admin',
+    schema: subscriptionSchema('admin'),
+    resolvers: subscriptionResolvers('admin'),
+    subscription: true
+  })
+  await app.listen(0)
+
+  async function subscribe (path, type) {
+    const ws = new WebSocket(`ws://localhost:${app.server.address().port}${path}`, 'graphql-ws')
+    t.teardown(() => ws.close())
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ type: 'connection_init' }))
+      ws.send(JSON.stringify({ id: 1, type: 'start', payload: { query: `subscription { ${type}Added }` } }))
+    })
+
+    const [ack] = await once(ws, 'message')
+    t.equal(JSON.parse(ack).type, 'connection_ack')
+    return ws
+  }
+
+  const publicWs = await subscribe('/graphql', 'public')
+  const adminWs = await subscribe('/admin/graphql', 'admin')
+
+  // the subscriptions are started after the ack
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  const received = []
+  publicWs.on('message', message => received.push(JSON.parse(message).payload.data))
+  adminWs.on('message', message => received.push(JSON.parse(message).payload.data))
+
+  await app.admin.pubsub.publish({ topic: 'ADDED', payload: { adminAdded: 'admin' } })
+  await once(adminWs, 'message')
+  await app.graphql.pubsub.publish({ topic: 'ADDED', payload: { publicAdded: 'public' } })
+  await once(publicWs, 'message')
+
+  t.same(received, [{ adminAdded: 'admin' }, { publicAdded: 'public' }])
+})
+
+test('instances - each instance verifies the connections to its subscriptions', async (t) => {
+  const app = Fastify({ ignoreTrailingSlash: true, caseSensitive: false })
+  t.teardown(app.close.bind(app))
+
+  app.register(GQL, {
+    schema: subscriptionSchema('public'),
+    resolvers: subscriptionResolvers('public'),
+    subscription: true
+  })
+  app.register(GQL, {
+    name: 'admin',
+    prefix: '/admin',
+    schema: subscriptionSchema('admin'),
+    resolvers: subscriptionResolvers('admin'),
+    subscription: {
+      verifyClient (info, next) {
+        next(info.req.headers.authorization === 'admin')
+      }
+    }
+  })
+  app.register(GQL, {
+    name: 'internal',
+    prefix: '/internal',
+    schema: subscriptionSchema('internal'),
+    resolvers: subscriptionResolvers('internal'),
+    subscription: {
+      verifyClient: (info) => info.req.headers.authorization === 'internal'
+    }
+  })
+  await app.listen(0)
+
+  async function connect (path, authorization) {
+    const ws = new WebSocket(`ws://localhost:${app.server.address().port}${path}`, 'graphql-ws', {
+      headers: authorization ? { authorization } : {}
+    })
+    t.teardown(() => ws.terminate())
+    const [event] = await Promise.race([
+      once(ws, 'open').then(() => ['open']),
+      once(ws, 'unexpected-response').then(([, res]) => [res.statusCode])
+    ])
+    return event
+  }
+
+  t.equal(await connect('/graphql'), 'open')
+  t.equal(await connect('/admin/graphql'), 401)
+  t.equal(await connect('/ADMIN/graphql/?token=1'), 401)
+  t.equal(await connect('/admin/graphql', 'admin'), 'open')
+  t.equal(await connect('/internal/graphql'), 401)
+  t.equal(await connect('/internal/graphql', 'internal'), 'open')
+})
+
+test('instances - invalid names', async (t) => {
+  const invalid = [
+    [[{ name: '' }], 'Invalid options: the name option must be a non empty string'],
+    [[{ name: 42 }], 'Invalid options: the name option must be a non empty string'],
+    [[{}, { prefix: '/admin' }], 'Invalid options: the graphql decorator is already present, set the name option to register another instance']
+  ]
+
+  for (const [instances, message] of invalid) {
+    const app = Fastify()
+    for (const opts of instances) {
+      app.register(GQL, { schema: 'type Query { hello: String }', ...opts })
+    }
+    await t.rejects(app.ready(), { message })
+  }
+})
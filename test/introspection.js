@@ -0,0 +1,187 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y
+  }
+}
+
+function post (app, query, headers) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers,
+    body: { query }
+  })
+}
+
+test('introspection - allowed by default', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+
+  const res = await post(app, '{ __schema { queryType { name } } }')
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), { data: { __schema: { queryType: { name: 'Query' } } } })
+})
+
+test('introspection - disabled', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, introspection: false })
+  await app.ready()
+
+  // the second request uses the parsed document from the cache
+  for (let i = 0; i < 2; i++) {
+    const res = await post(app, '{ add(x: 1, y: 2) __schema { queryType { name } } }')
+    t.equal(res.statusCode, 400)
+    t.same(JSON.parse(res.body), {
+      data: null,
+      errors: [{
+        message: 'GraphQL introspection is not allowed',
+        locations: [{ line: 1, column: 19 }],
+        extensions: { code: 'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED' }
+      }]
+    })
+  }
+
+  const res = await post(app, '{ ...Types } fragment Types on Query { __type(name: "Query") { name } }')
+  t.equal(res.statusCode, 400)
+  t.equal(JSON.parse(res.body).errors[0].extensions.code, 'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED')
+
+  t.same(await app.graphql('{ add(x: 1, y: 2) __typename }'), { data: { add: 3, __typename: 'Query' } })
+  await t.rejects(app.graphql('{ __schema { queryType { name } } }'), {
+    code: 'MER_ERR_GQL_VALIDATION',
+    errors: [{ message: 'GraphQL introspection is not allowed' }]
+  })
+})
+
+test('introspection - disabled without the parsed documents cache', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, introspection: false, cache: false })
+  await app.ready()
+
+  for (let i = 0; i < 2; i++) {
+    await t.rejects(app.graphql('{ __schema { queryType { name } } }'), { code: 'MER_ERR_GQL_VALIDATION' })
+    t.same(await app.graphql('{ add(x: 1, y: 2) }'), { data: { add: 3 } })
+  }
+})
+
+test('introspection - allowed by a function of the request and the context', async (t) => {
+  t.plan(9)
+
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    introspection: async (request, context) => {
+      t.ok(context.app)
+      return request !== undefined && request.headers['x-introspection'] === 'allowed'
+    }
+  })
+  await app.ready()
+
+  let res = await post(app, '{ __schema { queryType { name } } }', { 'x-introspection': 'allowed' })
+  t.equal(res.statusCode, 200)
+
+  res = await post(app, '{ __schema { queryType { name } } }', { 'x-introspection': 'denied' })
+  t.equal(res.statusCode, 400)
+  t.equal(JSON.parse(res.body).errors[0].extensions.code, 'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED')
+
+  res = await post(app, '{ add(x: 1, y: 2) }')
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  await t.rejects(app.graphql('{ __schema { queryType { name } } }'), { code: 'MER_ERR_GQL_VALIDATION' })
+})
+
+test('introspection - the _service field of a federated service', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: `
+      extend type Query {
+        hello: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => 'world'
+      }
+    },
+    federationMetadata: true,
+    introspection: (request) => request.headers.authorization === 'gateway'
+  })
+
+  let res = await post(app, '{ _service { sdl } }')
+  t.equal(res.statusCode, 400)
+  t.equal(JSON.parse(res.body).errors[0].extensions.code, 'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED')
+
+  res = await post(app, '{ hello }')
+  t.same(JSON.parse(res.body), { data: { hello: 'world' } })
+
+  res = await post(app, '{ _service { sdl } }', { authorization: 'gateway' })
+  t.equal(res.statusCode, 200)
+  t.match(JSON.parse(res.body).data._service.sdl, /hello: String/)
+})
+
+test('introspection - the gateway loads the schema of a service allowing it', async (t) => {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        hello: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => 'world'
+      }
+    },
+    federationMetadata: true,
+    introspection: (request) => request.headers.authorization === 'gateway'
+  })
+  await service.listen(0)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'svc',
+        url: `http://localhost:${service.server.address().port}/graphql`,
+        initHeaders: {
+          authorization: 'gateway'
+        }
+      }]
+    },
+    introspection: false
+  })
+
+  const res = await post(gateway, '{ hello }')
+  t.same(JSON.parse(res.body), { data: { hello: 'world' } })
+
+  const introspection = await post(gateway, '{ __schema { queryType { name } } }')
+  t.equal(introspection.statusCode, 400)
+})
+
+test('introspection - invalid option', async (t) => {
+  const app = Fastify()
+  app.register(GQL, { schema, resolvers, introspection: 'no' })
+
+  await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+})
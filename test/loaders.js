@@ -2,6 +2,9 @@
 
 const { test } = require('tap')
 const Fastify = require('fastify')
+const WebSocket = require('ws')
+const { once } = require('events')
+const FakeTimers = require('@sinonjs/fake-timers')
 const GQL = require('..')
 
 const dogs = [{
@@ -422,7 +425,7 @@ test('options cache is false and lruErrors exists', async t => {
   }
 })
 
-test('reply is empty, throw error', async (t) => {
+test('loaders work via app.graphql()', async (t) => {
   const app = Fastify()
 
   const resolvers = {
@@ -431,9 +434,14 @@ test('reply is empty, throw error', async (t) => {
     }
   }
 
+  const calls = []
   const loaders = {
     Dog: {
-      async owner (queries) {
+      async owner (queries, context) {
+        calls.push(queries.map(({ obj }) => obj.name))
+        t.equal(context.app, app)
+        t.equal(context.reply, undefined)
+        t.equal(context.test, 'custom')
         return queries.map(({ obj }) => owners[obj.name])
       }
     }
@@ -448,13 +456,11 @@ test('reply is empty, throw error', async (t) => {
   // needed so that graphql is defined
   await app.ready()
 
-  try {
-    await app.graphql(query)
-  } catch (error) {
-    t.equal(error.message, 'Internal Server Error')
-    t.equal(error.errors.length, 4)
-    t.equal(error.errors[0].message, 'loaders only work via reply.graphql()')
-  }
+  const res = await app.graphql(query, { test: 'custom' })
+  t.same(res.data.dogs.map(({ owner }) => owner.name), ['Jennifer', 'Sarah', 'Tracy', 'Jennifer'])
+  // every execution has its own loaders
+  await app.graphql(query, { test: 'custom' })
+  t.same(calls, [['Max', 'Charlie', 'Buddy'], ['Max', 'Charlie', 'Buddy']])
 })
 
 test('throw when persistedQueries is empty but onlyPersisted is true', async t => {
@@ -542,3 +548,247 @@ test('loaders support custom context', async (t) => {
     }
   })
 })
+
+test('loaders work for every event of a subscription', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  const calls = []
+  app.register(GQL, {
+    schema: schema + `
+      type Subscription {
+        dogsAdded: [Dog]
+      }
+    `,
+    resolvers: {
+      ...resolvers,
+      Subscription: {
+        dogsAdded: {
+          subscribe: (_, args, { pubsub }) => pubsub.subscribe('DOGS_ADDED')
+        }
+      }
+    },
+    loaders: {
+      Dog: {
+        async owner (queries, { pubsub }) {
+          t.ok(pubsub)
+          calls.push(queries.map(({ obj }) => obj.name))
+          return queries.map(({ obj }) => owners[obj.name])
+        }
+      }
+    },
+    subscription: true
+  })
+  await app.listen(0)
+
+  const ws = new WebSocket('ws://localhost:' + app.server.address().port + '/graphql', 'graphql-ws')
+  t.teardown(() => ws.close())
+  ws.on('open', () => {
+    ws.send(JSON.stringify({ type: 'connection_init' }))
+    ws.send(JSON.stringify({ id: 1, type: 'start', payload: { query: 'subscription { dogsAdded { name owner { name } } }' } }))
+  })
+
+  const [ack] = await once(ws, 'message')
+  t.equal(JSON.parse(ack).type, 'connection_ack')
+
+  // the subscription is started after the ack
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  for (const names of [['Max', 'Charlie', 'Max'], ['Max', 'Buddy']]) {
+    await app.graphql.pubsub.publish({ topic: 'DOGS_ADDED', payload: { dogsAdded: names.map(name => ({ name })) } })
+    const [message] = await once(ws, 'message')
+    t.same(JSON.parse(message).payload.data.dogsAdded, names.map(name => ({ name, owner: owners[name] })))
+  }
+
+  // the owner of Max is loaded again for the second event
+  t.same(calls, [['Max', 'Charlie'], ['Max', 'Buddy']])
+})
+
+function buildLoaderApp (t, owner, dogs) {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+
+  app.register(GQL, {
+    schema,
+    resolvers: {
+      Query: {
+        dogs: () => dogs
+      }
+    },
+    loaders: {
+      Dog: { owner }
+    }
+  })
+
+  return app
+}
+
+async function queryDogs (app) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return JSON.parse(res.body)
+}
+
+test('loaders split the batches larger than maxBatchSize', async (t) => {
+  const calls = []
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      calls.push(queries.map(({ obj }) => obj.name))
+      return queries.map(({ obj }) => owners[obj.name])
+    },
+    opts: {
+      maxBatchSize: 2
+    }
+  }, dogs)
+
+  const { data } = await queryDogs(app)
+  t.same(data.dogs.map(({ owner }) => owner.name), ['Jennifer', 'Sarah', 'Tracy', 'Jennifer'])
+  t.same(calls, [['Max', 'Charlie'], ['Buddy']])
+})
+
+test('loaders deduplicate the queries by key', async (t) => {
+  const calls = []
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      calls.push(queries.map(({ obj }) => obj.name))
+      return queries.map(({ obj }) => owners[obj.name])
+    },
+    opts: {
+      key: ({ obj }) => obj.name
+    }
+  }, [{ name: 'Max', age: 1 }, { name: 'Max', age: 2 }, { name: 'Buddy', age: 1 }])
+
+  const { data } = await queryDogs(app)
+  t.same(data.dogs.map(({ owner }) => owner.name), ['Jennifer', 'Jennifer', 'Tracy'])
+  t.same(calls, [['Max', 'Buddy']])
+})
+
+test('loaders fail the queries with an error result', async (t) => {
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      return queries.map(({ obj }) => obj.name === 'Charlie' ? new Error('Charlie has no owner') : owners[obj.name])
+    }
+  }, dogs)
+
+  t.same(await queryDogs(app), {
+    data: {
+      dogs: [
+        { name: 'Max', owner: { name: 'Jennifer' } },
+        { name: 'Charlie', owner: null },
+        { name: 'Buddy', owner: { name: 'Tracy' } },
+        { name: 'Max', owner: { name: 'Jennifer' } }
+      ]
+    },
+    errors: [{
+      message: 'Charlie has no owner',
+      locations: [{ line: 4, column: 5 }],
+      path: ['dogs', 1, 'owner']
+    }]
+  })
+})
+
+test('loaders share their results across the executions with sharedCache', async (t) => {
+  const clock = FakeTimers.install({
+    shouldAdvanceTime: true,
+    advanceTimeDelta: 40
+  })
+  t.teardown(() => clock.uninstall())
+
+  const calls = []
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      calls.push(queries.map(({ obj }) => obj.name))
+      return queries.map(({ obj }) => obj.name === 'Charlie' ? new Error('Charlie has no owner') : owners[obj.name])
+    },
+    opts: {
+      maxBatchSize: 1,
+      sharedCache: { ttl: 1000 }
+    }
+  }, dogs)
+
+  const expected = ['Jennifer', null, 'Tracy', 'Jennifer']
+
+  t.same((await queryDogs(app)).data.dogs.map(({ owner }) => owner && owner.name), expected)
+  t.same(calls, [['Max'], ['Charlie'], ['Buddy']])
+
+  // the errors are not cached
+  t.same((await queryDogs(app)).data.dogs.map(({ owner }) => owner && owner.name), expected)
+  t.same(calls.slice(3), [['Charlie']])
+
+  clock.tick(1000)
+  t.same((await queryDogs(app)).data.dogs.map(({ owner }) => owner && owner.name), expected)
+  t.same(calls.slice(4), [['Max'], ['Charlie'], ['Buddy']])
+})
+
+test('loaders share their results by key', async (t) => {
+  const calls = []
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      calls.push(queries.map(({ obj }) => obj.name))
+      return queries.map(({ obj }) => owners[obj.name])
+    },
+    opts: {
+      key: ({ obj }) => obj.name,
+      sharedCache: { ttl: 60000, max: 3 }
+    }
+  }, dogs)
+
+  await queryDogs(app)
+  const { data } = await queryDogs(app)
+  t.same(data.dogs.map(({ owner }) => owner.name), ['Jennifer', 'Sarah', 'Tracy', 'Jennifer'])
+  t.same(calls, [['Max', 'Charlie', 'Buddy']])
+})
+
+test('loaders share their results by stable keys, the keys that cannot be serialized are not cached', async (t) => {
+  const circular = { name: 'Charlie' }
+  circular.self = circular
+
+  let reordered = false
+  const keys = {
+    Max: () => reordered
+      ? { tags: [undefined, new Date(0)], id: 1n }
+      : { id: 1n, skip: undefined, tags: [undefined, new Date(0)] },
+    Charlie: () => circular,
+    Buddy: () => ({ id: '1n', tags: [null, '1970-01-01T00:00:00.000Z'] })
+  }
+
+  const calls = []
+  const app = buildLoaderApp(t, {
+    async loader (queries) {
+      calls.push(queries.map(({ obj }) => obj.name))
+      return queries.map(({ obj }) => owners[obj.name])
+    },
+    opts: {
+      key: ({ obj }) => keys[obj.name](),
+      sharedCache: { ttl: 60000 }
+    }
+  }, dogs)
+
+  await queryDogs(app)
+  reordered = true
+  const { data, errors } = await queryDogs(app)
+  t.equal(errors, undefined)
+  t.same(data.dogs.map(({ owner }) => owner.name), ['Jennifer', 'Sarah', 'Tracy', 'Jennifer'])
+  t.same(calls, [['Max', 'Charlie', 'Buddy'], ['Charlie']])
+})
+
+test('loaders with invalid options', async (t) => {
+  const loader = async (queries) => queries
+  const invalid = [
+    [{ maxBatchSize: 0 }, 'the maxBatchSize option of the Dog.owner loader must be a positive integer'],
+    [{ maxBatchSize: 1.5 }, 'the maxBatchSize option of the Dog.owner loader must be a positive integer'],
+    [{ key: 'name' }, 'the key option of the Dog.owner loader must be a function'],
+    [{ sharedCache: null }, 'the sharedCache option of the Dog.owner loader must be an object with a positive ttl and max'],
+    [{ sharedCache: { ttl: 0 } }, 'the sharedCache option of the Dog.owner loader must be an object with a positive ttl and max'],
+    [{ sharedCache: { ttl: 1000, max: 0 } }, 'the sharedCache option of the Dog.owner loader must be an object with a positive ttl and max']
+  ]
+
+  for (const [opts, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, loaders: { Dog: { owner: { loader, opts } } } })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
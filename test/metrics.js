@@ -0,0 +1,338 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const WebSocket = require('ws')
+const { once } = require('events')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    add(x: Int, y: Int): Int
+  }
+
+  type Mutation {
+    reset: Boolean
+  }
+
+  type Subscription {
+    added: Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y
+  },
+  Mutation: {
+    reset: () => true
+  }
+}
+
+function post (app, query, operationName) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query, operationName }
+  })
+}
+
+async function scrape (app, url = '/metrics') {
+  const res = await app.inject({ method: 'GET', url })
+  return res.body
+}
+
+// the value of a single series in the Prometheus text format
+function valueOf (body, series) {
+  const line = body.split('\n').find(line => line.startsWith(series + ' '))
+  return line === undefined ? undefined : Number(line.slice(series.length + 1))
+}
+
+test('metrics - disabled by default', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+  await app.ready()
+
+  const res = await app.inject({ method: 'GET', url: '/metrics' })
+  t.equal(res.statusCode, 404)
+  t.equal(app.graphql.metrics, undefined)
+})
+
+test('metrics - served in the Prometheus text format', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true })
+  await app.ready()
+
+  const res = await app.inject({ method: 'GET', url: '/metrics' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8')
+  t.match(res.body, '# HELP mercurius_operations_total Number of GraphQL operations by name and type\n# TYPE mercurius_operations_total counter\n')
+  t.match(res.body, '# TYPE mercurius_parse_duration_seconds histogram\n')
+  t.match(res.body, '# TYPE mercurius_subscription_connections gauge\n')
+  t.equal(res.body, app.graphql.metrics.serialize())
+})
+
+test('metrics - operations by name and type', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true })
+  await app.ready()
+
+  await post(app, '{ add(x: 1, y: 2) }')
+  await post(app, 'query Add { add(x: 1, y: 2) }')
+  await post(app, 'query Add { add(x: 1, y: 2) } mutation Reset { reset }', 'Reset')
+  await app.graphql('query Add { add(x: 1, y: 2) }')
+  await post(app, '{ unknown }')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="",operation_type="query"}'), 1)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="Add",operation_type="query"}'), 2)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="Reset",operation_type="mutation"}'), 1)
+
+  // the operation of an ambiguous document is unknown
+  await post(app, 'query A { add(x: 1, y: 2) } query B { add(x: 1, y: 2) }')
+  t.equal(valueOf(await scrape(app), 'mercurius_operations_total{operation_name="",operation_type=""}'), 1)
+})
+
+test('metrics - the number of operation names is capped', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: { maxOperationNames: 2 } })
+
+  for (const name of ['A', 'B', 'C', 'D', 'A']) {
+    await post(app, `query ${name} { add(x: 1, y: 2) }`)
+  }
+  await post(app, '{ add(x: 1, y: 2) }')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="A",operation_type="query"}'), 2)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="B",operation_type="query"}'), 1)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="other",operation_type="query"}'), 2)
+  t.equal(valueOf(body, 'mercurius_operations_total{operation_name="",operation_type="query"}'), 1)
+  t.notOk(body.includes('operation_name="C"'))
+})
+
+test('metrics - parse, validation and execution durations', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: { buckets: [1, 0.5] } })
+
+  await post(app, '{ add(x: 1, y: 2) }')
+  // the cached documents are not parsed and validated again
+  await post(app, '{ add(x: 1, y: 2) }')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_parse_duration_seconds_count'), 1)
+  t.equal(valueOf(body, 'mercurius_validation_duration_seconds_count'), 1)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_count'), 2)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_bucket{le="0.5"}'), 2)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_bucket{le="1"}'), 2)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_bucket{le="+Inf"}'), 2)
+  t.ok(valueOf(body, 'mercurius_execution_duration_seconds_sum') > 0)
+  t.ok(body.indexOf('le="0.5"') < body.indexOf('le="1"'))
+})
+
+test('metrics - the executions throwing are measured', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    metrics: true,
+    executor () {
+      throw new Error('kaboom')
+    }
+  })
+
+  const res = await post(app, '{ add(x: 1, y: 2) }')
+  t.equal(res.statusCode, 500)
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_count'), 1)
+})
+
+test('metrics - the incremental executions are measured once with their deferred payloads', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true, defer: true })
+
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { accept: 'multipart/mixed' },
+    body: { query: '{ add(x: 1, y: 2) ... @defer { later: add(x: 2, y: 2) } }' }
+  })
+  t.match(res.body, '"later":4')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_count'), 1)
+})
+
+test('metrics - jit compilations', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true, jit: 1 })
+
+  for (let i = 0; i < 4; i++) {
+    const res = await post(app, '{ add(x: 1, y: 2) }')
+    t.same(JSON.parse(res.body), { data: { add: 3 } })
+  }
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_jit_compilations_total'), 1)
+  t.equal(valueOf(body, 'mercurius_execution_duration_seconds_count'), 4)
+})
+
+test('metrics - hits and misses of the caches', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true })
+
+  await post(app, '{ add(x: 1, y: 2) }')
+  await post(app, '{ add(x: 1, y: 2) }')
+  await post(app, '{ unknown }')
+  await post(app, '{ unknown }')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_cache_hits_total{cache="lru"}'), 1)
+  t.equal(valueOf(body, 'mercurius_cache_misses_total{cache="lru"}'), 3)
+  t.equal(valueOf(body, 'mercurius_cache_hits_total{cache="lruErrors"}'), 1)
+  t.equal(valueOf(body, 'mercurius_cache_misses_total{cache="lruErrors"}'), 2)
+})
+
+test('metrics - without the caches', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true, cache: false })
+
+  await post(app, '{ add(x: 1, y: 2) }')
+  await post(app, '{ add(x: 1, y: 2) }')
+
+  const body = await scrape(app)
+  t.equal(valueOf(body, 'mercurius_parse_duration_seconds_count'), 2)
+  t.notMatch(body, 'mercurius_cache_misses_total{')
+})
+
+test('metrics - custom path and prefix', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: { path: '/custom-metrics', prefix: 'gql_' } })
+
+  await post(app, '{ add(x: 1, y: 2) }')
+
+  let res = await app.inject({ method: 'GET', url: '/metrics' })
+  t.equal(res.statusCode, 404)
+
+  res = await app.inject({ method: 'GET', url: '/custom-metrics' })
+  t.equal(res.statusCode, 200)
+  t.equal(valueOf(res.body, 'gql_operations_total{operation_name="",operation_type="query"}'), 1)
+})
+
+test('metrics - without the route', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: { path: false } })
+  await app.ready()
+
+  await post(app, '{ add(x: 1, y: 2) }')
+
+  const res = await app.inject({ method: 'GET', url: '/metrics' })
+  t.equal(res.statusCode, 404)
+  t.equal(valueOf(app.graphql.metrics.serialize(), 'mercurius_operations_total{operation_name="",operation_type="query"}'), 1)
+})
+
+test('metrics - active subscription connections', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true, subscription: true })
+  await app.listen(0)
+
+  const url = 'ws://localhost:' + app.server.address().port + '/graphql'
+  const connections = async () => valueOf(await scrape(app), 'mercurius_subscription_connections')
+
+  // the connections with an unsupported protocol are not counted
+  const invalid = new WebSocket(url, 'other')
+  await once(invalid, 'close')
+
+  const ws = new WebSocket(url, 'graphql-ws')
+  ws.on('open', () => ws.send(JSON.stringify({ type: 'connection_init' })))
+  await once(ws, 'message')
+  t.equal(await connections(), 1)
+
+  ws.close()
+  await once(ws, 'close')
+  while (await connections() !== 0) {
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  t.pass('the connection is no longer active')
+})
+
+test('metrics - latency of the gateway requests per service', async (t) => {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        hello: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => 'world'
+      }
+    },
+    federationMetadata: true
+  })
+  await service.listen(0)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'svc',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    metrics: true
+  })
+
+  for (let i = 0; i < 2; i++) {
+    const res = await post(gateway, '{ hello }')
+    t.same(JSON.parse(res.body), { data: { hello: 'world' } })
+  }
+
+  const body = await scrape(gateway)
+  // the request of the schema of the service is counted as well
+  t.equal(valueOf(body, 'mercurius_gateway_request_duration_seconds_count{service="svc"}'), 3)
+  t.equal(valueOf(body, 'mercurius_cache_misses_total{cache="lruGatewayResolvers"}'), 1)
+  t.equal(valueOf(body, 'mercurius_cache_hits_total{cache="lruGatewayResolvers"}'), 1)
+
+  await service.close()
+  const res = await post(gateway, '{ hello }')
+  t.ok(JSON.parse(res.body).errors)
+  t.equal(valueOf(await scrape(gateway), 'mercurius_gateway_request_duration_seconds_count{service="svc"}'), 4)
+})
+
+test('metrics - label values are escaped', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, metrics: true })
+  await app.ready()
+
+  app.graphql.metrics.cacheHits.inc({ cache: 'a "quoted"\\name\n' })
+  t.match(await scrape(app), 'mercurius_cache_hits_total{cache="a \\"quoted\\"\\\\name\\n"} 1\n')
+})
+
+test('metrics - invalid options', async (t) => {
+  for (const metrics of ['yes', null, { path: 1 }, { prefix: false }, { buckets: 1 }, { buckets: ['1'] }, { maxOperationNames: -1 }, { maxOperationNames: 1.5 }]) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, metrics })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
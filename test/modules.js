@@ -0,0 +1,247 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const { parse } = require('graphql')
+const GQL = require('..')
+
+const users = {
+  name: 'users',
+  schema: `
+    type User {
+      id: ID!
+      name: String
+    }
+
+    extend type Query {
+      me: User
+    }
+  `,
+  resolvers: {
+    Query: {
+      me: () => ({ id: '1', name: 'John' })
+    }
+  }
+}
+
+const posts = {
+  name: 'posts',
+  schema: [`
+    type Post {
+      title: String
+      author: User
+    }
+  `, `
+    extend type User {
+      posts: [Post]
+    }
+
+    extend type Query {
+      posts: [Post]
+    }
+  `],
+  resolvers: {
+    Query: {
+      posts: () => [{ title: 'hello', authorId: '1' }]
+    },
+    User: {
+      posts: () => [{ title: 'hello', authorId: '1' }]
+    }
+  },
+  loaders: {
+    Post: {
+      async author (queries) {
+        return queries.map(() => ({ id: '1', name: 'John' }))
+      }
+    }
+  }
+}
+
+async function query (app, query) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return JSON.parse(res.body)
+}
+
+test('modules - merged from encapsulated plugins', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL)
+
+  // the posts module extends the User type of the users module
+  app.register(async function (app) {
+    app.graphql.module(posts)
+  })
+  app.register(async function (app) {
+    app.graphql.module(users)
+  })
+
+  t.same(await query(app, '{ me { name posts { title author { name } } } posts { title } }'), {
+    data: {
+      me: { name: 'John', posts: [{ title: 'hello', author: { name: 'John' } }] },
+      posts: [{ title: 'hello' }]
+    }
+  })
+})
+
+test('modules - merged in the order of their names', async (t) => {
+  const schemas = []
+  for (const order of [[users, posts], [posts, users]]) {
+    const app = Fastify()
+    t.teardown(app.close.bind(app))
+    app.register(GQL)
+    app.register(async function (app) {
+      for (const mod of order) {
+        app.graphql.module(mod)
+      }
+    })
+    await app.ready()
+    schemas.push(Object.keys(app.graphql.schema.getQueryType().getFields()))
+  }
+
+  t.same(schemas, [['posts', 'me'], ['posts', 'me']])
+})
+
+test('modules - with the schema of the options and a document', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: 'type Query { hello: String }',
+    resolvers: {
+      Query: {
+        hello: () => 'world'
+      }
+    }
+  })
+  app.register(async function (app) {
+    app.graphql.module({
+      name: 'status',
+      schema: parse(`
+        scalar Status
+
+        extend type Query {
+          status: Status
+        }
+      `),
+      resolvers: {
+        Status: {
+          serialize: value => value.toUpperCase()
+        },
+        Query: {
+          status: () => 'up'
+        }
+      }
+    })
+    app.graphql.module({ name: 'empty' })
+  })
+
+  t.same(await query(app, '{ hello status }'), { data: { hello: 'world', status: 'UP' } })
+})
+
+test('modules - conflicts', async (t) => {
+  const conflicts = [
+    [[users, { name: 'accounts', schema: 'type User { id: ID! }' }], 'the type User is defined by the accounts module and the users module'],
+    [[{ name: 'queries', schema: 'type Query { hello: String }' }], 'the type Query is defined by the schema and the queries module'],
+    [[users, { name: 'profiles', schema: 'extend type Query { me: String }' }], 'the field Query.me is defined by the profiles module and the users module'],
+    [[users, { name: 'profiles', schema: 'extend type User { name: String }' }], 'the field User.name is defined by the profiles module and the users module'],
+    [[users, { name: 'admin', resolvers: { Query: { me: () => null } } }], 'the resolver of Query.me is defined by the admin module and the users module'],
+    [[users, posts, { name: 'authors', loaders: { Post: { async author () {} } } }], 'the resolver of Post.author is defined by the authors module and the posts module'],
+    [[
+      { name: 'date', schema: 'scalar Date', resolvers: { Date: { serialize: String } } },
+      { name: 'time', resolvers: { Date: { serialize: Number } } }
+    ], 'the resolver of Date is defined by the date module and the time module']
+  ]
+
+  for (const [modules, message] of conflicts) {
+    const app = Fastify()
+    app.register(GQL)
+    app.register(async function (app) {
+      for (const mod of modules) {
+        app.graphql.module(mod)
+      }
+    })
+    await t.rejects(app.ready(), { code: 'MER_ERR_GQL_MODULE_CONFLICT', message: `Conflicting modules: ${message}` })
+  }
+})
+
+test('modules - root resolver functions', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL)
+  app.register(async function (app) {
+    app.graphql.module({
+      name: 'math',
+      schema: 'extend type Query { add(x: Int, y: Int): Int }',
+      resolvers: {
+        add: ({ x, y }) => x + y
+      }
+    })
+  })
+
+  t.same(await query(app, '{ add(x: 1, y: 2) }'), { data: { add: 3 } })
+})
+
+test('modules - invalid modules', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema: 'type Query { hello: String }' })
+  await app.ready()
+
+  const invalid = [
+    [null, 'Invalid options: a module must be an object'],
+    [{ schema: '' }, 'Invalid options: the name of a module must be a non empty string'],
+    [{ name: 'accounts', schema: 42 }, 'Invalid options: the schema of the accounts module must be a string, an array of strings or a document'],
+    [{ name: 'accounts', schema: null }, 'Invalid options: the schema of the accounts module must be a string, an array of strings or a document'],
+    [{ name: 'accounts', resolvers: null }, 'Invalid options: the resolvers of the accounts module must be an object'],
+    [{ name: 'accounts', loaders: 'loaders' }, 'Invalid options: the loaders of the accounts module must be an object']
+  ]
+
+  const app2 = Fastify()
+  app2.register(GQL)
+  app2.register(async function (app) {
+    app.graphql.module(users)
+    for (const [mod, message] of invalid) {
+      t.throws(() => app.graphql.module(mod), { message })
+    }
+    t.throws(() => app.graphql.module(users), { message: 'Invalid options: the users module is already defined' })
+  })
+  await app2.ready()
+  await app2.close()
+
+  t.throws(() => app.graphql.module(users), {
+    message: 'Invalid method: Calling module method after the application is ready is not allowed'
+  })
+})
+
+test('modules - not allowed with federationMetadata and the gateway', async (t) => {
+  const service = Fastify()
+  t.teardown(service.close.bind(service))
+  service.register(GQL, {
+    schema: 'extend type Query { hello: String }',
+    federationMetadata: true
+  })
+  await service.listen(0)
+
+  t.throws(() => service.graphql.module(users), {
+    message: 'Invalid method: Calling module method when federationMetadata is enabled is not allowed'
+  })
+
+  const gateway = Fastify()
+  t.teardown(gateway.close.bind(gateway))
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'hello',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    }
+  })
+  await gateway.ready()
+
+  t.throws(() => gateway.graphql.module(users), {
+    message: 'Gateway issues: Calling module method when plugin is running in gateway mode is not allowed'
+  })
+})
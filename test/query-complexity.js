@@ -0,0 +1,356 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const { GraphQLSchema, GraphQLObjectType, GraphQLString } = require('graphql')
+const GQL = require('..')
+const { MER_ERR_GQL_VALIDATION, MER_ERR_GQL_QUERY_COMPLEXITY } = require('../lib/errors')
+
+const schema = `
+  directive @cost(complexity: Int, multipliers: [String]) on FIELD_DEFINITION
+
+  interface Pet {
+    name: String!
+  }
+
+  type Human {
+    name: String!
+    pets(limit: Int): [Dog] @cost(complexity: 2, multipliers: ["limit"])
+  }
+
+  type Dog implements Pet {
+    name: String!
+    owner: Human @cost(complexity: 5)
+  }
+
+  type Query {
+    dogs(limit: Int, names: [String]): [Dog] @cost(multipliers: "limit")
+    owners(names: [String]): [Human] @cost(complexity: 1, multipliers: ["names"])
+    pets: [Pet]
+    add(x: Int!, y: Int!): Int
+  }
+
+  type Mutation {
+    addDog(name: String!): Dog @cost(complexity: 10)
+  }
+
+  type Subscription {
+    onDog: Dog @cost(complexity: 10)
+  }
+`
+
+const dogs = [{ name: 'Max' }, { name: 'Charlie' }]
+const human = { name: 'Jennifer' }
+
+const resolvers = {
+  Query: {
+    dogs: () => dogs,
+    owners: () => [human],
+    pets: () => dogs,
+    add: (_, { x, y }) => x + y
+  },
+  Mutation: {
+    addDog: (_, { name }) => ({ name })
+  },
+  Subscription: {
+    onDog: {
+      subscribe: () => {}
+    }
+  },
+  Human: {
+    pets: () => dogs
+  },
+  Dog: {
+    owner: () => human
+  },
+  Pet: {
+    resolveType: () => 'Dog'
+  }
+}
+
+function complexityOf (app, query, variables, operationName) {
+  let complexity
+  app.graphql.addHook('onResolution', async (execution, context) => {
+    complexity = context.queryComplexity
+  })
+  return app.graphql(query, null, variables, operationName).then(() => complexity)
+}
+
+test('queryComplexity - defaults to a complexity of 1 per field', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 100 })
+  await app.ready()
+
+  const complexity = await complexityOf(app, '{ add(x: 1, y: 2) pets { name } }')
+  t.equal(complexity, 3)
+})
+
+test('queryComplexity - rejects operations over the maximum', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 4 })
+  await app.ready()
+
+  const err = new MER_ERR_GQL_VALIDATION()
+  err.errors = [new MER_ERR_GQL_QUERY_COMPLEXITY('unnamedQuery', 5, 4)]
+
+  await t.rejects(app.graphql('{ add(x: 1, y: 2) pets { name } a: add(x: 1, y: 2) b: add(x: 1, y: 2) }'), err)
+})
+
+test('queryComplexity - uses the operation name in the error', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1 })
+  await app.ready()
+
+  try {
+    await app.graphql('query Pets { pets { name } }')
+    t.fail('should throw')
+  } catch (error) {
+    t.equal(error.code, 'MER_ERR_GQL_VALIDATION')
+    t.equal(error.errors[0].code, 'MER_ERR_GQL_QUERY_COMPLEXITY')
+    t.equal(error.errors[0].message, '`Pets query complexity (2) exceeds the query complexity limit of 1`')
+  }
+})
+
+test('queryComplexity - @cost directive with multipliers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  // dogs: (1 + name + owner (5 + name)) * 10 = 80
+  t.equal(await complexityOf(app, '{ dogs(limit: 10) { name owner { name } } }'), 80)
+})
+
+test('queryComplexity - @cost directive multipliers from variables', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  // owners: (1 + name + pets((2 + name) * 3)) * 2 = 22
+  const query = 'query ($names: [String], $limit: Int) { owners(names: $names) { name pets(limit: $limit) { name } } }'
+  t.equal(await complexityOf(app, query, { names: ['a', 'b'], limit: 3 }), 22)
+})
+
+test('queryComplexity - @cost directive ignores missing multipliers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  t.equal(await complexityOf(app, '{ dogs { name } owners { name } }'), 4)
+})
+
+test('queryComplexity - complexity function defined with defineResolvers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  app.graphql.defineResolvers({
+    Query: {
+      pets: {
+        resolve: () => [{ name: 'Buddy' }],
+        complexity: (args, childComplexity) => 10 + childComplexity * 100
+      },
+      add: {
+        complexity: () => 50
+      },
+      owners: {
+        resolve: () => [{ name: 'Sarah' }]
+      }
+    }
+  })
+
+  t.equal(await complexityOf(app, '{ pets { name } add(x: 1, y: 1) }'), 160)
+  const res = await app.graphql('{ pets { name } add(x: 1, y: 1) }')
+  t.same(res, { data: { pets: [{ name: 'Buddy' }], add: 2 } })
+  t.same(await app.graphql('{ owners { name } }'), { data: { owners: [{ name: 'Sarah' }] } })
+})
+
+test('queryComplexity - complexity function receives the arguments', async (t) => {
+  t.plan(2)
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    queryComplexity: 1000,
+    resolvers: {
+      ...resolvers,
+      Query: {
+        ...resolvers.Query,
+        dogs: {
+          resolve: () => dogs,
+          complexity: (args, childComplexity) => {
+            t.same(args, { limit: 4 })
+            return args.limit * childComplexity
+          }
+        }
+      }
+    }
+  })
+  await app.ready()
+
+  t.equal(await complexityOf(app, '{ dogs(limit: 4) { name } }'), 4)
+})
+
+test('queryComplexity - fragments, inline fragments and introspection fields', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  const query = `{
+    __typename
+    pets {
+      ...PetName
+      ... on Dog { owner { name } }
+      ... @include(if: true) { __typename }
+    }
+  }
+
+  fragment PetName on Pet {
+    name
+  }`
+
+  // pets: 1 + name + owner(5 + name) = 8
+  t.equal(await complexityOf(app, query), 8)
+})
+
+test('queryComplexity - skipped fields are not counted', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  const query = `query ($skip: Boolean!) {
+    add(x: 1, y: 2) @skip(if: $skip)
+    pets @include(if: false) { name }
+    dogs { name }
+  }`
+
+  t.equal(await complexityOf(app, query, { skip: true }), 2)
+  t.equal(await complexityOf(app, query, { skip: false }), 3)
+})
+
+test('queryComplexity - invalid @skip and @include variables are reported by the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 1000 })
+  await app.ready()
+
+  const query = `query ($skip: Boolean!) {
+    add(x: 1, y: 2) @skip(if: $skip)
+  }`
+
+  await t.rejects(app.graphql(query, null, {}), {
+    errors: [{ message: 'Variable "$skip" of required type "Boolean!" was not provided.' }]
+  })
+  await t.rejects(app.graphql(query, null, { skip: 'yes' }), {
+    errors: [{ message: 'Variable "$skip" got invalid value "yes"; Boolean cannot represent a non boolean value: "yes"' }]
+  })
+})
+
+test('queryComplexity - mutations and subscriptions', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 5 })
+  await app.ready()
+
+  await t.rejects(app.graphql('mutation { addDog(name: "Max") { name } }'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+  await t.rejects(app.graphql('subscription { onDog { name } }'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+})
+
+test('queryComplexity - only the selected operation is checked', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 2 })
+  await app.ready()
+
+  const query = `
+    query Small { add(x: 1, y: 2) }
+    query Big { dogs(limit: 100) { name } }
+  `
+
+  const res = await app.graphql(query, null, null, 'Small')
+  t.same(res, { data: { add: 3 } })
+  await t.rejects(app.graphql(query, null, null, 'Big'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+
+  // without an operation name the execution reports the error
+  const ambiguous = await app.graphql(query)
+  t.equal(ambiguous.errors[0].message, 'Must provide operation name if query contains multiple operations.')
+})
+
+test('queryComplexity - invalid variables are reported by the execution', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 100 })
+  await app.ready()
+
+  await t.rejects(app.graphql('query ($x: Int!) { add(x: $x, y: 2) }', null, { x: 'a' }), { code: 'MER_ERR_GQL_VALIDATION' })
+  await t.rejects(app.graphql('query ($x: Int!) { add(x: $x, y: 2) }', null, { x: null }), { code: 'MER_ERR_GQL_VALIDATION' })
+})
+
+test('queryComplexity - schema built without SDL', async (t) => {
+  const app = Fastify()
+  app.register(GQL, {
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          hello: {
+            type: GraphQLString,
+            resolve: () => 'world'
+          },
+          expensive: {
+            type: GraphQLString,
+            resolve: () => 'world',
+            extensions: {
+              complexity: () => 10
+            }
+          }
+        }
+      })
+    }),
+    queryComplexity: 10
+  })
+  await app.ready()
+  t.teardown(app.close.bind(app))
+
+  t.equal(await complexityOf(app, '{ hello }'), 1)
+  await t.rejects(app.graphql('{ hello expensive }'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+})
+
+test('queryComplexity - object option with defaultComplexity', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: { maximum: 10, defaultComplexity: 3 } })
+  await app.ready()
+
+  t.equal(await complexityOf(app, '{ add(x: 1, y: 2) pets { name } }'), 9)
+  await t.rejects(app.graphql('{ add(x: 1, y: 2) pets { name } a: add(x: 1, y: 2) }'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+})
+
+test('queryComplexity - works with jit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, queryComplexity: 2, jit: 1 })
+  await app.ready()
+
+  for (let i = 0; i < 3; i++) {
+    t.same(await app.graphql('{ add(x: 1, y: 2) }'), { data: { add: 3 } })
+    await t.rejects(app.graphql('{ pets { name } a: add(x: 1, y: 2) }'), { errors: [{ code: 'MER_ERR_GQL_QUERY_COMPLEXITY' }] })
+  }
+})
+
+test('queryComplexity - invalid options', async (t) => {
+  for (const queryComplexity of [null, '100', { defaultComplexity: 1 }]) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, queryComplexity })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
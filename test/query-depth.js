@@ -2,7 +2,10 @@
 
 const { test } = require('tap')
 const Fastify = require('fastify')
+const WebSocket = require('ws')
+const { parse } = require('graphql')
 const GQL = require('..')
+const queryDepth = require('../lib/queryDepth')
 const { MER_ERR_GQL_VALIDATION, MER_ERR_GQL_QUERY_DEPTH } = require('../lib/errors')
 
 const dogs = [{
@@ -433,3 +436,284 @@ test('queryDepth - ensure query depth is correctly calculated', async (t) => {
     }
   })
 })
+
+test('queryDepth - fragment spreads are included in the depth', async (t) => {
+  const app = Fastify()
+  const localQuery = `query Fragments {
+    dogs {
+      ...DogOwner
+    }
+  }
+
+  fragment DogOwner on Dog {
+    owner {
+      pet {
+        ...DogName
+      }
+    }
+  }
+
+  fragment DogName on Dog {
+    owner {
+      name
+    }
+  }`
+
+  app.register(GQL, {
+    schema,
+    resolvers,
+    queryDepth: 4
+  })
+
+  // needed so that graphql is defined
+  await app.ready()
+
+  const err = new MER_ERR_GQL_VALIDATION()
+  err.errors = [new MER_ERR_GQL_QUERY_DEPTH('Fragments', 5, 4)]
+
+  await t.rejects(app.graphql(localQuery), err)
+})
+
+test('queryDepth - inline fragments do not add a level of depth', async (t) => {
+  const app = Fastify()
+  const localQuery = `{
+    dogs {
+      ... on Dog {
+        owner {
+          ... on Human {
+            name
+          }
+        }
+      }
+    }
+  }`
+
+  app.register(GQL, {
+    schema,
+    resolvers,
+    queryDepth: 3
+  })
+
+  // needed so that graphql is defined
+  await app.ready()
+
+  const res = await app.graphql(localQuery)
+  t.same(res, {
+    data: {
+      dogs: [
+        { owner: { name: 'Jennifer' } },
+        { owner: { name: 'Sarah' } },
+        { owner: { name: 'Tracy' } }
+      ]
+    }
+  })
+})
+
+test('queryDepth - introspection fields can be ignored', async (t) => {
+  const introspectionQuery = `{
+    __schema {
+      types {
+        fields {
+          type {
+            ofType {
+              name
+            }
+          }
+        }
+      }
+    }
+    __type(name: "Dog") {
+      fields {
+        name
+      }
+    }
+  }`
+
+  const app = Fastify()
+  app.register(GQL, {
+    schema,
+    resolvers,
+    queryDepth: { query: 2, ignoreIntrospection: true }
+  })
+
+  // needed so that graphql is defined
+  await app.ready()
+
+  const res = await app.graphql(introspectionQuery)
+  t.equal(res.data.__type.fields.length, 2)
+  await t.rejects(app.graphql(query), { errors: [{ code: 'MER_ERR_GQL_QUERY_DEPTH' }] })
+
+  const strict = Fastify()
+  strict.register(GQL, {
+    schema,
+    resolvers,
+    queryDepth: { query: 2 }
+  })
+
+  // needed so that graphql is defined
+  await strict.ready()
+
+  await t.rejects(strict.graphql(introspectionQuery), { errors: [{ code: 'MER_ERR_GQL_QUERY_DEPTH' }] })
+})
+
+test('queryDepth - separate limits for each operation type', async (t) => {
+  const app = Fastify()
+
+  app.register(GQL, {
+    schema: `
+      ${schema}
+      type Mutation {
+        adopt(name: String!): Dog
+      }
+    `,
+    resolvers: {
+      ...resolvers,
+      Mutation: {
+        adopt: (_, { name }) => dogs.find(dog => dog.name === name)
+      }
+    },
+    queryDepth: { query: 6, mutation: 2 }
+  })
+
+  // needed so that graphql is defined
+  await app.ready()
+
+  const res = await app.graphql(query)
+  t.same(res, goodResponse)
+
+  const mutationRes = await app.graphql('mutation { adopt(name: "Max") { name } }')
+  t.same(mutationRes, { data: { adopt: { name: 'Max' } } })
+
+  const err = new MER_ERR_GQL_VALIDATION()
+  err.errors = [new MER_ERR_GQL_QUERY_DEPTH('Adopt', 3, 2)]
+  await t.rejects(app.graphql('mutation Adopt { adopt(name: "Max") { owner { name } } }'), err)
+})
+
+test('queryDepth - operations without a limit are not checked', async (t) => {
+  const app = Fastify()
+
+  app.register(GQL, {
+    schema,
+    resolvers,
+    queryDepth: { mutation: 1 }
+  })
+
+  // needed so that graphql is defined
+  await app.ready()
+
+  const res = await app.graphql(query)
+  t.same(res, goodResponse)
+})
+
+test('queryDepth - unknown and cyclic fragments do not loop', (t) => {
+  const document = parse(`
+    query {
+      dogs {
+        ...A
+        ...Unknown
+      }
+    }
+
+    fragment A on Dog {
+      owner {
+        ...B
+      }
+    }
+
+    fragment B on Human {
+      pet {
+        ...A
+      }
+    }
+
+    type Ignored {
+      name: String
+    }
+  `)
+
+  const errors = queryDepth(document.definitions, 2)
+  t.same(errors, [new MER_ERR_GQL_QUERY_DEPTH('unnamedQuery', 3, 2)])
+  t.same(queryDepth(document.definitions, 3), [])
+  t.end()
+})
+
+test('queryDepth - subscriptions are checked', t => {
+  const app = Fastify()
+  t.teardown(() => app.close())
+
+  app.register(GQL, {
+    schema: `
+      ${schema}
+      type Subscription {
+        onDog: Dog
+      }
+    `,
+    resolvers: {
+      ...resolvers,
+      Subscription: {
+        onDog: {
+          subscribe: (root, args, { pubsub }) => pubsub.subscribe('DOG')
+        }
+      }
+    },
+    subscription: true,
+    queryDepth: { query: 1, subscription: 2 }
+  })
+
+  app.listen(0, err => {
+    t.error(err)
+
+    const ws = new WebSocket('ws://localhost:' + (app.server.address()).port + '/graphql', 'graphql-ws')
+    const client = WebSocket.createWebSocketStream(ws, { encoding: 'utf8', objectMode: true })
+    t.teardown(client.destroy.bind(client))
+    client.setEncoding('utf8')
+
+    client.write(JSON.stringify({
+      type: 'connection_init'
+    }))
+
+    client.write(JSON.stringify({
+      id: 1,
+      type: 'start',
+      payload: {
+        query: 'subscription { onDog { owner { name } } }'
+      }
+    }))
+
+    client.write(JSON.stringify({
+      id: 2,
+      type: 'start',
+      payload: {
+        query: 'subscription { onDog { name } }'
+      }
+    }))
+
+    client.on('data', chunk => {
+      const data = JSON.parse(chunk)
+
+      if (data.type === 'connection_ack') {
+        return
+      }
+
+      if (data.id === 1) {
+        t.same(data, {
+          type: 'error',
+          id: 1,
+          payload: '`unnamedQuery query depth (3) exceeds the query depth limit of 2`'
+        })
+        app.graphql.pubsub.publish({
+          topic: 'DOG',
+          payload: { onDog: { name: 'Max' } }
+        })
+      } else {
+        t.same(data, {
+          type: 'data',
+          id: 2,
+          payload: { data: { onDog: { name: 'Max' } } }
+        })
+        client.end()
+        t.end()
+      }
+    })
+  })
+})
@@ -0,0 +1,338 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const { GraphQLSchema, GraphQLObjectType } = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  type Values {
+    dateTime: DateTime
+    timestamp: DateTime
+    invalidDate: DateTime
+    json: JSON
+    url: URL
+    bigInt: BigInt
+    number: BigInt
+    invalidBigInt: BigInt
+    uuid: UUID
+    invalidEmail: EmailAddress
+  }
+
+  input Filter {
+    ids: [BigInt!]
+    after: DateTime
+  }
+
+  type Query {
+    dateTime(value: DateTime): DateTime
+    json(value: JSON): JSON
+    email(value: EmailAddress): EmailAddress
+    url(value: URL): URL
+    bigInt(value: BigInt): BigInt
+    uuid(value: UUID): UUID
+    values: Values
+  }
+`
+
+const values = {
+  dateTime: new Date('2020-01-31T10:00:00Z'),
+  timestamp: Date.UTC(2020, 0, 31),
+  invalidDate: new Date('invalid'),
+  json: { a: [1, 'b', null] },
+  url: 'https://example.com/a b',
+  bigInt: 9007199254740993n,
+  number: 42,
+  invalidBigInt: 1.5,
+  uuid: '123e4567-e89b-12d3-a456-426614174000',
+  invalidEmail: 'john'
+}
+
+function buildResolvers (parsed = []) {
+  function echo (_, { value }) {
+    parsed.push(value)
+    return value
+  }
+
+  return {
+    Query: {
+      dateTime: echo,
+      json: echo,
+      email: echo,
+      url: echo,
+      bigInt: echo,
+      uuid: echo,
+      values: () => values
+    }
+  }
+}
+
+async function query (app, query, variables) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query, variables }
+  })
+  return JSON.parse(res.body)
+}
+
+test('scalars - parse the literals and the variables', async (t) => {
+  const parsed = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(parsed), scalars: true })
+
+  t.same(await query(app, `{
+    dateTime(value: "2020-01-31T12:00:00+02:00")
+    json(value: { a: [1, "b", null], c: $c })
+    email(value: "john@example.com")
+    url(value: "https://example.com/path")
+    bigInt(value: 9007199254740993)
+    uuid(value: "123e4567-e89b-12d3-a456-426614174000")
+  }`.replace('$c', '{ d: true }')), {
+    data: {
+      dateTime: '2020-01-31T10:00:00.000Z',
+      json: { a: [1, 'b', null], c: { d: true } },
+      email: 'john@example.com',
+      url: 'https://example.com/path',
+      bigInt: '9007199254740993',
+      uuid: '123e4567-e89b-12d3-a456-426614174000'
+    }
+  })
+
+  t.ok(parsed[0] instanceof Date)
+  t.ok(parsed[3] instanceof URL)
+  t.equal(parsed[4], 9007199254740993n)
+  parsed.splice(0)
+
+  t.same(await query(app, `query ($dateTime: DateTime, $json: JSON, $email: EmailAddress, $url: URL, $bigInt: BigInt, $uuid: UUID) {
+    dateTime(value: $dateTime)
+    json(value: $json)
+    email(value: $email)
+    url(value: $url)
+    bigInt(value: $bigInt)
+    uuid(value: $uuid)
+  }`, {
+    dateTime: '2020-01-31T10:00:00.500Z',
+    json: [{ a: 1 }],
+    email: 'john@example.com',
+    url: 'https://example.com',
+    bigInt: '-12345678901234567890',
+    uuid: '123E4567-E89B-12D3-A456-426614174000'
+  }), {
+    data: {
+      dateTime: '2020-01-31T10:00:00.500Z',
+      json: [{ a: 1 }],
+      email: 'john@example.com',
+      url: 'https://example.com/',
+      bigInt: '-12345678901234567890',
+      uuid: '123E4567-E89B-12D3-A456-426614174000'
+    }
+  })
+  t.equal(parsed[4], -12345678901234567890n)
+
+  t.same(await query(app, 'query ($value: BigInt) { bigInt(value: $value) }', { value: 42 }), {
+    data: { bigInt: '42' }
+  })
+  t.same(await query(app, '{ bigInt(value: "42") }'), { data: { bigInt: '42' } })
+})
+
+test('scalars - reject the invalid literals and variables', async (t) => {
+  const parsed = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(parsed), scalars: true })
+
+  const invalidLiterals = [
+    ['dateTime(value: "2020-01-31")', 'DateTime cannot represent an invalid date-time string: "2020-01-31".'],
+    ['dateTime(value: "2020-02-31T10:00:00Z")', 'DateTime cannot represent an invalid date-time string: "2020-02-31T10:00:00Z".'],
+    ['dateTime(value: "2020-01-31T25:00:00Z")', 'DateTime cannot represent an invalid date-time string: "2020-01-31T25:00:00Z".'],
+    ['dateTime(value: 1580464800000)', 'DateTime cannot represent an invalid date-time string: undefined.'],
+    ['email(value: "john")', 'EmailAddress cannot represent an invalid email address: "john".'],
+    ['url(value: "example.com")', 'URL cannot represent an invalid URL: "example.com".'],
+    ['url(value: 42)', 'URL cannot represent an invalid URL: undefined.'],
+    ['bigInt(value: 1.5)', 'BigInt cannot represent a non-integer value: undefined.'],
+    ['bigInt(value: "1.5")', 'BigInt cannot represent a non-integer value: "1.5".'],
+    ['uuid(value: "123")', 'UUID cannot represent an invalid UUID: "123".']
+  ]
+
+  for (const [field, message] of invalidLiterals) {
+    const { data, errors } = await query(app, `{ ${field} }`)
+    t.equal(data, null)
+    t.match(errors[0].message, message)
+  }
+
+  const { data, errors } = await query(app, 'query ($value: DateTime) { dateTime(value: $value) }', { value: 1580464800000 })
+  t.equal(data, null)
+  t.match(errors[0].message, 'DateTime cannot represent an invalid date-time string: 1580464800000.')
+
+  t.same(parsed, [])
+})
+
+test('scalars - serialize the values', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers: buildResolvers(), scalars: true })
+
+  const { data, errors } = await query(app, '{ values { dateTime timestamp invalidDate json url bigInt number invalidBigInt uuid invalidEmail } }')
+  t.same(data, {
+    values: {
+      dateTime: '2020-01-31T10:00:00.000Z',
+      timestamp: '2020-01-31T00:00:00.000Z',
+      invalidDate: null,
+      json: { a: [1, 'b', null] },
+      url: 'https://example.com/a%20b',
+      bigInt: '9007199254740993',
+      number: '42',
+      invalidBigInt: null,
+      uuid: '123e4567-e89b-12d3-a456-426614174000',
+      invalidEmail: null
+    }
+  })
+  t.same(errors.map(({ message }) => message), [
+    'DateTime cannot represent an invalid date: Invalid Date.',
+    'BigInt cannot represent a non-integer value: 1.5.',
+    'EmailAddress cannot represent an invalid email address: "john".'
+  ])
+})
+
+test('scalars - the enabled scalars are added to the schema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: `
+      "The date of the service"
+      scalar DateTime
+
+      type Query {
+        now: DateTime
+        id: UUID
+      }
+    `,
+    resolvers: {
+      Query: {
+        now: () => new Date(0),
+        id: () => '123e4567-e89b-12d3-a456-426614174000'
+      }
+    },
+    scalars: ['DateTime', 'UUID'],
+    federationMetadata: true
+  })
+  await app.ready()
+
+  t.equal(app.graphql.schema.getType('DateTime').description, 'The date of the service')
+  t.equal(app.graphql.schema.getType('UUID').description, GQL.scalars.UUID.description)
+  t.equal(app.graphql.schema.getType('JSON'), undefined)
+
+  const { data } = await query(app, '{ now id _service { sdl } }')
+  t.equal(data.now, '1970-01-01T00:00:00.000Z')
+  t.equal(data.id, '123e4567-e89b-12d3-a456-426614174000')
+  t.match(data._service.sdl, /^scalar UUID$/m)
+  t.equal(data._service.sdl.match(/^\s*scalar DateTime$/mg).length, 1)
+})
+
+test('scalars - the scalars of a schema built with code', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          now: {
+            type: GQL.scalars.DateTime,
+            resolve: () => 0
+          }
+        }
+      })
+    }),
+    // the scalars missing from the schema are ignored
+    scalars: ['JSON']
+  })
+
+  t.same(await query(app, '{ now }'), { data: { now: '1970-01-01T00:00:00.000Z' } })
+})
+
+test('scalars - the gateway parses and serializes the scalars of the services', async (t) => {
+  const received = []
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        events(filter: Filter): [Event]
+      }
+
+      input Filter {
+        ids: [BigInt!]
+        after: DateTime
+      }
+
+      type Event @key(fields: "id") {
+        id: BigInt!
+        at: DateTime
+      }
+    `,
+    resolvers: {
+      Query: {
+        events: (_, { filter }) => {
+          received.push(filter)
+          return filter.ids.map(id => ({ id, at: filter.after }))
+        }
+      }
+    },
+    scalars: ['BigInt', 'DateTime'],
+    federationMetadata: true
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  await service.listen(0)
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'event',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    scalars: ['BigInt', 'DateTime']
+  })
+
+  const events = 'query ($filter: Filter) { events(filter: $filter) { id at } }'
+
+  t.same(await query(gateway, events, { filter: { ids: ['9007199254740993', 1000], after: '2020-01-31T10:00:00+02:00' } }), {
+    data: {
+      events: [
+        { id: '9007199254740993', at: '2020-01-31T08:00:00.000Z' },
+        { id: '1000', at: '2020-01-31T08:00:00.000Z' }
+      ]
+    }
+  })
+  t.same(received, [{ ids: [9007199254740993n, 1000n], after: new Date('2020-01-31T08:00:00Z') }])
+
+  const { data, errors } = await query(gateway, events, { filter: { ids: ['1.5'] } })
+  t.equal(data, null)
+  t.match(errors[0].message, 'BigInt cannot represent a non-integer value: "1.5".')
+  t.equal(received.length, 1)
+})
+
+test('scalars - invalid options', async (t) => {
+  const invalid = [
+    ['DateTime', 'the scalars option must be a boolean or an array of scalar names'],
+    [['DateTime', 'Date'], 'the scalars option has an unknown scalar "Date"']
+  ]
+
+  for (const [scalars, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, scalars })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema: 'type Query { now: DateTime }', scalars: false })
+  await t.rejects(app.ready(), { message: 'Unknown type "DateTime".' })
+})
@@ -0,0 +1,356 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FakeTimers = require('@sinonjs/fake-timers')
+const split = require('split2')
+const { once } = require('events')
+const { promisify } = require('util')
+const { buildSchema, extendSchema, parse } = require('graphql')
+const buildFederationSchema = require('../lib/federation')
+const GQL = require('..')
+const immediate = promisify(setImmediate)
+
+const schema = `
+  enum Role {
+    ADMIN
+    USER
+  }
+
+  interface Named {
+    name: String
+  }
+
+  type User implements Named {
+    name: String
+    role: Role
+    email: String
+  }
+
+  type Query {
+    user(id: ID): User
+    users: [User]
+  }
+`
+
+const resolvers = {
+  Query: {
+    user: () => ({ name: 'John', role: 'ADMIN', email: 'john@example.com' }),
+    users: () => []
+  }
+}
+
+async function query (app, query) {
+  const res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+  return JSON.parse(res.body)
+}
+
+test('schema changes - the onSchemaChange hook receives the classified changes', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+  await app.ready()
+
+  const calls = []
+  app.graphql.addHook('onSchemaChange', async (oldSchema, newSchema, changes) => {
+    calls.push({ oldSchema, newSchema, changes })
+  })
+
+  const oldSchema = app.graphql.schema
+  app.graphql.replaceSchema(buildSchema(`
+    directive @upper on FIELD_DEFINITION
+
+    enum Role {
+      ADMIN
+      USER
+      GUEST
+    }
+
+    interface Named {
+      name: String
+    }
+
+    type User implements Named {
+      name: String
+      role: Role
+    }
+
+    type Post {
+      title: String
+    }
+
+    type Query {
+      user(id: ID!): User
+      users: [User]
+      posts: [Post]
+    }
+  `))
+  await immediate()
+
+  t.equal(calls.length, 1)
+  t.equal(calls[0].oldSchema, oldSchema)
+  t.equal(calls[0].newSchema, app.graphql.schema)
+  t.same(calls[0].changes, [
+    { type: 'FIELD_REMOVED', description: 'User.email was removed.', criticality: 'BREAKING' },
+    { type: 'ARG_CHANGED_KIND', description: 'Query.user arg id has changed type from ID to ID!.', criticality: 'BREAKING' },
+    { type: 'VALUE_ADDED_TO_ENUM', description: 'GUEST was added to enum type Role.', criticality: 'DANGEROUS' },
+    { type: 'TYPE_ADDED', description: 'Post was added.', criticality: 'SAFE' },
+    { type: 'FIELD_ADDED', description: 'Query.posts was added.', criticality: 'SAFE' },
+    { type: 'DIRECTIVE_ADDED', description: '@upper was added.', criticality: 'SAFE' }
+  ])
+
+  app.graphql.extendSchema(`
+    extend interface Named { nickname: String }
+    extend type User { nickname: String, age: Int }
+  `)
+  await immediate()
+
+  t.equal(calls.length, 2)
+  t.same(calls[1].changes, [
+    { type: 'FIELD_ADDED', description: 'Named.nickname was added.', criticality: 'SAFE' },
+    { type: 'FIELD_ADDED', description: 'User.nickname was added.', criticality: 'SAFE' },
+    { type: 'FIELD_ADDED', description: 'User.age was added.', criticality: 'SAFE' }
+  ])
+
+  app.graphql.transformSchema(schema => extendSchema(schema, parse('extend type Query { count: Int }')))
+  await immediate()
+
+  t.equal(calls.length, 3)
+  t.same(calls[2].changes, [{ type: 'FIELD_ADDED', description: 'Query.count was added.', criticality: 'SAFE' }])
+})
+
+test('schema changes - the errors of the hooks are logged', async (t) => {
+  const stream = split(JSON.parse)
+  const app = Fastify({ logger: { stream } })
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+  await app.ready()
+
+  app.graphql.addHook('onSchemaChange', async () => {
+    throw new Error('hook error')
+  })
+  app.graphql.extendSchema('extend type Query { hello: String }')
+
+  const [line] = await once(stream, 'data')
+  t.equal(line.msg, 'hook error')
+  t.ok(app.graphql.schema.getQueryType().getFields().hello)
+})
+
+test('schema changes - reject the breaking changes affecting the executed operations', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, rejectBreakingChanges: true })
+  await app.ready()
+
+  t.same(await query(app, '{ user(id: "1") { name email } }'), { data: { user: { name: 'John', email: 'john@example.com' } } })
+  // the invalid operations are not affected
+  t.ok((await query(app, '{ user { age } }')).errors)
+
+  const calls = []
+  app.graphql.addHook('onSchemaChange', async (oldSchema, newSchema, changes) => {
+    calls.push(changes)
+  })
+
+  const oldSchema = app.graphql.schema
+  t.throws(() => app.graphql.replaceSchema(buildSchema(schema.replace('email: String', ''))), {
+    code: 'MER_ERR_GQL_BREAKING_CHANGES',
+    message: 'The schema replacement is rejected, its breaking changes affect 1 operations: User.email was removed.',
+    operations: ['{\n  user(id: "1") {\n    name\n    email\n  }\n}\n'],
+    changes: [{ type: 'FIELD_REMOVED', description: 'User.email was removed.', criticality: 'BREAKING' }]
+  })
+
+  // the old schema is kept
+  t.equal(app.graphql.schema, oldSchema)
+  t.same(await query(app, '{ user(id: "1") { email } }'), { data: { user: { email: 'john@example.com' } } })
+  await immediate()
+  t.same(calls, [])
+
+  // the breaking changes not affecting the operations are accepted
+  app.graphql.replaceSchema(buildSchema(schema.replace('users: [User]', '')))
+  t.equal(app.graphql.schema.getQueryType().getFields().users, undefined)
+  await immediate()
+  t.same(calls, [[{ type: 'FIELD_REMOVED', description: 'Query.users was removed.', criticality: 'BREAKING' }]])
+})
+
+test('schema changes - reject the breaking changes affecting the persisted operations', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    rejectBreakingChanges: true,
+    persistedQueries: {
+      '248eb276edb4f22aced0a2848c539810b55f79d89abc531b91145e76838f5602': '{ users { role } }',
+      invalid: '{ users {'
+    }
+  })
+  await app.ready()
+
+  t.throws(() => app.graphql.replaceSchema(buildSchema(schema.replace('role: Role', ''))), {
+    code: 'MER_ERR_GQL_BREAKING_CHANGES',
+    operations: ['{\n  users {\n    role\n  }\n}\n']
+  })
+  app.graphql.replaceSchema(buildSchema(schema.replace('email: String', '')))
+})
+
+test('schema changes - the executed operations expire after the ttl', async (t) => {
+  const clock = FakeTimers.install({ toFake: ['Date'] })
+  t.teardown(() => clock.uninstall())
+
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, rejectBreakingChanges: { ttl: 1000, max: 10 } })
+  await app.ready()
+
+  await query(app, '{ user { email } }')
+  t.throws(() => app.graphql.replaceSchema(buildSchema(schema.replace('email: String', ''))), { code: 'MER_ERR_GQL_BREAKING_CHANGES' })
+
+  clock.tick(1000)
+  app.graphql.replaceSchema(buildSchema(schema.replace('email: String', '')))
+  t.equal(app.graphql.schema.getType('User').getFields().email, undefined)
+})
+
+test('schema changes - the gateway keeps the schema with breaking changes', async (t) => {
+  const clock = FakeTimers.install({
+    shouldAdvanceTime: true,
+    advanceTimeDelta: 40
+  })
+  t.teardown(() => clock.uninstall())
+
+  const serviceSchema = `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String!
+    }
+  `
+  const service = Fastify()
+  service.register(GQL, {
+    schema: serviceSchema,
+    resolvers: {
+      Query: {
+        me: () => ({ id: 'u1', name: 'John' })
+      }
+    },
+    federationMetadata: true
+  })
+
+  const stream = split(JSON.parse)
+  const gateway = Fastify({ logger: { stream, level: 'error' } })
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  await service.listen(0)
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }],
+      pollingInterval: 2000
+    },
+    rejectBreakingChanges: { ttl: 5000 }
+  })
+
+  t.same(await query(gateway, '{ me { name } }'), { data: { me: { name: 'John' } } })
+
+  service.graphql.replaceSchema(buildFederationSchema(serviceSchema.replace('name: String!', 'lastName: String')))
+  const logged = once(stream, 'data')
+  await clock.tickAsync(2000)
+
+  const [line] = await logged
+  t.equal(line.code, 'MER_ERR_GQL_BREAKING_CHANGES')
+  t.ok(gateway.graphql.schema.getType('User').getFields().name)
+
+  // a later poll replaces the schema once the executed operations expired
+  for (let i = 0; i < 10 && gateway.graphql.schema.getType('User').getFields().name; i++) {
+    await clock.tickAsync(2000)
+  }
+  t.notOk(gateway.graphql.schema.getType('User').getFields().name)
+  t.ok(gateway.graphql.schema.getType('User').getFields().lastName)
+})
+
+test('schema changes - the gateway keeps routing to the services of the kept schema', async (t) => {
+  const clock = FakeTimers.install({
+    shouldAdvanceTime: true,
+    advanceTimeDelta: 40
+  })
+  t.teardown(() => clock.uninstall())
+
+  let sdl = `
+    extend type Query {
+      me: User
+    }
+
+    type User @key(fields: "id") {
+      id: ID!
+      name: String
+      friend: User
+    }
+  `
+  const queries = []
+  const service = Fastify()
+  service.post('/graphql', async (request) => {
+    if (request.body.query.includes('_service')) {
+      return { data: { _service: { sdl } } }
+    }
+    queries.push(request.body.query)
+    return { data: { me: { id: 'u1', friend: { id: 'u2', name: 'Jane' } } } }
+  })
+
+  const stream = split(JSON.parse)
+  const gateway = Fastify({ logger: { stream, level: 'error' } })
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  await service.listen(0)
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'user',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }],
+      pollingInterval: 2000
+    },
+    rejectBreakingChanges: true
+  })
+
+  t.same(await query(gateway, '{ me { friend { name } } }'), { data: { me: { friend: { name: 'Jane' } } } })
+
+  sdl = sdl.replace('name: String', 'lastName: String')
+  const logged = once(stream, 'data')
+  await clock.tickAsync(2000)
+
+  const [line] = await logged
+  t.equal(line.code, 'MER_ERR_GQL_BREAKING_CHANGES')
+
+  // the fields of the kept schema are still requested from the service
+  t.same(await query(gateway, 'query { me { friend { name } } }'), { data: { me: { friend: { name: 'Jane' } } } })
+  t.match(queries[queries.length - 1], /friend {\s+name/)
+})
+
+test('schema changes - invalid options', async (t) => {
+  const invalid = [
+    ['yes', 'the rejectBreakingChanges option must be a boolean or an object'],
+    [null, 'the rejectBreakingChanges option must be a boolean or an object'],
+    [{ max: 0 }, 'the rejectBreakingChanges.max option must be a positive integer'],
+    [{ ttl: '1h' }, 'the rejectBreakingChanges.ttl option must be a positive number']
+  ]
+
+  for (const [rejectBreakingChanges, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema, rejectBreakingChanges })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
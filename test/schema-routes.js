@@ -0,0 +1,255 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const {
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  buildClientSchema,
+  buildSchema,
+  introspectionFromSchema,
+  printSchema
+} = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  directive @auth(role: String) on OBJECT | FIELD_DEFINITION
+  directive @tag(name: String) repeatable on SCHEMA | OBJECT | FIELD_DEFINITION | ARGUMENT_DEFINITION | ENUM_VALUE | INPUT_FIELD_DEFINITION | SCALAR
+
+  extend schema @tag(name: "public")
+
+  scalar Date @tag(name: "date")
+
+  enum Role {
+    ADMIN @tag(name: "admin")
+    USER @deprecated(reason: "no more users")
+  }
+
+  input UserInput {
+    name: String @tag(name: "input")
+  }
+
+  type User @auth(role: "USER") @tag(name: "user") {
+    name: String @deprecated
+    role: Role @auth(role: "ADMIN")
+  }
+
+  extend type User @tag(name: "extended") {
+    createdAt: Date @tag(name: "createdAt")
+  }
+
+  type Query {
+    user(id: ID @tag(name: "id"), name: String): User
+  }
+
+  type Mutation {
+    addUser(user: UserInput): User
+  }
+`
+
+const sdl = `extend schema @tag(name: "public")
+
+directive @auth(role: String) on OBJECT | FIELD_DEFINITION
+
+directive @tag(name: String) repeatable on SCHEMA | OBJECT | FIELD_DEFINITION | ARGUMENT_DEFINITION | ENUM_VALUE | INPUT_FIELD_DEFINITION | SCALAR
+
+scalar Date @tag(name: "date")
+
+enum Role {
+  ADMIN @tag(name: "admin")
+  USER @deprecated(reason: "no more users")
+}
+
+input UserInput {
+  name: String @tag(name: "input")
+}
+
+type User @auth(role: "USER") @tag(name: "user") @tag(name: "extended") {
+  name: String @deprecated
+  role: Role @auth(role: "ADMIN")
+  createdAt: Date @tag(name: "createdAt")
+}
+
+type Query {
+  user(id: ID @tag(name: "id"), name: String): User
+}
+
+type Mutation {
+  addUser(user: UserInput): User
+}
+`
+
+test('schema routes - serve the SDL with the directives and the introspection JSON', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, schemaRoutes: true })
+
+  let res = await app.inject({ method: 'GET', url: '/schema.graphql' })
+  t.equal(res.statusCode, 200)
+  t.equal(res.headers['content-type'], 'text/plain; charset=utf-8')
+  t.equal(res.body, sdl)
+  t.equal((await app.inject({ method: 'GET', url: '/schema.graphql' })).body, sdl)
+
+  res = await app.inject({ method: 'GET', url: '/schema.json' })
+  t.equal(res.statusCode, 200)
+  t.match(res.headers['content-type'], 'application/json')
+  const introspection = JSON.parse(res.body)
+  t.same(introspection, JSON.parse(JSON.stringify({ data: introspectionFromSchema(app.graphql.schema) })))
+  t.equal(printSchema(buildClientSchema(introspection.data)), printSchema(app.graphql.schema))
+})
+
+test('schema routes - the schemas with code and custom root types', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: `
+      directive @tag(name: String) on SCHEMA
+
+      schema @tag(name: "root") {
+        query: Root
+      }
+
+      type Root {
+        hello: String
+      }
+    `,
+    schemaRoutes: { introspection: false }
+  })
+  app.register(async function (app) {
+    app.graphql.replaceSchema(new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          hello: { type: GraphQLString, args: { name: { type: GraphQLString } } }
+        }
+      })
+    }))
+  })
+
+  const res = await app.inject({ method: 'GET', url: '/schema.graphql' })
+  t.equal(res.body, 'type Query {\n  hello(name: String): String\n}\n')
+  t.equal((await app.inject({ method: 'GET', url: '/schema.json' })).statusCode, 404)
+
+  app.graphql.replaceSchema(buildSchema(`
+    directive @tag(name: String) on SCHEMA
+
+    schema @tag(name: "root") {
+      query: Root
+    }
+
+    type Root {
+      hello: String
+    }
+  `))
+
+  t.equal((await app.inject({ method: 'GET', url: '/schema.graphql' })).body, `schema @tag(name: "root") {
+  query: Root
+}
+
+directive @tag(name: String) on SCHEMA
+
+type Root {
+  hello: String
+}
+`)
+})
+
+test('schema routes - custom paths under the prefix', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: 'type Query { hello: String }',
+    prefix: '/api',
+    schemaRoutes: { sdl: '/graphql/sdl', introspection: '/graphql/introspection' }
+  })
+
+  t.equal((await app.inject({ method: 'GET', url: '/api/graphql/sdl' })).body, 'type Query {\n  hello: String\n}\n')
+  t.equal((await app.inject({ method: 'GET', url: '/api/graphql/introspection' })).statusCode, 200)
+  t.equal((await app.inject({ method: 'GET', url: '/schema.graphql' })).statusCode, 404)
+})
+
+test('schema routes - honour the introspection option', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema: 'type Query { hello: String }',
+    schemaRoutes: true,
+    context: (request) => ({ token: request.headers.authorization }),
+    introspection: (request, { token, app, reply }) => {
+      t.equal(request, reply.request)
+      t.ok(app.graphql)
+      return token === 'registry'
+    }
+  })
+
+  for (const url of ['/schema.graphql', '/schema.json']) {
+    const res = await app.inject({ method: 'GET', url })
+    t.equal(res.statusCode, 400)
+    t.same(JSON.parse(res.body), {
+      data: null,
+      errors: [{
+        message: 'GraphQL introspection is not allowed',
+        extensions: { code: 'MER_ERR_GQL_INTROSPECTION_NOT_ALLOWED' }
+      }]
+    })
+
+    t.equal((await app.inject({ method: 'GET', url, headers: { authorization: 'registry' } })).statusCode, 200)
+  }
+
+  const disabled = Fastify()
+  t.teardown(disabled.close.bind(disabled))
+  disabled.register(GQL, { schema: 'type Query { hello: String }', schemaRoutes: { sdl: false }, introspection: false })
+  t.equal((await disabled.inject({ method: 'GET', url: '/schema.json' })).statusCode, 400)
+  t.equal((await disabled.inject({ method: 'GET', url: '/schema.graphql' })).statusCode, 404)
+})
+
+test('schema routes - serve the schema of the gateway', async (t) => {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      directive @upper on FIELD_DEFINITION
+
+      extend type Query {
+        hello: String @upper
+      }
+    `,
+    federationMetadata: true
+  })
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  await service.listen(0)
+
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'hello',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    schemaRoutes: { introspection: false }
+  })
+
+  const res = await gateway.inject({ method: 'GET', url: '/schema.graphql' })
+  t.equal(res.statusCode, 200)
+  t.match(res.body, 'hello: String')
+})
+
+test('schema routes - invalid options', async (t) => {
+  const invalid = [
+    ['/schema', 'the schemaRoutes option must be a boolean or an object'],
+    [null, 'the schemaRoutes option must be a boolean or an object'],
+    [{ sdl: true }, 'the schemaRoutes.sdl option must be a string or false'],
+    [{ introspection: 42 }, 'the schemaRoutes.introspection option must be a string or false']
+  ]
+
+  for (const [schemaRoutes, message] of invalid) {
+    const app = Fastify()
+    app.register(GQL, { schema: 'type Query { hello: String }', schemaRoutes })
+    await t.rejects(app.ready(), { message: `Invalid options: ${message}` })
+  }
+})
@@ -0,0 +1,268 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const { once } = require('events')
+const { execute } = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  type Query {
+    fast: String
+    slow: String
+    waitFor(ms: Int): String
+  }
+
+  type Mutation {
+    slow: String
+    fast: String
+  }
+`
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+const resolvers = {
+  Query: {
+    fast: () => 'fast',
+    slow: () => new Promise(() => {}),
+    waitFor: async (_, { ms }) => {
+      await sleep(ms)
+      return 'done'
+    }
+  },
+  Mutation: {
+    slow: () => new Promise(() => {}),
+    fast: () => 'fast'
+  }
+}
+
+function post (app, query) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query }
+  })
+}
+
+function timeoutError (ms, path, column) {
+  return {
+    message: `GraphQL operation timed out after ${ms} ms`,
+    locations: [{ line: 1, column }],
+    path,
+    extensions: { code: 'MER_ERR_GQL_TIMEOUT' }
+  }
+}
+
+test('timeout - partial result with the timeout error', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, timeout: 50 })
+
+  const res = await post(app, '{ fast slow }')
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), {
+    data: { fast: 'fast', slow: null },
+    errors: [timeoutError(50, ['slow'], 8)]
+  })
+
+  t.same(await post(app, '{ waitFor(ms: 10) }').then(res => JSON.parse(res.body)), { data: { waitFor: 'done' } })
+})
+
+test('timeout - the resolvers called after the timeout fail', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, timeout: 50 })
+
+  const res = await post(app, 'mutation { slow fast }')
+  t.same(JSON.parse(res.body), {
+    data: { slow: null, fast: null },
+    errors: [
+      timeoutError(50, ['slow'], 12),
+      timeoutError(50, ['fast'], 17)
+    ]
+  })
+})
+
+test('timeout - the signal is aborted on the context of the resolvers and the loaders', async (t) => {
+  t.plan(4)
+
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    timeout: 50,
+    resolvers: {
+      Query: {
+        slow: (_, args, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            t.pass('the resolver is aborted')
+            reject(new Error('aborted'))
+          })
+        })
+      }
+    },
+    loaders: {
+      Query: {
+        waitFor: (queries, { signal }) => new Promise(resolve => {
+          signal.addEventListener('abort', () => {
+            t.pass('the loader is aborted')
+            resolve(queries.map(() => 'aborted'))
+          })
+        })
+      }
+    }
+  })
+
+  const res = await post(app, '{ slow waitFor(ms: 1000) }')
+  const { data, errors } = JSON.parse(res.body)
+  t.same(data, { slow: null, waitFor: null })
+  t.same(errors.map(({ message }) => message), ['GraphQL operation timed out after 50 ms', 'GraphQL operation timed out after 50 ms'])
+})
+
+test('timeout - per operation from a preExecution hook', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, timeout: 0 })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async (schema, document, context) => {
+    if (context.reply.request.headers['x-timeout']) {
+      return { timeout: Number(context.reply.request.headers['x-timeout']) }
+    }
+  })
+
+  let res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'x-timeout': '20' },
+    body: { query: '{ slow }' }
+  })
+  t.same(JSON.parse(res.body).errors, [timeoutError(20, ['slow'], 3)])
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'x-timeout': '0' },
+    body: { query: '{ waitFor(ms: 20) }' }
+  })
+  t.same(JSON.parse(res.body), { data: { waitFor: 'done' } })
+
+  // without the hook timeout, the operations have no timeout
+  res = await post(app, '{ waitFor(ms: 20) }')
+  t.same(JSON.parse(res.body), { data: { waitFor: 'done' } })
+})
+
+test('timeout - the preExecution hooks timeout is ignored without the timeout option', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+  await app.ready()
+
+  app.graphql.addHook('preExecution', async () => ({ timeout: 1 }))
+
+  const res = await post(app, '{ waitFor(ms: 20) }')
+  t.same(JSON.parse(res.body), { data: { waitFor: 'done' } })
+})
+
+test('timeout - jit compiled queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, timeout: 50, jit: 1 })
+
+  for (let i = 0; i < 3; i++) {
+    const res = await post(app, '{ fast slow }')
+    t.same(JSON.parse(res.body).data, { fast: 'fast', slow: null })
+    t.equal(JSON.parse(res.body).errors[0].extensions.code, 'MER_ERR_GQL_TIMEOUT')
+  }
+})
+
+test('timeout - cleared when the executor throws and with incremental delivery', async (t) => {
+  const signals = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    timeout: 50,
+    defer: true,
+    executor: (args) => {
+      signals.push(args.contextValue.signal)
+      if (args.contextValue.fail) {
+        throw new Error('kaboom')
+      }
+      return execute(args)
+    }
+  })
+  await app.ready()
+
+  await t.rejects(app.graphql('{ fast }', { fail: true }), { message: 'kaboom' })
+
+  const payloads = []
+  for await (const payload of await app.graphql('{ fast ... @defer { waitFor(ms: 1) } }')) {
+    payloads.push(payload)
+  }
+  t.equal(payloads.length, 2)
+
+  await sleep(100)
+  // the deferred fragment is executed with the signal of the initial payload
+  t.equal(signals.length, 3)
+  t.equal(signals[1], signals[2])
+  t.notOk(signals[0].aborted)
+  t.notOk(signals[1].aborted)
+})
+
+test('timeout - the gateway cancels the requests to the services', async (t) => {
+  const service = Fastify()
+  let closed
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        slow: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        slow: (_, args, { reply }) => {
+          closed = once(reply.raw, 'close').then(() => reply.raw.writableEnded)
+          return sleep(500).then(() => 'slow')
+        }
+      }
+    },
+    federationMetadata: true
+  })
+  await service.listen(0)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'svc',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    timeout: 50
+  })
+
+  const res = await post(gateway, '{ slow }')
+  t.same(JSON.parse(res.body), {
+    data: { slow: null },
+    errors: [timeoutError(50, ['slow'], 3)]
+  })
+
+  t.equal(await closed, false, 'the service request is aborted before the response')
+})
+
+test('timeout - invalid option', async (t) => {
+  for (const timeout of ['10', -1, null]) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, timeout })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
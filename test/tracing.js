@@ -0,0 +1,272 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const GQL = require('..')
+
+const schema = `
+  type Dog {
+    name: String
+    owner: String
+  }
+
+  type Query {
+    add(x: Int, y: Int): Int
+    dogs: [Dog]
+    fail: Int
+    failAsync: Int
+  }
+`
+
+const resolvers = {
+  Query: {
+    add: (_, { x, y }) => x + y,
+    dogs: async () => [{ name: 'Max' }, { name: 'Rex' }],
+    fail: () => { throw new Error('kaboom') },
+    failAsync: async () => { throw new Error('kaboom') }
+  },
+  Dog: {
+    owner: async ({ name }) => name === 'Max' ? 'Jennifer' : null
+  }
+}
+
+function post (app, query, headers) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers,
+    body: { query }
+  })
+}
+
+function resolversOf (tracing) {
+  return tracing.execution.resolvers.map(({ path, parentType, fieldName, returnType }) => ({ path, parentType, fieldName, returnType }))
+}
+
+test('tracing - enabled by the request header', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true })
+
+  const res = await post(app, '{ add(x: 1, y: 2) dogs { name owner } }', { 'x-mercurius-tracing': 'true' })
+  const { data, extensions: { tracing } } = JSON.parse(res.body)
+
+  t.same(data, { add: 3, dogs: [{ name: 'Max', owner: 'Jennifer' }, { name: 'Rex', owner: null }] })
+  t.equal(tracing.version, 1)
+  t.ok(new Date(tracing.startTime) <= new Date(tracing.endTime))
+  t.ok(tracing.duration > 0)
+  t.ok(tracing.parsing.duration > 0)
+  t.ok(tracing.validation.startOffset >= tracing.parsing.startOffset + tracing.parsing.duration)
+  t.ok(tracing.validation.duration > 0)
+  t.same(resolversOf(tracing), [
+    { path: ['add'], parentType: 'Query', fieldName: 'add', returnType: 'Int' },
+    { path: ['dogs'], parentType: 'Query', fieldName: 'dogs', returnType: '[Dog]' },
+    { path: ['dogs', 0, 'owner'], parentType: 'Dog', fieldName: 'owner', returnType: 'String' },
+    { path: ['dogs', 1, 'owner'], parentType: 'Dog', fieldName: 'owner', returnType: 'String' }
+  ])
+  for (const resolver of tracing.execution.resolvers) {
+    t.ok(resolver.startOffset > tracing.validation.startOffset)
+    t.ok(resolver.duration > 0)
+  }
+})
+
+test('tracing - disabled without the request header', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true })
+  await app.ready()
+
+  let res = await post(app, '{ add(x: 1, y: 2) }')
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  res = await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'false' })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  t.same(await app.graphql('{ add(x: 1, y: 2) }'), { data: { add: 3 } })
+})
+
+test('tracing - failing resolvers', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true })
+
+  const res = await post(app, '{ fail failAsync }', { 'x-mercurius-tracing': 'true' })
+  const { data, errors, extensions: { tracing } } = JSON.parse(res.body)
+
+  t.same(data, { fail: null, failAsync: null })
+  t.equal(errors.length, 2)
+  t.same(resolversOf(tracing).map(({ path }) => path), [['fail'], ['failAsync']])
+})
+
+test('tracing - cached documents are not parsed and validated again', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true })
+
+  await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  const res = await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  const { tracing } = JSON.parse(res.body).extensions
+
+  t.equal(tracing.validation.duration, 0)
+  t.equal(tracing.execution.resolvers.length, 1)
+})
+
+test('tracing - jit compiled queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true, jit: 1 })
+
+  for (let i = 0; i < 3; i++) {
+    const res = await post(app, '{ dogs { owner } }', { 'x-mercurius-tracing': 'true' })
+    const { tracing } = JSON.parse(res.body).extensions
+    t.same(resolversOf(tracing).map(({ path }) => path), [['dogs'], ['dogs', 0, 'owner'], ['dogs', 1, 'owner']])
+  }
+})
+
+test('tracing - enabled by a function', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    resolvers,
+    tracing: {
+      header: false,
+      enabled: (request, context) => request === undefined || context.reply.request.query.trace === '1'
+    }
+  })
+  await app.ready()
+
+  let result = await app.graphql('{ add(x: 1, y: 2) }')
+  t.same(resolversOf(result.extensions.tracing), [{ path: ['add'], parentType: 'Query', fieldName: 'add', returnType: 'Int' }])
+
+  let res = await app.inject({ method: 'GET', url: '/graphql?query={add(x:1,y:2)}&trace=1' })
+  t.ok(JSON.parse(res.body).extensions.tracing)
+
+  res = await app.inject({
+    method: 'GET',
+    url: '/graphql?query={add(x:1,y:2)}',
+    headers: { 'x-mercurius-tracing': 'true' }
+  })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+
+  // the tracing is added before the onResolution hooks
+  app.graphql.addHook('onResolution', async (execution) => {
+    t.ok(execution.extensions.tracing)
+  })
+  result = await app.graphql('{ add(x: 1, y: 2) }')
+  t.ok(result.extensions.tracing)
+})
+
+test('tracing - custom header', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: { header: 'X-Trace' } })
+
+  let res = await post(app, '{ add(x: 1, y: 2) }', { 'x-trace': 'true' })
+  t.ok(JSON.parse(res.body).extensions.tracing)
+
+  res = await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+})
+
+test('tracing - resolvers defined after the registration', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true })
+  await app.ready()
+
+  app.graphql.extendSchema('extend type Query { hello: String }')
+  app.graphql.defineResolvers({ Query: { hello: () => 'world' } })
+
+  const res = await post(app, '{ hello add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  t.same(resolversOf(JSON.parse(res.body).extensions.tracing).map(({ path }) => path), [['hello'], ['add']])
+})
+
+test('tracing - the resolvers are wrapped once when they are defined again', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, tracing: true, cacheControl: true, timeout: 1000 })
+  await app.ready()
+
+  app.graphql.defineResolvers({ Query: { fail: () => 1 } })
+  app.graphql.defineResolvers({ Query: { failAsync: async () => 2 } })
+
+  const res = await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  t.same(resolversOf(JSON.parse(res.body).extensions.tracing).map(({ path }) => path), [['add']])
+})
+
+test('tracing - traced responses are not stored in the response cache', async (t) => {
+  let calls = 0
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    tracing: true,
+    resolvers: {
+      Query: {
+        add: (_, { x, y }) => {
+          calls++
+          return x + y
+        }
+      }
+    },
+    cacheControl: { defaultMaxAge: 10, store: true }
+  })
+
+  let res = await post(app, '{ add(x: 1, y: 2) }', { 'x-mercurius-tracing': 'true' })
+  t.ok(JSON.parse(res.body).extensions.tracing)
+
+  res = await post(app, '{ add(x: 1, y: 2) }')
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+  res = await post(app, '{ add(x: 1, y: 2) }')
+  t.same(JSON.parse(res.body), { data: { add: 3 } })
+  t.equal(calls, 2)
+})
+
+test('tracing - gateway resolvers', async (t) => {
+  const service = Fastify()
+  service.register(GQL, {
+    schema: `
+      extend type Query {
+        hello: String
+      }
+    `,
+    resolvers: {
+      Query: {
+        hello: () => 'world'
+      }
+    },
+    federationMetadata: true
+  })
+  await service.listen(0)
+
+  const gateway = Fastify()
+  t.teardown(async () => {
+    await gateway.close()
+    await service.close()
+  })
+  gateway.register(GQL, {
+    gateway: {
+      services: [{
+        name: 'svc',
+        url: `http://localhost:${service.server.address().port}/graphql`
+      }]
+    },
+    tracing: true
+  })
+
+  const res = await post(gateway, '{ hello }', { 'x-mercurius-tracing': 'true' })
+  const { data, extensions: { tracing } } = JSON.parse(res.body)
+  t.same(data, { hello: 'world' })
+  t.same(resolversOf(tracing), [{ path: ['hello'], parentType: 'Query', fieldName: 'hello', returnType: 'String' }])
+  t.ok(tracing.execution.resolvers[0].duration > 0)
+})
+
+test('tracing - invalid options', async (t) => {
+  for (const tracing of ['yes', null, { header: 1 }, { enabled: true }]) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, tracing })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})
@@ -5,9 +5,9 @@ import Fastify, { FastifyReply, FastifyRequest } from 'fastify'
 // eslint-disable-next-line no-unused-vars
 import { Readable } from 'stream'
 // eslint-disable-next-line no-unused-vars
-import mercurius, { MercuriusOptions, IResolvers } from '../..'
+import mercurius, { MercuriusOptions, IResolvers, MercuriusContext, MercuriusSchemaChange } from '../..'
 // eslint-disable-next-line no-unused-vars
-import { ValidationContext, ValidationRule } from 'graphql'
+import { ValidationContext, ValidationRule, GraphQLResolveInfo, GraphQLSchema, GraphQLObjectType, execute } from 'graphql'
 import { makeExecutableSchema } from '@graphql-tools/schema'
 import { mapSchema } from '@graphql-tools/utils'
 import mq from 'mqemitter'
@@ -169,6 +169,21 @@ app.register(async function (app) {
       }
     }
   })
+  app.graphql.defineLoaders({
+    Dog: {
+      owner: {
+        loader: async (queries: Array<{ obj: { name: keyof typeof owners }, params: {} }>) => {
+          return queries.map(({ obj }) => owners[obj.name] || new Error('not found'))
+        },
+        opts: {
+          cache: true,
+          maxBatchSize: 100,
+          key: ({ obj }) => obj.name,
+          sharedCache: { ttl: 60000, max: 1000 }
+        }
+      }
+    }
+  })
 })
 
 app.register(async function (app) {
@@ -184,6 +199,29 @@ app.register(async function (app) {
   })
 })
 
+app.register(async function (app) {
+  app.graphql.module({
+    name: 'owners',
+    schema: [`
+      extend type Query {
+        owners: [Human]
+      }
+    `],
+    resolvers: {
+      Query: {
+        owners: () => Object.values(owners)
+      }
+    },
+    loaders: {
+      Human: {
+        dogs: async (queries: Array<{ obj: { name: string }, params: {} }>) => {
+          return queries.map(() => dogs)
+        }
+      }
+    }
+  })
+})
+
 app.get('/', async function (req, reply) {
   const query = '{ add(x: 2, y: 2) }'
   return await reply.graphql(query)
@@ -222,6 +260,141 @@ makeGraphqlServer({
 makeGraphqlServer({ schema, errorFormatter: mercurius.defaultErrorFormatter })
 makeGraphqlServer({ schema: mercurius.buildFederationSchema(schema) })
 makeGraphqlServer({ schema: [schema, 'extend type Query { foo: String }'] })
+makeGraphqlServer({ schema, resolvers, queryComplexity: 100 })
+makeGraphqlServer({ schema, resolvers, queryDepth: { query: 6, mutation: 3, subscription: 4, ignoreIntrospection: true } })
+makeGraphqlServer({ schema, resolvers, queryComplexity: { maximum: 100, defaultComplexity: 2 } })
+makeGraphqlServer({ schema, resolvers, defer: true })
+makeGraphqlServer({ schema, resolvers, cacheControl: true })
+makeGraphqlServer({ schema, resolvers, etag: true })
+makeGraphqlServer({ schema, resolvers, introspection: false })
+makeGraphqlServer({ schema, resolvers, tracing: true })
+makeGraphqlServer({ schema, resolvers, tracing: { header: false, enabled: async (request, context) => request?.headers.authorization === 'admin' } })
+makeGraphqlServer({ schema, resolvers, metrics: true })
+makeGraphqlServer({ schema, resolvers, timeout: 5000 })
+makeGraphqlServer({ schema, resolvers, executor: async (args) => execute(args) })
+makeGraphqlServer({ schema, resolvers, persistedQueries: {}, jitPersistedQueries: true })
+makeGraphqlServer({ schema, resolvers, metrics: { path: false, prefix: 'gql_', buckets: [0.01, 0.1, 1], maxOperationNames: 50 } })
+makeGraphqlServer({ schema, resolvers, name: 'admin', prefix: '/admin' })
+makeGraphqlServer({ schema, resolvers, schemaRoutes: true })
+makeGraphqlServer({ schema, resolvers, schemaRoutes: { sdl: '/sdl', introspection: false } })
+makeGraphqlServer({ schema, resolvers, allowBatchedQueries: true })
+makeGraphqlServer({ schema, resolvers, graphqlOverHttp: true })
+makeGraphqlServer({ schema, resolvers, csrfPrevention: true })
+makeGraphqlServer({ schema, resolvers, maskErrors: true })
+makeGraphqlServer({ schema, resolvers, maskErrors: { message: 'Something went wrong', allow: [mercurius.ErrorWithProps, TypeError], debug: process.env.NODE_ENV !== 'production' } })
+makeGraphqlServer({ schema, resolvers, csrfPrevention: { requestHeaders: ['x-requested-with'] } })
+makeGraphqlServer({ schema, resolvers, allowBatchedQueries: { maxBatchSize: 10, concurrency: 2 } })
+makeGraphqlServer({ schema, resolvers, rejectBreakingChanges: true })
+makeGraphqlServer({ schema, resolvers, rejectBreakingChanges: { max: 100, ttl: 60000 } })
+app.graphql.metrics.serialize().split('\n')
+
+makeGraphqlServer({
+  schema,
+  resolvers,
+  directives: {
+    upper: (resolve) => async (parent, args, context, info) => {
+      const result = await resolve(parent, args, context, info)
+      return typeof result === 'string' ? result.toUpperCase() : result
+    }
+  }
+})
+app.graphql.defineDirective('auth', (resolve, { role }, { type, field }) => (parent, args, context, info) => {
+  if (context.reply.request.headers['x-role'] !== role) {
+    throw new Error(`${type.name}.${field.name} needs the ${role} role`)
+  }
+  return resolve(parent, args, context, info)
+})
+
+makeGraphqlServer({
+  schema,
+  resolvers,
+  authorization: {
+    rules: {
+      User: (context) => context.reply.request.headers.authorization !== undefined,
+      Query: {
+        add: async (context, { type, field, args }) => type.name === 'Query' && field.name === 'add' && args.x > 0
+      }
+    },
+    directive: (context, { directive }) => directive !== undefined && directive.role === 'admin',
+    directiveName: 'hasRole'
+  }
+})
+
+makeGraphqlServer({ schema, resolvers, constraints: true })
+makeGraphqlServer({
+  schema,
+  resolvers,
+  constraints: {
+    formats: {
+      slug: (value) => /^[a-z-]+$/.test(value)
+    },
+    directiveName: 'validate'
+  }
+})
+
+makeGraphqlServer({ schema, resolvers, scalars: true })
+makeGraphqlServer({ schema, resolvers, scalars: ['DateTime', 'JSON', 'EmailAddress', 'URL', 'BigInt', 'UUID'] })
+makeGraphqlServer({
+  schema: new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        now: { type: mercurius.scalars.DateTime, resolve: () => new Date() }
+      }
+    })
+  })
+})
+
+makeGraphqlServer({ schema, resolvers, uploads: true })
+makeGraphqlServer({ schema, resolvers, uploads: { maxFieldSize: 1000, maxFileSize: 1000000, maxFiles: 2 } })
+makeGraphqlServer({
+  schema: `
+    scalar Upload
+    type Query { size(file: Upload!): Int }
+  `,
+  resolvers: {
+    Upload: mercurius.GraphQLUpload,
+    Query: {
+      size: async (_: unknown, { file }: { file: Promise<mercurius.FileUpload> }) => {
+        const { filename, mimetype, encoding, createReadStream } = await file
+        createReadStream().pipe(process.stdout)
+        return filename.length + mimetype.length + encoding.length
+      }
+    }
+  },
+  uploads: true
+})
+makeGraphqlServer({ schema, resolvers, introspection: async (request, context) => request?.headers.authorization === 'admin' })
+makeGraphqlServer({
+  schema,
+  resolvers: {
+    Query: {
+      add: (_: unknown, { x, y }: { x: number, y: number }, context: MercuriusContext, info: GraphQLResolveInfo) => {
+        info.cacheControl?.setCacheHint({ maxAge: 30, scope: 'PRIVATE' })
+        return x + y
+      }
+    }
+  },
+  cacheControl: {
+    defaultMaxAge: 10,
+    store: {
+      get: (key: string) => undefined,
+      set: async (key: string, value: string, maxAge: number) => {}
+    },
+    scopeKey: (context: MercuriusContext) => context.reply.request.headers.authorization
+  }
+})
+makeGraphqlServer({
+  schema,
+  resolvers: {
+    Query: {
+      add: {
+        resolve: async (_, { x, y }: { x: number, y: number }) => x + y,
+        complexity: (args: { x: number, y: number }, childComplexity: number) => args.x + childComplexity
+      }
+    }
+  }
+})
 
 // Gateway mode
 
@@ -484,6 +657,11 @@ app.graphql.addHook('preExecution', async function (schema, document, context) {
   }
 })
 
+app.graphql.addHook('preExecution', async function (schema, document, context) {
+  context.signal?.addEventListener('abort', () => console.log('operation timed out'))
+  return { timeout: 1000 }
+})
+
 app.graphql.addHook('preGatewayExecution', async function (schema, document, context) {
   console.log('preGatewayExecution called')
   return {
@@ -518,6 +696,12 @@ app.graphql.addHook('onSubscriptionEnd', async function (context) {
   console.log('onSubscriptionEnd called')
 })
 
+app.graphql.addHook('onSchemaChange', async function (oldSchema, newSchema, changes) {
+  const schemas: GraphQLSchema[] = [oldSchema, newSchema]
+  const breaking: MercuriusSchemaChange[] = changes.filter(change => change.criticality === 'BREAKING')
+  console.log('onSchemaChange called', schemas, breaking)
+})
+
 // Hooks containing service metadata
 app.graphql.addHook('preGatewayExecution', async function (schema, document, context, service) {
   console.log('preGatewayExecution called')
@@ -0,0 +1,553 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const http = require('http')
+const fs = require('fs')
+const os = require('os')
+const { once } = require('events')
+const { GraphQLSchema, GraphQLObjectType, GraphQLString, GraphQLNonNull } = require('graphql')
+const GQL = require('..')
+
+const schema = `
+  scalar Upload
+
+  type File {
+    filename: String
+    mimetype: String
+    content: String
+  }
+
+  type Query {
+    hello: String
+    file: Upload
+  }
+
+  type Mutation {
+    upload(file: Upload!): File
+    uploadMany(files: [Upload!]!): [File]
+    readTwice(file: Upload!): [String]
+  }
+`
+
+async function temporaryFiles () {
+  const files = await fs.promises.readdir(os.tmpdir())
+  return files.filter(file => file.startsWith('capacitor-'))
+}
+
+async function read (stream) {
+  let data = ''
+  for await (const chunk of stream) {
+    data += chunk
+  }
+  return data
+}
+
+async function toFile (file) {
+  const { filename, mimetype, createReadStream } = await file
+  return { filename, mimetype, content: await read(createReadStream()) }
+}
+
+const resolvers = {
+  Query: {
+    hello: () => 'world',
+    file: () => 'not a file'
+  },
+  Mutation: {
+    upload: (_, { file }) => toFile(file),
+    uploadMany: (_, { files }) => Promise.all(files.map(toFile)),
+    readTwice: async (_, { file }) => {
+      const { createReadStream } = await file
+      return Promise.all([read(createReadStream()), read(createReadStream())])
+    }
+  }
+}
+
+function multipart (parts) {
+  let body = ''
+  for (const { name, value, filename, type = 'text/plain' } of parts) {
+    body += `--boundary\r\nContent-Disposition: form-data; name="${name}"`
+    if (filename) {
+      body += `; filename="${filename}"\r\nContent-Type: ${type}`
+    }
+    body += `\r\n\r\n${value}\r\n`
+  }
+  return body + '--boundary--\r\n'
+}
+
+function upload (app, parts) {
+  return app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'multipart/form-data; boundary=boundary' },
+    payload: multipart(parts)
+  })
+}
+
+function operations (query, variables) {
+  return { name: 'operations', value: JSON.stringify({ query, variables }) }
+}
+
+function map (value) {
+  return { name: 'map', value: JSON.stringify(value) }
+}
+
+const uploadQuery = 'mutation ($file: Upload!) { upload(file: $file) { filename mimetype content } }'
+
+test('upload - a single file', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  const res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), {
+    data: { upload: { filename: 'a.txt', mimetype: 'text/plain', content: 'hello world' } }
+  })
+})
+
+test('upload - a single file with the graphqlOverHttp option', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true, graphqlOverHttp: true })
+
+  const res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), {
+    data: { upload: { filename: 'a.txt', mimetype: 'text/plain', content: 'hello world' } }
+  })
+})
+
+test('upload - the csrfPrevention option rejects the multipart requests before their parsing', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true, csrfPrevention: true })
+
+  // the invalid operations field is not parsed
+  let res = await upload(app, [
+    { name: 'operations', value: 'not json' },
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body).errors, [{
+    message: 'The operation is blocked as a potential Cross-Site Request Forgery, send a content-type header other than application/x-www-form-urlencoded, multipart/form-data, text/plain or a value for one of these headers: x-apollo-operation-name, apollo-require-preflight'
+  }])
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'multipart/form-data; boundary=boundary', 'apollo-require-preflight': 'true' },
+    payload: multipart([
+      operations(uploadQuery, { file: null }),
+      map({ 0: ['variables.file'] }),
+      { name: '0', filename: 'a.txt', value: 'hello world' }
+    ])
+  })
+  t.equal(res.statusCode, 200)
+  t.same(JSON.parse(res.body), {
+    data: { upload: { filename: 'a.txt', mimetype: 'text/plain', content: 'hello world' } }
+  })
+})
+
+test('upload - multiple files and a file used by several variables', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  const res = await upload(app, [
+    operations('mutation ($files: [Upload!]!) { uploadMany(files: $files) { filename content } }', { files: [null, null, null] }),
+    map({ a: ['variables.files.0', 'variables.files.2'], b: ['variables.files.1'] }),
+    { name: 'a', filename: 'a.txt', value: 'aaa' },
+    { name: 'b', filename: 'b.json', value: '{}', type: 'application/json' }
+  ])
+  t.same(JSON.parse(res.body), {
+    data: {
+      uploadMany: [
+        { filename: 'a.txt', content: 'aaa' },
+        { filename: 'b.json', content: '{}' },
+        { filename: 'a.txt', content: 'aaa' }
+      ]
+    }
+  })
+})
+
+test('upload - batched queries', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true, allowBatchedQueries: true })
+
+  const res = await upload(app, [
+    { name: 'operations', value: JSON.stringify([{ query: uploadQuery, variables: { file: null } }, { query: '{ hello }' }]) },
+    map({ 0: ['0.variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.same(JSON.parse(res.body), [
+    { data: { upload: { filename: 'a.txt', mimetype: 'text/plain', content: 'hello world' } } },
+    { data: { hello: 'world' } }
+  ])
+})
+
+test('upload - a file can be read several times', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  const res = await upload(app, [
+    operations('mutation ($file: Upload!) { readTwice(file: $file) }', { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello' }
+  ])
+  t.same(JSON.parse(res.body), { data: { readTwice: ['hello', 'hello'] } })
+})
+
+test('upload - the files are streamed to the resolvers', async (t) => {
+  const received = []
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    uploads: true,
+    resolvers: {
+      Mutation: {
+        upload: async (_, { file }) => {
+          const { filename, createReadStream } = await file
+          let content = ''
+          for await (const chunk of createReadStream()) {
+            received.push(chunk.toString())
+            content += chunk
+          }
+          return { filename, content }
+        }
+      }
+    }
+  })
+  await app.listen(0)
+
+  const body = multipart([
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'first-second' }
+  ])
+  const split = body.indexOf('second')
+
+  const req = http.request({
+    method: 'POST',
+    port: app.server.address().port,
+    path: '/graphql',
+    headers: { 'content-type': 'multipart/form-data; boundary=boundary' }
+  })
+  req.write(body.slice(0, split))
+
+  // the resolver reads the beginning of the file before the end of the request
+  while (received.length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  t.same(received, ['first-'])
+  req.end(body.slice(split))
+
+  const [res] = await once(req, 'response')
+  t.same(JSON.parse(await read(res)), { data: { upload: { filename: 'a.txt', mimetype: null, content: 'first-second' } } })
+})
+
+test('upload - the files are written to temporary files removed after the response', async (t) => {
+  const before = await temporaryFiles()
+  let during
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    uploads: true,
+    resolvers: {
+      Mutation: {
+        upload: async (_, { file }) => {
+          const result = await toFile(file)
+          during = await temporaryFiles()
+          return result
+        }
+      }
+    }
+  })
+
+  const res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(JSON.parse(res.body).data.upload.content, 'hello world')
+
+  const created = during.filter(file => !before.includes(file))
+  t.equal(created.length, 1)
+
+  // the file is removed asynchronously
+  while ((await temporaryFiles()).includes(created[0])) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+})
+
+test('upload - aborted requests', async (t) => {
+  let aborted
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    schema,
+    uploads: true,
+    resolvers: {
+      Mutation: {
+        upload: async (_, { file }) => {
+          const { createReadStream } = await file
+          const stream = createReadStream()
+          stream.once('data', () => {
+            req.destroy()
+          })
+          aborted = read(stream)
+          await aborted.catch(() => {})
+          return null
+        }
+      }
+    }
+  })
+  await app.listen(0)
+
+  const body = multipart([
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'first-second' }
+  ])
+
+  const req = http.request({
+    method: 'POST',
+    port: app.server.address().port,
+    path: '/graphql',
+    headers: { 'content-type': 'multipart/form-data; boundary=boundary' }
+  })
+  req.write(body.slice(0, body.indexOf('second')))
+
+  await t.rejects(once(req, 'response'))
+  await t.rejects(aborted, { message: 'Invalid multipart request: the request was aborted' })
+})
+
+test('upload - the file size limit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: { maxFileSize: 5 } })
+
+  let res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.same(JSON.parse(res.body), {
+    data: { upload: null },
+    errors: [{
+      message: 'The file "a.txt" exceeds the 5 bytes limit',
+      locations: [{ line: 1, column: 29 }],
+      path: ['upload']
+    }]
+  })
+
+  res = await upload(app, [
+    operations('mutation ($file: Upload!) { readTwice(file: $file) }', { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(JSON.parse(res.body).errors[0].message, 'The file "a.txt" exceeds the 5 bytes limit')
+})
+
+test('upload - the files limit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: { maxFiles: 1 } })
+
+  const res = await upload(app, [
+    operations('mutation ($files: [Upload!]!) { uploadMany(files: $files) { filename content } }', { files: [null, null] }),
+    map({ a: ['variables.files.0'], b: ['variables.files.1'] }),
+    { name: 'a', filename: 'a.txt', value: 'aaa' },
+    { name: 'b', filename: 'b.txt', value: 'bbb' }
+  ])
+  t.same(JSON.parse(res.body).errors.map(({ message }) => message), ['The request exceeds the 1 files limit'])
+})
+
+test('upload - the field size limit', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: { maxFieldSize: 10 } })
+
+  const res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(res.statusCode, 413)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'The "operations" field exceeds the 10 bytes limit' }] })
+})
+
+test('upload - missing and extraneous files', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  let res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] })
+  ])
+  t.equal(JSON.parse(res.body).errors[0].message, 'Invalid multipart request: the file is missing')
+
+  res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: 'other', filename: 'b.txt', value: 'other' },
+    { name: '0', filename: 'a.txt', value: 'hello' }
+  ])
+  t.same(JSON.parse(res.body), { data: { upload: { filename: 'a.txt', mimetype: 'text/plain', content: 'hello' } } })
+})
+
+test('upload - invalid multipart requests', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  const cases = [
+    [[{ name: 'operations', value: '{' }, map({})], 'invalid JSON in the "operations" field'],
+    [[{ name: 'operations', value: '1' }, map({})], 'the "operations" field must be an object or an array'],
+    [[map({}), operations(uploadQuery, { file: null })], 'the "operations" field must be sent before the "map" field'],
+    [[operations(uploadQuery, { file: null }), { name: 'map', value: '[]' }], 'the "map" field must be an object'],
+    [[operations(uploadQuery, { file: null }), map({ 0: 'variables.file' })], 'the "map" entry "0" must be an array of paths'],
+    [[operations(uploadQuery, { file: null }), map({ 0: [1] })], 'the "map" entry "0" must be an array of paths'],
+    [[operations(uploadQuery, { file: null }), map({ 0: ['variables.other'] })], 'the "map" entry "0" has an invalid path "variables.other"'],
+    [[operations(uploadQuery, { file: 'x' }), map({ 0: ['variables.file'] })], 'the "map" entry "0" has an invalid path "variables.file"'],
+    [[operations(uploadQuery, { file: null }), map({ 0: ['query.length'] })], 'the "map" entry "0" has an invalid path "query.length"'],
+    [[operations(uploadQuery, { file: null }), map({ 0: ['__proto__.polluted'] })], 'the "map" entry "0" has an invalid path "__proto__.polluted"'],
+    [[operations(uploadQuery, { file: null }), { name: '0', filename: 'a.txt', value: 'hello' }], 'the files must be sent after the "map" field'],
+    [[operations(uploadQuery, { file: null })], 'the "operations" and "map" fields are missing'],
+    // only the "operations" and "map" fields are parsed
+    [[{ name: 'other', value: '{}' }, operations(uploadQuery, { file: null }), map({ 0: ['variables.file'] })], 'the "operations" and "map" fields are missing']
+  ]
+
+  for (const [parts, message] of cases) {
+    const res = await upload(app, parts)
+    t.equal(res.statusCode, 400)
+    t.same(JSON.parse(res.body), { data: null, errors: [{ message: `Invalid multipart request: ${message}` }] })
+  }
+  t.equal({}.polluted, undefined)
+
+  let res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'multipart/form-data' },
+    payload: multipart([])
+  })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'Invalid multipart request: Multipart: Boundary not found' }] })
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    headers: { 'content-type': 'multipart/form-data; boundary=boundary' },
+    payload: '--boundary\r\nContent-Disposition: form-data; name="operations"\r\n\r\n{}'
+  })
+  t.equal(res.statusCode, 400)
+  t.same(JSON.parse(res.body), { data: null, errors: [{ message: 'Invalid multipart request: Unexpected end of multipart data' }] })
+})
+
+test('upload - the Upload scalar without a multipart request', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers, uploads: true })
+
+  let res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: uploadQuery, variables: { file: 'a.txt' } }
+  })
+  t.match(JSON.parse(res.body).errors[0].message, 'Upload value invalid.')
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: 'mutation { upload(file: "a.txt") { filename } }' }
+  })
+  t.match(JSON.parse(res.body).errors[0].message, 'Upload literal unsupported.')
+
+  res = await app.inject({
+    method: 'POST',
+    url: '/graphql',
+    body: { query: '{ file }' }
+  })
+  t.match(JSON.parse(res.body).errors[0].message, 'Upload serialization unsupported.')
+})
+
+test('upload - disabled by default', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, { schema, resolvers })
+
+  const res = await upload(app, [
+    operations(uploadQuery, { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.equal(res.statusCode, 415)
+})
+
+test('upload - the GraphQLUpload scalar in an executable schema', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    uploads: true,
+    schema: new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: { hello: { type: GraphQLString, resolve: () => 'world' } }
+      }),
+      mutation: new GraphQLObjectType({
+        name: 'Mutation',
+        fields: {
+          upload: {
+            type: GraphQLString,
+            args: { file: { type: new GraphQLNonNull(GQL.GraphQLUpload) } },
+            resolve: async (_, { file }) => read((await file).createReadStream())
+          }
+        }
+      })
+    }),
+    resolvers: undefined
+  })
+
+  const res = await upload(app, [
+    operations('mutation ($file: Upload!) { upload(file: $file) }', { file: null }),
+    map({ 0: ['variables.file'] }),
+    { name: '0', filename: 'a.txt', value: 'hello world' }
+  ])
+  t.same(JSON.parse(res.body), { data: { upload: 'hello world' } })
+})
+
+test('upload - a schema without the Upload scalar', async (t) => {
+  const app = Fastify()
+  t.teardown(app.close.bind(app))
+  app.register(GQL, {
+    uploads: true,
+    schema: 'type Query { hello: String }',
+    resolvers: { Query: { hello: () => 'world' } }
+  })
+
+  const res = await upload(app, [operations('{ hello }'), map({})])
+  t.same(JSON.parse(res.body), { data: { hello: 'world' } })
+})
+
+test('upload - invalid options', async (t) => {
+  for (const uploads of ['yes', null, { maxFileSize: '1' }, { maxFiles: 0 }]) {
+    const app = Fastify()
+    app.register(GQL, { schema, resolvers, uploads })
+
+    await t.rejects(app.ready(), { code: 'MER_ERR_INVALID_OPTS' })
+  }
+})